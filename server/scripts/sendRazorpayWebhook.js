@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+// Sign a Razorpay webhook fixture with RAZORPAY_WEBHOOK_SECRET and send it to a local server.
+//
+//   npm run webhook:razorpay -- payment.captured --order order_N5x... [--amount 450]
+//   npm run webhook:razorpay -- refund.processed --order order_N5x... --print
+//
+// Options:
+//   --order <id>      Razorpay order id to put in the payload (from POST /api/payment/create-order)
+//   --payment <id>    Razorpay payment id (default: the fixture's)
+//   --amount <rupees> Amount to put in the payload (default: the fixture's)
+//   --event-id <id>   X-Razorpay-Event-Id header; reuse one to test replay protection
+//   --url <url>       Webhook URL (default: http://localhost:$PORT/api/payment/webhook)
+//   --print           Print a curl command instead of sending
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'src', 'services', 'fixtures', 'razorpay');
+const FIXTURE_ORDER_ID = 'order_LocalFixture01';
+const FIXTURE_PAYMENT_ID = 'pay_LocalFixture01';
+const AMOUNT_FIELDS = ['amount', 'amount_paid', 'amount_refunded'];
+
+const parseArgs = (argv) => {
+  const args = { event: argv[0] };
+  for (let i = 1; i < argv.length; i++) {
+    const flag = argv[i].replace(/^--/, '');
+    if (flag === 'print') {
+      args.print = true;
+    } else {
+      args[flag] = argv[++i];
+    }
+  }
+  return args;
+};
+
+const setAmounts = (value, paise) => {
+  if (Array.isArray(value)) return value.forEach(item => setAmounts(item, paise));
+  if (!value || typeof value !== 'object') return;
+
+  for (const [key, child] of Object.entries(value)) {
+    if (AMOUNT_FIELDS.includes(key) && typeof child === 'number' && child > 0) {
+      value[key] = paise;
+    } else {
+      setAmounts(child, paise);
+    }
+  }
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const available = fs.readdirSync(FIXTURES_DIR).map(file => file.replace(/\.json$/, ''));
+
+  if (!args.event || !available.includes(args.event)) {
+    console.error(`Usage: sendRazorpayWebhook.js <${available.join('|')}> [--order id] [--payment id] [--amount rupees] [--event-id id] [--url url] [--print]`);
+    process.exit(1);
+  }
+
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('RAZORPAY_WEBHOOK_SECRET is not set');
+    process.exit(1);
+  }
+
+  let text = fs.readFileSync(path.join(FIXTURES_DIR, `${args.event}.json`), 'utf8');
+  if (args.order) text = text.split(FIXTURE_ORDER_ID).join(args.order);
+  if (args.payment) text = text.split(FIXTURE_PAYMENT_ID).join(args.payment);
+
+  const payload = JSON.parse(text);
+  payload.created_at = Math.floor(Date.now() / 1000);
+  if (args.amount) setAmounts(payload.payload, Math.round(parseFloat(args.amount) * 100));
+
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  const eventId = args['event-id'] || `evt_local_${crypto.randomBytes(6).toString('hex')}`;
+  const url = args.url || `http://localhost:${process.env.PORT || 3000}/api/payment/webhook`;
+
+  if (args.print) {
+    console.log(`curl -X POST '${url}' \\
+  -H 'Content-Type: application/json' \\
+  -H 'X-Razorpay-Signature: ${signature}' \\
+  -H 'X-Razorpay-Event-Id: ${eventId}' \\
+  --data-raw '${body.replace(/'/g, "'\\''")}'`);
+    return;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Razorpay-Signature': signature,
+      'X-Razorpay-Event-Id': eventId
+    },
+    body
+  });
+
+  console.log(`${response.status} ${await response.text()}`);
+};
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -2,14 +2,33 @@ const BaseAgent = require('./BaseAgent');
 const { logger } = require('../utils/logger');
 
 class AskMeAgent extends BaseAgent {
-  constructor(openai) {
-    super(openai, 'AskMe AI', [
+  static definition = {
+    key: 'askme',
+    name: 'AskMe AI',
+    emoji: '💬',
+    description: 'General questions, chat, anything not fitting other categories',
+    summary: 'General help, app navigation and connecting you to the right agent',
+    capabilities: [
       'general questions',
       'casual conversation',
       'help and support',
       'information lookup',
       'recommendations'
-    ]);
+    ],
+    keywords: [], // fallback agent, takes anything
+    examples: ['help', 'app features', 'how to use'],
+    tip: 'Ask me anything about the app or get help with any feature',
+    handoffTargets: []
+  };
+
+  constructor(llm) {
+    super(llm, AskMeAgent.definition.name, AskMeAgent.definition.capabilities);
+  }
+
+  // Definitions of the enabled agents. Required here rather than at the top because
+  // the registry itself loads this module.
+  getAgentDirectory() {
+    return require('./registry').getAgentDefinitions();
   }
 
   async processMessage(message, context, userProfile) {
@@ -122,33 +141,13 @@ class AskMeAgent extends BaseAgent {
   }
 
   async handleAppFeatures(message, analysis) {
-    const features = [
-      {
-        name: 'Foodie AI 🍽️',
-        description: 'Order food from restaurants, get recommendations, track deliveries',
-        capabilities: ['Restaurant search', 'Menu browsing', 'Order tracking', 'Dietary preferences']
-      },
-      {
-        name: 'RideNow AI 🚗',
-        description: 'Book cabs, get fare estimates, track rides, schedule trips',
-        capabilities: ['Instant booking', 'Fare comparison', 'Live tracking', 'Scheduled rides']
-      },
-      {
-        name: 'Travel Buddy AI ✈️',
-        description: 'Book flights, hotels, plan itineraries (Coming Soon)',
-        capabilities: ['Flight booking', 'Hotel search', 'Trip planning', 'Travel recommendations']
-      },
-      {
-        name: 'ShopSmart AI 🛍️',
-        description: 'Online shopping, product recommendations (Coming Soon)',
-        capabilities: ['Product search', 'Price comparison', 'Style recommendations', 'Deal alerts']
-      },
-      {
-        name: 'Grocer AI 🛒',
-        description: 'Grocery shopping, household items (Coming Soon)',
-        capabilities: ['Grocery lists', 'Store comparison', 'Fresh produce', 'Quick delivery']
-      }
-    ];
+    const specialists = this.getAgentDirectory().filter(agent => agent.key !== this.definition.key);
+    const features = specialists.map(agent => ({
+      key: agent.key,
+      name: `${agent.name} ${agent.emoji}`,
+      description: agent.summary,
+      capabilities: agent.capabilities
+    }));
 
     const featuresText = features.map(feature => 
       `**${feature.name}**\n${feature.description}\n• ${feature.capabilities.join(' • ')}`
@@ -160,8 +159,7 @@ class AskMeAgent extends BaseAgent {
         { type: 'feature_showcase', features }
       ],
       [
-        "Try Foodie AI",
-        "Book a ride",
+        ...specialists.slice(0, 2).map(agent => `Try ${agent.name}`),
         "How to switch agents",
         "What's coming soon?"
       ]
@@ -169,39 +167,29 @@ class AskMeAgent extends BaseAgent {
   }
 
   async handleAgentInformation(message, analysis) {
-    const agentInfo = {
-      'foodie': {
-        name: 'Foodie AI',
-        expertise: 'Food ordering and restaurant recommendations',
-        commands: ['order food', 'find restaurants', 'track my order'],
-        tips: 'Tell me your location and food preferences for better recommendations'
-      },
-      'ridenow': {
-        name: 'RideNow AI',
-        expertise: 'Cab booking and transportation',
-        commands: ['book a ride', 'get fare estimate', 'track my ride'],
-        tips: 'Specify pickup and destination for quick booking'
-      },
-      'askme': {
-        name: 'AskMe AI (that\'s me!)',
-        expertise: 'General help and app navigation',
-        commands: ['help', 'app features', 'how to use'],
-        tips: 'Ask me anything about the app or get help with any feature'
-      }
-    };
+    const agentInfo = {};
+    for (const agent of this.getAgentDirectory()) {
+      agentInfo[agent.key] = {
+        name: agent.key === this.definition.key ? `${agent.name} (that's me!)` : agent.name,
+        expertise: agent.summary,
+        commands: agent.examples,
+        tips: agent.tip
+      };
+    }
 
     const infoText = Object.values(agentInfo).map(agent => 
       `🤖 **${agent.name}**\n${agent.expertise}\n\n**Try saying:** "${agent.commands.join('", "')}\"\n\n💡 **Tip:** ${agent.tips}`
     ).join('\n\n---\n\n');
 
+    const specialists = this.getAgentDirectory().filter(agent => agent.key !== this.definition.key);
+
     return this.formatResponse(
       `Here's information about our AI agents:\n\n${infoText}\n\n**Agent Switching:** You can switch between agents anytime by mentioning what you need. I'll automatically connect you to the right specialist!`,
       [
         { type: 'agent_info', agents: agentInfo }
       ],
       [
-        "Switch to Foodie AI",
-        "Switch to RideNow AI",
+        ...specialists.slice(0, 2).map(agent => `Switch to ${agent.name}`),
         "How to switch agents",
         "What else can you do?"
       ]
@@ -430,7 +418,8 @@ Could you please provide more details about the specific issue you're experienci
 
   async handleHandoff(handoffContext, conversationContext) {
     const fromAgent = handoffContext.fromAgent;
-    const welcomeMessage = `Hi! I'm AskMe AI. I've taken over from ${fromAgent} to help you with general questions or guide you to other services. What can I help you with?`;
+    const fromName = this.getAgentDirectory().find(agent => agent.key === fromAgent)?.name || fromAgent || 'another agent';
+    const welcomeMessage = `Hi! I'm AskMe AI. I've taken over from ${fromName} to help you with general questions or guide you to other services. What can I help you with?`;
     
     return {
       message: welcomeMessage,
@@ -1,10 +1,18 @@
 const { logger } = require('../utils/logger');
+const { validateSchema, extractJSON } = require('../llm/schema');
+const { currentStream } = require('../llm/streaming');
+const { createHandoffPayload } = require('./handoff');
+const { currentTurn } = require('./turnContext');
+
+const MAX_TOOL_ATTEMPTS = 3;
 
 class BaseAgent {
-  constructor(openai, agentName, capabilities = []) {
-    this.openai = openai;
+  constructor(llm, agentName, capabilities = []) {
+    this.llm = llm; // LLM provider (see ../llm)
     this.agentName = agentName;
     this.capabilities = capabilities;
+    this.definition = this.constructor.definition || {}; // registry entry, see ./registry
+    this.stateKey = null; // key for this agent's flow state on the conversation context
     this.isActive = true;
     this.lastActivity = Date.now();
   }
@@ -18,6 +26,19 @@ class BaseAgent {
     return true;
   }
 
+  // Whether the message mentions one of the keywords declared in the agent's definition
+  matchesKeywords(message) {
+    const text = message.toLowerCase();
+    return (this.definition.keywords || []).some(keyword => text.includes(keyword.toLowerCase()));
+  }
+
+  // Whether the message answers a step this agent is waiting on (a choice, a size, a confirmation).
+  // Stateful agents implement getPendingStepCall(message, state).
+  hasPendingStep(message, context) {
+    const state = this.stateKey && context.agentState?.[this.stateKey];
+    return !!state && typeof this.getPendingStepCall === 'function' && !!this.getPendingStepCall(message, state);
+  }
+
   async handleHandoff(handoffContext, conversationContext) {
     // Default handoff handler
     const welcomeMessage = await this.generateWelcomeMessage(handoffContext);
@@ -28,6 +49,15 @@ class BaseAgent {
     };
   }
 
+  // Called when the user comes back to this agent from one it handed off to
+  async handleReturn(handoffContext, conversationContext) {
+    return {
+      message: `Welcome back! ${this.agentName} here again - let's pick up where we left off.`,
+      actions: [],
+      suggestions: await this.generateSuggestions(handoffContext, conversationContext)
+    };
+  }
+
   async generateWelcomeMessage(handoffContext) {
     return `Hi! I'm ${this.agentName}. I can help you with ${this.capabilities.join(', ')}. How can I assist you today?`;
   }
@@ -46,58 +76,208 @@ class BaseAgent {
   }
 
   async analyzeIntent(message, context) {
-    try {
-      const systemPrompt = `You are ${this.agentName}, an AI assistant specialized in ${this.capabilities.join(', ')}.
+    const systemPrompt = `You are ${this.agentName}, an AI assistant specialized in ${this.capabilities.join(', ')}.
       Analyze the user's message and extract key information relevant to your domain.
       
-      Return a JSON object with:
+      Return only a JSON object with:
       - intent: the main intent/action the user wants
       - entities: key pieces of information extracted
       - confidence: confidence level (0-1)
       - requiresAction: boolean indicating if this requires external API calls
       `;
 
-      const response = await this.openai.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: message }
-        ],
-        max_tokens: 200,
-        temperature: 0.1
-      });
-
-      return JSON.parse(response.choices[0].message.content);
+    const messages = [
+      { role: 'system', content: `${systemPrompt}${this.summaryNote(context?.summary)}` },
+      { role: 'user', content: message }
+    ];
+
+    // Retry once with a reminder if the model wraps the JSON in prose or gets the shape wrong
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      try {
+        const content = await this.llm.complete({
+          messages,
+          maxTokens: 200,
+          temperature: 0.1,
+          purpose: 'intent',
+          input: message
+        });
+
+        const analysis = extractJSON(content);
+        if (typeof analysis.intent !== 'string') {
+          throw new Error('intent must be a string');
+        }
+
+        return {
+          entities: {},
+          confidence: 0,
+          requiresAction: false,
+          ...analysis
+        };
+      } catch (error) {
+        logger.warn(`Invalid intent analysis from ${this.agentName} (attempt ${attempt}): ${error.message}`);
+        messages.push({
+          role: 'user',
+          content: `Your previous reply was not valid (${error.message}). Reply with only the JSON object.`
+        });
+      }
+    }
+
+    return {
+      intent: 'unknown',
+      entities: {},
+      confidence: 0,
+      requiresAction: false
+    };
+  }
+
+  // Tools this agent exposes to the model - override in subclasses.
+  // Each tool is { name, description, parameters (JSON schema), handler(args, turn) }.
+  getTools() {
+    return [];
+  }
+
+  getTool(name) {
+    return this.getTools().find(tool => tool.name === name) || null;
+  }
+
+  // Let the model choose a tool and its arguments for the latest message.
+  // Returns { tool, arguments }, or null when no tool fits.
+  async selectTool(message, context) {
+    const tools = this.getTools();
+    if (tools.length === 0) return null;
+
+    // The current message is already the last history entry
+    const recentTurns = (context.history || []).slice(-5, -1)
+      .filter(h => h.type === 'user' || h.type === 'agent')
+      .map(h => ({ role: h.type === 'user' ? 'user' : 'assistant', content: h.content }));
+
+    const messages = [
+      {
+        role: 'system',
+        content: `You are ${this.agentName}, an AI assistant specialized in ${this.capabilities.join(', ')}.
+        Pick the tool that best handles the user's latest message and fill in its arguments from what they said.
+        Only include arguments the user actually gave. If no tool fits, answer without calling one.${this.summaryNote(context.summary)}`
+      },
+      ...recentTurns,
+      { role: 'user', content: message }
+    ];
+
+    for (let attempt = 1; attempt <= MAX_TOOL_ATTEMPTS; attempt++) {
+      let call;
+      try {
+        call = await this.llm.selectTool({ messages, tools, purpose: 'tool', input: message });
+      } catch (error) {
+        logger.error(`Error selecting tool in ${this.agentName}:`, error);
+        return null;
+      }
+
+      if (!call.malformed && call.name === null) {
+        return null;
+      }
+
+      try {
+        return this.parseToolCall(call, tools);
+      } catch (error) {
+        logger.warn(`Invalid tool call from ${this.agentName} (attempt ${attempt}): ${error.message}`);
+        messages.push({
+          role: 'user',
+          content: `Your last tool call was invalid: ${error.message}. Call one of the listed tools again with arguments that match its schema.`
+        });
+      }
+    }
+
+    logger.warn(`Giving up on tool selection in ${this.agentName} after ${MAX_TOOL_ATTEMPTS} attempts`);
+    return null;
+  }
+
+  parseToolCall(call, tools) {
+    if (call.malformed) {
+      throw new Error(call.malformed);
+    }
+
+    const tool = tools.find(t => t.name === call.name);
+    if (!tool) {
+      throw new Error(`unknown tool "${call.name}"`);
+    }
+
+    let args;
+    try {
+      args = call.arguments ? JSON.parse(call.arguments) : {};
     } catch (error) {
-      logger.error('Error analyzing intent:', error);
-      return {
-        intent: 'unknown',
-        entities: {},
-        confidence: 0,
-        requiresAction: false
-      };
+      throw new Error(`arguments for ${tool.name} are not valid JSON`);
     }
+
+    const errors = validateSchema(tool.parameters, args);
+    if (errors.length > 0) {
+      throw new Error(`${tool.name}: ${errors.join('; ')}`);
+    }
+
+    return { tool, arguments: args };
+  }
+
+  // Earlier turns of a long conversation, folded into a summary (see ./summarizer)
+  summaryNote(summary = currentTurn()?.summary) {
+    return summary ? `\n\nEarlier in this conversation: ${summary}` : '';
   }
 
   async generateResponse(prompt, context = {}, maxTokens = 150) {
+    const request = {
+      messages: [
+        { role: 'system', content: `${prompt}${this.summaryNote()}` },
+        { role: 'user', content: context.message || '' }
+      ],
+      maxTokens,
+      temperature: 0.7,
+      purpose: 'response',
+      input: context.message || ''
+    };
+
     try {
-      const response = await this.openai.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'gpt-4',
-        messages: [
-          { role: 'system', content: prompt },
-          { role: 'user', content: context.message || '' }
-        ],
-        max_tokens: maxTokens,
-        temperature: 0.7
-      });
-
-      return response.choices[0].message.content;
+      // Stream tokens to the client when the turn has a stream attached
+      const stream = currentStream();
+      if (!stream) {
+        return await this.llm.complete(request);
+      }
+
+      let text = '';
+      try {
+        for await (const chunk of this.llm.stream({ ...request, signal: stream.signal })) {
+          if (stream.signal.aborted) break;
+          text += chunk;
+          stream.onToken(chunk);
+        }
+      } catch (error) {
+        // A stopped generation keeps whatever was produced so far
+        if (!stream.signal.aborted) throw error;
+      }
+
+      return text;
     } catch (error) {
       logger.error('Error generating response:', error);
       throw error;
     }
   }
 
+  // Orders need a verified email, like payments (see requireVerification in ../middleware/auth).
+  // Returns the reply asking the user to verify, or null when they already have.
+  requireVerifiedEmail(userProfile) {
+    if (userProfile?.isVerified) return null;
+
+    return this.formatResponse(
+      "Please verify your email address before placing an order. Open the link we emailed you, or I can send a new one.",
+      [{ type: 'email_verification', resendEndpoint: '/api/auth/resend-verification' }],
+      ["Resend verification email"]
+    );
+  }
+
+  // Whether a reply at checkout is a plain go-ahead: "yes", "Confirm order", "ok, place my order".
+  // Anything more ("yes, add a raita too") is an edit, not a confirmation.
+  isOrderConfirmation(message) {
+    const text = message.trim();
+    return /^(yes|yep|sure|confirm)[.!\s]*$/i.test(text) ||
+      /^((yes|yep|sure|ok|okay)[,.!\s]+)?(please\s+)?(confirm|place)( (my|the))? (order|purchase)( now)?( please)?[.!\s]*$/i.test(text);
+  }
+
   formatResponse(message, actions = [], suggestions = [], metadata = {}) {
     return {
       message,
@@ -111,20 +291,45 @@ class BaseAgent {
     };
   }
 
-  createHandoff(targetAgent, reason, context = {}, autoHandoff = false) {
+  // Ask the manager to pass the conversation to targetAgent, which must be one of the
+  // handoffTargets in this agent's definition. entities (location, pickup, destination,
+  // time, budget, ...) are typed and validated, data carries anything agent-specific.
+  createHandoff(targetAgent, reason, { entities = {}, data = {} } = {}, autoHandoff = false) {
     return {
       handoff: {
         targetAgent,
         reason,
-        context: {
-          fromAgent: this.agentName,
-          ...context
-        },
+        context: createHandoffPayload({
+          fromAgent: this.definition.key || this.agentName,
+          toAgent: targetAgent,
+          reason,
+          entities,
+          data
+        }),
         autoHandoff
       }
     };
   }
 
+  // Per-user flow state lives on the conversation context so it is persisted with it
+  getFlowState(context, initialState = {}) {
+    const key = this.stateKey || this.agentName;
+    context.agentState = context.agentState || {};
+
+    if (!context.agentState[key]) {
+      context.agentState[key] = initialState;
+    }
+
+    return context.agentState[key];
+  }
+
+  resetFlowState(context) {
+    const key = this.stateKey || this.agentName;
+    if (context.agentState) {
+      delete context.agentState[key];
+    }
+  }
+
   updateActivity() {
     this.lastActivity = Date.now();
   }
@@ -1,76 +1,211 @@
 const BaseAgent = require('./BaseAgent');
 const axios = require('axios');
+const Order = require('../models/Order');
 const { logger } = require('../utils/logger');
 
 class FoodieAgent extends BaseAgent {
-  constructor(openai) {
-    super(openai, 'Foodie AI', [
+  static definition = {
+    key: 'foodie',
+    name: 'Foodie AI',
+    emoji: '🍽️',
+    description: 'Food ordering, restaurant recommendations, dining',
+    summary: 'Order food from restaurants, get recommendations, track deliveries',
+    capabilities: [
       'food ordering',
-      'restaurant recommendations', 
+      'restaurant recommendations',
       'cuisine suggestions',
       'dietary preferences',
       'food delivery tracking'
-    ]);
+    ],
+    keywords: [
+      'food', 'order', 'restaurant', 'eat', 'hungry', 'delivery', 'menu',
+      'cuisine', 'dish', 'meal', 'breakfast', 'lunch', 'dinner', 'snack',
+      'pizza', 'burger', 'biryani', 'curry', 'chinese', 'italian',
+      'sandwich', 'coffee', 'pasta', 'noodles', 'dosa', 'thali'
+    ],
+    examples: ['order food', 'find restaurants', 'track my order'],
+    tip: 'Tell me your location and food preferences for better recommendations',
+    handoffTargets: []
+  };
+
+  constructor(llm) {
+    super(llm, FoodieAgent.definition.name, FoodieAgent.definition.capabilities);
     
-    this.orderStates = new Map(); // userId -> orderState
+    this.stateKey = FoodieAgent.definition.key;
   }
 
   async processMessage(message, context, userProfile) {
     this.updateActivity();
     
     try {
-      // Analyze the user's intent
-      const analysis = await this.analyzeIntent(message, context);
-      
-      // Get current order state for user
-      const userId = context.userId || 'anonymous';
-      let orderState = this.orderStates.get(userId) || {
-        stage: 'initial',
-        preferences: {},
-        selectedItems: [],
-        restaurant: null,
-        total: 0
-      };
-
-      // Process based on intent and current state
-      switch (analysis.intent) {
-        case 'order_food':
-          return await this.handleFoodOrder(message, analysis, orderState, userProfile);
-        
-        case 'restaurant_search':
-          return await this.handleRestaurantSearch(message, analysis, userProfile);
-        
-        case 'menu_browse':
-          return await this.handleMenuBrowse(message, analysis, orderState);
-        
-        case 'add_to_cart':
-          return await this.handleAddToCart(message, analysis, orderState);
-        
-        case 'modify_order':
-          return await this.handleModifyOrder(message, analysis, orderState);
-        
-        case 'checkout':
-          return await this.handleCheckout(message, analysis, orderState, userProfile);
-        
-        case 'track_order':
-          return await this.handleOrderTracking(message, analysis, userProfile);
-        
-        case 'dietary_preferences':
-          return await this.handleDietaryPreferences(message, analysis, userProfile);
-        
-        default:
-          return await this.handleGeneralFoodQuery(message, analysis, userProfile);
+      // Get current order state for user (persisted with the conversation)
+      const orderState = this.getFlowState(context, this.initialOrderState());
+
+      // Replies to a pending step skip tool selection, otherwise the model picks a tool
+      const call = this.getPendingStepCall(message, orderState) || await this.selectTool(message, context);
+
+      if (!call) {
+        return await this.handleGeneralFoodQuery(message, userProfile);
       }
+
+      return await call.tool.handler(call.arguments, { message, context, userProfile, orderState });
     } catch (error) {
       logger.error('Error in FoodieAgent:', error);
       return this.handleError(message, error);
     }
   }
 
-  async handleFoodOrder(message, analysis, orderState, userProfile) {
-    const location = this.extractLocation(message) || userProfile?.addresses?.[0]?.city;
-    const cuisine = analysis.entities.cuisine;
-    const item = analysis.entities.food_item;
+  getTools() {
+    return [
+      {
+        name: 'startFoodOrder',
+        description: 'Start a food order: find restaurants that deliver the dish or cuisine the user wants',
+        parameters: {
+          type: 'object',
+          properties: {
+            location: { type: 'string', description: 'Delivery area or city, if the user mentioned one' },
+            cuisine: { type: 'string', description: 'Cuisine, e.g. Indian, Chinese, Healthy' },
+            item: { type: 'string', description: 'Specific dish, e.g. biryani, pizza' }
+          }
+        },
+        handler: (args, turn) => this.handleFoodOrder(turn.message, args, turn.orderState, turn.userProfile)
+      },
+      {
+        name: 'searchRestaurants',
+        description: 'Browse or search restaurants without starting an order',
+        parameters: {
+          type: 'object',
+          properties: {
+            location: { type: 'string' },
+            cuisine: { type: 'string' },
+            priceRange: { type: 'string', enum: ['₹', '₹₹', '₹₹₹'] }
+          }
+        },
+        handler: (args, turn) => this.handleRestaurantSearch(turn.message, args, turn.userProfile)
+      },
+      {
+        name: 'selectRestaurant',
+        description: 'Choose one of the restaurants offered to the user, by name or list number',
+        parameters: {
+          type: 'object',
+          properties: {
+            restaurant: { type: 'string', description: 'Restaurant name or its number in the list' }
+          },
+          required: ['restaurant']
+        },
+        handler: (args, turn) => this.handleRestaurantSelection(turn.message, args, turn.orderState)
+      },
+      {
+        name: 'getRestaurantMenu',
+        description: "Show the selected restaurant's menu, optionally for one category",
+        parameters: {
+          type: 'object',
+          properties: {
+            category: { type: 'string', description: 'Menu category, e.g. Main Course, Bread, Beverages' }
+          }
+        },
+        handler: (args, turn) => this.handleMenuBrowse(turn.message, args, turn.orderState)
+      },
+      {
+        name: 'addToCart',
+        description: 'Add a menu item to the cart',
+        parameters: {
+          type: 'object',
+          properties: {
+            itemName: { type: 'string' },
+            quantity: { type: 'integer', minimum: 1 }
+          },
+          required: ['itemName']
+        },
+        handler: (args, turn) => this.handleAddToCart(turn.message, args, turn.orderState)
+      },
+      {
+        name: 'removeFromCart',
+        description: 'Remove an item from the cart or reduce its quantity',
+        parameters: {
+          type: 'object',
+          properties: {
+            itemName: { type: 'string' },
+            quantity: { type: 'integer', minimum: 1, description: 'How many to remove; all if omitted' }
+          },
+          required: ['itemName']
+        },
+        handler: (args, turn) => this.handleModifyOrder(turn.message, args, turn.orderState)
+      },
+      {
+        name: 'checkout',
+        description: 'Review the cart with charges and delivery address before placing the order',
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleCheckout(turn.message, turn.orderState, turn.userProfile)
+      },
+      {
+        name: 'confirmOrder',
+        description: 'Place the order after the user has reviewed the checkout summary',
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleConfirmOrder(turn.message, turn.orderState, turn.userProfile, turn.context)
+      },
+      {
+        name: 'trackOrder',
+        description: "Show the status of the user's latest order",
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleOrderTracking(turn.message, turn.context)
+      },
+      {
+        name: 'findDietaryOptions',
+        description: 'Find restaurants that suit a diet or avoid allergens',
+        parameters: {
+          type: 'object',
+          properties: {
+            vegetarian: { type: 'boolean' },
+            vegan: { type: 'boolean' },
+            allergies: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        handler: (args, turn) => this.handleDietaryPreferences(turn.message, args, turn.userProfile)
+      }
+    ];
+  }
+
+  initialOrderState() {
+    return {
+      stage: 'initial',
+      preferences: {},
+      selectedItems: [],
+      restaurant: null,
+      total: 0
+    };
+  }
+
+  // A handoff with a location (e.g. a ride's drop point) starts a restaurant search there
+  async handleHandoff(handoffContext, conversationContext) {
+    const { location, destination, cuisine } = handoffContext.entities || {};
+    const place = location || destination;
+    if (!place) {
+      return super.handleHandoff(handoffContext, conversationContext);
+    }
+
+    this.resetFlowState(conversationContext);
+    const orderState = this.getFlowState(conversationContext, this.initialOrderState());
+
+    return await this.handleFoodOrder('', { location: place.city || place.name, cuisine }, orderState, null);
+  }
+
+  // Short replies like "2" or "Confirm Order" answer the step we are waiting on
+  getPendingStepCall(message, orderState) {
+    if (orderState.stage === 'checkout' && this.isOrderConfirmation(message)) {
+      return { tool: this.getTool('confirmOrder'), arguments: {} };
+    }
+
+    if (orderState.stage === 'restaurant_selection' && this.findChosenRestaurant(message, orderState)) {
+      return { tool: this.getTool('selectRestaurant'), arguments: { restaurant: message } };
+    }
+
+    return null;
+  }
+
+  async handleFoodOrder(message, args, orderState, userProfile) {
+    const location = args.location || this.extractLocation(message) || userProfile?.addresses?.[0]?.city;
+    const { cuisine, item } = args;
 
     if (!location) {
       return this.formatResponse(
@@ -98,7 +233,7 @@ class FoodieAgent extends BaseAgent {
 
     orderState.stage = 'restaurant_selection';
     orderState.preferences = { location, cuisine, item };
-    this.orderStates.set(orderState.userId || 'anonymous', orderState);
+    orderState.restaurantOptions = restaurants.slice(0, 5);
 
     const restaurantList = restaurants.slice(0, 5).map((r, i) => 
       `${i + 1}. ${r.name} - ${r.cuisine} (${r.rating}⭐) - ${r.deliveryTime} mins`
@@ -113,10 +248,9 @@ class FoodieAgent extends BaseAgent {
     );
   }
 
-  async handleRestaurantSearch(message, analysis, userProfile) {
-    const location = this.extractLocation(message) || userProfile?.addresses?.[0]?.city;
-    const cuisine = analysis.entities.cuisine;
-    const priceRange = analysis.entities.price_range;
+  async handleRestaurantSearch(message, args, userProfile) {
+    const location = args.location || this.extractLocation(message) || userProfile?.addresses?.[0]?.city;
+    const { cuisine, priceRange } = args;
 
     const restaurants = await this.searchRestaurants({
       location,
@@ -144,7 +278,39 @@ class FoodieAgent extends BaseAgent {
     );
   }
 
-  async handleMenuBrowse(message, analysis, orderState) {
+  async handleRestaurantSelection(message, args, orderState) {
+    const restaurant = this.findChosenRestaurant(message, orderState, args.restaurant);
+
+    if (!restaurant) {
+      return this.formatResponse(
+        "Which restaurant would you like to order from? You can pick one from the list or tell me its name.",
+        [],
+        ["Show restaurants", "Search restaurants"]
+      );
+    }
+
+    // Switching restaurants starts a new cart
+    if (orderState.restaurant?.id !== restaurant.id) {
+      orderState.selectedItems = [];
+      orderState.total = 0;
+    }
+
+    orderState.restaurant = restaurant;
+    orderState.stage = 'menu_browse';
+
+    const menu = await this.getRestaurantMenu(restaurant.id);
+
+    return this.formatResponse(
+      `Great choice! Here's the menu from ${restaurant.name}:\n\n${this.formatMenuItems(menu)}`,
+      [
+        { type: 'menu_display', menu },
+        { type: 'add_to_cart_buttons', items: menu }
+      ],
+      ["Add to cart", "View categories", "Filter by veg/non-veg"]
+    );
+  }
+
+  async handleMenuBrowse(message, args, orderState) {
     if (!orderState.restaurant) {
       return this.formatResponse(
         "Please select a restaurant first to view their menu.",
@@ -154,7 +320,7 @@ class FoodieAgent extends BaseAgent {
     }
 
     const menu = await this.getRestaurantMenu(orderState.restaurant.id);
-    const category = analysis.entities.category || 'all';
+    const category = args.category || 'all';
 
     const filteredMenu = category === 'all' 
       ? menu 
@@ -172,9 +338,9 @@ class FoodieAgent extends BaseAgent {
     );
   }
 
-  async handleAddToCart(message, analysis, orderState) {
-    const itemName = analysis.entities.item_name;
-    const quantity = analysis.entities.quantity || 1;
+  async handleAddToCart(message, args, orderState) {
+    const itemName = args.itemName;
+    const quantity = args.quantity || 1;
 
     if (!itemName) {
       return this.formatResponse(
@@ -208,7 +374,10 @@ class FoodieAgent extends BaseAgent {
       sum + (item.price * item.quantity), 0
     );
 
-    this.orderStates.set(orderState.userId || 'anonymous', orderState);
+    // Cart changed, so any earlier checkout summary is stale
+    if (orderState.stage === 'checkout') {
+      orderState.stage = 'cart';
+    }
 
     const cartSummary = this.formatCartSummary(orderState.selectedItems, orderState.total);
 
@@ -221,7 +390,77 @@ class FoodieAgent extends BaseAgent {
     );
   }
 
-  async handleCheckout(message, analysis, orderState, userProfile) {
+  async handleModifyOrder(message, args, orderState) {
+    const index = orderState.selectedItems.findIndex(i =>
+      i.name.toLowerCase().includes(args.itemName.toLowerCase())
+    );
+
+    if (index === -1) {
+      return this.formatResponse(
+        `"${args.itemName}" isn't in your cart.\n\n${this.formatCartSummary(orderState.selectedItems, orderState.total)}`,
+        [],
+        ["View cart", "Add items", "Proceed to checkout"]
+      );
+    }
+
+    const item = orderState.selectedItems[index];
+    const removed = Math.min(args.quantity || item.quantity, item.quantity);
+
+    if (removed >= item.quantity) {
+      orderState.selectedItems.splice(index, 1);
+    } else {
+      item.quantity -= removed;
+    }
+
+    orderState.total = orderState.selectedItems.reduce((sum, i) => 
+      sum + (i.price * i.quantity), 0
+    );
+
+    // Cart changed, so any earlier checkout summary is stale
+    if (orderState.stage === 'checkout') {
+      orderState.stage = 'cart';
+    }
+
+    return this.formatResponse(
+      `Removed ${removed}x ${item.name} from your cart.\n\n${this.formatCartSummary(orderState.selectedItems, orderState.total)}`,
+      [
+        { type: 'cart_update', items: orderState.selectedItems, total: orderState.total }
+      ],
+      ["Add more items", "Proceed to checkout", "View cart"]
+    );
+  }
+
+  async handleDietaryPreferences(message, args, userProfile) {
+    const saved = userProfile?.preferences?.dietary || {};
+    const dietary = {
+      vegetarian: args.vegetarian ?? saved.vegetarian,
+      vegan: args.vegan ?? saved.vegan,
+      allergies: [...new Set([...(saved.allergies || []), ...(args.allergies || [])])]
+    };
+
+    const restaurants = await this.searchRestaurants({
+      location: userProfile?.addresses?.[0]?.city,
+      userPreferences: dietary
+    });
+
+    const labels = [
+      dietary.vegan && 'vegan',
+      dietary.vegetarian && 'vegetarian',
+      dietary.allergies.length > 0 && `no ${dietary.allergies.join(', ')}`
+    ].filter(Boolean);
+
+    const restaurantList = restaurants.map(r => 
+      `🍽️ **${r.name}** ${r.isVeg ? '🥬 Pure veg' : '🥬 Veg options'} • ${r.rating}⭐`
+    ).join('\n');
+
+    return this.formatResponse(
+      `Here are restaurants that suit your diet${labels.length ? ` (${labels.join(', ')})` : ''}:\n\n${restaurantList || 'No matching restaurants right now.'}${dietary.allergies.length ? '\n\n⚠️ Please mention your allergies in the order instructions too.' : ''}`,
+      [{ type: 'restaurant_list', restaurants, dietary }],
+      ["View menu", "Update dietary preferences", "Order now"]
+    );
+  }
+
+  async handleCheckout(message, orderState, userProfile) {
     if (orderState.selectedItems.length === 0) {
       return this.formatResponse(
         "Your cart is empty. Would you like to browse restaurants and add some delicious items?",
@@ -242,10 +481,8 @@ class FoodieAgent extends BaseAgent {
     }
 
     // Calculate charges
-    const subtotal = orderState.total;
-    const deliveryFee = subtotal > 200 ? 0 : 40;
-    const gst = Math.round(subtotal * 0.05);
-    const grandTotal = subtotal + deliveryFee + gst;
+    const { subtotal, deliveryFee, gst, total: grandTotal } = this.calculateCharges(orderState.total);
+    orderState.stage = 'checkout';
 
     const orderSummary = `
 📋 **Order Summary**
@@ -282,42 +519,145 @@ ${deliveryAddress.street}, ${deliveryAddress.city}
     );
   }
 
-  async handleOrderTracking(message, analysis, userProfile) {
-    // Mock order tracking - integrate with actual APIs
+  async handleConfirmOrder(message, orderState, userProfile, context) {
+    if (orderState.selectedItems.length === 0 || !orderState.restaurant) {
+      return this.formatResponse(
+        "There's nothing to confirm yet. Add some items to your cart first!",
+        [],
+        ["Browse restaurants", "Popular dishes"]
+      );
+    }
+
+    const deliveryAddress = userProfile?.getDefaultAddress();
+    if (!context.userId || !deliveryAddress) {
+      return this.formatResponse(
+        "I need a delivery address to place your order. Please add your delivery address.",
+        [{ type: 'address_input', required: true }],
+        ["Use current location", "Add new address"]
+      );
+    }
+
+    const unverified = this.requireVerifiedEmail(userProfile);
+    if (unverified) {
+      return unverified;
+    }
+
+    const paymentMethod = userProfile.getDefaultPaymentMethod();
+    const charges = this.calculateCharges(orderState.total);
+
+    const order = await Order.create({
+      user: context.userId,
+      restaurant: {
+        id: orderState.restaurant.id,
+        name: orderState.restaurant.name,
+        cuisine: orderState.restaurant.cuisine
+      },
+      items: orderState.selectedItems.map(item => ({
+        itemId: item.id,
+        name: item.name,
+        price: item.price,
+        quantity: item.quantity,
+        category: item.category,
+        isVeg: item.isVeg
+      })),
+      deliveryAddress: {
+        label: deliveryAddress.label,
+        street: deliveryAddress.street,
+        city: deliveryAddress.city,
+        state: deliveryAddress.state,
+        pincode: deliveryAddress.pincode,
+        landmark: deliveryAddress.landmark,
+        coordinates: deliveryAddress.coordinates
+      },
+      charges,
+      payment: {
+        method: paymentMethod?.type || 'COD',
+        provider: paymentMethod?.provider
+      },
+      estimatedDeliveryAt: new Date(Date.now() + 45 * 60 * 1000)
+    });
+
+    logger.info(`Order ${order.orderNumber} placed for user ${context.userId}`);
+
+    // Start a fresh cart for the next order
+    this.resetFlowState(context);
+
+    return this.formatResponse(
+      `🎉 **Order placed!** Your order #${order.orderNumber} from ${order.restaurant.name} is confirmed.\n\n**Total: ₹${charges.total}**\n🕐 **Estimated Delivery**: 35-45 mins`,
+      [
+        {
+          type: 'order_placed',
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          total: charges.total,
+          paymentStatus: order.payment.status
+        }
+      ],
+      ["Track order", "Pay now", "Cancel order"],
+      { orderId: order._id.toString() }
+    );
+  }
+
+  async handleOrderTracking(message, context) {
+    const order = context.userId ? await Order.findLatestForUser(context.userId) : null;
+
+    if (!order) {
+      return this.formatResponse(
+        "You don't have any orders yet. Would you like to order something?",
+        [],
+        ["Order food", "Popular restaurants"]
+      );
+    }
+
+    // Completed steps come from the order's history, the rest are still to come
+    const reached = new Map(order.statusHistory.map(h => [h.status, h.timestamp]));
+    const steps = order.status === 'cancelled'
+      ? order.statusHistory.map(h => h.status)
+      : Order.STATUSES.filter(status => status !== 'cancelled');
+
+    const timeline = steps.map(status => ({
+      status,
+      time: reached.has(status)
+        ? reached.get(status).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })
+        : 'Pending',
+      completed: reached.has(status)
+    }));
+
+    const minutesLeft = order.estimatedDeliveryAt
+      ? Math.max(0, Math.round((order.estimatedDeliveryAt - Date.now()) / 60000))
+      : null;
+
     const orderStatus = {
-      orderId: '#FD' + Math.random().toString(36).substr(2, 9).toUpperCase(),
-      status: 'preparing',
-      estimatedTime: '25 mins',
-      restaurant: 'Sample Restaurant',
-      items: ['Butter Chicken', 'Naan', 'Rice'],
-      timeline: [
-        { status: 'confirmed', time: '10:30 AM', completed: true },
-        { status: 'preparing', time: '10:35 AM', completed: true },
-        { status: 'packed', time: '10:50 AM', completed: false },
-        { status: 'out_for_delivery', time: '11:00 AM', completed: false },
-        { status: 'delivered', time: '11:15 AM', completed: false }
-      ]
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      estimatedTime: order.isActive && minutesLeft !== null ? `${minutesLeft} mins` : null,
+      restaurant: order.restaurant.name,
+      items: order.items.map(item => `${item.quantity}x ${item.name}`),
+      total: order.charges.total,
+      timeline
     };
 
     const trackingMessage = `
-🔍 **Order Status**: ${orderStatus.orderId}
+🔍 **Order Status**: #${orderStatus.orderNumber}
 
 🏪 ${orderStatus.restaurant}
 📦 Items: ${orderStatus.items.join(', ')}
 
-⏱️ **Current Status**: ${orderStatus.status.replace('_', ' ').toUpperCase()}
-🕐 **Estimated Delivery**: ${orderStatus.estimatedTime}
-
+⏱️ **Current Status**: ${orderStatus.status.replace(/_/g, ' ').toUpperCase()}
+${orderStatus.estimatedTime ? `🕐 **Estimated Delivery**: ${orderStatus.estimatedTime}\n` : ''}
 📍 **Tracking Timeline**:
 ${orderStatus.timeline.map(t => 
-  `${t.completed ? '✅' : '⏳'} ${t.status.replace('_', ' ')} - ${t.time}`
+  `${t.completed ? '✅' : '⏳'} ${t.status.replace(/_/g, ' ')} - ${t.time}`
 ).join('\n')}
     `;
 
     return this.formatResponse(
       trackingMessage,
       [{ type: 'order_tracking', orderDetails: orderStatus }],
-      ["Call restaurant", "Cancel order", "Report issue", "Rate order"]
+      order.isActive
+        ? ["Call restaurant", "Cancel order", "Report issue"]
+        : ["Rate order", "Order again", "Report issue"]
     );
   }
 
@@ -395,6 +735,29 @@ ${orderStatus.timeline.map(t =>
     return mockMenus[restaurantId] || [];
   }
 
+  calculateCharges(subtotal) {
+    const deliveryFee = subtotal > 200 ? 0 : 40;
+    const gst = Math.round(subtotal * 0.05);
+
+    return {
+      subtotal,
+      deliveryFee,
+      gst,
+      total: subtotal + deliveryFee + gst
+    };
+  }
+
+  // Match a reply like "2" or "Green Bowl" against the restaurants we offered
+  findChosenRestaurant(message, orderState, name = null) {
+    const options = orderState.restaurantOptions || [];
+    const text = (name || message).trim().toLowerCase();
+
+    const index = parseInt(text.match(/^(\d+)\b/)?.[1]) - 1;
+    if (options[index]) return options[index];
+
+    return options.find(r => text.includes(r.name.toLowerCase())) || null;
+  }
+
   formatMenuItems(menuItems) {
     return menuItems.map(item => 
       `🍽️ **${item.name}** ${item.isVeg ? '🥬' : '🍖'}\n₹${item.price} • ${item.category}`
@@ -425,17 +788,25 @@ ${orderStatus.timeline.map(t =>
     return suggestionMap[stage] || suggestionMap['initial'];
   }
 
-  async canHandle(message, context) {
-    const foodKeywords = [
-      'food', 'order', 'restaurant', 'eat', 'hungry', 'delivery', 'menu',
-      'cuisine', 'dish', 'meal', 'breakfast', 'lunch', 'dinner', 'snack',
-      'pizza', 'burger', 'biryani', 'curry', 'chinese', 'italian'
-    ];
+  async handleGeneralFoodQuery(message, userProfile) {
+    const response = await this.generateResponse(
+      `You are Foodie AI, a helpful assistant for food ordering and restaurant recommendations.
+       The user asked: "${message}"
+       Provide a helpful response related to food, restaurants, cuisines or their orders.`,
+      { message },
+      200
+    );
 
-    return foodKeywords.some(keyword => 
-      message.toLowerCase().includes(keyword.toLowerCase())
+    return this.formatResponse(
+      response,
+      [],
+      ["Order food", "Popular restaurants", "Track order", "Dietary options"]
     );
   }
+
+  async canHandle(message, context) {
+    return this.matchesKeywords(message);
+  }
 }
 
 module.exports = FoodieAgent;
\ No newline at end of file
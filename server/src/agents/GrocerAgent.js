@@ -0,0 +1,719 @@
+const BaseAgent = require('./BaseAgent');
+const GroceryList = require('../models/GroceryList');
+const GroceryOrder = require('../models/GroceryOrder');
+const { createGroceryStore, dietaryConflicts } = require('../services/groceryStore');
+const { logger } = require('../utils/logger');
+
+const FREE_DELIVERY_THRESHOLD = 199;
+const DELIVERY_FEE = 25;
+
+class GrocerAgent extends BaseAgent {
+  static definition = {
+    key: 'grocer',
+    name: 'Grocer AI',
+    emoji: '🛒',
+    description: 'Grocery lists, recurring staples, household items, grocery delivery slots',
+    summary: 'Grocery lists, recurring staples, substitutions and delivery slots',
+    capabilities: [
+      'grocery lists',
+      'recurring staples',
+      'out-of-stock substitutions',
+      'delivery slot booking'
+    ],
+    keywords: [
+      'grocery', 'groceries', 'vegetables', 'fruits', 'milk', 'eggs', 'bread', 'atta', 'dal',
+      'rice', 'staple', 'household', 'detergent', 'delivery slot', 'shopping list'
+    ],
+    examples: ['add 2 litres of milk to my list', 'add eggs as a weekly staple', 'checkout my groceries'],
+    tip: 'Mark things you buy every week as staples and they are added to each order',
+    handoffTargets: []
+  };
+
+  constructor(llm, store = createGroceryStore()) {
+    super(llm, GrocerAgent.definition.name, GrocerAgent.definition.capabilities);
+
+    this.stateKey = GrocerAgent.definition.key;
+    this.store = store; // swappable catalog and slot source (see ../services/groceryStore)
+  }
+
+  async processMessage(message, context, userProfile) {
+    this.updateActivity();
+
+    try {
+      // Get current checkout state for user (persisted with the conversation)
+      const groceryState = this.getFlowState(context, {
+        stage: 'initial',
+        basket: [],
+        skipped: [],
+        slots: [],
+        slot: null
+      });
+
+      // Replies to a pending step skip tool selection, otherwise the model picks a tool
+      const call = this.getPendingStepCall(message, groceryState) || await this.selectTool(message, context);
+
+      if (!call) {
+        return await this.handleGeneralGroceryQuery(message, userProfile);
+      }
+
+      return await call.tool.handler(call.arguments, { message, context, userProfile, groceryState });
+    } catch (error) {
+      logger.error('Error in GrocerAgent:', error);
+      return this.handleError(message, error);
+    }
+  }
+
+  getTools() {
+    return [
+      {
+        name: 'addToGroceryList',
+        description: "Add items to the user's grocery list",
+        parameters: {
+          type: 'object',
+          properties: {
+            items: { type: 'array', items: { type: 'string', description: 'Item with optional quantity, e.g. "2 milk"' } }
+          }
+        },
+        handler: (args, turn) => this.handleAddToList(turn.message, args, turn.context, turn.userProfile)
+      },
+      {
+        name: 'removeFromGroceryList',
+        description: "Remove an item from the user's grocery list",
+        parameters: {
+          type: 'object',
+          properties: { item: { type: 'string' } }
+        },
+        handler: (args, turn) => this.handleRemoveFromList(turn.message, args, turn.context)
+      },
+      {
+        name: 'viewGroceryList',
+        description: "Show the grocery list and the user's recurring staples",
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleViewList(turn.context)
+      },
+      {
+        name: 'addStaple',
+        description: 'Add an item the user buys regularly so it joins their orders automatically',
+        parameters: {
+          type: 'object',
+          properties: {
+            item: { type: 'string' },
+            quantity: { type: 'integer', minimum: 1 },
+            everyDays: { type: 'integer', minimum: 1, maximum: 90, description: 'How often it is needed, in days' }
+          }
+        },
+        handler: (args, turn) => this.handleAddStaple(turn.message, args, turn.context, turn.userProfile)
+      },
+      {
+        name: 'removeStaple',
+        description: 'Stop ordering a recurring staple',
+        parameters: {
+          type: 'object',
+          properties: { item: { type: 'string' } }
+        },
+        handler: (args, turn) => this.handleRemoveStaple(turn.message, args, turn.context)
+      },
+      {
+        name: 'checkoutGroceries',
+        description: 'Build the basket from the list and due staples and show delivery slots',
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleCheckout(turn.groceryState, turn.context, turn.userProfile)
+      },
+      {
+        name: 'selectDeliverySlot',
+        description: 'Pick one of the offered delivery slots',
+        parameters: {
+          type: 'object',
+          properties: {
+            slot: { type: 'string', description: 'Slot number or time, e.g. "2" or "tomorrow 9am"' }
+          }
+        },
+        handler: (args, turn) => this.handleSlotSelection(turn.message, args, turn.groceryState, turn.userProfile)
+      },
+      {
+        name: 'confirmGroceryOrder',
+        description: 'Place the grocery order after the user confirmed the summary',
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleConfirmOrder(turn.groceryState, turn.context, turn.userProfile)
+      },
+      {
+        name: 'trackGroceryOrder',
+        description: "Show the status of the user's latest grocery order",
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleOrderTracking(turn.context)
+      }
+    ];
+  }
+
+  // Slot picks ("2", "tomorrow 9am") and "Confirm" answer the step we are waiting on
+  getPendingStepCall(message, groceryState) {
+    if (groceryState.stage === 'slot_selection' && this.findChosenSlot(message, groceryState)) {
+      return { tool: this.getTool('selectDeliverySlot'), arguments: { slot: message } };
+    }
+
+    if (groceryState.stage === 'checkout' && this.isOrderConfirmation(message)) {
+      return { tool: this.getTool('confirmGroceryOrder'), arguments: {} };
+    }
+
+    return null;
+  }
+
+  async handleAddToList(message, args, context, userProfile) {
+    const requested = (args.items?.length ? args.items : this.extractListItems(message)).map(text => this.parseQuantity(text));
+
+    if (requested.length === 0) {
+      return this.formatResponse(
+        "What should I add to your list?",
+        [],
+        ["Milk", "Bread", "Eggs", "Onions"]
+      );
+    }
+
+    const dietary = userProfile?.preferences?.dietary || {};
+    const list = await GroceryList.findOrCreateForUser(context.userId);
+    const added = [];
+    const notes = [];
+
+    for (const { name, quantity } of requested) {
+      const match = await this.resolveItem(name, dietary);
+
+      if (!match.item) {
+        notes.push(match.reason ? `⚠️ Skipped ${name}: ${match.reason}.` : `❓ I couldn't find "${name}".`);
+        continue;
+      }
+
+      list.addItem({ itemId: match.item.id, name: match.item.name, unit: match.item.unit, quantity });
+      added.push(`${quantity}x ${match.item.name} (${match.item.unit})`);
+
+      if (match.replaced) {
+        notes.push(`🔄 ${match.item.name} instead of ${match.replaced.name} (${match.reason}).`);
+      }
+    }
+
+    if (added.length > 0) {
+      await list.save();
+    }
+
+    const summary = added.length > 0 ? `📝 Added to your list:\n${added.map(a => `• ${a}`).join('\n')}` : 'Nothing was added to your list.';
+
+    return this.formatResponse(
+      [summary, notes.join('\n')].filter(Boolean).join('\n\n'),
+      [{ type: 'grocery_list_updated', items: list.items }],
+      ["View my list", "Checkout", "Add more items"]
+    );
+  }
+
+  async handleRemoveFromList(message, args, context) {
+    const list = await GroceryList.findOrCreateForUser(context.userId);
+    const entry = this.findListEntry(list.items, args.item || this.extractItemName(message));
+
+    if (!entry) {
+      return this.formatResponse(
+        "That isn't on your grocery list.",
+        [{ type: 'grocery_list', items: list.items }],
+        ["View my list"]
+      );
+    }
+
+    list.items = list.items.filter(item => item.itemId !== entry.itemId);
+    await list.save();
+
+    return this.formatResponse(
+      `Removed **${entry.name}** from your list.`,
+      [{ type: 'grocery_list_updated', items: list.items }],
+      ["View my list", "Checkout"]
+    );
+  }
+
+  async handleViewList(context) {
+    const list = await GroceryList.findOrCreateForUser(context.userId);
+    const due = new Set(list.dueStaples().map(staple => staple.itemId));
+
+    if (list.items.length === 0 && list.staples.length === 0) {
+      return this.formatResponse(
+        "Your grocery list is empty. Tell me what you need, or set up staples you buy every week.",
+        [],
+        ["Add milk and bread", "Add eggs as a weekly staple"]
+      );
+    }
+
+    const items = list.items.map((item, i) => `${i + 1}. ${item.quantity}x ${item.name} (${item.unit})`).join('\n');
+    const staples = list.staples.map(staple =>
+      `• ${staple.quantity}x ${staple.name} every ${this.formatFrequency(staple.everyDays)}${due.has(staple.itemId) ? ' - due now' : ''}`
+    ).join('\n');
+
+    return this.formatResponse(
+      [
+        `📝 **Grocery list**\n${items || 'Nothing on the list yet'}`,
+        list.staples.length > 0 && `🔁 **Staples**\n${staples}`
+      ].filter(Boolean).join('\n\n'),
+      [{ type: 'grocery_list', items: list.items, staples: list.staples }],
+      ["Checkout", "Add more items", "Remove an item"]
+    );
+  }
+
+  async handleAddStaple(message, args, context, userProfile) {
+    const text = args.item || this.extractItemName(message.replace(/\b(?:as (?:a )?)?(?:weekly |monthly |daily |recurring |regular )?staples?\b|\b(?:every|each)\s+(?:\d+\s+)?(?:days?|weeks?|fortnight|months?)\b|\b(?:daily|weekly|fortnightly|monthly|recurring|regularly)\b/gi, ' '));
+    const parsed = text ? this.parseQuantity(text) : null;
+    const match = parsed ? await this.resolveItem(parsed.name, userProfile?.preferences?.dietary || {}) : {};
+
+    if (!match.item) {
+      return this.formatResponse(
+        match.reason ? `I can't add that as a staple: ${match.reason}.` : "Which item do you buy regularly?",
+        [],
+        ["Milk every 2 days", "Eggs weekly", "Atta monthly"]
+      );
+    }
+
+    const list = await GroceryList.findOrCreateForUser(context.userId);
+    const everyDays = args.everyDays || this.extractFrequencyDays(message) || 7;
+    const quantity = args.quantity || parsed.quantity;
+    const existing = list.staples.find(staple => staple.itemId === match.item.id);
+
+    if (existing) {
+      existing.quantity = quantity;
+      existing.everyDays = everyDays;
+    } else {
+      list.staples.push({ itemId: match.item.id, name: match.item.name, unit: match.item.unit, quantity, everyDays });
+    }
+    await list.save();
+
+    return this.formatResponse(
+      `🔁 ${quantity}x **${match.item.name}** (${match.item.unit}) will join your orders every ${this.formatFrequency(everyDays)}.${match.replaced ? `\n\n🔄 Picked it instead of ${match.replaced.name} (${match.reason}).` : ''}`,
+      [{ type: 'staples_updated', staples: list.staples }],
+      ["View my list", "Checkout"]
+    );
+  }
+
+  async handleRemoveStaple(message, args, context) {
+    const list = await GroceryList.findOrCreateForUser(context.userId);
+    const text = args.item || this.extractItemName(message.replace(/\b(?:from )?(?:my )?(?:staples?|recurring)\b/gi, ' '));
+    const staple = this.findListEntry(list.staples, text);
+
+    if (!staple) {
+      return this.formatResponse(
+        "That isn't one of your staples.",
+        [{ type: 'staples', staples: list.staples }],
+        ["View my list"]
+      );
+    }
+
+    list.staples = list.staples.filter(s => s.itemId !== staple.itemId);
+    await list.save();
+
+    return this.formatResponse(
+      `Stopped ordering **${staple.name}** automatically.`,
+      [{ type: 'staples_updated', staples: list.staples }],
+      ["View my list"]
+    );
+  }
+
+  async handleCheckout(groceryState, context, userProfile) {
+    const deliveryAddress = userProfile?.getDefaultAddress();
+    if (!deliveryAddress) {
+      return this.formatResponse(
+        "I need a delivery address to book a delivery slot. Please add your delivery address.",
+        [{ type: 'address_input', required: true }],
+        ["Add new address"]
+      );
+    }
+
+    const list = await GroceryList.findOrCreateForUser(context.userId);
+    const { basket, skipped } = await this.buildBasket(list, userProfile?.preferences?.dietary || {});
+
+    if (basket.length === 0) {
+      return this.formatResponse(
+        skipped.length > 0
+          ? `I couldn't get anything on your list:\n${skipped.map(s => `• ${s.name} - ${s.reason}`).join('\n')}`
+          : "Your list is empty and no staples are due. What do you need?",
+        [],
+        ["Add milk and bread", "View my list"]
+      );
+    }
+
+    const slots = (await this.store.getDeliverySlots(deliveryAddress, new Date())).filter(slot => slot.available);
+    if (slots.length === 0) {
+      return this.formatResponse(
+        `Sorry, we don't have delivery slots for ${deliveryAddress.city} right now.`,
+        [],
+        ["Change address", "View my list"]
+      );
+    }
+
+    groceryState.stage = 'slot_selection';
+    groceryState.basket = basket;
+    groceryState.skipped = skipped;
+    groceryState.slots = slots.slice(0, 6).map(slot => ({
+      id: slot.id,
+      label: slot.label,
+      start: slot.start.toISOString(),
+      end: slot.end.toISOString()
+    }));
+    groceryState.slot = null;
+
+    const substitutions = basket.filter(line => line.substitutedFor);
+
+    return this.formatResponse(
+      [
+        `🧺 **Your basket**\n${basket.map(line => `${line.quantity}x ${line.name} (${line.unit}) - ₹${line.price * line.quantity}${line.staple ? ' 🔁' : ''}`).join('\n')}`,
+        substitutions.length > 0 && `🔄 **Substitutions**\n${substitutions.map(line => `• ${line.name} for ${line.substitutedFor} (${line.reason})`).join('\n')}`,
+        skipped.length > 0 && `⚠️ **Unavailable**\n${skipped.map(s => `• ${s.name} - ${s.reason}`).join('\n')}`,
+        `🕒 **Pick a delivery slot** for ${deliveryAddress.street}, ${deliveryAddress.city}:\n${groceryState.slots.map((slot, i) => `${i + 1}. ${slot.label}`).join('\n')}`
+      ].filter(Boolean).join('\n\n'),
+      [
+        { type: 'grocery_basket', basket, skipped, subtotal: this.basketSubtotal(basket) },
+        { type: 'delivery_slots', slots: groceryState.slots }
+      ],
+      groceryState.slots.slice(0, 3).map(slot => slot.label)
+    );
+  }
+
+  async handleSlotSelection(message, args, groceryState, userProfile) {
+    if (groceryState.basket.length === 0) {
+      return this.formatResponse(
+        "Let's build your basket first, then pick a slot.",
+        [],
+        ["Checkout", "View my list"]
+      );
+    }
+
+    const slot = this.findChosenSlot(args.slot || message, groceryState);
+    if (!slot) {
+      groceryState.stage = 'slot_selection';
+      return this.formatResponse(
+        `Which slot works for you?\n${groceryState.slots.map((s, i) => `${i + 1}. ${s.label}`).join('\n')}`,
+        [{ type: 'delivery_slots', slots: groceryState.slots }],
+        groceryState.slots.slice(0, 3).map(s => s.label)
+      );
+    }
+
+    const deliveryAddress = userProfile?.getDefaultAddress();
+    const charges = this.calculateCharges(groceryState.basket);
+    groceryState.slot = slot;
+    groceryState.stage = 'checkout';
+
+    const orderSummary = `
+📋 **Order Summary**
+${groceryState.basket.map(line => `${line.quantity}x ${line.name} - ₹${line.price * line.quantity}`).join('\n')}
+
+💰 **Bill Details**
+Subtotal: ₹${charges.subtotal}
+Delivery: ${charges.deliveryFee ? `₹${charges.deliveryFee}` : 'FREE'}
+**Total: ₹${charges.total}**
+
+📍 **Delivery Address**
+${deliveryAddress ? `${deliveryAddress.street}, ${deliveryAddress.city}` : 'Not set'}
+
+🕒 **Slot**: ${slot.label}
+    `;
+
+    return this.formatResponse(
+      orderSummary + "\n\nShall I place the order?",
+      [{ type: 'order_confirmation', orderDetails: { items: groceryState.basket, charges, slot, address: deliveryAddress } }],
+      ["Confirm order", "Change slot", "View my list"]
+    );
+  }
+
+  async handleConfirmOrder(groceryState, context, userProfile) {
+    if (groceryState.basket.length === 0 || !groceryState.slot) {
+      return this.formatResponse(
+        "There's nothing to confirm yet. Say checkout to build your basket and pick a slot.",
+        [],
+        ["Checkout"]
+      );
+    }
+
+    const deliveryAddress = userProfile?.getDefaultAddress();
+    if (!deliveryAddress) {
+      return this.formatResponse(
+        "I need a delivery address to place your order. Please add your delivery address.",
+        [{ type: 'address_input', required: true }],
+        ["Add new address"]
+      );
+    }
+
+    const unverified = this.requireVerifiedEmail(userProfile);
+    if (unverified) {
+      return unverified;
+    }
+
+    const paymentMethod = userProfile.getDefaultPaymentMethod();
+    const charges = this.calculateCharges(groceryState.basket);
+    const { slot, basket } = groceryState;
+
+    const order = await GroceryOrder.create({
+      user: context.userId,
+      items: basket.map(line => ({
+        itemId: line.itemId,
+        name: line.name,
+        unit: line.unit,
+        price: line.price,
+        quantity: line.quantity,
+        substitutedFor: line.substitutedFor
+      })),
+      deliveryAddress: {
+        label: deliveryAddress.label,
+        street: deliveryAddress.street,
+        city: deliveryAddress.city,
+        state: deliveryAddress.state,
+        pincode: deliveryAddress.pincode,
+        landmark: deliveryAddress.landmark
+      },
+      deliverySlot: { start: new Date(slot.start), end: new Date(slot.end), label: slot.label },
+      charges,
+      payment: {
+        method: paymentMethod?.type || 'COD',
+        provider: paymentMethod?.provider
+      }
+    });
+
+    // Ordered items leave the list and staples restart their clock
+    const list = await GroceryList.findOrCreateForUser(context.userId);
+    const ordered = new Set(basket.map(line => line.sourceId));
+    list.items = list.items.filter(item => !ordered.has(item.itemId));
+    for (const staple of list.staples) {
+      if (ordered.has(staple.itemId)) staple.lastOrderedAt = new Date();
+    }
+    await list.save();
+
+    logger.info(`Grocery order ${order.orderNumber} placed for user ${context.userId}`);
+
+    // Start fresh for the next order
+    this.resetFlowState(context);
+
+    return this.formatResponse(
+      `🎉 **Order placed!** #${order.orderNumber}\n\n**Total: ₹${charges.total}**\n🕒 Arriving ${slot.label}`,
+      [
+        {
+          type: 'order_placed',
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          total: charges.total,
+          paymentStatus: order.payment.status
+        }
+      ],
+      ["Track order", "Pay now", "View my list"],
+      { groceryOrderId: order._id.toString() }
+    );
+  }
+
+  async handleOrderTracking(context) {
+    const order = context.userId ? await GroceryOrder.findLatestForUser(context.userId) : null;
+
+    if (!order) {
+      return this.formatResponse(
+        "You haven't placed any grocery orders yet. Want to start a list?",
+        [],
+        ["Add milk and bread", "View my list"]
+      );
+    }
+
+    const reached = new Set(order.statusHistory.map(h => h.status));
+    const timeline = ['placed', 'packed', 'out_for_delivery', 'delivered'].map(status =>
+      `${reached.has(status) ? '✅' : '⏳'} ${status.replace(/_/g, ' ')}`
+    ).join('\n');
+
+    return this.formatResponse(
+      `📦 **Order #${order.orderNumber}** - ${order.status.replace(/_/g, ' ').toUpperCase()}\n🕒 ${order.deliverySlot.label}\n\n${order.status === 'cancelled' ? '❌ Cancelled' : timeline}`,
+      [{ type: 'grocery_order_tracking', orderId: order._id, orderNumber: order.orderNumber, status: order.status }],
+      ["View my list"]
+    );
+  }
+
+  async handleGeneralGroceryQuery(message, userProfile) {
+    const response = await this.generateResponse(
+      `You are Grocer AI, a helpful grocery shopping assistant.
+       The user asked: "${message}"
+       Provide a helpful, concise response about groceries, household items or meal staples.`,
+      { message },
+      200
+    );
+
+    return this.formatResponse(
+      response,
+      [],
+      ["View my list", "Add items", "Checkout"]
+    );
+  }
+
+  // Best in-stock match that fits the diet; falls back to the closest alternative and says why
+  async resolveItem(name, dietary) {
+    const matches = await this.store.search(name);
+    if (matches.length === 0) return { item: null };
+
+    const fits = matches.filter(item => dietaryConflicts(item, dietary).length === 0);
+    const [top] = matches;
+    const item = fits.find(i => i.inStock) || fits[0];
+
+    if (!item) {
+      return { item: null, reason: dietaryConflicts(top, dietary).join(', ') };
+    }
+
+    const topConflicts = dietaryConflicts(top, dietary);
+    return item.id !== top.id && topConflicts.length > 0
+      ? { item, replaced: top, reason: topConflicts.join(', ') }
+      : { item };
+  }
+
+  // List items plus due staples, with substitutes for anything out of stock or off-diet
+  async buildBasket(list, dietary) {
+    const wanted = new Map();
+    for (const item of list.items) {
+      wanted.set(item.itemId, { itemId: item.itemId, name: item.name, quantity: item.quantity });
+    }
+    for (const staple of list.dueStaples()) {
+      const entry = wanted.get(staple.itemId);
+      if (entry) {
+        entry.staple = true;
+      } else {
+        wanted.set(staple.itemId, { itemId: staple.itemId, name: staple.name, quantity: staple.quantity, staple: true });
+      }
+    }
+
+    const basket = [];
+    const skipped = [];
+
+    for (const entry of wanted.values()) {
+      const item = await this.store.getItem(entry.itemId);
+      if (!item) {
+        skipped.push({ name: entry.name, reason: 'no longer sold' });
+        continue;
+      }
+
+      const conflicts = dietaryConflicts(item, dietary);
+      let chosen = item;
+      let reason = null;
+
+      if (!item.inStock || conflicts.length > 0) {
+        reason = conflicts.length > 0 ? conflicts.join(', ') : 'out of stock';
+        const substitutes = await this.store.getSubstitutes(item.id);
+        chosen = substitutes.find(s => dietaryConflicts(s, dietary).length === 0);
+
+        if (!chosen) {
+          skipped.push({ name: item.name, reason: `${reason}, no suitable substitute` });
+          continue;
+        }
+      }
+
+      basket.push({
+        itemId: chosen.id,
+        sourceId: item.id,
+        name: chosen.name,
+        unit: chosen.unit,
+        price: chosen.price,
+        quantity: entry.quantity,
+        staple: !!entry.staple,
+        substitutedFor: chosen.id !== item.id ? item.name : undefined,
+        reason: chosen.id !== item.id ? reason : undefined
+      });
+    }
+
+    return { basket, skipped };
+  }
+
+  findListEntry(entries, text) {
+    if (!text) return null;
+    const query = text.trim().toLowerCase();
+    const index = parseInt(query.match(/^(\d+)$/)?.[1]) - 1;
+
+    return entries[index] || entries.find(entry =>
+      entry.name.toLowerCase().includes(query) || query.includes(entry.name.toLowerCase())
+    ) || entries.find(entry => query.split(/\s+/).some(word => word.length > 2 && entry.name.toLowerCase().includes(word.replace(/s$/, ''))));
+  }
+
+  findChosenSlot(message, groceryState) {
+    const text = String(message).trim().toLowerCase();
+    const slots = groceryState.slots || [];
+
+    const index = text.match(/^(?:slot\s*)?(\d)\.?$/);
+    if (index) return slots[parseInt(index[1]) - 1] || null;
+
+    return slots.find(slot => text.includes(slot.label.toLowerCase())) ||
+      slots.find(slot => {
+        const [day, window] = slot.label.toLowerCase().split(' ');
+        const startHour = window.split('-')[0];
+        return text.includes(day) && new RegExp(`\\b${startHour}\\b`).test(text);
+      }) ||
+      null;
+  }
+
+  // "add milk, 2 bread and eggs to my list" -> ['milk', '2 bread', 'eggs']
+  extractListItems(message) {
+    const text = message
+      .replace(/^\s*(?:please\s+)?(?:add|put|buy|get|order|i need|we need|need)\b/i, '')
+      .replace(/\b(?:to|on|in)\s+(?:my|the)\s+(?:grocery\s+|shopping\s+)?list\b.*$/i, '');
+
+    return text.split(/,|\band\b|&|\+/i).map(part => part.trim()).filter(Boolean);
+  }
+
+  extractItemName(message) {
+    const text = message.toLowerCase()
+      .replace(/\b(add|remove|delete|take|drop|stop|ordering|buying|off|out|from|to|my|the|grocery|shopping|list|please|i|buy|need|get|of)\b/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return text || null;
+  }
+
+  parseQuantity(text) {
+    const match = String(text).trim().match(/^(\d+)\s*(?:x\s+|packs?\s+(?:of\s+)?|packets?\s+(?:of\s+)?)?(.*)$/i);
+    return match && match[2]
+      ? { quantity: Math.max(1, parseInt(match[1])), name: match[2].trim() }
+      : { quantity: 1, name: String(text).trim() };
+  }
+
+  extractFrequencyDays(message) {
+    const text = message.toLowerCase();
+    const days = text.match(/every\s+(\d+)\s+days?/);
+    if (days) return parseInt(days[1]);
+
+    const weeks = text.match(/every\s+(\d+)\s+weeks?/);
+    if (weeks) return parseInt(weeks[1]) * 7;
+
+    if (/\b(daily|every ?day)\b/.test(text)) return 1;
+    if (/\b(fortnight(ly)?|every two weeks|biweekly)\b/.test(text)) return 14;
+    if (/\b(monthly|every month)\b/.test(text)) return 30;
+    if (/\b(weekly|every week)\b/.test(text)) return 7;
+    return null;
+  }
+
+  formatFrequency(everyDays) {
+    if (everyDays === 1) return 'day';
+    if (everyDays === 7) return 'week';
+    if (everyDays === 14) return '2 weeks';
+    if (everyDays === 30) return 'month';
+    return `${everyDays} days`;
+  }
+
+  basketSubtotal(basket) {
+    return basket.reduce((sum, line) => sum + line.price * line.quantity, 0);
+  }
+
+  calculateCharges(basket) {
+    const subtotal = this.basketSubtotal(basket);
+    const deliveryFee = subtotal >= FREE_DELIVERY_THRESHOLD ? 0 : DELIVERY_FEE;
+    return { subtotal, deliveryFee, total: subtotal + deliveryFee };
+  }
+
+  async generateSuggestions(context, conversationContext) {
+    const stage = context.stage || 'initial';
+
+    const suggestionMap = {
+      'initial': ["Add milk and bread", "View my list", "Set up weekly staples"],
+      'slot_selection': ["1", "2", "3"],
+      'checkout': ["Confirm order", "Change slot", "View my list"]
+    };
+
+    return suggestionMap[stage] || suggestionMap['initial'];
+  }
+
+  async canHandle(message, context) {
+    if (this.matchesKeywords(message)) {
+      return true;
+    }
+
+    // Short replies to a pending slot or confirmation step stay with us
+    return this.hasPendingStep(message, context);
+  }
+}
+
+module.exports = GrocerAgent;
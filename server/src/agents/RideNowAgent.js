@@ -1,84 +1,227 @@
 const BaseAgent = require('./BaseAgent');
 const axios = require('axios');
+const Ride = require('../models/Ride');
 const { logger } = require('../utils/logger');
 
+// Words that say nothing about where to go ("to the", "from my") - a place made only
+// of these is a bad extraction, not a location
+const PLACE_FILLER = new Set([
+  'the', 'a', 'an', 'my', 'me', 'us', 'here', 'there', 'it', 'this', 'that', 'somewhere',
+  'go', 'get', 'going', 'cab', 'taxi', 'ride', 'auto', 'now', 'please'
+]);
+
+// Ends a place name: the next part of the sentence, a time, or punctuation
+const PLACE_END = '(?=\\s+(?:from|to|at|by|around|on|for|tomorrow|today|tonight|now|please|in\\s+\\d)\\b|\\s*[,.!?]|\\s*$)';
+
+// Replies to "Where would you like to go?" that are commands or suggestion chips, not places
+const NOT_A_PLACE_REPLY = /^(?:book|find|order|search|show|track|cancel|schedule|get|buy|try|start|help|what|how|where|when|why|can|could|i|hi|hello|thanks|yes|no|ok|okay|popular destinations|enter manually)\b/i;
+
 class RideNowAgent extends BaseAgent {
-  constructor(openai) {
-    super(openai, 'RideNow AI', [
+  static definition = {
+    key: 'ridenow',
+    name: 'RideNow AI',
+    emoji: '🚗',
+    description: 'Cab/taxi booking, ride sharing, transportation',
+    summary: 'Book cabs, get fare estimates, track rides, schedule trips',
+    capabilities: [
       'cab booking',
       'ride sharing',
       'transportation options',
       'fare estimation',
       'ride tracking'
-    ]);
+    ],
+    keywords: [
+      'cab', 'taxi', 'ride', 'book a cab', 'book a ride', 'uber', 'ola', 'auto', 'rickshaw',
+      'transport', 'pickup', 'drop', 'fare', 'driver',
+      'airport', 'station', 'go to', 'take me to'
+    ],
+    examples: ['book a ride', 'get fare estimate', 'track my ride'],
+    tip: 'Specify pickup and destination for quick booking',
+    handoffTargets: []
+  };
+
+  constructor(llm) {
+    super(llm, RideNowAgent.definition.name, RideNowAgent.definition.capabilities);
     
-    this.rideStates = new Map(); // userId -> rideState
+    this.stateKey = RideNowAgent.definition.key;
   }
 
   async processMessage(message, context, userProfile) {
     this.updateActivity();
     
     try {
-      // Analyze the user's intent
-      const analysis = await this.analyzeIntent(message, context);
-      
-      // Get current ride state for user
-      const userId = context.userId || 'anonymous';
-      let rideState = this.rideStates.get(userId) || {
-        stage: 'initial',
-        pickup: null,
-        destination: null,
-        selectedRide: null,
-        preferences: {},
-        bookingTime: null
-      };
+      // Get current ride state for user (persisted with the conversation)
+      const rideState = this.getFlowState(context, this.initialRideState());
 
-      // Process based on intent and current state
-      switch (analysis.intent) {
-        case 'book_ride':
-          return await this.handleRideBooking(message, analysis, rideState, userProfile);
-        
-        case 'get_fare_estimate':
-          return await this.handleFareEstimate(message, analysis, rideState, userProfile);
-        
-        case 'track_ride':
-          return await this.handleRideTracking(message, analysis, userProfile);
-        
-        case 'cancel_ride':
-          return await this.handleRideCancellation(message, analysis, userProfile);
-        
-        case 'ride_preferences':
-          return await this.handleRidePreferences(message, analysis, userProfile);
-        
-        case 'find_nearby_cabs':
-          return await this.handleNearbyCabs(message, analysis, userProfile);
-        
-        case 'scheduled_ride':
-          return await this.handleScheduledRide(message, analysis, rideState, userProfile);
-        
-        default:
-          return await this.handleGeneralRideQuery(message, analysis, userProfile);
+      // Picking one of the offered rides skips tool selection, otherwise the model picks a tool
+      const call = this.getPendingStepCall(message, rideState) || await this.selectTool(message, context);
+
+      if (!call) {
+        return await this.handleGeneralRideQuery(message, userProfile);
       }
+
+      return await call.tool.handler(call.arguments, { message, context, userProfile, rideState });
     } catch (error) {
       logger.error('Error in RideNowAgent:', error);
       return this.handleError(message, error);
     }
   }
 
-  async handleRideBooking(message, analysis, rideState, userProfile) {
-    const pickup = this.extractLocation(message) || userProfile?.addresses?.[0];
-    const destination = analysis.entities.destination || this.extractDestination(message);
-    const rideTime = this.extractTime(message);
+  initialRideState() {
+    return {
+      stage: 'initial',
+      pickup: null,
+      destination: null,
+      selectedRide: null,
+      preferences: {},
+      bookingTime: null
+    };
+  }
+
+  getTools() {
+    const routeProperties = {
+      pickup: { type: 'string', description: 'Pickup place, if the user named one' },
+      destination: { type: 'string', description: 'Drop-off place' }
+    };
+
+    return [
+      {
+        name: 'getAvailableRides',
+        description: 'Book a ride now: list the rides available between pickup and destination',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...routeProperties,
+            time: { type: 'string', description: 'Requested pickup time, if any' }
+          }
+        },
+        handler: (args, turn) => this.handleRideBooking(turn.message, args, turn.rideState, turn.userProfile)
+      },
+      {
+        name: 'selectRide',
+        description: 'Book one of the ride options already offered to the user',
+        parameters: {
+          type: 'object',
+          properties: {
+            option: { type: 'string', description: 'Ride type (Economy, Premium, Shared, Auto) or its number in the list' }
+          },
+          required: ['option']
+        },
+        handler: (args, turn) => this.handleRideSelection(args.option, turn.rideState, turn.userProfile, turn.context)
+      },
+      {
+        name: 'calculateFareEstimates',
+        description: 'Estimate fares for a trip without booking',
+        parameters: {
+          type: 'object',
+          properties: routeProperties
+        },
+        handler: (args, turn) => this.handleFareEstimate(turn.message, args, turn.rideState)
+      },
+      {
+        name: 'trackRide',
+        description: "Show the status of the user's active ride",
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleRideTracking(turn.message, turn.context)
+      },
+      {
+        name: 'cancelRide',
+        description: "Cancel the user's active ride",
+        parameters: {
+          type: 'object',
+          properties: {
+            reason: { type: 'string' }
+          }
+        },
+        handler: (args, turn) => this.handleRideCancellation(turn.message, args, turn.context)
+      },
+      {
+        name: 'findNearbyCabs',
+        description: 'List cabs currently near a location',
+        parameters: {
+          type: 'object',
+          properties: {
+            location: { type: 'string' }
+          }
+        },
+        handler: (args, turn) => this.handleNearbyCabs(turn.message, args, turn.userProfile)
+      },
+      {
+        name: 'scheduleRide',
+        description: 'Schedule a ride for a later time',
+        parameters: {
+          type: 'object',
+          properties: {
+            ...routeProperties,
+            time: { type: 'string', description: 'Pickup date/time, e.g. "tomorrow 9am"' }
+          }
+        },
+        handler: (args, turn) => this.handleScheduledRide(turn.message, args, turn.rideState)
+      },
+      {
+        name: 'setRidePreferences',
+        description: "Save the user's preferred ride type for future bookings",
+        parameters: {
+          type: 'object',
+          properties: {
+            preferredRideType: { type: 'string', enum: ['economy', 'premium', 'shared'] }
+          },
+          required: ['preferredRideType']
+        },
+        handler: (args, turn) => this.handleRidePreferences(turn.message, args, turn.userProfile)
+      }
+    ];
+  }
+
+  // Another agent passing on a trip (e.g. TravelBuddy's airport transfer) gets ride options straight away
+  async handleHandoff(handoffContext, conversationContext) {
+    const { pickup, destination, location, time } = handoffContext.entities || {};
+    if (!pickup && !destination) {
+      return super.handleHandoff(handoffContext, conversationContext);
+    }
+
+    this.resetFlowState(conversationContext);
+    const rideState = this.getFlowState(conversationContext, this.initialRideState());
+
+    return await this.handleRideBooking('', {
+      pickup: pickup || location,
+      destination: destination?.name,
+      time
+    }, rideState, null);
+  }
+
+  // A reply like "2" or "Premium" answers the ride selection we are waiting on, and a
+  // place like "Indiranagar" answers our question about the pickup or destination
+  getPendingStepCall(message, rideState) {
+    if (rideState.stage === 'ride_selection' && this.findChosenRide(message, rideState)) {
+      return { tool: this.getTool('selectRide'), arguments: { option: message } };
+    }
+
+    const field = { awaiting_pickup: 'pickup', awaiting_destination: 'destination' }[rideState.stage];
+    const place = field && this.placeReply(message, field);
+    if (place) {
+      return { tool: this.getTool('getAvailableRides'), arguments: { [field]: place } };
+    }
+
+    return null;
+  }
+
+  async handleRideBooking(message, args, rideState, userProfile) {
+    const pickup = this.resolvePlace(args.pickup, userProfile)
+      || this.resolvePlace(this.extractPickup(message), userProfile)
+      || rideState.pickup
+      || this.resolvePlace(userProfile?.addresses?.[0], userProfile);
+    const destination = this.resolvePlace(args.destination, userProfile)
+      || this.resolvePlace(this.extractDestination(message), userProfile);
+    const rideTime = args.time || this.extractTime(message);
 
     // Update ride state with extracted information
-    if (pickup && typeof pickup === 'object') {
+    if (pickup) {
       rideState.pickup = pickup;
-    } else if (pickup) {
-      rideState.pickup = { name: pickup };
     }
 
     if (destination) {
-      rideState.destination = { name: destination };
+      rideState.destination = destination;
     }
 
     if (rideTime) {
@@ -109,7 +252,6 @@ class RideNowAgent extends BaseAgent {
 
     rideState.stage = 'ride_selection';
     rideState.availableRides = availableRides;
-    this.rideStates.set(userId, rideState);
 
     const rideOptions = availableRides.map((ride, i) => 
       `${i + 1}. ${ride.type} - ₹${ride.fare} (${ride.estimatedTime} mins) - ${ride.provider}`
@@ -125,9 +267,9 @@ class RideNowAgent extends BaseAgent {
     );
   }
 
-  async handleFareEstimate(message, analysis, rideState, userProfile) {
-    const pickup = this.extractLocation(message) || rideState.pickup;
-    const destination = analysis.entities.destination || this.extractDestination(message);
+  async handleFareEstimate(message, args, rideState) {
+    const pickup = this.cleanPlace(args.pickup) || this.extractPickup(message) || rideState.pickup;
+    const destination = this.cleanPlace(args.destination) || this.extractDestination(message);
 
     if (!pickup || !destination) {
       return this.formatResponse(
@@ -150,47 +292,126 @@ class RideNowAgent extends BaseAgent {
     );
   }
 
-  async handleRideTracking(message, analysis, userProfile) {
-    // Mock ride tracking - integrate with actual APIs
-    const rideStatus = {
-      rideId: '#RD' + Math.random().toString(36).substr(2, 9).toUpperCase(),
-      status: 'driver_assigned',
-      driver: {
-        name: 'Ramesh Kumar',
-        rating: 4.8,
-        vehicleNumber: 'DL 01 AB 1234',
-        vehicleModel: 'Maruti Swift Dzire',
-        phone: '+91 98765 43210'
+  async handleRideSelection(choice, rideState, userProfile, context) {
+    const option = this.findChosenRide(choice, rideState);
+
+    if (!option || !context.userId) {
+      return this.formatResponse(
+        "Which ride would you like to book? Pick one of the options above.",
+        [{ type: 'ride_selection', rides: rideState.availableRides || [] }],
+        (rideState.availableRides || []).slice(0, 3).map(r => `${r.type} - ₹${r.fare}`)
+      );
+    }
+
+    // The draft may predate the checks in handleRideBooking, so never book a ride without a real route
+    const missing = this.validateRideRequirements(rideState);
+    if (missing.length > 0) {
+      return this.askForMissingInfo(missing, rideState);
+    }
+
+    // Only one ride at a time
+    const activeRide = await Ride.findActiveForUser(context.userId);
+    if (activeRide) {
+      return this.formatResponse(
+        `You already have an active ride (#${activeRide.rideNumber}, ${activeRide.status.replace(/_/g, ' ')}). Cancel it before booking another one.`,
+        [{ type: 'active_ride', rideId: activeRide._id }],
+        ["Track ride", "Cancel ride"]
+      );
+    }
+
+    const paymentMethod = userProfile?.getDefaultPaymentMethod?.();
+
+    const ride = await Ride.create({
+      user: context.userId,
+      option: {
+        id: option.id,
+        type: option.type,
+        provider: option.provider,
+        capacity: option.capacity,
+        features: option.features
       },
-      estimatedArrival: '5 mins',
-      currentLocation: 'Main Road, approaching pickup',
-      fare: 285,
-      timeline: [
-        { status: 'booking_confirmed', time: '2:30 PM', completed: true },
-        { status: 'driver_assigned', time: '2:32 PM', completed: true },
-        { status: 'driver_arriving', time: '2:35 PM', completed: false },
-        { status: 'trip_started', time: 'Pending', completed: false },
-        { status: 'trip_completed', time: 'Pending', completed: false }
-      ]
-    };
+      pickup: this.toRideLocation(rideState.pickup),
+      destination: this.toRideLocation(rideState.destination),
+      scheduledFor: rideState.bookingTime,
+      fare: { estimated: option.fare },
+      payment: {
+        method: paymentMethod?.type || 'CASH',
+        provider: paymentMethod?.provider
+      }
+    });
 
-    const trackingMessage = `
-🚗 **Ride Status**: ${rideStatus.rideId}
+    logger.info(`Ride ${ride.rideNumber} booked for user ${context.userId}`);
+
+    // Draft is now a booking - start fresh next time
+    this.resetFlowState(context);
+
+    await this.dispatchDriver(ride);
+
+    return this.formatResponse(
+      `✅ **Ride booked!** #${ride.rideNumber}\n\n🚗 ${ride.option.type} (${ride.option.provider}) • ₹${ride.fare.estimated}\n📍 ${ride.pickup.name} → ${ride.destination.name}\n\n👨‍✈️ ${ride.driver.name} ⭐ ${ride.driver.rating} is on the way in a ${ride.driver.vehicleModel} (${ride.driver.vehicleNumber}).`,
+      [
+        { type: 'ride_booked', rideId: ride._id, rideNumber: ride.rideNumber, status: ride.status },
+        { type: 'driver_contact', driver: ride.driver }
+      ],
+      ["Track ride", "Call driver", "Share trip", "Cancel ride"],
+      { rideId: ride._id.toString() }
+    );
+  }
+
+  async handleRideTracking(message, context) {
+    const ride = context.userId ? await Ride.findActiveForUser(context.userId) : null;
+
+    if (!ride) {
+      return this.formatResponse(
+        "You don't have an active ride right now. Would you like to book one?",
+        [],
+        ["Book a ride", "Get fare estimate", "Schedule ride"]
+      );
+    }
+
+    // Completed steps come from the ride's history, the rest are still to come
+    const reached = new Map(ride.statusHistory.map(h => [h.status, h.timestamp]));
+    const timeline = Ride.ACTIVE_STATUSES.concat('completed').map(status => ({
+      status,
+      time: reached.has(status)
+        ? reached.get(status).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })
+        : 'Pending',
+      completed: reached.has(status)
+    }));
+
+    const rideStatus = {
+      rideId: ride._id,
+      rideNumber: ride.rideNumber,
+      status: ride.status,
+      driver: ride.driver,
+      estimatedArrival: ride.estimatedArrivalMinutes ? `${ride.estimatedArrivalMinutes} mins` : 'Pending',
+      pickup: ride.pickup.name,
+      destination: ride.destination.name,
+      fare: ride.fare.estimated,
+      timeline
+    };
 
-👨‍✈️ **Driver Details**
+    const driverDetails = ride.driver?.name
+      ? `👨‍✈️ **Driver Details**
 ${rideStatus.driver.name} ⭐ ${rideStatus.driver.rating}
 📱 ${rideStatus.driver.phone}
-🚙 ${rideStatus.driver.vehicleModel} (${rideStatus.driver.vehicleNumber})
+🚙 ${rideStatus.driver.vehicleModel} (${rideStatus.driver.vehicleNumber})`
+      : '👨‍✈️ Looking for a driver...';
+
+    const trackingMessage = `
+🚗 **Ride Status**: #${rideStatus.rideNumber}
+
+${driverDetails}
 
-📍 **Current Status**: ${rideStatus.status.replace('_', ' ').toUpperCase()}
+📍 **Current Status**: ${rideStatus.status.replace(/_/g, ' ').toUpperCase()}
 ⏰ **ETA**: ${rideStatus.estimatedArrival}
 💰 **Estimated Fare**: ₹${rideStatus.fare}
 
-📍 **Live Location**: ${rideStatus.currentLocation}
+📍 ${rideStatus.pickup} → ${rideStatus.destination}
 
 **Trip Timeline:**
 ${rideStatus.timeline.map(t => 
-  `${t.completed ? '✅' : '⏳'} ${t.status.replace('_', ' ')} - ${t.time}`
+  `${t.completed ? '✅' : '⏳'} ${t.status.replace(/_/g, ' ')} - ${t.time}`
 ).join('\n')}
     `;
 
@@ -200,14 +421,57 @@ ${rideStatus.timeline.map(t =>
         { type: 'ride_tracking', rideDetails: rideStatus },
         { type: 'driver_contact', driver: rideStatus.driver }
       ],
-      ["Call driver", "Cancel ride", "Share trip", "Report issue"]
+      ride.canTransitionTo('cancelled')
+        ? ["Call driver", "Cancel ride", "Share trip", "Report issue"]
+        : ["Call driver", "Share trip", "Report issue"]
+    );
+  }
+
+  async handleRideCancellation(message, args, context) {
+    const ride = context.userId ? await Ride.findActiveForUser(context.userId) : null;
+
+    if (!ride) {
+      return this.formatResponse(
+        "You don't have an active ride to cancel.",
+        [],
+        ["Book a ride", "Get fare estimate"]
+      );
+    }
+
+    if (!ride.canTransitionTo('cancelled')) {
+      return this.formatResponse(
+        `Your ride #${ride.rideNumber} has already started and can't be cancelled. You can ask the driver to end the trip early.`,
+        [],
+        ["Track ride", "Call driver", "Report issue"]
+      );
+    }
+
+    await ride.transitionTo('cancelled', { note: args.reason || 'Cancelled by rider' });
+
+    return this.formatResponse(
+      `❌ Your ride #${ride.rideNumber} from ${ride.pickup.name} to ${ride.destination.name} has been cancelled.`,
+      [{ type: 'ride_cancelled', rideId: ride._id, rideNumber: ride.rideNumber }],
+      ["Book another ride", "Get fare estimate"]
     );
   }
 
-  async handleScheduledRide(message, analysis, rideState, userProfile) {
-    const scheduleTime = this.extractTime(message);
-    const pickup = this.extractLocation(message) || rideState.pickup;
-    const destination = analysis.entities.destination || rideState.destination;
+  // Mock driver dispatch - integrate with Uber/Ola driver allocation
+  async dispatchDriver(ride) {
+    const drivers = [
+      { driverId: 'DRV001', name: 'Rajesh Singh', rating: 4.6, phone: '+91 98765 43210', vehicleNumber: 'DL 02 XY 5678', vehicleModel: 'Maruti Swift Dzire' },
+      { driverId: 'DRV002', name: 'Amit Sharma', rating: 4.8, phone: '+91 98765 43211', vehicleNumber: 'DL 03 AB 9012', vehicleModel: 'Honda City' },
+      { driverId: 'DRV003', name: 'Vikash Kumar', rating: 4.5, phone: '+91 98765 43212', vehicleNumber: 'DL 05 CD 3456', vehicleModel: 'Toyota Innova' }
+    ];
+
+    const driver = drivers[Math.floor(Math.random() * drivers.length)];
+
+    return await ride.transitionTo('driver_assigned', { driver, estimatedArrivalMinutes: 5 });
+  }
+
+  async handleScheduledRide(message, args, rideState) {
+    const scheduleTime = args.time || this.extractTime(message);
+    const pickup = this.cleanPlace(args.pickup) || this.extractPickup(message) || rideState.pickup;
+    const destination = this.cleanPlace(args.destination) || this.extractDestination(message) || rideState.destination;
 
     if (!scheduleTime) {
       return this.formatResponse(
@@ -255,8 +519,8 @@ ${rideStatus.timeline.map(t =>
     );
   }
 
-  async handleNearbyCabs(message, analysis, userProfile) {
-    const location = this.extractLocation(message) || userProfile?.addresses?.[0];
+  async handleNearbyCabs(message, args, userProfile) {
+    const location = args.location || this.extractLocation(message) || userProfile?.addresses?.[0];
 
     if (!location) {
       return this.formatResponse(
@@ -396,21 +660,27 @@ ${rideStatus.timeline.map(t =>
   validateRideRequirements(rideState) {
     const missing = [];
     
-    if (!rideState.pickup) {
+    if (!this.isUsablePlace(rideState.pickup?.name)) {
       missing.push('pickup location');
     }
     
-    if (!rideState.destination) {
+    if (!this.isUsablePlace(rideState.destination?.name)) {
       missing.push('destination');
+    } else if (rideState.pickup && this.samePlace(rideState.pickup, rideState.destination)) {
+      missing.push('different destination');
     }
     
     return missing;
   }
 
+  // Asking for a place also clears whatever unusable value we had for it, and waits
+  // for the answer (see getPendingStepCall)
   askForMissingInfo(missingFields, rideState) {
     const field = missingFields[0];
     
     if (field === 'pickup location') {
+      rideState.pickup = null;
+      rideState.stage = 'awaiting_pickup';
       return this.formatResponse(
         "Where would you like to be picked up from?",
         [{ type: 'location_input', field: 'pickup' }],
@@ -418,9 +688,14 @@ ${rideStatus.timeline.map(t =>
       );
     }
     
-    if (field === 'destination') {
+    if (field === 'destination' || field === 'different destination') {
+      const samePlace = field === 'different destination' && rideState.destination.name;
+      rideState.destination = null;
+      rideState.stage = 'awaiting_destination';
       return this.formatResponse(
-        "Where would you like to go?",
+        samePlace
+          ? `Your pickup is ${samePlace}, so I can't book a ride there. Where would you like to go?`
+          : "Where would you like to go?",
         [{ type: 'location_input', field: 'destination' }],
         ["Popular destinations", "Airport", "Railway station", "Enter manually"]
       );
@@ -433,22 +708,95 @@ ${rideStatus.timeline.map(t =>
     );
   }
 
+  // Match a reply like "2", "Premium" or "Auto - ₹65" against the rides we offered
+  findChosenRide(message, rideState) {
+    const options = rideState.availableRides || [];
+    const text = message.trim().toLowerCase();
+
+    const index = parseInt(text.match(/^(\d+)\b/)?.[1]) - 1;
+    if (options[index]) return options[index];
+
+    return options.find(r => new RegExp(`\\b${r.type.toLowerCase()}\\b`).test(text)) || null;
+  }
+
+  toRideLocation(location) {
+    return {
+      name: location.name || location.label || location.street,
+      street: location.street,
+      city: location.city,
+      coordinates: location.coordinates
+    };
+  }
+
+  // "from Indiranagar" / "pick me up at MG Road". Only an explicit pickup counts, so
+  // "a cab to Koramangala" isn't read as starting there too.
+  extractPickup(message) {
+    return this.extractPlace(message, ['from', 'pick me up (?:from|at)', 'pickup (?:from|at|is)']);
+  }
+
   extractDestination(message) {
-    // Extract destination patterns
-    const destinationPatterns = [
-      /(?:to|going to|destination)\s+([A-Za-z\s]+?)(?:\s|$|,|\.|!|\?)/gi,
-      /(?:drop me at|take me to)\s+([A-Za-z\s]+?)(?:\s|$|,|\.|!|\?)/gi
-    ];
+    return this.extractPlace(message, ['to', 'destination(?: is)?', 'drop me (?:at|off at)']);
+  }
 
-    for (const pattern of destinationPatterns) {
-      const matches = message.match(pattern);
-      if (matches) {
-        return matches[0].replace(/^(to|going to|destination|drop me at|take me to)\s+/i, '').trim();
-      }
+  // The first usable place after one of the lead-ins, up to where the sentence moves on
+  // ("to MG Road at 6pm" is "MG Road"). Lead-ins followed by filler, like the "to" in
+  // "I want to go to MG Road", are skipped.
+  extractPlace(message, leadIns) {
+    if (!message) return null;
+
+    const pattern = new RegExp(`\\b(?:${leadIns.join('|')})\\s+(.+?)${PLACE_END}`, 'gi');
+    for (const match of message.matchAll(pattern)) {
+      const place = this.cleanPlace(match[1]);
+      if (place) return place;
     }
     return null;
   }
 
+  // A trimmed place name, or null when there's nothing usable in it
+  cleanPlace(text) {
+    if (typeof text !== 'string') return null;
+    const place = text.trim().replace(/\s+/g, ' ');
+    return this.isUsablePlace(place) ? place : null;
+  }
+
+  isUsablePlace(name) {
+    if (typeof name !== 'string' || !/[a-z]{2}/i.test(name)) return false;
+    return name.toLowerCase().split(/[\s,]+/).some(word => word && !PLACE_FILLER.has(word));
+  }
+
+  // A saved address by its label ("Home", "Work"), an address or handed-off place, or a
+  // typed place name - as a ride location, or null when it isn't a usable place
+  resolvePlace(value, userProfile) {
+    if (value && typeof value === 'object') {
+      const location = this.toRideLocation(value);
+      return this.isUsablePlace(location.name) ? location : null;
+    }
+
+    const name = this.cleanPlace(value);
+    if (!name) return null;
+
+    const saved = userProfile?.addresses?.find(address => address.label?.toLowerCase() === name.toLowerCase());
+    return saved ? this.toRideLocation(saved) : { name };
+  }
+
+  samePlace(a, b) {
+    const key = (place) => place.name.toLowerCase().replace(/^the\s+/, '').replace(/[^a-z0-9]+/g, ' ').trim();
+    return key(a) === key(b);
+  }
+
+  // The place in a reply to our pickup/destination question: "from MG Road", or just
+  // "MG Road". Longer messages and commands are left to tool selection.
+  placeReply(message, field) {
+    const explicit = field === 'pickup' ? this.extractPickup(message) : this.extractDestination(message);
+    if (explicit) return explicit;
+
+    const text = message.trim().replace(/[.!]+$/, '');
+    if (text.split(/\s+/).length > 4 || text.includes('?') || NOT_A_PLACE_REPLY.test(text)) {
+      return null;
+    }
+    return this.cleanPlace(text);
+  }
+
   async generateSuggestions(context, conversationContext) {
     const stage = context.stage || 'initial';
     
@@ -463,18 +811,29 @@ ${rideStatus.timeline.map(t =>
   }
 
   async canHandle(message, context) {
-    const rideKeywords = [
-      'cab', 'taxi', 'ride', 'book', 'uber', 'ola', 'auto', 'rickshaw',
-      'transport', 'travel', 'pickup', 'drop', 'fare', 'driver',
-      'airport', 'station', 'go to', 'take me to'
-    ];
+    return this.matchesKeywords(message);
+  }
+
+  async handleRidePreferences(message, args, userProfile) {
+    const rideType = args.preferredRideType;
 
-    return rideKeywords.some(keyword => 
-      message.toLowerCase().includes(keyword.toLowerCase())
+    if (userProfile) {
+      userProfile.preferences = userProfile.preferences || {};
+      userProfile.preferences.ride = {
+        ...(userProfile.preferences.ride?.toObject?.() || userProfile.preferences.ride),
+        preferredRideType: rideType
+      };
+      await userProfile.save();
+    }
+
+    return this.formatResponse(
+      `Got it! I'll show ${rideType} rides first when you book from now on.`,
+      [{ type: 'preferences_updated', preferences: { ride: { preferredRideType: rideType } } }],
+      ["Book a ride", "Get fare estimate"]
     );
   }
 
-  async handleGeneralRideQuery(message, analysis, userProfile) {
+  async handleGeneralRideQuery(message, userProfile) {
     const response = await this.generateResponse(
       `You are RideNow AI, a helpful assistant for booking rides and transportation.
        The user asked: "${message}"
@@ -0,0 +1,741 @@
+const BaseAgent = require('./BaseAgent');
+const ShopOrder = require('../models/ShopOrder');
+const PriceWatch = require('../models/PriceWatch');
+const { CATEGORIES, getProductCatalog } = require('../services/productCatalog');
+const { logger } = require('../utils/logger');
+
+const FREE_DELIVERY_THRESHOLD = 499;
+const DELIVERY_FEE = 40;
+
+class ShopSmartAgent extends BaseAgent {
+  static definition = {
+    key: 'shopsmart',
+    name: 'ShopSmart AI',
+    emoji: '🛍️',
+    description: 'Product search, price comparison, shopping cart and checkout, price drop alerts',
+    summary: 'Search products, compare prices across sellers, check out and get price drop alerts',
+    capabilities: [
+      'product search',
+      'price comparison',
+      'shopping cart and checkout',
+      'price drop alerts'
+    ],
+    keywords: [
+      'shop', 'buy', 'product', 'cart', 'checkout', 'price', 'compare', 'deal', 'brand',
+      'shoes', 'shirt', 'jeans', 'dress', 'kurta', 'phone', 'headphones', 'earbuds', 'size'
+    ],
+    examples: ['running shoes under 3000', 'compare 1 and 2', 'alert me when it drops below 2500'],
+    tip: 'Save your sizes and preferred brands in your profile to skip the filters',
+    handoffTargets: []
+  };
+
+  constructor(llm, catalog = getProductCatalog()) {
+    super(llm, ShopSmartAgent.definition.name, ShopSmartAgent.definition.capabilities);
+
+    this.stateKey = ShopSmartAgent.definition.key;
+    this.catalog = catalog; // swappable product source (see ../services/productCatalog)
+  }
+
+  async processMessage(message, context, userProfile) {
+    this.updateActivity();
+
+    try {
+      // Get current shopping state for user (persisted with the conversation)
+      const shopState = this.getFlowState(context, {
+        stage: 'initial',
+        results: [],
+        cart: [],
+        pendingProductId: null
+      });
+
+      // Replies to a pending step skip tool selection, otherwise the model picks a tool
+      const call = this.getPendingStepCall(message, shopState) || await this.selectTool(message, context);
+
+      if (!call) {
+        return await this.handleGeneralShoppingQuery(message, userProfile);
+      }
+
+      return await call.tool.handler(call.arguments, { message, context, userProfile, shopState });
+    } catch (error) {
+      logger.error('Error in ShopSmartAgent:', error);
+      return this.handleError(message, error);
+    }
+  }
+
+  getTools() {
+    const productRef = { type: 'string', description: 'Product name, or its number in the last results' };
+
+    return [
+      {
+        name: 'searchProducts',
+        description: 'Search products, optionally filtered by category, brand and price',
+        parameters: {
+          type: 'object',
+          properties: {
+            query: { type: 'string', description: 'What the user is looking for, e.g. "running shoes"' },
+            category: { type: 'string', enum: CATEGORIES },
+            brand: { type: 'string' },
+            minPrice: { type: 'number', minimum: 0 },
+            maxPrice: { type: 'number', minimum: 0 },
+            size: { type: 'string' }
+          }
+        },
+        handler: (args, turn) => this.handleProductSearch(turn.message, args, turn.shopState, turn.userProfile)
+      },
+      {
+        name: 'compareProducts',
+        description: 'Compare products side by side, or the prices of one product across sellers',
+        parameters: {
+          type: 'object',
+          properties: {
+            products: { type: 'array', items: productRef }
+          }
+        },
+        handler: (args, turn) => this.handleComparison(turn.message, args, turn.shopState)
+      },
+      {
+        name: 'addProductToCart',
+        description: 'Add a product to the shopping cart',
+        parameters: {
+          type: 'object',
+          properties: {
+            product: productRef,
+            quantity: { type: 'integer', minimum: 1, maximum: 10 },
+            size: { type: 'string' }
+          }
+        },
+        handler: (args, turn) => this.handleAddToCart(turn.message, args, turn.shopState, turn.userProfile)
+      },
+      {
+        name: 'removeProductFromCart',
+        description: 'Remove a product from the shopping cart',
+        parameters: {
+          type: 'object',
+          properties: { product: productRef }
+        },
+        handler: (args, turn) => this.handleRemoveFromCart(turn.message, args, turn.shopState)
+      },
+      {
+        name: 'viewShoppingCart',
+        description: 'Show the shopping cart',
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleViewCart(turn.shopState)
+      },
+      {
+        name: 'checkout',
+        description: 'Review the shopping cart before placing the order',
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleCheckout(turn.shopState, turn.userProfile)
+      },
+      {
+        name: 'confirmPurchase',
+        description: 'Place the order after the user confirmed the checkout summary',
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleConfirmPurchase(turn.shopState, turn.userProfile, turn.context)
+      },
+      {
+        name: 'trackShoppingOrder',
+        description: "Show the status of the user's latest shopping order",
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleOrderTracking(turn.context)
+      },
+      {
+        name: 'watchPrice',
+        description: 'Alert the user when a product gets cheaper',
+        parameters: {
+          type: 'object',
+          properties: {
+            product: productRef,
+            targetPrice: { type: 'number', minimum: 0, description: 'Only alert at or below this price (₹)' }
+          }
+        },
+        handler: (args, turn) => this.handleWatchPrice(turn.message, args, turn.shopState, turn.context)
+      },
+      {
+        name: 'listPriceAlerts',
+        description: 'Show the products the user is watching for price drops',
+        parameters: { type: 'object', properties: {} },
+        handler: (args, turn) => this.handleListPriceAlerts(turn.context)
+      },
+      {
+        name: 'stopPriceAlert',
+        description: 'Stop watching a product for price drops',
+        parameters: {
+          type: 'object',
+          properties: { product: productRef }
+        },
+        handler: (args, turn) => this.handleStopPriceAlert(turn.message, args, turn.context)
+      }
+    ];
+  }
+
+  // Short replies like "M" (a size) or "Confirm" answer the step we are waiting on
+  getPendingStepCall(message, shopState) {
+    if (shopState.stage === 'checkout' && this.isOrderConfirmation(message)) {
+      return { tool: this.getTool('confirmPurchase'), arguments: {} };
+    }
+
+    if (shopState.stage === 'size_selection' && shopState.pendingProductId) {
+      const size = message.trim().replace(/^size\s+/i, '').toUpperCase();
+      const pending = shopState.results.find(p => p.id === shopState.pendingProductId);
+      if (pending?.sizes?.includes(size)) {
+        return { tool: this.getTool('addProductToCart'), arguments: { product: pending.id, size } };
+      }
+    }
+
+    return null;
+  }
+
+  async handleProductSearch(message, args, shopState, userProfile) {
+    const prefs = userProfile?.preferences?.shopping || {};
+    const explicitPrice = args.minPrice != null || args.maxPrice != null;
+    const query = args.query || message;
+
+    const products = await this.catalog.search({
+      query,
+      category: args.category || null,
+      brands: args.brand ? [args.brand] : [],
+      minPrice: args.minPrice ?? null,
+      maxPrice: args.maxPrice ?? this.extractBudget(message),
+      size: args.size || null
+    });
+
+    if (products.length === 0) {
+      return this.formatResponse(
+        "I couldn't find anything matching that. Try a different product, brand or budget?",
+        [],
+        ["Running shoes", "Smartphones", "Cotton shirts", "Kitchen appliances"]
+      );
+    }
+
+    // Apply saved sizes and budget unless the user asked for something specific
+    const personalized = this.applyPreferences(products, prefs, { skipPrice: explicitPrice || !!this.extractBudget(message), skipSize: !!args.size });
+    const results = (personalized.length > 0 ? personalized : products).slice(0, 5);
+    const relaxed = personalized.length === 0;
+
+    shopState.stage = 'results';
+    shopState.results = results.map(product => this.toResult(product));
+
+    const productList = results.map((product, i) =>
+      `${i + 1}. **${product.name}** ⭐ ${product.rating}\n   ₹${product.bestOffer.price} at ${product.bestOffer.seller}${product.offers.length > 1 ? ` (${product.offers.length} sellers)` : ''}${product.sizes ? ` • Sizes: ${product.sizes.join(', ')}` : ''}`
+    ).join('\n');
+
+    const note = relaxed
+      ? "\n\n_Nothing matched your saved sizes and budget, so I'm showing everything._"
+      : (prefs.preferredBrands || []).length > 0 ? '\n\n_Your preferred brands are listed first._' : '';
+
+    return this.formatResponse(
+      `🛍️ **Here's what I found:**\n\n${productList}${note}`,
+      [{ type: 'product_results', products: shopState.results }],
+      ["Add 1 to cart", "Compare 1 and 2", "Watch price of 1", "View cart"]
+    );
+  }
+
+  async handleComparison(message, args, shopState) {
+    const refs = args.products?.length ? args.products : this.extractListNumbers(message);
+    const products = [];
+
+    for (const ref of refs.length ? refs : ['1', '2', '3']) {
+      const product = await this.resolveProduct(String(ref), shopState);
+      if (product && !products.some(p => p.id === product.id)) products.push(product);
+    }
+
+    if (products.length === 0) {
+      return this.formatResponse(
+        "Which products should I compare? Search for something first, then pick from the results.",
+        [],
+        ["Search products"]
+      );
+    }
+
+    // A single product is compared across its sellers
+    if (products.length === 1) {
+      const [product] = products;
+      const offers = product.offers.map(offer =>
+        `• **${offer.seller}** - ₹${offer.price} • delivery in ${offer.deliveryDays} day${offer.deliveryDays > 1 ? 's' : ''}${offer.inStock === false ? ' • out of stock' : ''}`
+      ).join('\n');
+
+      return this.formatResponse(
+        `💰 **${product.name}** across sellers:\n\n${offers}\n\nBest price: ₹${product.bestOffer.price} at ${product.bestOffer.seller}.`,
+        [{ type: 'price_comparison', product: this.toResult(product), offers: product.offers }],
+        ["Add to cart", "Watch price"]
+      );
+    }
+
+    const specKeys = [...new Set(products.flatMap(p => Object.keys(p.specs || {})))];
+    const rows = products.map(product => [
+      `**${product.name}**`,
+      `₹${product.bestOffer.price} (${product.bestOffer.seller})`,
+      `⭐ ${product.rating}`,
+      ...specKeys.map(key => `${key}: ${product.specs?.[key] || '-'}`)
+    ].join('\n'));
+
+    const cheapest = products.reduce((a, b) => (b.bestOffer.price < a.bestOffer.price ? b : a));
+    const topRated = products.reduce((a, b) => (b.rating > a.rating ? b : a));
+
+    return this.formatResponse(
+      `⚖️ **Comparison**\n\n${rows.join('\n\n')}\n\n💸 Cheapest: ${cheapest.name}\n🏆 Top rated: ${topRated.name}`,
+      [{ type: 'product_comparison', products: products.map(p => this.toResult(p)) }],
+      products.slice(0, 2).map(p => `Add ${p.name} to cart`)
+    );
+  }
+
+  async handleAddToCart(message, args, shopState, userProfile) {
+    const product = await this.resolveProduct(args.product || this.extractProductRef(message), shopState);
+
+    if (!product) {
+      return this.formatResponse(
+        "I couldn't tell which product you mean. Pick a number from the results or tell me its name.",
+        [],
+        ["Search products", "View cart"]
+      );
+    }
+
+    // Sized products need a size - use the saved one when it's available
+    let size = args.size ? String(args.size).toUpperCase() : this.extractSize(message);
+    if (product.sizes && !size) {
+      const saved = this.preferredSize(product, userProfile?.preferences?.shopping);
+      size = saved && product.sizes.includes(saved) ? saved : null;
+    }
+
+    if (product.sizes && !product.sizes.includes(size)) {
+      shopState.stage = 'size_selection';
+      shopState.pendingProductId = product.id;
+      if (!shopState.results.some(p => p.id === product.id)) {
+        shopState.results.push(this.toResult(product));
+      }
+
+      return this.formatResponse(
+        `Which size would you like for **${product.name}**?`,
+        [{ type: 'size_selection', productId: product.id, sizes: product.sizes }],
+        product.sizes
+      );
+    }
+
+    const quantity = args.quantity || 1;
+    const offer = product.bestOffer;
+    const existing = shopState.cart.find(item => item.productId === product.id && item.size === size);
+
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      shopState.cart.push({
+        productId: product.id,
+        name: product.name,
+        brand: product.brand,
+        seller: offer.seller,
+        price: offer.price,
+        deliveryDays: offer.deliveryDays,
+        size,
+        quantity
+      });
+    }
+
+    shopState.stage = 'cart';
+    shopState.pendingProductId = null;
+
+    return this.formatResponse(
+      `🛒 Added ${quantity}x **${product.name}**${size ? ` (size ${size})` : ''} from ${offer.seller} at ₹${offer.price}.\n\n${this.formatCart(shopState.cart)}`,
+      [{ type: 'cart_updated', cart: shopState.cart, subtotal: this.cartSubtotal(shopState.cart) }],
+      ["Checkout", "Keep shopping", "View cart"]
+    );
+  }
+
+  async handleRemoveFromCart(message, args, shopState) {
+    const text = (args.product || this.extractProductRef(message) || '').trim().toLowerCase();
+    const index = parseInt(text.match(/^(\d+)$/)?.[1]) - 1;
+    const item = shopState.cart[index] || (text && shopState.cart.find(i => i.name.toLowerCase().includes(text)));
+
+    if (!item) {
+      return this.formatResponse(
+        "That item isn't in your cart.",
+        [{ type: 'cart', cart: shopState.cart }],
+        ["View cart", "Checkout"]
+      );
+    }
+
+    shopState.cart = shopState.cart.filter(i => i !== item);
+    shopState.stage = shopState.cart.length > 0 ? 'cart' : 'results';
+
+    return this.formatResponse(
+      `Removed **${item.name}** from your cart.\n\n${this.formatCart(shopState.cart)}`,
+      [{ type: 'cart_updated', cart: shopState.cart, subtotal: this.cartSubtotal(shopState.cart) }],
+      shopState.cart.length > 0 ? ["Checkout", "Keep shopping"] : ["Search products"]
+    );
+  }
+
+  async handleViewCart(shopState) {
+    return this.formatResponse(
+      this.formatCart(shopState.cart),
+      [{ type: 'cart', cart: shopState.cart, subtotal: this.cartSubtotal(shopState.cart) }],
+      shopState.cart.length > 0 ? ["Checkout", "Keep shopping", "Remove an item"] : ["Search products"]
+    );
+  }
+
+  async handleCheckout(shopState, userProfile) {
+    if (shopState.cart.length === 0) {
+      return this.formatResponse(
+        "Your cart is empty. What would you like to shop for?",
+        [],
+        ["Running shoes", "Smartphones", "Cotton shirts"]
+      );
+    }
+
+    const deliveryAddress = userProfile?.getDefaultAddress();
+    if (!deliveryAddress) {
+      return this.formatResponse(
+        "I need a delivery address to complete your order. Please add your delivery address.",
+        [{ type: 'address_input', required: true }],
+        ["Add new address"]
+      );
+    }
+
+    const charges = this.calculateCharges(shopState.cart);
+    shopState.stage = 'checkout';
+
+    const orderSummary = `
+📋 **Order Summary**
+${shopState.cart.map(item =>
+  `${item.quantity}x ${item.name}${item.size ? ` (${item.size})` : ''} - ₹${item.price * item.quantity} • ${item.seller}`
+).join('\n')}
+
+💰 **Bill Details**
+Subtotal: ₹${charges.subtotal}
+Delivery: ${charges.deliveryFee ? `₹${charges.deliveryFee}` : 'FREE'}
+**Total: ₹${charges.total}**
+
+📍 **Delivery Address**
+${deliveryAddress.street}, ${deliveryAddress.city}
+
+🚚 **Arrives in**: ${this.deliveryDays(shopState.cart)} days
+    `;
+
+    return this.formatResponse(
+      orderSummary + "\n\nShall I place the order?",
+      [{ type: 'order_confirmation', orderDetails: { items: shopState.cart, charges, address: deliveryAddress } }],
+      ["Confirm order", "Modify cart", "Change address"]
+    );
+  }
+
+  async handleConfirmPurchase(shopState, userProfile, context) {
+    if (shopState.cart.length === 0) {
+      return this.formatResponse(
+        "There's nothing to confirm yet. Add something to your cart first!",
+        [],
+        ["Search products"]
+      );
+    }
+
+    const deliveryAddress = userProfile?.getDefaultAddress();
+    if (!context.userId || !deliveryAddress) {
+      return this.formatResponse(
+        "I need a delivery address to place your order. Please add your delivery address.",
+        [{ type: 'address_input', required: true }],
+        ["Add new address"]
+      );
+    }
+
+    const unverified = this.requireVerifiedEmail(userProfile);
+    if (unverified) {
+      return unverified;
+    }
+
+    const paymentMethod = userProfile.getDefaultPaymentMethod();
+    const charges = this.calculateCharges(shopState.cart);
+    const days = this.deliveryDays(shopState.cart);
+
+    const order = await ShopOrder.create({
+      user: context.userId,
+      items: shopState.cart.map(item => ({
+        productId: item.productId,
+        name: item.name,
+        brand: item.brand,
+        seller: item.seller,
+        size: item.size,
+        price: item.price,
+        quantity: item.quantity
+      })),
+      deliveryAddress: {
+        label: deliveryAddress.label,
+        street: deliveryAddress.street,
+        city: deliveryAddress.city,
+        state: deliveryAddress.state,
+        pincode: deliveryAddress.pincode,
+        landmark: deliveryAddress.landmark
+      },
+      charges,
+      payment: {
+        method: paymentMethod?.type || 'COD',
+        provider: paymentMethod?.provider
+      },
+      estimatedDeliveryAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    logger.info(`Shopping order ${order.orderNumber} placed for user ${context.userId}`);
+
+    // Start a fresh cart for the next order
+    this.resetFlowState(context);
+
+    return this.formatResponse(
+      `🎉 **Order placed!** #${order.orderNumber}\n\n**Total: ₹${charges.total}**\n🚚 Arrives in ${days} days`,
+      [
+        {
+          type: 'order_placed',
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          total: charges.total,
+          paymentStatus: order.payment.status
+        }
+      ],
+      ["Track order", "Pay now", "Keep shopping"],
+      { shopOrderId: order._id.toString() }
+    );
+  }
+
+  async handleOrderTracking(context) {
+    const order = context.userId ? await ShopOrder.findLatestForUser(context.userId) : null;
+
+    if (!order) {
+      return this.formatResponse(
+        "You haven't placed any shopping orders yet. What can I help you find?",
+        [],
+        ["Search products"]
+      );
+    }
+
+    const reached = new Map(order.statusHistory.map(h => [h.status, h.timestamp]));
+    const timeline = ['placed', 'shipped', 'out_for_delivery', 'delivered'].map(status =>
+      `${reached.has(status) ? '✅' : '⏳'} ${status.replace(/_/g, ' ')}`
+    ).join('\n');
+
+    return this.formatResponse(
+      `📦 **Order #${order.orderNumber}** - ${order.status.replace(/_/g, ' ').toUpperCase()}\n\n${order.items.map(i => `${i.quantity}x ${i.name}`).join('\n')}\n\n${order.status === 'cancelled' ? '❌ Cancelled' : timeline}`,
+      [{ type: 'shop_order_tracking', orderId: order._id, orderNumber: order.orderNumber, status: order.status }],
+      ["Keep shopping"]
+    );
+  }
+
+  async handleWatchPrice(message, args, shopState, context) {
+    const product = await this.resolveProduct(args.product || this.extractProductRef(message), shopState);
+
+    if (!product || !context.userId) {
+      return this.formatResponse(
+        "Which product should I watch? Pick a number from the results or tell me its name.",
+        [],
+        ["Search products", "My price alerts"]
+      );
+    }
+
+    const targetPrice = args.targetPrice ?? this.extractBudget(message);
+
+    await PriceWatch.findOneAndUpdate(
+      { user: context.userId, productId: product.id },
+      {
+        productName: product.name,
+        targetPrice,
+        lastSeenPrice: product.bestOffer.price,
+        lastSeenSeller: product.bestOffer.seller,
+        active: true
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return this.formatResponse(
+      `🔔 I'm watching **${product.name}** (now ₹${product.bestOffer.price} at ${product.bestOffer.seller}). I'll let you know ${targetPrice ? `when it drops to ₹${targetPrice} or less` : 'as soon as the price drops'}.`,
+      [{ type: 'price_watch_added', productId: product.id, currentPrice: product.bestOffer.price, targetPrice }],
+      ["My price alerts", "Add to cart", "Keep shopping"]
+    );
+  }
+
+  async handleListPriceAlerts(context) {
+    const watches = context.userId ? await PriceWatch.find({ user: context.userId, active: true }).sort({ createdAt: -1 }) : [];
+
+    if (watches.length === 0) {
+      return this.formatResponse(
+        "You aren't watching any products. Ask me to watch one and I'll tell you when it gets cheaper.",
+        [],
+        ["Search products"]
+      );
+    }
+
+    const list = watches.map((watch, i) =>
+      `${i + 1}. **${watch.productName}** - ₹${watch.lastSeenPrice}${watch.targetPrice ? ` (alert at ₹${watch.targetPrice})` : ''}`
+    ).join('\n');
+
+    return this.formatResponse(
+      `🔔 **Your price alerts**\n\n${list}`,
+      [{ type: 'price_watches', watches }],
+      ["Stop watching 1", "Keep shopping"]
+    );
+  }
+
+  async handleStopPriceAlert(message, args, context) {
+    const watches = context.userId ? await PriceWatch.find({ user: context.userId, active: true }).sort({ createdAt: -1 }) : [];
+    const text = (args.product || this.extractProductRef(message) || '').trim().toLowerCase();
+    const index = parseInt(text.match(/^(\d+)$/)?.[1]) - 1;
+    const watch = watches[index] || (text && watches.find(w => w.productName.toLowerCase().includes(text)));
+
+    if (!watch) {
+      return this.formatResponse(
+        "I'm not watching that product.",
+        [],
+        ["My price alerts"]
+      );
+    }
+
+    watch.active = false;
+    await watch.save();
+
+    return this.formatResponse(
+      `🔕 Stopped watching **${watch.productName}**.`,
+      [{ type: 'price_watch_removed', productId: watch.productId }],
+      ["My price alerts", "Keep shopping"]
+    );
+  }
+
+  async handleGeneralShoppingQuery(message, userProfile) {
+    const response = await this.generateResponse(
+      `You are ShopSmart AI, a helpful shopping assistant.
+       The user asked: "${message}"
+       Provide a helpful, concise response about products, deals or shopping.`,
+      { message },
+      200
+    );
+
+    return this.formatResponse(
+      response,
+      [],
+      ["Search products", "View cart", "My price alerts"]
+    );
+  }
+
+  // Keep products that fit the saved size and budget; preferred brands go first
+  applyPreferences(products, prefs = {}, { skipPrice = false, skipSize = false } = {}) {
+    const range = prefs.priceRange || {};
+    const brands = (prefs.preferredBrands || []).map(brand => brand.toLowerCase());
+
+    return products
+      .filter(product => {
+        const size = skipSize ? null : this.preferredSize(product, prefs);
+        if (size && product.sizes && !product.sizes.includes(size)) return false;
+
+        if (!skipPrice && range.min != null && product.bestOffer.price < range.min) return false;
+        if (!skipPrice && range.max != null && product.bestOffer.price > range.max) return false;
+        return true;
+      })
+      .sort((a, b) => brands.includes(b.brand.toLowerCase()) - brands.includes(a.brand.toLowerCase()));
+  }
+
+  preferredSize(product, prefs = {}) {
+    const sizes = prefs?.size || {};
+    const size = product.category === 'shoes' ? sizes.shoe : product.category === 'clothing' ? sizes.clothing : null;
+    return size ? String(size).toUpperCase() : null;
+  }
+
+  // "2", a product id, or part of a name from the last results, else the best catalog match
+  async resolveProduct(ref, shopState) {
+    if (!ref) return null;
+    const text = String(ref).trim().toLowerCase();
+    const results = shopState.results || [];
+
+    const index = parseInt(text.match(/^(?:#|no\.?\s*)?(\d+)$/)?.[1]) - 1;
+    const fromResults = results[index] ||
+      results.find(p => p.id.toLowerCase() === text) ||
+      results.find(p => p.name.toLowerCase().includes(text) || text.includes(p.name.toLowerCase()));
+
+    if (fromResults) {
+      return await this.catalog.getProduct(fromResults.id);
+    }
+
+    const [match] = await this.catalog.search({ query: text });
+    return match ? await this.catalog.getProduct(match.id) : null;
+  }
+
+  toResult(product) {
+    return {
+      id: product.id,
+      name: product.name,
+      brand: product.brand,
+      category: product.category,
+      rating: product.rating,
+      sizes: product.sizes,
+      price: product.bestOffer.price,
+      seller: product.bestOffer.seller
+    };
+  }
+
+  cartSubtotal(cart) {
+    return cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  }
+
+  calculateCharges(cart) {
+    const subtotal = this.cartSubtotal(cart);
+    const deliveryFee = subtotal >= FREE_DELIVERY_THRESHOLD ? 0 : DELIVERY_FEE;
+    return { subtotal, deliveryFee, total: subtotal + deliveryFee };
+  }
+
+  deliveryDays(cart) {
+    return Math.max(...cart.map(item => item.deliveryDays || 3));
+  }
+
+  formatCart(cart) {
+    if (cart.length === 0) return "Your cart is empty";
+
+    const itemList = cart.map((item, i) =>
+      `${i + 1}. ${item.quantity}x ${item.name}${item.size ? ` (${item.size})` : ''} - ₹${item.price * item.quantity}`
+    ).join('\n');
+
+    return `**Your Cart:**\n${itemList}\n\n**Subtotal: ₹${this.cartSubtotal(cart)}**`;
+  }
+
+  extractBudget(message) {
+    const price = this.extractPrice(message);
+    const amount = price ? parseInt(String(price).replace(/[^\d]/g, '')) : NaN;
+    return Number.isNaN(amount) ? null : amount;
+  }
+
+  // What's left of "add 2 to my cart" or "watch the price of nike pegasus" once the command words go
+  extractProductRef(message) {
+    const text = message.toLowerCase()
+      .replace(/₹\s*[\d,]+|\b(?:under|below|at|to)\s+₹?\s*\d[\d,]{2,}/g, ' ')
+      .replace(/\bsize\s+\w+/g, ' ')
+      .replace(/\b(add|put|remove|delete|take|watch|track|stop|watching|alert|notify|price|prices|of|for|to|from|in|into|out|my|the|cart|me|please|when|it|drops?|item|option|number|product|one)\b/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return text || null;
+  }
+
+  extractSize(message) {
+    const match = message.match(/\bsize\s+([a-z0-9]{1,3})\b/i);
+    return match ? match[1].toUpperCase() : null;
+  }
+
+  extractListNumbers(message) {
+    return (message.match(/\b\d{1,2}\b/g) || []).filter(n => parseInt(n) >= 1 && parseInt(n) <= 5);
+  }
+
+  async generateSuggestions(context, conversationContext) {
+    const stage = context.stage || 'initial';
+
+    const suggestionMap = {
+      'initial': ["Search products", "Today's deals", "My price alerts"],
+      'results': ["Add to cart", "Compare", "Watch price"],
+      'size_selection': ["S", "M", "L"],
+      'cart': ["Checkout", "Keep shopping", "View cart"],
+      'checkout': ["Confirm order", "Modify cart", "Change address"]
+    };
+
+    return suggestionMap[stage] || suggestionMap['initial'];
+  }
+
+  async canHandle(message, context) {
+    if (this.matchesKeywords(message)) {
+      return true;
+    }
+
+    // Short replies to a pending size or checkout step stay with us
+    return this.hasPendingStep(message, context);
+  }
+}
+
+module.exports = ShopSmartAgent;
@@ -0,0 +1,670 @@
+const BaseAgent = require('./BaseAgent');
+const { createTravelInventory } = require('../services/travelInventory');
+const { logger } = require('../utils/logger');
+
+const TRAVEL_CLASSES = ['economy', 'business', 'first'];
+const INTERESTS = ['history', 'culture', 'food', 'shopping', 'nature', 'adventure', 'relaxation', 'nightlife'];
+
+// Time to leave home before a domestic departure
+const AIRPORT_LEAD_MINUTES = 150;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+class TravelBuddyAgent extends BaseAgent {
+  static definition = {
+    key: 'travelbuddy',
+    name: 'TravelBuddy AI',
+    emoji: '✈️',
+    description: 'Flight/hotel booking, travel planning, itineraries',
+    summary: 'Search flights and hotels, plan itineraries, arrange airport transfers',
+    capabilities: [
+      'flight search',
+      'hotel search',
+      'itinerary planning',
+      'airport transfers'
+    ],
+    keywords: [
+      'flight', 'fly', 'hotel', 'stay', 'trip', 'travel', 'itinerary', 'vacation',
+      'holiday', 'airport', 'check-in', 'check in', 'sightseeing'
+    ],
+    examples: ['find flights to Goa', 'hotels in Jaipur under 3000', 'plan a 3 day trip'],
+    tip: 'Give me your dates and number of travellers for accurate fares',
+    handoffTargets: ['ridenow'] // airport transfers
+  };
+
+  constructor(llm, inventory = createTravelInventory()) {
+    super(llm, TravelBuddyAgent.definition.name, TravelBuddyAgent.definition.capabilities);
+
+    this.stateKey = TravelBuddyAgent.definition.key;
+    this.inventory = inventory; // swappable flight/hotel source (see ../services/travelInventory)
+  }
+
+  async processMessage(message, context, userProfile) {
+    this.updateActivity();
+
+    try {
+      // Get current trip plan for user (persisted with the conversation)
+      const travelState = this.getFlowState(context, this.initialTravelState());
+
+      // Picking one of the offered flights/hotels skips tool selection, otherwise the model picks a tool
+      const call = this.getPendingStepCall(message, travelState) || await this.selectTool(message, context);
+
+      if (!call) {
+        return await this.handleGeneralTravelQuery(message, userProfile);
+      }
+
+      return await call.tool.handler(call.arguments, { message, context, userProfile, travelState });
+    } catch (error) {
+      logger.error('Error in TravelBuddyAgent:', error);
+      return this.handleError(message, error);
+    }
+  }
+
+  getTools() {
+    return [
+      {
+        name: 'searchFlights',
+        description: 'Search flights between two cities',
+        parameters: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', description: 'Departure city or airport code' },
+            to: { type: 'string', description: 'Arrival city or airport code' },
+            date: { type: 'string', description: 'Travel date, e.g. "2024-12-20" or "next Friday"' },
+            travelClass: { type: 'string', enum: TRAVEL_CLASSES },
+            passengers: { type: 'integer', minimum: 1, maximum: 9 }
+          }
+        },
+        handler: (args, turn) => this.handleFlightSearch(turn.message, args, turn.travelState, turn.userProfile)
+      },
+      {
+        name: 'selectFlight',
+        description: 'Add one of the flights already offered to the trip',
+        parameters: {
+          type: 'object',
+          properties: {
+            option: { type: 'string', description: 'Flight number, airline or its number in the list' }
+          },
+          required: ['option']
+        },
+        handler: (args, turn) => this.handleFlightSelection(args.option, turn.travelState, turn.userProfile)
+      },
+      {
+        name: 'searchHotels',
+        description: 'Search hotels in a city',
+        parameters: {
+          type: 'object',
+          properties: {
+            city: { type: 'string' },
+            checkIn: { type: 'string', description: 'Check-in date' },
+            nights: { type: 'integer', minimum: 1, maximum: 30 },
+            guests: { type: 'integer', minimum: 1, maximum: 12 },
+            maxPricePerNight: { type: 'number', minimum: 0, description: 'Budget per night in ₹' }
+          }
+        },
+        handler: (args, turn) => this.handleHotelSearch(turn.message, args, turn.travelState)
+      },
+      {
+        name: 'selectHotel',
+        description: 'Add one of the hotels already offered to the trip',
+        parameters: {
+          type: 'object',
+          properties: {
+            option: { type: 'string', description: 'Hotel name or its number in the list' }
+          },
+          required: ['option']
+        },
+        handler: (args, turn) => this.handleHotelSelection(args.option, turn.travelState)
+      },
+      {
+        name: 'buildItinerary',
+        description: 'Plan a day-by-day itinerary for the trip',
+        parameters: {
+          type: 'object',
+          properties: {
+            destination: { type: 'string' },
+            days: { type: 'integer', minimum: 1, maximum: 14 },
+            interests: { type: 'array', items: { type: 'string', enum: INTERESTS } }
+          }
+        },
+        handler: (args, turn) => this.handleItinerary(turn.message, args, turn.travelState)
+      },
+      {
+        name: 'bookAirportTransfer',
+        description: 'Get a cab to the departure airport or from the arrival airport',
+        parameters: {
+          type: 'object',
+          properties: {
+            direction: { type: 'string', enum: ['to_airport', 'from_airport'] }
+          }
+        },
+        handler: (args, turn) => this.handleAirportTransfer(turn.message, args, turn.travelState, turn.userProfile)
+      }
+    ];
+  }
+
+  initialTravelState() {
+    return {
+      stage: 'initial',
+      trip: { from: null, to: null, date: null, passengers: 1, travelClass: null },
+      flights: [],
+      selectedFlight: null,
+      hotels: [],
+      selectedHotel: null,
+      itinerary: null
+    };
+  }
+
+  // A handoff with a destination starts a hotel search there, within the budget if one came along
+  async handleHandoff(handoffContext, conversationContext) {
+    const { destination, time, budget, partySize } = handoffContext.entities || {};
+    const city = destination && this.inventory.findCity(destination.city || destination.name);
+    if (!city) {
+      return super.handleHandoff(handoffContext, conversationContext);
+    }
+
+    this.resetFlowState(conversationContext);
+    const travelState = this.getFlowState(conversationContext, this.initialTravelState());
+
+    return await this.handleHotelSearch(time || '', {
+      city: city.name,
+      guests: partySize,
+      maxPricePerNight: budget?.max
+    }, travelState);
+  }
+
+  // A reply like "2" or "IndiGo" answers the flight/hotel selection we are waiting on
+  getPendingStepCall(message, travelState) {
+    if (travelState.stage === 'flight_selection' && this.findChosenFlight(message, travelState)) {
+      return { tool: this.getTool('selectFlight'), arguments: { option: message } };
+    }
+
+    if (travelState.stage === 'hotel_selection' && this.findChosenHotel(message, travelState)) {
+      return { tool: this.getTool('selectHotel'), arguments: { option: message } };
+    }
+
+    return null;
+  }
+
+  async handleFlightSearch(message, args, travelState, userProfile) {
+    const travelPrefs = userProfile?.preferences?.travel || {};
+    const route = this.extractRoute(message);
+    const trip = travelState.trip;
+
+    trip.from = args.from || route.from || trip.from || userProfile?.getDefaultAddress?.()?.city || null;
+    trip.to = args.to || route.to || trip.to;
+    trip.date = args.date || this.extractTravelDate(message) || trip.date;
+    trip.passengers = args.passengers || this.extractPassengers(message) || trip.passengers || 1;
+    trip.travelClass = args.travelClass || this.extractTravelClass(message) || trip.travelClass || travelPrefs.preferredClass || 'economy';
+
+    if (!trip.to) {
+      const frequent = travelPrefs.frequentDestinations || [];
+      return this.formatResponse(
+        "Where would you like to fly to?",
+        [{ type: 'location_input', field: 'destination' }],
+        frequent.length > 0 ? frequent.slice(0, 4) : ["Goa", "Mumbai", "Delhi", "Bengaluru"]
+      );
+    }
+
+    if (!trip.from) {
+      return this.formatResponse(
+        `Where will you be flying to ${trip.to} from?`,
+        [{ type: 'location_input', field: 'origin' }],
+        ["Delhi", "Mumbai", "Bengaluru", "Chennai"]
+      );
+    }
+
+    const flights = await this.inventory.searchFlights(trip);
+
+    if (flights.length === 0) {
+      return this.formatResponse(
+        `I couldn't find flights from ${trip.from} to ${trip.to}. I currently cover ${this.coveredCities()}.`,
+        [],
+        ["Search another route", "Search hotels", "Plan an itinerary"]
+      );
+    }
+
+    travelState.stage = 'flight_selection';
+    travelState.flights = flights;
+
+    const flightOptions = flights.map((flight, i) =>
+      `${i + 1}. ${flight.airline} ${flight.flightNumber} • ${flight.departure} → ${flight.arrival} (${this.formatDuration(flight.durationMinutes)}${flight.stops ? ', 1 stop' : ', non-stop'}) • ₹${flight.totalFare}`
+    ).join('\n');
+
+    const passengersText = trip.passengers > 1 ? ` for ${trip.passengers} passengers` : '';
+    const dateText = trip.date ? ` on ${trip.date}` : '';
+
+    return this.formatResponse(
+      `✈️ **Flights from ${flights[0].from.city} to ${flights[0].to.city}${dateText}** (${flights[0].travelClass}${passengersText}):\n\n${flightOptions}\n\nWhich flight would you like?`,
+      [{ type: 'flight_selection', flights }],
+      flights.slice(0, 3).map(f => `${f.airline} ${f.departure} - ₹${f.totalFare}`)
+    );
+  }
+
+  async handleFlightSelection(choice, travelState, userProfile) {
+    const flight = this.findChosenFlight(choice, travelState);
+
+    if (!flight) {
+      return this.formatResponse(
+        "Which flight would you like? Pick one of the options above.",
+        [{ type: 'flight_selection', flights: travelState.flights || [] }],
+        (travelState.flights || []).slice(0, 3).map(f => `${f.airline} ${f.departure} - ₹${f.totalFare}`)
+      );
+    }
+
+    const seatPreference = userProfile?.preferences?.travel?.seatPreference;
+
+    travelState.selectedFlight = { ...flight, seatPreference: seatPreference || null };
+    travelState.flights = [];
+    travelState.stage = 'flight_selected';
+
+    const seatNote = seatPreference ? `\n💺 I'll request your preferred ${seatPreference} seat.` : '';
+
+    return this.formatResponse(
+      `✅ **${flight.airline} ${flight.flightNumber}** added to your trip.\n\n🛫 ${flight.from.city} (${flight.from.code}) ${flight.departure} → 🛬 ${flight.to.city} (${flight.to.code}) ${flight.arrival}\n💰 ₹${flight.totalFare} • ${flight.travelClass}${seatNote}\n\nShall I find a hotel in ${flight.to.city}?`,
+      [{ type: 'flight_selected', flight: travelState.selectedFlight }],
+      [`Hotels in ${flight.to.city}`, "Cab to the airport", "Plan an itinerary"],
+      { flightId: flight.id }
+    );
+  }
+
+  async handleHotelSearch(message, args, travelState) {
+    const flight = travelState.selectedFlight;
+    const city = args.city || this.extractRoute(message).to || flight?.to.city || travelState.trip.to;
+
+    if (!city) {
+      return this.formatResponse(
+        "Which city do you need a hotel in?",
+        [{ type: 'location_input', field: 'city' }],
+        ["Goa", "Jaipur", "Mumbai", "Kochi"]
+      );
+    }
+
+    const search = {
+      city,
+      checkIn: args.checkIn || this.extractTravelDate(message) || flight?.date || travelState.trip.date,
+      nights: args.nights || this.extractNights(message) || 1,
+      guests: args.guests || this.extractPassengers(message) || travelState.trip.passengers || 1,
+      maxPricePerNight: args.maxPricePerNight || parseInt(String(this.extractPrice(message) || '').replace(/\D/g, '')) || null
+    };
+
+    const hotels = await this.inventory.searchHotels(search);
+
+    if (hotels.length === 0) {
+      return this.formatResponse(
+        search.maxPricePerNight
+          ? `I couldn't find hotels in ${city} under ₹${search.maxPricePerNight} a night. Want me to raise the budget?`
+          : `I don't have hotels for ${city} yet. I currently cover ${this.coveredCities()}.`,
+        [],
+        ["Show all hotels", "Search another city"]
+      );
+    }
+
+    travelState.stage = 'hotel_selection';
+    travelState.hotels = hotels;
+    travelState.trip.nights = search.nights;
+
+    const hotelOptions = hotels.map((hotel, i) =>
+      `${i + 1}. **${hotel.name}** ${'⭐'.repeat(hotel.stars)} (${hotel.rating}) • ${hotel.area}\n   ₹${hotel.pricePerNight}/night • ₹${hotel.totalPrice} total • ${hotel.amenities.slice(0, 3).join(', ')}`
+    ).join('\n');
+
+    return this.formatResponse(
+      `🏨 **Hotels in ${hotels[0].city}** (${search.nights} night${search.nights > 1 ? 's' : ''}${search.checkIn ? ` from ${search.checkIn}` : ''}):\n\n${hotelOptions}\n\nWhich one would you like?`,
+      [{ type: 'hotel_selection', hotels }],
+      hotels.slice(0, 3).map(h => `${h.name} - ₹${h.pricePerNight}`)
+    );
+  }
+
+  async handleHotelSelection(choice, travelState) {
+    const hotel = this.findChosenHotel(choice, travelState);
+
+    if (!hotel) {
+      return this.formatResponse(
+        "Which hotel would you like? Pick one of the options above.",
+        [{ type: 'hotel_selection', hotels: travelState.hotels || [] }],
+        (travelState.hotels || []).slice(0, 3).map(h => `${h.name} - ₹${h.pricePerNight}`)
+      );
+    }
+
+    travelState.selectedHotel = hotel;
+    travelState.hotels = [];
+    travelState.stage = 'hotel_selected';
+
+    return this.formatResponse(
+      `✅ **${hotel.name}** (${hotel.area}, ${hotel.city}) added to your trip.\n\n🛏️ ${hotel.nights} night${hotel.nights > 1 ? 's' : ''} • ${hotel.rooms} room${hotel.rooms > 1 ? 's' : ''} • ₹${hotel.totalPrice}\n\nWant me to plan your days in ${hotel.city}?`,
+      [{ type: 'hotel_selected', hotel }],
+      ["Plan an itinerary", "Cab from the airport", "Change hotel"],
+      { hotelId: hotel.id }
+    );
+  }
+
+  async handleItinerary(message, args, travelState) {
+    const flight = travelState.selectedFlight;
+    const hotel = travelState.selectedHotel;
+    const destination = args.destination || this.extractRoute(message).to || hotel?.city || flight?.to.city || travelState.trip.to;
+
+    if (!destination) {
+      return this.formatResponse(
+        "Where are you headed? I'll plan the days for you.",
+        [{ type: 'location_input', field: 'destination' }],
+        ["Goa", "Jaipur", "Kochi", "Delhi"]
+      );
+    }
+
+    const days = args.days || this.extractNights(message) || (hotel ? hotel.nights + 1 : 3);
+    const interests = args.interests || INTERESTS.filter(interest => message.toLowerCase().includes(interest));
+    const attractions = await this.inventory.getAttractions(destination, interests);
+
+    if (attractions.length === 0) {
+      return this.formatResponse(
+        `I don't have sightseeing ideas for ${destination} yet. I currently cover ${this.coveredCities()}.`,
+        [],
+        ["Search flights", "Search hotels"]
+      );
+    }
+
+    const plan = [];
+    let next = 0;
+    for (let day = 1; day <= days; day++) {
+      const activities = [];
+
+      if (day === 1 && flight) {
+        activities.push(`Land at ${flight.to.airport} at ${flight.arrival}`);
+      }
+      if (day === 1 && hotel) {
+        activities.push(`Check in at ${hotel.name}, ${hotel.area}`);
+      }
+
+      // Nothing more on an evening arrival; arrival and departure days get one outing
+      const lateArrival = day === 1 && flight && flight.arrival >= '18:00';
+      const outings = lateArrival ? 0 : day === 1 || (day === days && days > 1) ? 1 : 2;
+      for (let i = 0; i < outings && next < attractions.length; i++) {
+        activities.push(attractions[next++].name);
+      }
+
+      if (day === days && days > 1) {
+        activities.push(hotel ? `Check out of ${hotel.name}` : 'Pack up and head home');
+      }
+
+      plan.push({ day, activities });
+    }
+
+    travelState.itinerary = { destination: this.inventory.findCity(destination)?.name || destination, days, interests, plan };
+    travelState.stage = 'itinerary_ready';
+
+    const planText = plan.map(day =>
+      `**Day ${day.day}**\n${day.activities.map(activity => `• ${activity}`).join('\n')}`
+    ).join('\n\n');
+
+    return this.formatResponse(
+      `🗺️ **${days}-day plan for ${travelState.itinerary.destination}**${interests.length ? ` (${interests.join(', ')})` : ''}\n\n${planText}`,
+      [{ type: 'itinerary', itinerary: travelState.itinerary, flight, hotel }],
+      flight ? ["Cab to the airport", "Cab from the airport", "Change hotel"] : ["Search flights", "Search hotels"]
+    );
+  }
+
+  // Transfers are booked by RideNow - hand the trip details over so it can offer rides right away
+  async handleAirportTransfer(message, args, travelState, userProfile) {
+    const flight = travelState.selectedFlight;
+
+    if (!flight) {
+      return this.formatResponse(
+        "Which flight is the transfer for? Let's pick your flight first.",
+        [],
+        ["Search flights"]
+      );
+    }
+
+    const direction = args.direction || (/\bfrom\s+(the\s+)?airport\b/i.test(message) ? 'from_airport' : 'to_airport');
+    // Home is only a sensible pickup when the flight leaves from the user's city
+    const home = userProfile?.getDefaultAddress?.();
+    const homeCity = home && this.inventory.findCity(home.city);
+    const hotel = travelState.selectedHotel;
+
+    const pickup = direction === 'to_airport'
+      ? (homeCity?.code === flight.from.code ? this.toPlace(home) : null)
+      : { name: flight.to.airport, city: flight.to.city };
+    const destination = direction === 'to_airport'
+      ? { name: flight.from.airport, city: flight.from.city }
+      : hotel ? { name: `${hotel.name}, ${hotel.area}`, city: hotel.city } : { name: flight.to.city, city: flight.to.city };
+
+    const reason = direction === 'to_airport'
+      ? `Cab to ${flight.from.airport} for ${flight.flightNumber}`
+      : `Cab from ${flight.to.airport} after ${flight.flightNumber}`;
+
+    return {
+      ...this.formatResponse(
+        `🚕 Handing you over to RideNow AI for your ${direction === 'to_airport' ? 'ride to the airport' : 'ride from the airport'}.`,
+        [{ type: 'airport_transfer', direction, flightId: flight.id }],
+        []
+      ),
+      ...this.createHandoff('ridenow', reason, {
+        entities: {
+          pickup,
+          destination,
+          time: this.transferTime(flight, direction)
+        },
+        data: {
+          flight: { flightNumber: flight.flightNumber, departure: flight.departure, arrival: flight.arrival }
+        }
+      }, true)
+    };
+  }
+
+  async handleGeneralTravelQuery(message, userProfile) {
+    const travelPrefs = userProfile?.preferences?.travel || {};
+    const frequent = travelPrefs.frequentDestinations || [];
+
+    const response = await this.generateResponse(
+      `You are TravelBuddy AI, a helpful assistant for flights, hotels and trip planning in India.
+       The user asked: "${message}"
+       ${frequent.length ? `They often travel to: ${frequent.join(', ')}.` : ''}
+       Provide a helpful, concise travel response.`,
+      { message },
+      200
+    );
+
+    return this.formatResponse(
+      response,
+      [],
+      ["Search flights", "Find hotels", "Plan an itinerary", ...frequent.slice(0, 1).map(city => `Trip to ${city}`)]
+    );
+  }
+
+  // "from Delhi to Goa", "Goa from Delhi", "Delhi to Goa" or just "Goa"
+  extractRoute(message) {
+    const mentions = this.inventory.findCitiesIn(message);
+    const route = { from: null, to: null };
+
+    for (const { city, index } of mentions) {
+      const before = message.slice(0, index).toLowerCase();
+      if (/\bfrom\s+$/.test(before)) route.from = city.name;
+      else if (/\b(to|in|for|at)\s+$/.test(before)) route.to = city.name;
+    }
+
+    const unassigned = mentions.map(m => m.city.name).filter(name => name !== route.from && name !== route.to);
+    if (!route.from && !route.to && unassigned.length >= 2) {
+      [route.from, route.to] = unassigned;
+    } else if (!route.to && unassigned.length > 0) {
+      route.to = unassigned[0];
+    } else if (!route.from && unassigned.length > 0) {
+      route.from = unassigned[0];
+    }
+
+    return route;
+  }
+
+  extractTravelDate(message) {
+    const datePatterns = [
+      /\b\d{4}-\d{2}-\d{2}\b/i,
+      /\b\d{1,2}(?:st|nd|rd|th)?\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\b/i,
+      /\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\s+\d{1,2}(?:st|nd|rd|th)?\b/i,
+      /\b(?:this|next)\s+(?:week(?:end)?|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i,
+      /\b(?:today|tomorrow|day after tomorrow)\b/i
+    ];
+
+    for (const pattern of datePatterns) {
+      const match = message.match(pattern);
+      if (match) return match[0];
+    }
+    return null;
+  }
+
+  extractPassengers(message) {
+    const match = message.match(/\b(\d+)\s*(?:passengers?|people|persons?|adults?|travell?ers?|guests?|of us)\b/i);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  extractNights(message) {
+    const match = message.match(/\b(\d+)[\s-]*(?:nights?|days?)\b/i);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  extractTravelClass(message) {
+    const match = message.match(/\b(economy|business|first)(?:\s+class)?\b/i);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  // Match a reply like "2", "6E 512", "IndiGo" or "cheapest" against the flights we offered
+  findChosenFlight(message, travelState) {
+    const options = travelState.flights || [];
+    const text = message.trim().toLowerCase();
+
+    const index = parseInt(text.match(/^(?:option\s*)?(\d+)\.?$/)?.[1]) - 1;
+    if (options[index]) return options[index];
+
+    if (/\bcheapest\b/.test(text) && options.length) {
+      return options.reduce((a, b) => (b.totalFare < a.totalFare ? b : a));
+    }
+    if (/\b(earliest|first flight)\b/.test(text) && options.length) {
+      return options.reduce((a, b) => (b.departure < a.departure ? b : a));
+    }
+
+    const compact = text.replace(/\s+/g, '');
+    return options.find(f => compact.includes(f.id.toLowerCase())) ||
+      options.find(f => text.includes(f.airline.toLowerCase())) ||
+      null;
+  }
+
+  // Match a reply like "1" or "Goa Residency" against the hotels we offered
+  findChosenHotel(message, travelState) {
+    const options = travelState.hotels || [];
+    const text = message.trim().toLowerCase();
+
+    const index = parseInt(text.match(/^(?:option\s*)?(\d+)\.?$/)?.[1]) - 1;
+    if (options[index]) return options[index];
+
+    if (/\bcheapest\b/.test(text) && options.length) {
+      return options.reduce((a, b) => (b.pricePerNight < a.pricePerNight ? b : a));
+    }
+
+    return options.find(h => text.includes(h.name.toLowerCase())) ||
+      options.find(h => text.includes(h.name.toLowerCase().replace(`${h.city.toLowerCase()} `, ''))) ||
+      null;
+  }
+
+  toPlace(address) {
+    return {
+      name: address.label || address.street,
+      street: address.street,
+      city: address.city,
+      coordinates: address.coordinates?.latitude !== undefined
+        ? { latitude: address.coordinates.latitude, longitude: address.coordinates.longitude }
+        : undefined
+    };
+  }
+
+  coveredCities() {
+    return this.inventory.listCities().join(', ');
+  }
+
+  // Pickup time for a transfer: AIRPORT_LEAD_MINUTES before departure, or at arrival.
+  // Worked out on a Date so an early pickup, or a late flight landing after midnight,
+  // moves the day as well: "2024-12-20 06:00" leaves at "2024-12-20 03:30".
+  transferTime(flight, direction) {
+    const offset = direction === 'to_airport' ? -AIRPORT_LEAD_MINUTES : flight.durationMinutes;
+    const day = this.parseTravelDate(flight.date);
+    const base = day || this.parseTravelDate('today');
+    const [hours, minutes] = flight.departure.split(':').map(Number);
+    const pickup = new Date(base.getFullYear(), base.getMonth(), base.getDate(), hours, minutes + offset);
+    const time = `${String(pickup.getHours()).padStart(2, '0')}:${String(pickup.getMinutes()).padStart(2, '0')}`;
+
+    if (day) {
+      const date = [pickup.getFullYear(), pickup.getMonth() + 1, pickup.getDate()]
+        .map(part => String(part).padStart(2, '0'))
+        .join('-');
+      return `${date} ${time}`;
+    }
+
+    // A date like "next week" has no day to move, so say which side of it the pickup falls
+    const dayShift = Math.round((new Date(pickup).setHours(0, 0, 0, 0) - base) / 86400000);
+    if (dayShift === 0) return [flight.date, time].filter(Boolean).join(' ');
+    return `${time} the day ${dayShift < 0 ? 'before' : 'after'} ${flight.date || 'departure'}`;
+  }
+
+  // Local midnight of a date as extractTravelDate finds it ("2024-12-20", "20 Dec",
+  // "tomorrow", "next Friday"), or null for vaguer ones like "next week"
+  parseTravelDate(text, now = new Date()) {
+    if (!text) return null;
+    const value = text.trim().toLowerCase();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const daysFromToday = (days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+
+    if (value === 'today') return today;
+    if (value === 'tomorrow') return daysFromToday(1);
+    if (value === 'day after tomorrow') return daysFromToday(2);
+
+    const month = MONTHS.findIndex(name => new RegExp(`\\b${name}`).test(value));
+    const dayOfMonth = value.match(/\b(\d{1,2})(?:st|nd|rd|th)?\b/);
+    if (month !== -1 && dayOfMonth) {
+      // Dates without a year are the next time that day comes round
+      const date = new Date(today.getFullYear(), month, Number(dayOfMonth[1]));
+      if (date < today) date.setFullYear(date.getFullYear() + 1);
+      return date;
+    }
+
+    const weekday = value.match(/^(this|next)\s+(\w+)$/);
+    const weekdayIndex = weekday ? WEEKDAYS.indexOf(weekday[2]) : -1;
+    if (weekdayIndex !== -1) {
+      // "this Friday" can be today, "next Friday" is the first one after it
+      const ahead = (weekdayIndex - today.getDay() + 7) % 7;
+      return daysFromToday(ahead === 0 && weekday[1] === 'next' ? 7 : ahead);
+    }
+
+    return null;
+  }
+
+  formatDuration(minutes) {
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
+  async generateSuggestions(context, conversationContext) {
+    const stage = context.stage || 'initial';
+
+    const suggestionMap = {
+      'initial': ["Search flights", "Find hotels", "Plan an itinerary"],
+      'flight_selection': ["Cheapest flight", "Earliest flight", "Change date"],
+      'flight_selected': ["Find hotels", "Cab to the airport", "Plan an itinerary"],
+      'hotel_selection': ["Cheapest hotel", "Change dates"],
+      'hotel_selected': ["Plan an itinerary", "Cab from the airport"],
+      'itinerary_ready': ["Cab to the airport", "Change hotel"]
+    };
+
+    return suggestionMap[stage] || suggestionMap['initial'];
+  }
+
+  async canHandle(message, context) {
+    if (this.matchesKeywords(message)) {
+      return true;
+    }
+
+    // Short replies to a pending flight/hotel choice stay with us
+    return this.hasPendingStep(message, context);
+  }
+}
+
+module.exports = TravelBuddyAgent;
@@ -1,34 +1,45 @@
-const OpenAI = require('openai');
-const { logger } = require('../utils/logger');
-const FoodieAgent = require('./FoodieAgent');
-const RideNowAgent = require('./RideNowAgent');
-const TravelBuddyAgent = require('./TravelBuddyAgent');
-const ShopSmartAgent = require('./ShopSmartAgent');
-const GrocerAgent = require('./GrocerAgent');
-const AskMeAgent = require('./AskMeAgent');
+const { logger, structuredLogger } = require('../utils/logger');
+const { createContextStore } = require('../services/contextStore');
+const { createLLMProvider } = require('../llm');
+const { createStream, runWithStream, currentStream } = require('../llm/streaming');
+const transcriptStore = require('../services/transcriptStore');
+const { createAgents, describeAgents } = require('./registry');
+const IntentRouter = require('./intentRouter');
+const { ConversationSummarizer } = require('./summarizer');
+const { runWithTurn } = require('./turnContext');
+const { createHandoffPayload, PREVIOUS_AGENT, MAX_HANDOFF_CHAIN } = require('./handoff');
+const { AppError } = require('../middleware/errorHandler');
+
+// "back to the previous agent", "return to the last agent"
+const RETURN_PATTERN = /^\s*(?:(?:please\s+)?(?:go|take me)\s+)?(?:back|return)\s+to\s+(?:the\s+)?(?:previous|last)\s+agent\b/i;
+
+// Local classifier confidence needed to route without asking the LLM (0-1; above 1 always asks)
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.55;
 
 class AgentManager {
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
+  // Dependencies can be injected, e.g. a ScriptedProvider and MemoryContextStore in tests
+  constructor({ llm = null, contextStore = null, transcript = null } = {}) {
+    this.llm = llm || createLLMProvider();
     
     this.agents = new Map();
-    this.conversationContext = new Map(); // userId -> context
+    this.contextStore = contextStore || createContextStore(); // userId -> context, expires after inactivity
+    this.transcript = transcript || transcriptStore; // persisted Conversation/Message history
+    this.activeGenerations = new Map(); // userId -> Set of { messageId, stream } being streamed
+    this.router = null; // local intent classifier, built from the enabled agents
+    this.summarizer = new ConversationSummarizer(this.llm); // rolling summary of long conversations
+    this.confidenceThreshold = parseFloat(process.env.ROUTER_CONFIDENCE_THRESHOLD ?? DEFAULT_CONFIDENCE_THRESHOLD);
     this.isInitialized = false;
   }
 
   async initialize() {
     try {
-      // Initialize all agents
-      this.agents.set('foodie', new FoodieAgent(this.openai));
-      this.agents.set('ridenow', new RideNowAgent(this.openai));
-      this.agents.set('travelbuddy', new TravelBuddyAgent(this.openai));
-      this.agents.set('shopsmart', new ShopSmartAgent(this.openai));
-      this.agents.set('grocer', new GrocerAgent(this.openai));
-      this.agents.set('askme', new AskMeAgent(this.openai));
+      await this.contextStore.connect();
+
+      // Initialize the agents enabled in the registry
+      this.agents = createAgents(this.llm);
+      this.router = new IntentRouter(this.getAgentDefinitions());
       
-      logger.info('All AI agents initialized successfully');
+      logger.info(`AI agents initialized: ${this.getAvailableAgents().join(', ')}`);
       this.isInitialized = true;
     } catch (error) {
       logger.error('Failed to initialize agents:', error);
@@ -36,83 +47,102 @@ class AgentManager {
     }
   }
 
-  async processMessage(userId, message, userProfile = null) {
+  // With agent, routing is skipped and the message goes straight to that agent.
+  // With onToken, generated text is streamed chunk by chunk and can be stopped with
+  // stopGeneration(); a stopped turn's response has stopped: true.
+  async processMessage(userId, message, userProfile = null, { messageId = null, onToken = null, agent = null } = {}) {
+    if (!onToken) {
+      return await this.handleMessage(userId, message, userProfile, { messageId, agent });
+    }
+
+    const stream = createStream(onToken);
+    const generation = { messageId, stream };
+
+    if (!this.activeGenerations.has(userId)) {
+      this.activeGenerations.set(userId, new Set());
+    }
+    this.activeGenerations.get(userId).add(generation);
+
+    try {
+      const response = await runWithStream(stream, () => this.handleMessage(userId, message, userProfile, { messageId, agent }));
+      return {
+        ...response,
+        stopped: stream.signal.aborted
+      };
+    } finally {
+      const generations = this.activeGenerations.get(userId);
+      generations.delete(generation);
+      if (generations.size === 0) {
+        this.activeGenerations.delete(userId);
+      }
+    }
+  }
+
+  // Stop the user's in-flight generation (a specific message, or all of them)
+  stopGeneration(userId, messageId = null) {
+    const generations = this.activeGenerations.get(userId);
+    if (!generations) return false;
+
+    let stopped = false;
+    for (const generation of generations) {
+      if (!messageId || generation.messageId === messageId) {
+        generation.stream.abort();
+        stopped = true;
+      }
+    }
+
+    if (stopped) {
+      logger.info(`Stopped generation for user ${userId}${messageId ? ` (message ${messageId})` : ''}`);
+    }
+    return stopped;
+  }
+
+  async handleMessage(userId, message, userProfile = null, { messageId = null, agent: requestedAgent = null } = {}) {
     try {
       if (!this.isInitialized) {
         await this.initialize();
       }
 
-      // Get or create conversation context
-      let context = this.conversationContext.get(userId) || {
-        currentAgent: null,
-        history: [],
-        handoffRequested: false,
-        lastActivity: Date.now()
-      };
+      // Serialize messages per user so concurrent requests don't clobber the context
+      return await this.contextStore.withLock(userId, async () => {
+        // Get or create conversation context
+        const context = await this.contextStore.get(userId) || this.createContext(userId);
 
-      // Update context
-      context.lastActivity = Date.now();
-      context.history.push({
-        type: 'user',
-        content: message,
-        timestamp: Date.now()
-      });
+        // Update context
+        context.lastActivity = Date.now();
+        context.history.push({
+          type: 'user',
+          content: message,
+          timestamp: Date.now()
+        });
 
-      // Determine which agent should handle this message
-      const agentType = await this.determineAgent(message, context, userProfile);
-      
-      // Switch agent if needed
-      if (context.currentAgent !== agentType) {
-        if (context.currentAgent) {
-          logger.info(`Switching from ${context.currentAgent} to ${agentType} for user ${userId}`);
-        }
-        context.currentAgent = agentType;
-      }
+        const userEntry = { role: 'user', content: message, messageId };
 
-      // Get the appropriate agent
-      const agent = this.agents.get(agentType);
-      if (!agent) {
-        throw new Error(`Agent ${agentType} not found`);
-      }
+        // "Back to the previous agent" undoes the last handoff
+        if (!requestedAgent && RETURN_PATTERN.test(message) && context.handoffChain?.length > 0) {
+          const result = await this.returnToPreviousAgent(context);
 
-      // Process the message with the selected agent
-      const response = await agent.processMessage(message, context, userProfile);
-      
-      // Update context with response
-      context.history.push({
-        type: 'agent',
-        agent: agentType,
-        content: response.message,
-        timestamp: Date.now(),
-        metadata: response.metadata || {}
-      });
+          await this.finishTurn(context, [userEntry, this.toHandoffEntry(result, {}, messageId)]);
+          return { ...result, conversationId: context.conversationId };
+        }
+
+        // Compound requests ("book a cab and order me a sandwich") run as ordered sub-tasks
+        const tasks = requestedAgent ? null : this.splitTasks(message, context);
+        if (tasks) {
+          const { response, entries } = await this.runTasks(tasks, context, userProfile, messageId);
 
-      // Handle agent handoffs
-      if (response.handoff) {
-        context.handoffRequested = true;
-        context.handoffTarget = response.handoff.targetAgent;
-        context.handoffReason = response.handoff.reason;
-        
-        // Process handoff immediately if auto-handoff is enabled
-        if (response.handoff.autoHandoff) {
-          return await this.processHandoff(userId, response.handoff.targetAgent, response.handoff.context);
+          await this.finishTurn(context, [userEntry, ...entries]);
+          return { ...response, conversationId: context.conversationId };
         }
-      }
 
-      // Save updated context
-      this.conversationContext.set(userId, context);
+        // Determine which agent should handle this message
+        const agentType = requestedAgent || await this.determineAgent(message, context, userProfile);
+        const { response, entries } = await this.runAgentTurn(context, agentType, message, userProfile, messageId);
 
-      // Clean up old contexts (older than 24 hours)
-      this.cleanupOldContexts();
+        await this.finishTurn(context, [userEntry, ...entries]);
 
-      return {
-        agent: agentType,
-        message: response.message,
-        actions: response.actions || [],
-        suggestions: response.suggestions || [],
-        handoff: response.handoff || null,
-        metadata: response.metadata || {}
-      };
+        return { ...response, conversationId: context.conversationId };
+      });
 
     } catch (error) {
       logger.error('Error processing message:', error);
@@ -133,161 +163,513 @@ class AgentManager {
     }
   }
 
+  // Let one agent handle a message: switch the context to it, run it, apply any handoff.
+  // Returns the response and its transcript entries; the caller holds the lock and saves.
+  async runAgentTurn(context, agentType, message, userProfile, messageId = null) {
+    // Switch agent if needed
+    if (context.currentAgent !== agentType) {
+      if (context.currentAgent) {
+        logger.info(`Switching from ${context.currentAgent} to ${agentType} for user ${context.userId}`);
+      }
+      context.currentAgent = agentType;
+    }
+
+    // Get the appropriate agent
+    const agent = this.agents.get(agentType);
+    if (!agent) {
+      throw new Error(`Agent ${agentType} not found`);
+    }
+
+    // Process the message with the selected agent
+    const response = await runWithTurn({ summary: context.summary }, () => agent.processMessage(message, context, userProfile));
+    
+    // Update context with response
+    context.history.push({
+      type: 'agent',
+      agent: agentType,
+      content: response.message,
+      timestamp: Date.now(),
+      metadata: response.metadata || {}
+    });
+
+    const entries = [
+      {
+        role: 'agent',
+        agent: agentType,
+        content: response.message,
+        actions: response.actions || [],
+        suggestions: response.suggestions || [],
+        metadata: response.metadata || {},
+        messageId
+      }
+    ];
+
+    // Agents may only hand off to targets declared in their definition that are enabled
+    if (response.handoff && !this.canHandoff(agentType, response.handoff.targetAgent)) {
+      logger.warn(`Dropping handoff from ${agentType} to undeclared or disabled agent ${response.handoff.targetAgent}`);
+      response.handoff = null;
+    }
+
+    // Handle agent handoffs
+    if (response.handoff) {
+      context.handoffRequested = true;
+      context.handoffTarget = response.handoff.targetAgent;
+      context.handoffReason = response.handoff.reason;
+      
+      // Process handoff immediately if auto-handoff is enabled
+      if (response.handoff.autoHandoff) {
+        const handoffResult = await this.runHandoff(context, response.handoff.targetAgent, response.handoff.context);
+        entries.push(this.toHandoffEntry(handoffResult, response.handoff.context, messageId));
+        return { response: handoffResult, entries };
+      }
+    }
+
+    return {
+      response: {
+        agent: agentType,
+        message: response.message,
+        actions: response.actions || [],
+        suggestions: response.suggestions || [],
+        handoff: response.handoff || null,
+        metadata: response.metadata || {},
+        ...(response.error && { error: true })
+      },
+      entries
+    };
+  }
+
+  // Sub-tasks of a compound message, or null for a single request. A reply to a step
+  // the current agent is waiting on ("2", "yes, confirm") is never split.
+  splitTasks(message, context) {
+    const currentAgent = context.currentAgent && this.agents.get(context.currentAgent);
+    if (currentAgent?.hasPendingStep(message, context)) {
+      return null;
+    }
+
+    const tasks = this.router.split(message, this.confidenceThreshold);
+    if (tasks) {
+      structuredLogger.routing(context.userId, tasks.map(task => task.agent).join(','), {
+        method: 'split',
+        previousAgent: context.currentAgent,
+        tasks: tasks.map(({ step, agent, confidence, dependsOn }) => ({ step, agent, confidence, dependsOn })),
+        threshold: this.confidenceThreshold
+      });
+    }
+    return tasks;
+  }
+
+  // Run the sub-tasks in order and combine them into one response whose actions are
+  // grouped per task. A task waits for the tasks it depends on and is skipped if one
+  // of them failed - no sandwich for a ride that couldn't be booked.
+  async runTasks(tasks, context, userProfile, messageId = null) {
+    const stream = currentStream();
+    const results = [];
+    const entries = [];
+
+    for (const task of tasks) {
+      const blocker = task.dependsOn.find(step => results[step].status !== 'completed');
+
+      if (blocker !== undefined || stream?.signal.aborted) {
+        results.push({
+          ...task,
+          status: 'skipped',
+          message: blocker !== undefined
+            ? `I held off on "${task.text}" because "${tasks[blocker].text}" didn't go through.`
+            : `I stopped before "${task.text}".`,
+          actions: [],
+          suggestions: []
+        });
+        continue;
+      }
+
+      const turn = await this.runAgentTurn(context, task.agent, task.text, userProfile, messageId);
+      entries.push(...turn.entries);
+      results.push({
+        ...task,
+        agent: turn.response.agent, // the handoff target when the task was handed off
+        status: turn.response.error ? 'failed' : 'completed',
+        message: turn.response.message,
+        actions: turn.response.actions,
+        suggestions: turn.response.suggestions
+      });
+    }
+
+    const message = results
+      .map(result => `**${result.step + 1}. ${this.agents.get(result.agent).agentName}**\n${result.message}`)
+      .join('\n\n');
+
+    return {
+      response: {
+        agent: context.currentAgent,
+        message,
+        actions: results.map(result => ({
+          type: 'task_group',
+          step: result.step,
+          agent: result.agent,
+          request: result.text,
+          status: result.status,
+          actions: result.actions
+        })),
+        suggestions: [...new Set(results.flatMap(result => result.suggestions))].slice(0, 5),
+        handoff: null,
+        metadata: {
+          compound: true,
+          tasks: results.map(({ step, agent, text, dependsOn, status }) => ({ step, agent, request: text, dependsOn, status }))
+        }
+      },
+      entries
+    };
+  }
+
+  // Tiered routing: stay with the current agent while it can handle the message, else take the
+  // local classifier's pick when it is confident, and only ask the LLM when it isn't
   async determineAgent(message, context, userProfile) {
+    const classification = this.router.classify(message);
+    const { agent, method } = await this.routeMessage(message, context, userProfile, classification);
+
+    structuredLogger.routing(context.userId, agent, {
+      method,
+      previousAgent: context.currentAgent,
+      localAgent: classification.agent,
+      confidence: classification.confidence,
+      threshold: this.confidenceThreshold,
+      scores: classification.scores
+    });
+
+    return agent;
+  }
+
+  // Returns { agent, method } where method is current, local, llm or fallback
+  async routeMessage(message, context, userProfile, classification) {
+    const confident = !!classification.agent && classification.confidence >= this.confidenceThreshold;
+
     try {
-      // If there's a current agent and no handoff requested, continue with it
+      // If there's a current agent and no handoff requested, continue with it - unless it only
+      // matched on a shared word ("book", "travel") and the classifier clearly prefers another
+      // agent. It still keeps the message when one of its tools covers what the classifier matched.
       if (context.currentAgent && !context.handoffRequested) {
         const currentAgent = this.agents.get(context.currentAgent);
-        if (currentAgent && await currentAgent.canHandle(message, context)) {
-          return context.currentAgent;
+        const switching = confident && classification.agent !== context.currentAgent;
+
+        if (currentAgent && (currentAgent.hasPendingStep(message, context) ||
+            (await currentAgent.canHandle(message, context) && (!switching ||
+              this.router.toolFor(currentAgent.getTools(), classification.matched[classification.agent]))))) {
+          return { agent: context.currentAgent, method: 'current' };
         }
       }
 
-      // Use OpenAI to classify the intent
+      if (confident) {
+        return { agent: classification.agent, method: 'local' };
+      }
+
+      // Use the LLM to classify the intent
       const systemPrompt = `You are an intent classifier for a super app with multiple AI agents. 
       Analyze the user's message and determine which agent should handle it.
 
       Available agents:
-      - foodie: Food ordering, restaurant recommendations, dining
-      - ridenow: Cab/taxi booking, ride sharing, transportation
-      - travelbuddy: Flight/hotel booking, travel planning, itineraries
-      - shopsmart: Online shopping, product recommendations, fashion
-      - grocer: Grocery shopping, household items
-      - askme: General questions, chat, anything not fitting other categories
+${describeAgents(this.getAgentDefinitions())}
 
       Consider the conversation context and user profile for better accuracy.
       
       Respond with only the agent name (lowercase).`;
 
-      const contextInfo = context.history.length > 0 
+      const recentInfo = context.history.length > 0 
         ? `Recent conversation: ${context.history.slice(-3).map(h => `${h.type}: ${h.content}`).join('\n')}`
         : 'No previous context';
+      const contextInfo = context.summary
+        ? `Conversation so far: ${context.summary}\n\n${recentInfo}`
+        : recentInfo;
 
       const userInfo = userProfile 
         ? `User preferences: ${JSON.stringify(userProfile.preferences || {})}`
         : 'No user profile available';
 
-      const response = await this.openai.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'gpt-4',
+      const candidates = Object.entries(classification.scores)
+        .map(([key, score]) => `${key} (${score})`)
+        .join(', ');
+      const classifierInfo = candidates
+        ? `Keyword classifier scores (low confidence): ${candidates}`
+        : 'Keyword classifier found no match';
+
+      const content = await this.llm.complete({
         messages: [
           { role: 'system', content: systemPrompt },
-          { role: 'user', content: `Message: "${message}"\n\n${contextInfo}\n\n${userInfo}` }
+          { role: 'user', content: `Message: "${message}"\n\n${contextInfo}\n\n${userInfo}\n\n${classifierInfo}` }
         ],
-        max_tokens: 50,
-        temperature: 0.1
+        maxTokens: 50,
+        temperature: 0.1,
+        purpose: 'routing',
+        input: message
       });
 
-      const agentType = response.choices[0].message.content.trim().toLowerCase();
+      const agentType = content.trim().toLowerCase();
       
       // Validate agent exists
       if (!this.agents.has(agentType)) {
         logger.warn(`Unknown agent type: ${agentType}, defaulting to askme`);
-        return 'askme';
+        return { agent: 'askme', method: 'fallback' };
       }
 
-      return agentType;
+      return { agent: agentType, method: 'llm' };
     } catch (error) {
       logger.error('Error determining agent:', error);
-      return 'askme'; // Default fallback
+      return { agent: 'askme', method: 'fallback' }; // Default fallback
     }
   }
 
-  async processHandoff(userId, targetAgent, handoffContext = {}) {
+  createContext(userId) {
+    return {
+      userId,
+      conversationId: null, // persisted Conversation, created with the first turn
+      currentAgent: null,
+      history: [], // recent turns; older ones are folded into summary
+      summary: null,
+      agentState: {}, // agent key -> flow state (cart, ride draft, ...)
+      handoffRequested: false,
+      handoffChain: [], // agents handed off from, oldest first, for "back to the previous agent"
+      lastActivity: Date.now()
+    };
+  }
+
+  // Hand the user's conversation to targetAgent, or back one step with PREVIOUS_AGENT.
+  // payload is a handoff payload (see ./handoff); fromAgent defaults to the current agent.
+  async processHandoff(userId, targetAgent, payload = {}) {
     try {
-      const context = this.conversationContext.get(userId);
-      if (!context) {
-        throw new Error('No conversation context found for handoff');
+      if (!this.isInitialized) {
+        await this.initialize();
       }
 
-      // Clear handoff flags
-      context.handoffRequested = false;
-      context.handoffTarget = null;
-      context.handoffReason = null;
+      return await this.contextStore.withLock(userId, async () => {
+        const context = await this.contextStore.get(userId) || this.createContext(userId);
 
-      // Switch to target agent
-      context.currentAgent = targetAgent;
+        const result = targetAgent === PREVIOUS_AGENT
+          ? await this.returnToPreviousAgent(context)
+          : await this.runHandoff(context, targetAgent, createHandoffPayload({
+            ...payload,
+            fromAgent: payload.fromAgent || context.currentAgent,
+            toAgent: targetAgent
+          }));
 
-      // Add handoff context to conversation
-      context.handoffContext = handoffContext;
+        await this.finishTurn(context, [this.toHandoffEntry(result)]);
 
-      const agent = this.agents.get(targetAgent);
-      if (!agent) {
-        throw new Error(`Target agent ${targetAgent} not found`);
-      }
-
-      // Process handoff with target agent
-      const response = await agent.handleHandoff(handoffContext, context);
-
-      // Update context
-      context.history.push({
-        type: 'handoff',
-        fromAgent: handoffContext.fromAgent || 'unknown',
-        toAgent: targetAgent,
-        content: response.message,
-        timestamp: Date.now(),
-        metadata: response.metadata || {}
+        return { ...result, conversationId: context.conversationId };
       });
-
-      this.conversationContext.set(userId, context);
-
-      return {
-        agent: targetAgent,
-        message: response.message,
-        actions: response.actions || [],
-        suggestions: response.suggestions || [],
-        handoff: true,
-        metadata: response.metadata || {}
-      };
     } catch (error) {
       logger.error('Error processing handoff:', error);
       throw error;
     }
   }
 
-  getUserContext(userId) {
-    return this.conversationContext.get(userId) || null;
+  // Switch the context to the target agent; the caller holds the lock and saves the context
+  async runHandoff(context, targetAgent, handoffContext = {}) {
+    const agent = this.agents.get(targetAgent);
+    if (!agent) {
+      throw new AppError(`Target agent ${targetAgent} not found`, 404);
+    }
+
+    const fromAgent = handoffContext.fromAgent || context.currentAgent || null;
+
+    // Track the chain of agents so the user can go back. Handing to an agent already
+    // in the chain (A -> B -> A) unwinds it instead of growing a loop.
+    const chain = context.handoffChain || [];
+    if (!handoffContext.returning) {
+      const earlier = chain.indexOf(targetAgent);
+      if (earlier !== -1) {
+        chain.splice(earlier);
+      } else if (fromAgent && fromAgent !== targetAgent && this.agents.has(fromAgent)) {
+        chain.push(fromAgent);
+        chain.splice(0, Math.max(0, chain.length - MAX_HANDOFF_CHAIN));
+      }
+    }
+    context.handoffChain = chain;
+
+    // Clear handoff flags
+    context.handoffRequested = false;
+    context.handoffTarget = null;
+    context.handoffReason = null;
+
+    // Switch to target agent
+    context.currentAgent = targetAgent;
+    context.lastActivity = Date.now();
+
+    // Add handoff context to conversation
+    context.handoffContext = handoffContext;
+
+    // Process handoff with target agent
+    const response = await runWithTurn({ summary: context.summary }, () => (handoffContext.returning
+      ? agent.handleReturn(handoffContext, context)
+      : agent.handleHandoff(handoffContext, context)));
+
+    // Update context
+    context.history.push({
+      type: 'handoff',
+      fromAgent: fromAgent || 'unknown',
+      toAgent: targetAgent,
+      content: response.message,
+      timestamp: Date.now(),
+      metadata: response.metadata || {}
+    });
+
+    structuredLogger.handoff(fromAgent, targetAgent, context.userId, handoffContext.reason, {
+      returning: !!handoffContext.returning,
+      entities: Object.keys(handoffContext.entities || {}),
+      chain: [...chain, targetAgent]
+    });
+
+    return {
+      agent: targetAgent,
+      fromAgent,
+      message: response.message,
+      actions: response.actions || [],
+      suggestions: response.suggestions || [],
+      handoff: true,
+      handoffChain: [...chain],
+      metadata: response.metadata || {}
+    };
+  }
+
+  // Go back to the agent before the last handoff; the caller holds the lock and saves
+  async returnToPreviousAgent(context) {
+    const chain = context.handoffChain || [];
+
+    // Skip agents that have been disabled since
+    let previousAgent = chain.pop();
+    while (previousAgent && !this.agents.has(previousAgent)) {
+      previousAgent = chain.pop();
+    }
+
+    if (!previousAgent) {
+      throw new AppError('There is no previous agent to return to', 409);
+    }
+
+    return await this.runHandoff(context, previousAgent, createHandoffPayload({
+      fromAgent: context.currentAgent,
+      toAgent: previousAgent,
+      reason: 'Returning to previous agent',
+      returning: true
+    }));
   }
 
-  clearUserContext(userId) {
-    this.conversationContext.delete(userId);
+  toHandoffEntry(result, handoffContext = {}, messageId = null) {
+    return {
+      role: 'handoff',
+      agent: result.agent,
+      fromAgent: result.fromAgent || handoffContext.fromAgent || 'unknown',
+      content: result.message,
+      actions: result.actions,
+      suggestions: result.suggestions,
+      metadata: result.metadata,
+      messageId
+    };
   }
 
-  cleanupOldContexts() {
-    const cutoffTime = Date.now() - (24 * 60 * 60 * 1000); // 24 hours
-    
-    for (const [userId, context] of this.conversationContext.entries()) {
-      if (context.lastActivity < cutoffTime) {
-        this.conversationContext.delete(userId);
-        logger.info(`Cleaned up old context for user ${userId}`);
+  // Persist the turn, fold old turns into the summary when over budget, and save the
+  // context (which refreshes its expiry). The caller holds the lock.
+  async finishTurn(context, entries) {
+    await this.recordTranscript(context, entries);
+
+    const summary = await this.summarizer.summarize(context);
+    if (summary && context.conversationId) {
+      try {
+        await this.transcript.saveSummary(context.userId, context.conversationId, summary, context.summarizedTurns);
+      } catch (error) {
+        logger.error(`Failed to save conversation summary for user ${context.userId}:`, error);
       }
     }
+
+    await this.contextStore.set(context.userId, context);
+  }
+
+  // Persist the turn; a database hiccup shouldn't fail the chat, so errors are only logged
+  async recordTranscript(context, entries) {
+    try {
+      context.conversationId = await this.transcript.recordTurn(context.userId, context.conversationId, entries);
+    } catch (error) {
+      logger.error(`Failed to record transcript for user ${context.userId}:`, error);
+    }
+  }
+
+  async getUserContext(userId) {
+    return await this.contextStore.get(userId);
+  }
+
+  async getAgentState(userId, agentType = null) {
+    const context = await this.contextStore.get(userId);
+    const agentState = context?.agentState || {};
+    return agentType ? agentState[agentType] || null : agentState;
+  }
+
+  async clearAgentState(userId, agentType) {
+    await this.contextStore.withLock(userId, async () => {
+      const context = await this.contextStore.get(userId);
+      if (!context?.agentState?.[agentType]) return;
+
+      delete context.agentState[agentType];
+      await this.contextStore.set(userId, context);
+    });
+  }
+
+  async clearUserContext(userId) {
+    await this.contextStore.withLock(userId, () => this.contextStore.delete(userId));
   }
 
   getAvailableAgents() {
     return Array.from(this.agents.keys());
   }
 
+  // Registry definitions of the running agents
+  getAgentDefinitions() {
+    return Array.from(this.agents.values()).map(agent => agent.definition);
+  }
+
+  canHandoff(fromAgent, targetAgent) {
+    const source = this.agents.get(fromAgent);
+    return !!source && this.agents.has(targetAgent) &&
+      (source.definition.handoffTargets || []).includes(targetAgent);
+  }
+
   getAgentStatus() {
     const status = {};
     for (const [name, agent] of this.agents.entries()) {
       status[name] = {
         initialized: !!agent,
-        active: agent.isActive ? agent.isActive() : true
+        active: agent.isActive
       };
     }
     return status;
   }
+
+  // Status and tools of a single agent, or null if there is no such agent
+  getAgentInfo(agentType) {
+    const agent = this.agents.get(agentType);
+    if (!agent) return null;
+
+    return {
+      key: agentType,
+      ...agent.getStatus(),
+      description: agent.definition.summary,
+      examples: agent.definition.examples,
+      handoffTargets: (agent.definition.handoffTargets || []).filter(target => this.agents.has(target)),
+      tools: agent.getTools().map(tool => ({ name: tool.name, description: tool.description }))
+    };
+  }
 }
 
 // Singleton instance
 const agentManager = new AgentManager();
 
 module.exports = {
+  AgentManager,
   agentManager,
   initializeAgents: () => agentManager.initialize(),
-  processMessage: (userId, message, userProfile) => agentManager.processMessage(userId, message, userProfile),
+  processMessage: (userId, message, userProfile, options) => agentManager.processMessage(userId, message, userProfile, options),
+  stopGeneration: (userId, messageId) => agentManager.stopGeneration(userId, messageId),
+  processHandoff: (userId, targetAgent, payload) => agentManager.processHandoff(userId, targetAgent, payload),
   getUserContext: (userId) => agentManager.getUserContext(userId),
   clearUserContext: (userId) => agentManager.clearUserContext(userId),
+  getAgentState: (userId, agentType) => agentManager.getAgentState(userId, agentType),
+  clearAgentState: (userId, agentType) => agentManager.clearAgentState(userId, agentType),
   getAvailableAgents: () => agentManager.getAvailableAgents(),
-  getAgentStatus: () => agentManager.getAgentStatus()
+  getAgentStatus: () => agentManager.getAgentStatus(),
+  getAgentInfo: (agentType) => agentManager.getAgentInfo(agentType)
 };
\ No newline at end of file
@@ -0,0 +1,133 @@
+const { AppError } = require('../middleware/errorHandler');
+const { validateSchema } = require('../llm/schema');
+
+// Handoffs deeper than this forget their oldest agent
+const MAX_HANDOFF_CHAIN = 5;
+
+// processHandoff target that goes back one step in the chain
+const PREVIOUS_AGENT = 'previous';
+
+const PLACE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    address: { type: 'string' },
+    city: { type: 'string' },
+    pincode: { type: 'string' },
+    coordinates: {
+      type: 'object',
+      properties: {
+        latitude: { type: 'number', minimum: -90, maximum: 90 },
+        longitude: { type: 'number', minimum: -180, maximum: 180 }
+      }
+    }
+  }
+};
+
+// Entities one agent can pass to another. Agent-specific extras (a flight, a cart)
+// travel untyped in `data`.
+const ENTITIES_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    location: PLACE_SCHEMA,
+    pickup: PLACE_SCHEMA,
+    destination: PLACE_SCHEMA,
+    time: { type: 'string' }, // "2024-05-10 06:15", "tomorrow 9am"
+    budget: {
+      type: 'object',
+      properties: {
+        min: { type: 'number', minimum: 0 },
+        max: { type: 'number', minimum: 0 },
+        currency: { type: 'string' }
+      }
+    },
+    cuisine: { type: 'string' },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          quantity: { type: 'number', minimum: 0 }
+        }
+      }
+    },
+    partySize: { type: 'integer', minimum: 1 }
+  }
+};
+
+// Accept the loose shapes agents and clients naturally produce: "Indiranagar" for a
+// place, 500 for a budget, "milk" for an item
+const toPlace = (value) => (typeof value === 'string' ? { name: value } : value);
+
+const normalizeEntities = (entities = {}) => {
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(entities)) {
+    if (value === undefined || value === null || value === '') continue;
+
+    switch (key) {
+      case 'location':
+      case 'pickup':
+      case 'destination':
+        normalized[key] = toPlace(value);
+        break;
+      case 'time':
+        normalized[key] = value instanceof Date ? value.toISOString() : value;
+        break;
+      case 'budget':
+        if (typeof value === 'number') {
+          normalized[key] = { max: value, currency: 'INR' };
+        } else {
+          normalized[key] = value && typeof value === 'object' && !Array.isArray(value) ? { currency: 'INR', ...value } : value;
+        }
+        break;
+      case 'items':
+        normalized[key] = Array.isArray(value)
+          ? value.map(item => (typeof item === 'string' ? { name: item } : item))
+          : value;
+        break;
+      default:
+        normalized[key] = value;
+    }
+  }
+
+  return normalized;
+};
+
+// Build the payload a target agent receives in handleHandoff(payload, context):
+// { fromAgent, toAgent, reason, entities, data, returning, createdAt }.
+// Throws a 400 AppError when the entities don't match ENTITIES_SCHEMA.
+const createHandoffPayload = ({ fromAgent = null, toAgent, reason = null, entities = {}, data = {}, returning = false }) => {
+  if (!entities || typeof entities !== 'object' || Array.isArray(entities)) {
+    throw new AppError('Handoff entities must be an object', 400);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new AppError('Handoff data must be an object', 400);
+  }
+
+  const normalized = normalizeEntities(entities);
+  const errors = validateSchema(ENTITIES_SCHEMA, normalized, 'entities');
+  if (errors.length > 0) {
+    throw new AppError(`Invalid handoff entities: ${errors.join('; ')}`, 400);
+  }
+
+  return {
+    fromAgent,
+    toAgent,
+    reason,
+    entities: normalized,
+    data,
+    returning,
+    createdAt: Date.now()
+  };
+};
+
+module.exports = {
+  MAX_HANDOFF_CHAIN,
+  PREVIOUS_AGENT,
+  ENTITIES_SCHEMA,
+  createHandoffPayload
+};
@@ -0,0 +1,224 @@
+// Fast local intent classifier used before falling back to the LLM.
+//
+// Every agent definition (see ./registry) is turned into a sparse bag-of-words
+// vector: its keywords count double, its description, capabilities and example
+// commands count once, and each term is weighted by how few agents use it (IDF),
+// so "flight" says much more than "book", which both RideNow and TravelBuddy use.
+// A message scores against each agent by the dot product of the two vectors.
+
+const KEYWORD_WEIGHT = 2;
+const TEXT_WEIGHT = 1;
+
+// Pseudo-score added to the total so a single weak match doesn't look certain
+const EVIDENCE_PRIOR = 1;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'to', 'for', 'of', 'in', 'on', 'at', 'by', 'and', 'or', 'with', 'from',
+  'i', 'me', 'my', 'you', 'your', 'we', 'it', 'is', 'are', 'be', 'am', 'this', 'that',
+  'can', 'could', 'would', 'will', 'want', 'need', 'please', 'some', 'any', 'get', 'show',
+  'what', 'how', 'do', 'does', 'like', 'us', 'our', 'under', 'when'
+]);
+
+// Light stemming so "rides", "booking" and "groceries" meet "ride", "book" and "grocery"
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && /(ches|shes|xes)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+const tokenize = (text) => (text.toLowerCase().match(/[a-z][a-z'-]*/g) || [])
+  .filter(word => !STOP_WORDS.has(word))
+  .map(stem);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// "bookAirportTransfer" -> "book Airport Transfer"
+const splitName = (name) => name.replace(/([a-z])([A-Z])/g, '$1 $2');
+
+// Words that join separate requests. The "then" family also means the later request
+// waits for the earlier one; "A after B" and "A before B" are reordered into B-then-A / A-then-B.
+const CONNECTOR_PATTERN = /\s*(?:[,;]\s*)?\b(and then|then|after that|and also|also|and|plus)\b\s*|\s*;\s*/i;
+const SEQUENTIAL_CONNECTORS = ['and then', 'then', 'after that'];
+const ORDERING_PATTERN = /^(.+?)\s+\b(after|before)\b\s+(.+)$/i;
+
+class IntentRouter {
+  // definitions: registry entries of the agents that can be routed to
+  constructor(definitions = []) {
+    this.phrases = new Set(); // multi-word keywords, matched as a whole ("take me to")
+    this.vectors = new Map(); // agent key -> Map(term -> weight)
+
+    for (const definition of definitions) {
+      const weights = new Map();
+      const add = (term, weight) => weights.set(term, Math.max(weights.get(term) || 0, weight));
+
+      for (const keyword of definition.keywords || []) {
+        const phrase = keyword.toLowerCase();
+        if (phrase.includes(' ')) {
+          this.phrases.add(phrase);
+          add(`"${phrase}"`, KEYWORD_WEIGHT);
+        } else {
+          tokenize(phrase).forEach(term => add(term, KEYWORD_WEIGHT));
+        }
+      }
+
+      const text = [
+        definition.description,
+        definition.summary,
+        ...(definition.capabilities || []),
+        ...(definition.examples || [])
+      ].filter(Boolean).join(' ');
+      tokenize(text).forEach(term => add(term, TEXT_WEIGHT));
+
+      this.vectors.set(definition.key, weights);
+    }
+
+    // Inverse document frequency over agents
+    const documentFrequency = new Map();
+    for (const weights of this.vectors.values()) {
+      for (const term of weights.keys()) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const agentCount = this.vectors.size;
+    for (const weights of this.vectors.values()) {
+      for (const [term, weight] of weights) {
+        weights.set(term, weight * Math.log(1 + agentCount / documentFrequency.get(term)));
+      }
+    }
+  }
+
+  terms(message) {
+    const text = message.toLowerCase();
+    const terms = new Set(tokenize(text));
+    for (const phrase of this.phrases) {
+      if (text.includes(phrase)) terms.add(`"${phrase}"`);
+    }
+    return terms;
+  }
+
+  // Returns { agent, confidence, scores, matched } where scores are each agent's share
+  // of the evidence (0-1), confidence is the winner's share, and agent is null when
+  // nothing in the message matched any agent
+  classify(message) {
+    const terms = this.terms(message || '');
+    const raw = {};
+    const matched = {};
+    let total = 0;
+
+    for (const [key, weights] of this.vectors) {
+      let score = 0;
+      for (const term of terms) {
+        if (weights.has(term)) {
+          score += weights.get(term);
+          (matched[key] = matched[key] || []).push(term);
+        }
+      }
+      raw[key] = score;
+      total += score;
+    }
+
+    const ranked = Object.entries(raw)
+      .filter(([, score]) => score > 0)
+      .sort((a, b) => b[1] - a[1]);
+
+    const scores = {};
+    for (const [key, score] of ranked) {
+      scores[key] = round(score / (total + EVIDENCE_PRIOR));
+    }
+
+    if (ranked.length === 0) {
+      return { agent: null, confidence: 0, scores, matched };
+    }
+
+    const [agent] = ranked[0];
+    return { agent, confidence: scores[agent], scores, matched };
+  }
+
+  // The first of `tools` whose name and description mention every one of `terms` (as
+  // listed in classify's `matched`), or null. Lets the current agent keep a message the
+  // classifier gives to another agent when it has a tool for exactly that - TravelBuddy's
+  // bookAirportTransfer for "Cab to the airport".
+  toolFor(tools, terms = []) {
+    if (terms.length === 0) return null;
+
+    return tools.find(tool => {
+      const vocabulary = this.terms(`${splitName(tool.name)} ${tool.description || ''}`);
+      return terms.every(term => vocabulary.has(term));
+    }) || null;
+  }
+
+  // Split a compound message ("book a cab to the airport and order me a sandwich") into
+  // ordered sub-tasks, one per agent: [{ step, text, agent, confidence, dependsOn }].
+  // Connected parts that point at the same agent, or at none ("milk and eggs"), stay
+  // together. Returns null unless there are two or more parts and each is routed with
+  // at least `threshold` confidence.
+  split(message, threshold) {
+    const pieces = [];
+    const parts = (message || '').split(CONNECTOR_PATTERN);
+
+    // split() with a capture group interleaves the connectors: [text, connector, text, ...]
+    for (let i = 0; i < parts.length; i += 2) {
+      pieces.push(...this.orderClause(parts[i] || '', i > 0 ? (parts[i - 1] || ';').toLowerCase() : null));
+    }
+
+    const groups = [];
+    for (const piece of pieces) {
+      const text = piece.text.trim();
+      if (!text) continue;
+
+      const { agent } = this.classify(text);
+      const last = groups[groups.length - 1];
+
+      if (last && (!agent || !last.agent || agent === last.agent)) {
+        last.text = piece.connector === ';' ? `${last.text}; ${text}` : `${last.text} ${piece.connector} ${text}`;
+        last.agent = last.agent || agent;
+      } else {
+        groups.push({ text, agent, sequential: SEQUENTIAL_CONNECTORS.includes(piece.connector) });
+      }
+    }
+
+    if (groups.length < 2) return null;
+
+    const tasks = [];
+    for (const [step, group] of groups.entries()) {
+      const { agent, confidence, matched } = this.classify(group.text);
+      if (!agent || confidence < threshold) return null;
+
+      // "then" waits for the previous task; mentioning an earlier task's domain
+      // ("a sandwich for the ride") waits for that task
+      const dependsOn = tasks
+        .filter(earlier => (group.sequential && earlier.step === step - 1) || matched[earlier.agent])
+        .map(earlier => earlier.step);
+
+      tasks.push({ step, text: group.text, agent, confidence, dependsOn });
+    }
+
+    // Two parts that end up with the same agent are one request after all
+    if (new Set(tasks.map(task => task.agent)).size < 2) return null;
+
+    return tasks;
+  }
+
+  // "A after B" -> B then A; "A before B" -> A then B - when A and B are for different agents
+  orderClause(text, connector) {
+    const match = text.match(ORDERING_PATTERN);
+    if (match) {
+      const [, first, word, second] = match;
+      const firstAgent = this.classify(first).agent;
+      const secondAgent = this.classify(second).agent;
+
+      if (firstAgent && secondAgent && firstAgent !== secondAgent) {
+        return word.toLowerCase() === 'after'
+          ? [{ text: second, connector }, { text: first, connector: 'then' }]
+          : [{ text: first, connector }, { text: second, connector: 'then' }];
+      }
+    }
+
+    return [{ text, connector }];
+  }
+}
+
+module.exports = IntentRouter;
@@ -0,0 +1,97 @@
+const { logger } = require('../utils/logger');
+const FoodieAgent = require('./FoodieAgent');
+const RideNowAgent = require('./RideNowAgent');
+const TravelBuddyAgent = require('./TravelBuddyAgent');
+const ShopSmartAgent = require('./ShopSmartAgent');
+const GrocerAgent = require('./GrocerAgent');
+const AskMeAgent = require('./AskMeAgent');
+
+// Every agent the app ships with. Each class carries a static `definition`
+// (key, name, description, keywords, capabilities, handoff targets...) that routing,
+// discovery and validation are generated from - adding an agent means adding it here.
+const AGENT_CLASSES = [
+  FoodieAgent,
+  RideNowAgent,
+  TravelBuddyAgent,
+  ShopSmartAgent,
+  GrocerAgent,
+  AskMeAgent
+];
+
+// Handles whatever the others can't, so it can never be disabled
+const FALLBACK_AGENT = 'askme';
+
+const DEFINITIONS = new Map(AGENT_CLASSES.map(AgentClass => [AgentClass.definition.key, AgentClass.definition]));
+const CLASSES = new Map(AGENT_CLASSES.map(AgentClass => [AgentClass.definition.key, AgentClass]));
+
+// Catch typos in definitions at startup rather than on the first handoff
+for (const definition of DEFINITIONS.values()) {
+  for (const target of definition.handoffTargets || []) {
+    if (!DEFINITIONS.has(target)) {
+      throw new Error(`Agent ${definition.key} declares unknown handoff target ${target}`);
+    }
+  }
+}
+
+const parseKeys = (value) => (value || '')
+  .split(',')
+  .map(key => key.trim().toLowerCase())
+  .filter(Boolean);
+
+// ENABLED_AGENTS (allow list) and DISABLED_AGENTS (deny list) are comma separated keys,
+// read on every call so a restart with a new environment is all it takes
+const isAgentEnabled = (key) => {
+  if (!DEFINITIONS.has(key)) return false;
+  if (key === FALLBACK_AGENT) return true;
+
+  const enabled = parseKeys(process.env.ENABLED_AGENTS);
+  if (enabled.length > 0 && !enabled.includes(key)) return false;
+
+  return !parseKeys(process.env.DISABLED_AGENTS).includes(key);
+};
+
+const getAgentDefinition = (key) => DEFINITIONS.get(key) || null;
+
+// Definitions of the enabled agents, in registry order
+const getAgentDefinitions = ({ includeDisabled = false } = {}) =>
+  Array.from(DEFINITIONS.values()).filter(definition => includeDisabled || isAgentEnabled(definition.key));
+
+const getEnabledAgentKeys = () => getAgentDefinitions().map(definition => definition.key);
+
+// Instantiate the enabled agents, keyed by agent key
+const createAgents = (llm) => {
+  const agents = new Map();
+  for (const key of getEnabledAgentKeys()) {
+    const AgentClass = CLASSES.get(key);
+    agents.set(key, new AgentClass(llm));
+  }
+
+  const disabled = getAgentDefinitions({ includeDisabled: true })
+    .filter(definition => !agents.has(definition.key))
+    .map(definition => definition.key);
+  if (disabled.length > 0) {
+    logger.info(`Agents disabled by configuration: ${disabled.join(', ')}`);
+  }
+
+  for (const unknown of [...parseKeys(process.env.ENABLED_AGENTS), ...parseKeys(process.env.DISABLED_AGENTS)]) {
+    if (!DEFINITIONS.has(unknown)) {
+      logger.warn(`Ignoring unknown agent in ENABLED_AGENTS/DISABLED_AGENTS: ${unknown}`);
+    }
+  }
+
+  return agents;
+};
+
+// "- key: description" lines for the routing prompt
+const describeAgents = (definitions = getAgentDefinitions()) =>
+  definitions.map(definition => `- ${definition.key}: ${definition.description}`).join('\n');
+
+module.exports = {
+  FALLBACK_AGENT,
+  isAgentEnabled,
+  getAgentDefinition,
+  getAgentDefinitions,
+  getEnabledAgentKeys,
+  createAgents,
+  describeAgents
+};
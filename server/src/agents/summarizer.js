@@ -0,0 +1,113 @@
+const { logger } = require('../utils/logger');
+
+const CHARS_PER_TOKEN = 4; // rough estimate, close enough for budgeting
+const SUMMARY_MAX_CHARS = 1500;
+const FALLBACK_TURN_CHARS = 160;
+
+const estimateTokens = (text = '') => Math.ceil(String(text).length / CHARS_PER_TOKEN);
+
+const historyTokens = (history = []) =>
+  history.reduce((total, entry) => total + estimateTokens(entry.content), 0);
+
+const formatTurn = (entry) => {
+  if (entry.type === 'user') return `User: ${entry.content}`;
+  if (entry.type === 'handoff') return `Handoff ${entry.fromAgent} -> ${entry.toAgent}: ${entry.content}`;
+  return `${entry.agent || 'Agent'}: ${entry.content}`;
+};
+
+// Keep the most recent part of an over-long summary
+const capSummary = (text) => (text.length > SUMMARY_MAX_CHARS ? `…${text.slice(-(SUMMARY_MAX_CHARS - 1))}` : text);
+
+// Rolling summary of a conversation's older turns. Once the history passes the token
+// budget, everything but the last few turns is folded into context.summary, which the
+// router and agents read instead of the raw turns.
+class ConversationSummarizer {
+  constructor(llm, {
+    tokenBudget = parseInt(process.env.SUMMARY_TOKEN_BUDGET) || 1500,
+    keepTurns = parseInt(process.env.SUMMARY_KEEP_TURNS) || 6,
+    minTurns = parseInt(process.env.SUMMARY_MIN_TURNS) || 6
+  } = {}) {
+    this.llm = llm;
+    this.tokenBudget = tokenBudget;
+    this.keepTurns = keepTurns;
+    this.minTurns = minTurns; // older turns that must build up before summarizing again
+  }
+
+  // The kept turns alone can be over budget (long agent replies), so waiting for
+  // minTurns older turns stops every single turn from costing a summary call
+  needsSummary(context) {
+    const history = context.history || [];
+    return history.length - this.keepTurns >= this.minTurns && historyTokens(history) > this.tokenBudget;
+  }
+
+  // Compress the older turns when over budget. Returns the new summary, or null when
+  // nothing changed. The caller holds the context lock and saves the context.
+  async summarize(context) {
+    if (!this.needsSummary(context)) return null;
+
+    const older = context.history.slice(0, -this.keepTurns);
+    const recent = context.history.slice(-this.keepTurns);
+
+    let summary;
+    try {
+      summary = (await this.llm.complete({
+        messages: [
+          {
+            role: 'system',
+            content: `You maintain a running summary of a user's conversation with the agents of a super app.
+            Merge the previous summary with the new turns into one short paragraph.
+            Keep what later turns may need: places, dates and times, budgets, preferences, items chosen,
+            bookings or orders made and their numbers, and anything still waiting on the user.
+            Drop greetings and small talk. Respond with only the summary.`
+          },
+          {
+            role: 'user',
+            content: `Previous summary: ${context.summary || 'none'}\n\nNew turns:\n${older.map(formatTurn).join('\n')}`
+          }
+        ],
+        maxTokens: 250,
+        temperature: 0.2,
+        purpose: 'summary',
+        input: older.map(entry => entry.content).join('\n')
+      })).trim();
+    } catch (error) {
+      logger.error('Error summarizing conversation:', error);
+    }
+
+    // Without a model summary, still trim the history so it can't grow unbounded
+    if (!summary) {
+      summary = this.fallbackSummary(context.summary, older);
+    }
+
+    context.summary = capSummary(summary);
+    context.summarizedTurns = (context.summarizedTurns || 0) + older.length;
+    context.history = recent;
+
+    logger.info(`Summarized ${older.length} turns for user ${context.userId} (${context.summarizedTurns} in total)`);
+    return context.summary;
+  }
+
+  // What the user asked, clipped per turn, appended to the previous summary
+  fallbackSummary(previous, turns) {
+    const asked = turns
+      .filter(entry => entry.type === 'user')
+      .map(entry => entry.content.length > FALLBACK_TURN_CHARS
+        ? `${entry.content.slice(0, FALLBACK_TURN_CHARS - 1)}…`
+        : entry.content);
+
+    const agents = [...new Set(turns.filter(entry => entry.agent).map(entry => entry.agent))];
+    const text = [
+      previous,
+      asked.length > 0 ? `User asked: ${asked.join('; ')}.` : null,
+      agents.length > 0 ? `Agents involved: ${agents.join(', ')}.` : null
+    ].filter(Boolean).join(' ');
+
+    return text;
+  }
+}
+
+module.exports = {
+  ConversationSummarizer,
+  estimateTokens,
+  historyTokens
+};
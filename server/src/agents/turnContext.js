@@ -0,0 +1,15 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Carries conversation-level details for the turn being processed (currently the
+// rolling summary), so generateResponse can use them without every agent handler
+// passing the conversation context along
+const turnStorage = new AsyncLocalStorage();
+
+const runWithTurn = (turn, fn) => turnStorage.run(turn, fn);
+
+const currentTurn = () => turnStorage.getStore() || null;
+
+module.exports = {
+  runWithTurn,
+  currentTurn
+};
@@ -12,15 +12,28 @@ const chatRoutes = require('./routes/chat');
 const agentRoutes = require('./routes/agents');
 const userRoutes = require('./routes/user');
 const paymentRoutes = require('./routes/payment');
+const paymentWebhookRoutes = require('./routes/paymentWebhook');
+const orderRoutes = require('./routes/orders');
+const rideRoutes = require('./routes/rides');
 const { errorHandler } = require('./middleware/errorHandler');
-const { logger } = require('./utils/logger');
+const { authenticateSocket } = require('./middleware/auth');
+const { logger, structuredLogger } = require('./utils/logger');
 const { initializeAgents } = require('./agents/agentManager');
+const { setSocketServer } = require('./services/realtime');
+const { registerChatHandlers } = require('./services/chatSocket');
+const { startPriceWatcher } = require('./services/priceWatcher');
+
+// Allowed browser origins, comma separated (CORS_ORIGINS=https://app.example.com,http://localhost:8081).
+// Native mobile clients send no Origin header and are unaffected.
+const allowedOrigins = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : process.env.NODE_ENV !== 'production';
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
   cors: {
-    origin: "*",
+    origin: allowedOrigins,
     methods: ["GET", "POST"]
   }
 });
@@ -36,8 +49,12 @@ const limiter = rateLimit({
 
 // Middleware
 app.use(helmet());
-app.use(cors());
+app.use(cors({ origin: allowedOrigins }));
 app.use(limiter);
+
+// Webhooks are verified against the exact bytes received, so they skip JSON parsing
+app.use('/api/payment/webhook', express.raw({ type: 'application/json', limit: '1mb' }), paymentWebhookRoutes);
+
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
@@ -57,22 +74,45 @@ mongoose.connect(process.env.MONGODB_URI, {
 // Initialize AI Agents
 initializeAgents();
 
-// Socket.io connection handling
+// Check watched products for price drops in the background
+startPriceWatcher();
+
+// Socket.io connection handling - every socket must present a valid access token
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
-  logger.info(`User connected: ${socket.id}`);
+  const { userId, sessionId, tokenExpiresAt } = socket.data;
+  logger.info(`User ${userId} connected: ${socket.id}`);
+  
+  // Sockets only ever join their own user's room, plus their session's so logout can close them
+  socket.join(`user-${userId}`);
+  socket.join(`session-${sessionId}`);
   
-  socket.on('join-chat', (userId) => {
-    socket.join(`user-${userId}`);
-    logger.info(`User ${userId} joined chat room`);
+  // Drop the connection when the access token expires; the client reconnects with a fresh one
+  const expiryTimer = setTimeout(() => {
+    socket.emit('session-expired', { message: 'Token has expired' });
+    socket.disconnect(true);
+  }, Math.max(0, tokenExpiresAt - Date.now()));
+  
+  // Kept for older clients - the room is already joined on connect
+  socket.on('join-chat', (requestedUserId) => {
+    if (requestedUserId && requestedUserId !== userId) {
+      structuredLogger.security('socket_join_other_room', userId, { requestedUserId });
+    }
   });
   
+  // send-message, typing and stop-generation
+  registerChatHandlers(socket);
+  
   socket.on('disconnect', () => {
-    logger.info(`User disconnected: ${socket.id}`);
+    clearTimeout(expiryTimer);
+    logger.info(`User ${userId} disconnected: ${socket.id}`);
   });
 });
 
-// Make io accessible to routes
+// Make io accessible to routes and to models/agents pushing status updates
 app.set('io', io);
+setSocketServer(io);
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -80,6 +120,8 @@ app.use('/api/chat', chatRoutes);
 app.use('/api/agents', agentRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/payment', paymentRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/rides', rideRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
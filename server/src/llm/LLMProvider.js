@@ -0,0 +1,75 @@
+const { extractJSON } = require('./schema');
+
+// Common interface for the chat models the agents talk to
+class LLMProvider {
+  constructor(name, model) {
+    this.name = name;
+    this.model = model;
+  }
+
+  // Returns the completion text for a list of chat messages.
+  // `purpose` (routing, intent, response) lets offline providers pick a canned reply.
+  async complete({ messages, maxTokens = 150, temperature = 0.7, purpose = 'response' }) {
+    throw new Error('complete method must be implemented by subclass');
+  }
+
+  // Yields the completion text in chunks as it is generated; stops when `signal` aborts.
+  // Default: one chunk with the whole completion, for providers that can't stream.
+  async *stream({ signal, ...request }) {
+    const content = await this.complete(request);
+    if (!signal?.aborted) {
+      yield content;
+    }
+  }
+
+  // Ask the model to pick one of `tools` ({ name, description, parameters }).
+  // Returns { name, arguments } with arguments as the raw JSON string, name null
+  // when the model answered without a tool, and `malformed` set when the output
+  // could not be read. Default: prompt for JSON, for models without native
+  // function calling.
+  async selectTool({ messages, tools, maxTokens = 300, purpose = 'tool', input }) {
+    const toolList = tools.map(tool =>
+      `- ${tool.name}: ${tool.description}\n  parameters: ${JSON.stringify(tool.parameters)}`
+    ).join('\n');
+
+    const [system, ...rest] = messages;
+    const content = await this.complete({
+      messages: [
+        {
+          role: 'system',
+          content: `${system.content}\n\nAvailable tools:\n${toolList}\n\nRespond with only a JSON object: {"name": "<tool name or null>", "arguments": {...}}`
+        },
+        ...rest
+      ],
+      maxTokens,
+      temperature: 0,
+      purpose,
+      input
+    });
+
+    return this.parseToolReply(content);
+  }
+
+  // Turn a JSON tool reply into { name, arguments }; unusable output is flagged
+  // as malformed so the caller can retry
+  parseToolReply(content) {
+    try {
+      const parsed = extractJSON(content);
+      return {
+        name: parsed.name ?? null,
+        arguments: JSON.stringify(parsed.arguments ?? {})
+      };
+    } catch (error) {
+      return { name: null, arguments: null, malformed: error.message };
+    }
+  }
+
+  getStatus() {
+    return {
+      provider: this.name,
+      model: this.model
+    };
+  }
+}
+
+module.exports = LLMProvider;
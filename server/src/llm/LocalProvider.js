@@ -0,0 +1,18 @@
+const OpenAIProvider = require('./OpenAIProvider');
+
+// Any server speaking the OpenAI chat API (Ollama, LM Studio, vLLM, llama.cpp)
+class LocalProvider extends OpenAIProvider {
+  constructor({ baseURL = 'http://localhost:11434/v1', apiKey = 'local', model = 'llama3' } = {}) {
+    super({ apiKey, baseURL, model, name: 'local' });
+    this.baseURL = baseURL;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      baseURL: this.baseURL
+    };
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,68 @@
+const OpenAI = require('openai');
+const LLMProvider = require('./LLMProvider');
+
+class OpenAIProvider extends LLMProvider {
+  constructor({ apiKey, baseURL, model = 'gpt-4', name = 'openai' } = {}) {
+    super(name, model);
+    this.client = new OpenAI({ apiKey, baseURL });
+  }
+
+  async complete({ messages, maxTokens = 150, temperature = 0.7 }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    return response.choices[0].message.content;
+  }
+
+  async *stream({ messages, maxTokens = 150, temperature = 0.7, signal }) {
+    const stream = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true
+    }, { signal });
+
+    for await (const part of stream) {
+      const content = part.choices[0]?.delta?.content;
+      if (content) {
+        yield content;
+      }
+    }
+  }
+
+  // Native function calling
+  async selectTool({ messages, tools, maxTokens = 300 }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      max_tokens: maxTokens,
+      temperature: 0,
+      tools: tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }
+      })),
+      tool_choice: 'auto'
+    });
+
+    const toolCall = response.choices[0].message.tool_calls?.[0];
+    if (!toolCall) {
+      return { name: null, arguments: null };
+    }
+
+    return {
+      name: toolCall.function.name,
+      arguments: toolCall.function.arguments
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
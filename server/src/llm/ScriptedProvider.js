@@ -0,0 +1,90 @@
+const fs = require('fs');
+const LLMProvider = require('./LLMProvider');
+
+const DEFAULT_RESPONSES = {
+  routing: 'askme',
+  intent: { intent: 'unknown', entities: {}, confidence: 0, requiresAction: false },
+  response: "I'm running in offline mode, so I can only give scripted replies right now.",
+  summary: '' // empty, so the summarizer falls back to its own extractive summary
+};
+
+// Deterministic provider for tests and offline development - no network, no API key.
+// Rules are checked in order; the first whose purpose and pattern match the input wins.
+class ScriptedProvider extends LLMProvider {
+  constructor({ rules = [], defaults = {}, fixturesPath = null } = {}) {
+    super('scripted', 'fixtures');
+
+    const fixtures = fixturesPath ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : {};
+
+    this.rules = [...rules, ...(fixtures.rules || [])].map(rule => ({
+      ...rule,
+      pattern: rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern || '', 'i')
+    }));
+    this.defaults = { ...DEFAULT_RESPONSES, ...fixtures.defaults, ...defaults };
+    this.calls = []; // every request, for assertions in tests
+  }
+
+  async complete({ messages, maxTokens, temperature, purpose = 'response', input }) {
+    // Match against the raw user input when the caller provides it
+    const text = input ?? messages.filter(m => m.role === 'user').map(m => m.content).pop() ?? '';
+    this.calls.push({ purpose, input: text, messages });
+
+    const rule = this.rules.find(r => (!r.purpose || r.purpose === purpose) && r.pattern.test(text));
+    const response = rule ? rule.response : this.defaults[purpose] ?? this.defaults.response;
+
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  // Streams the scripted reply word by word
+  async *stream({ signal, ...request }) {
+    const content = await this.complete(request);
+
+    for (const word of content.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) return;
+      yield word;
+      await new Promise(resolve => setImmediate(resolve));
+    }
+  }
+
+  // Tool rules respond with { name, arguments }; only tools on offer can be picked
+  async selectTool({ messages, tools, purpose = 'tool', input }) {
+    const text = input ?? messages.filter(m => m.role === 'user').map(m => m.content).pop() ?? '';
+    this.calls.push({ purpose, input: text, messages, tools: tools.map(t => t.name) });
+
+    const offered = new Set(tools.map(t => t.name));
+    const rule = this.rules.find(r =>
+      (r.purpose || 'tool') === purpose &&
+      (typeof r.response !== 'object' || offered.has(r.response.name)) &&
+      r.pattern.test(text)
+    );
+
+    if (!rule) {
+      return { name: null, arguments: null };
+    }
+
+    // String responses are read like raw model output, e.g. to script malformed replies
+    if (typeof rule.response === 'string') {
+      return this.parseToolReply(rule.response);
+    }
+
+    return {
+      name: rule.response.name,
+      arguments: typeof rule.response.arguments === 'string'
+        ? rule.response.arguments
+        : JSON.stringify(rule.response.arguments || {})
+    };
+  }
+
+  addRule(rule) {
+    this.rules.unshift({
+      ...rule,
+      pattern: rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern || '', 'i')
+    });
+  }
+
+  reset() {
+    this.calls = [];
+  }
+}
+
+module.exports = ScriptedProvider;
@@ -0,0 +1,43 @@
+const path = require('path');
+const OpenAIProvider = require('./OpenAIProvider');
+const LocalProvider = require('./LocalProvider');
+const ScriptedProvider = require('./ScriptedProvider');
+const { logger } = require('../utils/logger');
+
+// Build the provider selected by LLM_PROVIDER (openai, local or scripted)
+const createLLMProvider = (type = process.env.LLM_PROVIDER || 'openai') => {
+  let provider;
+
+  switch (type) {
+    case 'openai':
+      provider = new OpenAIProvider({
+        apiKey: process.env.OPENAI_API_KEY,
+        model: process.env.OPENAI_MODEL || 'gpt-4'
+      });
+      break;
+    case 'local':
+      provider = new LocalProvider({
+        baseURL: process.env.LLM_BASE_URL,
+        apiKey: process.env.LLM_API_KEY,
+        model: process.env.LLM_MODEL
+      });
+      break;
+    case 'scripted':
+      provider = new ScriptedProvider({
+        fixturesPath: process.env.LLM_FIXTURES || path.join(__dirname, 'fixtures', 'default.json')
+      });
+      break;
+    default:
+      throw new Error(`Unknown LLM provider: ${type}`);
+  }
+
+  logger.info(`Using ${provider.name} LLM provider (${provider.model})`);
+  return provider;
+};
+
+module.exports = {
+  createLLMProvider,
+  OpenAIProvider,
+  LocalProvider,
+  ScriptedProvider
+};
@@ -0,0 +1,86 @@
+// Minimal JSON Schema checks for tool arguments (type, required, enum, properties, items)
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+// Returns a list of error messages; empty when the value is valid
+const validateSchema = (schema, value, path = 'arguments') => {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} must be of type ${schema.type}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (schema.type === 'object') {
+    const properties = schema.properties || {};
+
+    for (const field of schema.required || []) {
+      if (value[field] === undefined || value[field] === null || value[field] === '') {
+        errors.push(`${path}.${field} is required`);
+      }
+    }
+
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (!properties[field]) {
+        if (schema.additionalProperties === false) {
+          errors.push(`${path}.${field} is not allowed`);
+        }
+        continue;
+      }
+      if (fieldValue !== undefined && fieldValue !== null) {
+        errors.push(...validateSchema(properties[field], fieldValue, `${path}.${field}`));
+      }
+    }
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${i}]`));
+    });
+  }
+
+  return errors;
+};
+
+// Pull the first JSON object out of a model reply, tolerating prose and code fences
+const extractJSON = (text) => {
+  if (typeof text !== 'string') {
+    throw new Error('Model returned no content');
+  }
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('No JSON object found in model output');
+  }
+
+  return JSON.parse(text.slice(start, end + 1));
+};
+
+module.exports = {
+  validateSchema,
+  extractJSON
+};
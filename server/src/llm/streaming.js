@@ -0,0 +1,25 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Carries the token sink for the turn being processed, so generateResponse can
+// stream without every agent handler passing it along
+const streamStorage = new AsyncLocalStorage();
+
+// onToken(chunk) receives each piece of text; abort() stops the generation
+const createStream = (onToken) => {
+  const controller = new AbortController();
+  return {
+    onToken,
+    signal: controller.signal,
+    abort: () => controller.abort()
+  };
+};
+
+const runWithStream = (stream, fn) => streamStorage.run(stream, fn);
+
+const currentStream = () => streamStorage.getStore() || null;
+
+module.exports = {
+  createStream,
+  runWithStream,
+  currentStream
+};
@@ -1,22 +1,17 @@
 const jwt = require('jsonwebtoken');
-const { catchAsync, createAuthError } = require('./errorHandler');
+const { catchAsync, createAuthError, createAuthzError } = require('./errorHandler');
 const User = require('../models/User');
+const { assertActiveSession } = require('../services/sessions');
 const { structuredLogger } = require('../utils/logger');
 
-// Verify JWT token and authenticate user
-const authenticate = catchAsync(async (req, res, next) => {
-  // Get token from header
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    throw createAuthError('Access token is required');
-  }
-
-  const token = authHeader.split(' ')[1];
-
+// Verify an access token, its session and its user - shared by HTTP and socket auth
+const verifyAccessToken = async (token) => {
   try {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Signed out, revoked or pre-session tokens are rejected even before they expire
+    await assertActiveSession(decoded);
     
     // Get user from database
     const user = await User.findById(decoded.userId);
@@ -29,13 +24,7 @@ const authenticate = catchAsync(async (req, res, next) => {
       throw createAuthError('Account is deactivated');
     }
 
-    // Update last active timestamp
-    await user.updateLastActive();
-
-    // Attach user to request object
-    req.user = user;
-    
-    next();
+    return { user, decoded };
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
       structuredLogger.security('invalid_token', null, {
@@ -54,8 +43,59 @@ const authenticate = catchAsync(async (req, res, next) => {
     
     throw error;
   }
+};
+
+// Verify JWT token and authenticate user
+const authenticate = catchAsync(async (req, res, next) => {
+  // Get token from header
+  const authHeader = req.headers.authorization;
+  
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw createAuthError('Access token is required');
+  }
+
+  const token = authHeader.split(' ')[1];
+  const { user, decoded } = await verifyAccessToken(token);
+
+  // Update last active timestamp
+  await user.updateLastActive();
+
+  // Attach user and session to request object
+  req.user = user;
+  req.sessionId = decoded.sid;
+  
+  next();
 });
 
+// Socket.IO middleware - same JWT as the REST API, sent as auth.token or a Bearer header
+const authenticateSocket = async (socket, next) => {
+  const authHeader = socket.handshake.headers.authorization;
+  const token = socket.handshake.auth?.token ||
+    (authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+
+  if (!token) {
+    structuredLogger.security('socket_missing_token', null, { address: socket.handshake.address });
+    const error = new Error('Access token is required');
+    error.data = { code: 'UNAUTHORIZED' };
+    return next(error);
+  }
+
+  try {
+    const { user, decoded } = await verifyAccessToken(token);
+
+    socket.user = user;
+    socket.data.userId = user.id;
+    socket.data.sessionId = decoded.sid;
+    socket.data.tokenExpiresAt = decoded.exp * 1000;
+
+    next();
+  } catch (error) {
+    const socketError = new Error(error.message);
+    socketError.data = { code: error.message === 'Token has expired' ? 'TOKEN_EXPIRED' : 'UNAUTHORIZED' };
+    next(socketError);
+  }
+};
+
 // Optional authentication - don't throw error if no token
 const optionalAuth = catchAsync(async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -67,13 +107,11 @@ const optionalAuth = catchAsync(async (req, res, next) => {
   const token = authHeader.split(' ')[1];
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    
-    if (user && user.isActive) {
-      await user.updateLastActive();
-      req.user = user;
-    }
+    const { user, decoded } = await verifyAccessToken(token);
+
+    await user.updateLastActive();
+    req.user = user;
+    req.sessionId = decoded.sid;
   } catch (error) {
     // Silently fail for optional auth
     structuredLogger.security('optional_auth_failed', null, {
@@ -87,7 +125,7 @@ const optionalAuth = catchAsync(async (req, res, next) => {
 // Check if user is verified
 const requireVerification = (req, res, next) => {
   if (!req.user.isVerified) {
-    throw createAuthError('Please verify your account to access this feature');
+    throw createAuthzError('Please verify your email address to access this feature');
   }
   next();
 };
@@ -214,7 +252,9 @@ const validateSession = catchAsync(async (req, res, next) => {
 });
 
 module.exports = {
+  verifyAccessToken,
   authenticate,
+  authenticateSocket,
   optionalAuth,
   requireVerification,
   requireSubscription,
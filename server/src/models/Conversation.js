@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const TITLE_MAX_LENGTH = 80;
+
+// One chat session; a new one starts whenever the user's conversation context
+// is created (first message, after it expires or after it is cleared)
+const conversationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  title: { type: String, trim: true },
+
+  // Agents that took part, in the order they joined
+  agents: [String],
+  lastAgent: String,
+
+  messageCount: { type: Number, default: 0 },
+  lastMessageAt: { type: Date, default: Date.now },
+
+  // Rolling summary of the turns that were compressed out of the live context
+  summary: String,
+  summarizedTurns: { type: Number, default: 0 },
+  summaryUpdatedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+conversationSchema.index({ user: 1, lastMessageAt: -1, _id: -1 });
+
+// Title taken from the opening user message
+conversationSchema.statics.titleFrom = function(content = '') {
+  const text = content.replace(/\s+/g, ' ').trim();
+  return text.length > TITLE_MAX_LENGTH ? `${text.slice(0, TITLE_MAX_LENGTH - 1)}…` : text;
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
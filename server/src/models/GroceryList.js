@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const listItemSchema = new mongoose.Schema({
+  itemId: { type: String, required: true },
+  name: { type: String, required: true },
+  unit: String,
+  quantity: { type: Number, default: 1, min: 1 },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Something the user buys regularly, added to the basket whenever it's due
+const stapleSchema = new mongoose.Schema({
+  itemId: { type: String, required: true },
+  name: { type: String, required: true },
+  unit: String,
+  quantity: { type: Number, default: 1, min: 1 },
+  everyDays: { type: Number, default: 7, min: 1 },
+  lastOrderedAt: Date
+}, { _id: false });
+
+// The user's running grocery list and recurring staples
+const groceryListSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  items: [listItemSchema],
+  staples: [stapleSchema]
+}, {
+  timestamps: true
+});
+
+// Method to get the staples that should go into the next order
+groceryListSchema.methods.dueStaples = function(now = new Date()) {
+  return this.staples.filter(staple =>
+    !staple.lastOrderedAt || staple.lastOrderedAt.getTime() + staple.everyDays * DAY_MS <= now.getTime()
+  );
+};
+
+// Method to add an item, or bump its quantity when it's already listed
+groceryListSchema.methods.addItem = function({ itemId, name, unit, quantity = 1 }) {
+  const existing = this.items.find(item => item.itemId === itemId);
+  if (existing) {
+    existing.quantity += quantity;
+  } else {
+    this.items.push({ itemId, name, unit, quantity });
+  }
+};
+
+// Static to load the user's list, creating an empty one the first time
+groceryListSchema.statics.findOrCreateForUser = async function(userId) {
+  return await this.findOne({ user: userId }) || new this({ user: userId });
+};
+
+module.exports = mongoose.model('GroceryList', groceryListSchema);
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+const User = require('./User');
+
+const GROCERY_ORDER_STATUSES = ['placed', 'packed', 'out_for_delivery', 'delivered', 'cancelled'];
+
+// Allowed status changes - anything else is rejected
+const STATUS_TRANSITIONS = {
+  placed: ['packed', 'cancelled'],
+  packed: ['out_for_delivery'],
+  out_for_delivery: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const groceryOrderItemSchema = new mongoose.Schema({
+  itemId: { type: String, required: true },
+  name: { type: String, required: true },
+  unit: String,
+  price: { type: Number, required: true, min: 0 },
+  quantity: { type: Number, required: true, min: 1 },
+  // Set when this item stands in for one that was out of stock
+  substitutedFor: String
+}, { _id: false });
+
+// Snapshot of the delivery address at order time
+const deliveryAddressSchema = new mongoose.Schema({
+  label: String,
+  street: { type: String, required: true },
+  city: { type: String, required: true },
+  state: String,
+  pincode: String,
+  landmark: String
+}, { _id: false });
+
+const groceryOrderSchema = new mongoose.Schema({
+  orderNumber: { type: String, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  items: {
+    type: [groceryOrderItemSchema],
+    validate: [items => items.length > 0, 'Order must contain at least one item']
+  },
+  deliveryAddress: { type: deliveryAddressSchema, required: true },
+  deliverySlot: {
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    label: String
+  },
+
+  charges: {
+    subtotal: { type: Number, required: true, min: 0 },
+    deliveryFee: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 }
+  },
+
+  payment: {
+    method: { type: String, enum: ['UPI', 'CARD', 'WALLET', 'BNPL', 'COD'], default: 'COD' },
+    provider: String,
+    status: { type: String, enum: ['pending', 'paid', 'failed', 'refunded', 'mismatch'], default: 'pending' },
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    razorpayRefundId: String,
+    paidAt: Date,
+    refundedAt: Date
+  },
+
+  // Lifecycle
+  status: { type: String, enum: GROCERY_ORDER_STATUSES, default: 'placed' },
+  statusHistory: [{
+    status: { type: String, enum: GROCERY_ORDER_STATUSES },
+    timestamp: { type: Date, default: Date.now },
+    note: String
+  }],
+  deliveredAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+groceryOrderSchema.index({ user: 1, createdAt: -1 });
+groceryOrderSchema.index({ 'payment.razorpayOrderId': 1 });
+
+// Virtual for whether the order can still change
+groceryOrderSchema.virtual('isActive').get(function() {
+  return STATUS_TRANSITIONS[this.status].length > 0;
+});
+
+// Assign a readable order number and the initial history entry
+groceryOrderSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    if (!this.orderNumber) {
+      this.orderNumber = 'GR' + crypto.randomBytes(5).toString('hex').toUpperCase();
+    }
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ status: this.status, timestamp: new Date() });
+    }
+  }
+  next();
+});
+
+// Method to check a status change against the state machine
+groceryOrderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to move the order through its lifecycle
+groceryOrderSchema.methods.transitionTo = async function(status, note) {
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(`Cannot move order ${this.orderNumber} from ${this.status} to ${status}`, 409);
+  }
+
+  this.status = status;
+  this.statusHistory.push({ status, timestamp: new Date(), note });
+
+  if (status === 'delivered') {
+    this.deliveredAt = new Date();
+  }
+
+  if (status === 'cancelled') {
+    this.cancelledAt = new Date();
+    this.cancellationReason = note;
+  }
+
+  await this.save();
+
+  // Only delivered orders count towards the user's totals
+  if (status === 'delivered') {
+    await User.updateOne(
+      { _id: this.user },
+      { $inc: { totalOrders: 1, totalSpent: this.charges.total } }
+    );
+  }
+
+  return this;
+};
+
+// Static to get the user's most recent order
+groceryOrderSchema.statics.findLatestForUser = function(userId) {
+  return this.findOne({ user: userId }).sort({ createdAt: -1 });
+};
+
+groceryOrderSchema.statics.STATUSES = GROCERY_ORDER_STATUSES;
+groceryOrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = mongoose.model('GroceryOrder', groceryOrderSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+const MESSAGE_ROLES = ['user', 'agent', 'handoff'];
+
+// A single transcript entry - user turn, agent reply or agent handoff
+const messageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  role: { type: String, enum: MESSAGE_ROLES, required: true },
+  agent: String, // agent that replied, or the handoff target
+  fromAgent: String, // handoffs only
+  content: { type: String, required: true },
+
+  actions: [mongoose.Schema.Types.Mixed],
+  suggestions: [String],
+  metadata: mongoose.Schema.Types.Mixed,
+
+  // Id of the request/stream the turn belongs to (client message id over sockets)
+  messageId: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes - transcripts are paged by _id, newest first
+messageSchema.index({ conversation: 1, _id: -1 });
+messageSchema.index({ user: 1, createdAt: -1 });
+
+messageSchema.statics.ROLES = MESSAGE_ROLES;
+
+module.exports = mongoose.model('Message', messageSchema);
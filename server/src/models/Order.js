@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+const User = require('./User');
+
+const ORDER_STATUSES = ['confirmed', 'preparing', 'packed', 'out_for_delivery', 'delivered', 'cancelled'];
+
+// Allowed status changes - anything else is rejected
+const STATUS_TRANSITIONS = {
+  confirmed: ['preparing', 'cancelled'],
+  preparing: ['packed', 'cancelled'],
+  packed: ['out_for_delivery', 'cancelled'],
+  out_for_delivery: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const orderItemSchema = new mongoose.Schema({
+  itemId: { type: String, required: true },
+  name: { type: String, required: true },
+  price: { type: Number, required: true, min: 0 },
+  quantity: { type: Number, required: true, min: 1 },
+  category: String,
+  isVeg: Boolean
+}, { _id: false });
+
+// Snapshot of the delivery address at order time
+const deliveryAddressSchema = new mongoose.Schema({
+  label: String,
+  street: { type: String, required: true },
+  city: { type: String, required: true },
+  state: String,
+  pincode: String,
+  landmark: String,
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: { type: String, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  restaurant: {
+    id: { type: String, required: true },
+    name: { type: String, required: true },
+    cuisine: String
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'Order must contain at least one item']
+  },
+  deliveryAddress: { type: deliveryAddressSchema, required: true },
+
+  charges: {
+    subtotal: { type: Number, required: true, min: 0 },
+    deliveryFee: { type: Number, default: 0, min: 0 },
+    gst: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 }
+  },
+
+  payment: {
+    method: { type: String, enum: ['UPI', 'CARD', 'WALLET', 'BNPL', 'COD'], default: 'COD' },
+    provider: String,
+    status: { type: String, enum: ['pending', 'paid', 'failed', 'refunded', 'mismatch'], default: 'pending' }, // mismatch: the gateway captured a different amount
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    razorpayRefundId: String,
+    paidAt: Date,
+    refundedAt: Date
+  },
+
+  // Lifecycle
+  status: { type: String, enum: ORDER_STATUSES, default: 'confirmed' },
+  statusHistory: [{
+    status: { type: String, enum: ORDER_STATUSES },
+    timestamp: { type: Date, default: Date.now },
+    note: String
+  }],
+  estimatedDeliveryAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ 'payment.razorpayOrderId': 1 });
+
+// Virtual for whether the order can still change
+orderSchema.virtual('isActive').get(function() {
+  return STATUS_TRANSITIONS[this.status].length > 0;
+});
+
+// Assign a readable order number and the initial history entry
+orderSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    if (!this.orderNumber) {
+      this.orderNumber = 'FD' + crypto.randomBytes(5).toString('hex').toUpperCase();
+    }
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ status: this.status, timestamp: new Date() });
+    }
+  }
+  next();
+});
+
+// Method to check a status change against the state machine
+orderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to move the order through its lifecycle. The write only applies while the stored
+// order is still in a status that may move to `status`, so a cancel racing a delivery
+// can't both succeed (and the user's totals are only counted once).
+orderSchema.methods.transitionTo = async function(status, note) {
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(`Cannot move order ${this.orderNumber} from ${this.status} to ${status}`, 409);
+  }
+
+  const now = new Date();
+  const changes = { status };
+
+  if (status === 'delivered') {
+    changes.deliveredAt = now;
+  }
+
+  if (status === 'cancelled') {
+    changes.cancelledAt = now;
+    changes.cancellationReason = note;
+  }
+
+  const allowedFrom = Object.keys(STATUS_TRANSITIONS).filter(from => STATUS_TRANSITIONS[from].includes(status));
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: allowedFrom } },
+    {
+      $set: changes,
+      $push: { statusHistory: { status, timestamp: now, note } }
+    },
+    { new: true, lean: true }
+  );
+
+  if (!updated) {
+    const current = await this.constructor.findById(this._id).select('status').lean();
+    throw new AppError(`Cannot move order ${this.orderNumber} from ${current?.status || this.status} to ${status}`, 409);
+  }
+
+  // Load what was stored without marking anything modified
+  this.init(updated);
+
+  // Only delivered orders count towards the user's totals
+  if (status === 'delivered') {
+    await User.updateOne(
+      { _id: this.user },
+      { $inc: { totalOrders: 1, totalSpent: this.charges.total } }
+    );
+  }
+
+  return this;
+};
+
+// Static to get the user's most recent order
+orderSchema.statics.findLatestForUser = function(userId) {
+  return this.findOne({ user: userId }).sort({ createdAt: -1 });
+};
+
+orderSchema.statics.STATUSES = ORDER_STATUSES;
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const PURPOSES = ['login', 'verify_phone'];
+
+// The code most recently texted to a phone for one purpose. Requesting a new code
+// replaces it; it's removed once used or expired.
+const otpChallengeSchema = new mongoose.Schema({
+  phone: { type: String, required: true },
+  purpose: { type: String, enum: PURPOSES, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  codeHash: { type: String, required: true, select: false },
+  attempts: { type: Number, default: 0 },
+  sentAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+// Indexes
+otpChallengeSchema.index({ phone: 1, purpose: 1 }, { unique: true });
+otpChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+otpChallengeSchema.statics.PURPOSES = PURPOSES;
+
+module.exports = mongoose.model('OtpChallenge', otpChallengeSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const PAYABLE_TYPES = ['order', 'ride', 'shop_order', 'grocery_order'];
+const PAYMENT_KINDS = ['payment', 'refund'];
+const PAYMENT_STATUSES = ['captured', 'failed', 'refunded'];
+
+// Ledger entry for money moving through the gateway - one per gateway event,
+// never updated afterwards
+const paymentSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // What was paid for
+  payableType: { type: String, enum: PAYABLE_TYPES, required: true },
+  payable: { type: mongoose.Schema.Types.ObjectId, required: true },
+
+  kind: { type: String, enum: PAYMENT_KINDS, required: true },
+  status: { type: String, enum: PAYMENT_STATUSES, required: true },
+  amount: { type: Number, required: true, min: 0 }, // rupees
+  expectedAmount: Number, // rupees due, only set when the gateway amount differed
+  currency: { type: String, default: 'INR' },
+  method: String, // upi, card, wallet, ...
+
+  provider: { type: String, default: 'razorpay' },
+  razorpayOrderId: String,
+  razorpayPaymentId: String,
+  razorpayRefundId: String,
+  errorDescription: String,
+
+  // Gateway event that produced this entry
+  event: String,
+  eventId: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+paymentSchema.index({ user: 1, createdAt: -1 });
+paymentSchema.index({ payableType: 1, payable: 1 });
+paymentSchema.index({ eventId: 1 }, { unique: true, sparse: true });
+
+paymentSchema.statics.PAYABLE_TYPES = PAYABLE_TYPES;
+paymentSchema.statics.KINDS = PAYMENT_KINDS;
+paymentSchema.statics.STATUSES = PAYMENT_STATUSES;
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A product the user asked to be alerted about when its price drops
+const priceWatchSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  productId: { type: String, required: true },
+  productName: { type: String, required: true },
+
+  // Alert on any drop, or only once the price reaches the target
+  targetPrice: { type: Number, min: 0 },
+  lastSeenPrice: { type: Number, required: true, min: 0 },
+  lastSeenSeller: String,
+
+  active: { type: Boolean, default: true },
+  lastCheckedAt: Date,
+  lastNotifiedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+priceWatchSchema.index({ user: 1, productId: 1 }, { unique: true });
+priceWatchSchema.index({ active: 1 });
+
+// Method to decide whether a new price deserves an alert
+priceWatchSchema.methods.shouldAlert = function(price) {
+  if (price >= this.lastSeenPrice) return false;
+  return this.targetPrice == null || price <= this.targetPrice;
+};
+
+module.exports = mongoose.model('PriceWatch', priceWatchSchema);
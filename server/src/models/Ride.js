@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+const { emitToUser } = require('../services/realtime');
+
+const RIDE_STATUSES = ['requested', 'driver_assigned', 'arriving', 'started', 'completed', 'cancelled'];
+const ACTIVE_STATUSES = ['requested', 'driver_assigned', 'arriving', 'started'];
+
+// Allowed status changes - anything else is rejected
+const STATUS_TRANSITIONS = {
+  requested: ['driver_assigned', 'cancelled'],
+  driver_assigned: ['arriving', 'cancelled'],
+  arriving: ['started', 'cancelled'],
+  started: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+const locationSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  street: String,
+  city: String,
+  coordinates: {
+    latitude: Number,
+    longitude: Number
+  }
+}, { _id: false });
+
+const rideSchema = new mongoose.Schema({
+  rideNumber: { type: String, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  // Option the user picked from the available rides
+  option: {
+    id: { type: String, required: true },
+    type: { type: String, required: true }, // Economy, Premium, Shared, Auto
+    provider: { type: String, required: true }, // Ola, Uber, ...
+    capacity: Number,
+    features: [String]
+  },
+  pickup: { type: locationSchema, required: true },
+  destination: { type: locationSchema, required: true },
+  scheduledFor: String,
+
+  fare: {
+    estimated: { type: Number, required: true, min: 0 },
+    final: { type: Number, min: 0 }
+  },
+
+  driver: {
+    driverId: String,
+    name: String,
+    rating: Number,
+    phone: String,
+    vehicleNumber: String,
+    vehicleModel: String
+  },
+  estimatedArrivalMinutes: Number,
+
+  payment: {
+    method: { type: String, enum: ['UPI', 'CARD', 'WALLET', 'BNPL', 'CASH'], default: 'CASH' },
+    provider: String,
+    status: { type: String, enum: ['pending', 'paid', 'failed', 'refunded', 'mismatch'], default: 'pending' },
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    razorpayRefundId: String,
+    paidAt: Date,
+    refundedAt: Date
+  },
+
+  // Lifecycle
+  status: { type: String, enum: RIDE_STATUSES, default: 'requested' },
+  statusHistory: [{
+    status: { type: String, enum: RIDE_STATUSES },
+    timestamp: { type: Date, default: Date.now },
+    note: String
+  }],
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+rideSchema.index({ user: 1, createdAt: -1 });
+rideSchema.index({ user: 1, status: 1 });
+rideSchema.index({ 'payment.razorpayOrderId': 1 });
+
+// Virtual for whether the ride is still in progress
+rideSchema.virtual('isActive').get(function() {
+  return ACTIVE_STATUSES.includes(this.status);
+});
+
+// Assign a readable ride number and the initial history entry
+rideSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    if (!this.rideNumber) {
+      this.rideNumber = 'RD' + crypto.randomBytes(5).toString('hex').toUpperCase();
+    }
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ status: this.status, timestamp: new Date() });
+    }
+  }
+  next();
+});
+
+// Method to check a status change against the state machine
+rideSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to move the ride through its lifecycle and notify the rider. The write only
+// applies while the stored ride is still in a status that may move to `status`, so a
+// rider's cancel racing the driver dispatch or an admin update can't both succeed.
+rideSchema.methods.transitionTo = async function(status, { note, driver, fare, estimatedArrivalMinutes } = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(`Cannot move ride ${this.rideNumber} from ${this.status} to ${status}`, 409);
+  }
+
+  const now = new Date();
+  const changes = { status };
+
+  if (driver) {
+    changes.driver = driver;
+  }
+
+  if (estimatedArrivalMinutes !== undefined) {
+    changes.estimatedArrivalMinutes = estimatedArrivalMinutes;
+  }
+
+  if (status === 'started') {
+    changes.startedAt = now;
+  }
+
+  if (status === 'completed') {
+    changes.completedAt = now;
+    changes['fare.final'] = fare ?? this.fare.estimated;
+  }
+
+  if (status === 'cancelled') {
+    changes.cancelledAt = now;
+    changes.cancellationReason = note;
+  }
+
+  const allowedFrom = Object.keys(STATUS_TRANSITIONS).filter(from => STATUS_TRANSITIONS[from].includes(status));
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: allowedFrom } },
+    {
+      $set: changes,
+      $push: { statusHistory: { status, timestamp: now, note } }
+    },
+    { new: true, lean: true }
+  );
+
+  if (!updated) {
+    const current = await this.constructor.findById(this._id).select('status').lean();
+    throw new AppError(`Cannot move ride ${this.rideNumber} from ${current?.status || this.status} to ${status}`, 409);
+  }
+
+  // Load what was stored without marking anything modified
+  this.init(updated);
+
+  emitToUser(this.user, 'ride-status', {
+    rideId: this._id,
+    rideNumber: this.rideNumber,
+    status: this.status,
+    driver: this.driver,
+    note
+  });
+
+  return this;
+};
+
+// Static to get the user's ride that is still in progress
+rideSchema.statics.findActiveForUser = function(userId) {
+  return this.findOne({ user: userId, status: { $in: ACTIVE_STATUSES } }).sort({ createdAt: -1 });
+};
+
+rideSchema.statics.STATUSES = RIDE_STATUSES;
+rideSchema.statics.ACTIVE_STATUSES = ACTIVE_STATUSES;
+rideSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = mongoose.model('Ride', rideSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Its refresh token rotates on every use; the session is the
+// token family, so revoking it ends every token ever issued to that device.
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true, select: false },
+  previousTokenHashes: { type: [String], select: false },
+  expiresAt: { type: Date, required: true },
+  lastUsedAt: { type: Date, default: Date.now },
+  userAgent: String,
+  ip: String,
+  revokedAt: Date,
+  revokedReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Revoke every active session of a user, optionally keeping the current one.
+// Returns the ids of the sessions revoked.
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, { except } = {}) {
+  const filter = { user: userId, revokedAt: null };
+  if (except) {
+    filter._id = { $ne: except };
+  }
+
+  const sessions = await this.find(filter).select('_id');
+  if (sessions.length > 0) {
+    await this.updateMany(
+      { _id: { $in: sessions.map(session => session._id) } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  return sessions.map(session => session.id);
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
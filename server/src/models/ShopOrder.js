@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { AppError } = require('../middleware/errorHandler');
+const User = require('./User');
+
+const SHOP_ORDER_STATUSES = ['placed', 'shipped', 'out_for_delivery', 'delivered', 'cancelled'];
+
+// Allowed status changes - anything else is rejected
+const STATUS_TRANSITIONS = {
+  placed: ['shipped', 'cancelled'],
+  shipped: ['out_for_delivery'],
+  out_for_delivery: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const shopOrderItemSchema = new mongoose.Schema({
+  productId: { type: String, required: true },
+  name: { type: String, required: true },
+  brand: String,
+  seller: { type: String, required: true },
+  size: String,
+  price: { type: Number, required: true, min: 0 },
+  quantity: { type: Number, required: true, min: 1 }
+}, { _id: false });
+
+// Snapshot of the delivery address at order time
+const deliveryAddressSchema = new mongoose.Schema({
+  label: String,
+  street: { type: String, required: true },
+  city: { type: String, required: true },
+  state: String,
+  pincode: String,
+  landmark: String
+}, { _id: false });
+
+const shopOrderSchema = new mongoose.Schema({
+  orderNumber: { type: String, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+  items: {
+    type: [shopOrderItemSchema],
+    validate: [items => items.length > 0, 'Order must contain at least one item']
+  },
+  deliveryAddress: { type: deliveryAddressSchema, required: true },
+
+  charges: {
+    subtotal: { type: Number, required: true, min: 0 },
+    deliveryFee: { type: Number, default: 0, min: 0 },
+    total: { type: Number, required: true, min: 0 }
+  },
+
+  payment: {
+    method: { type: String, enum: ['UPI', 'CARD', 'WALLET', 'BNPL', 'COD'], default: 'COD' },
+    provider: String,
+    status: { type: String, enum: ['pending', 'paid', 'failed', 'refunded', 'mismatch'], default: 'pending' },
+    razorpayOrderId: String,
+    razorpayPaymentId: String,
+    razorpayRefundId: String,
+    paidAt: Date,
+    refundedAt: Date
+  },
+
+  // Lifecycle
+  status: { type: String, enum: SHOP_ORDER_STATUSES, default: 'placed' },
+  statusHistory: [{
+    status: { type: String, enum: SHOP_ORDER_STATUSES },
+    timestamp: { type: Date, default: Date.now },
+    note: String
+  }],
+  estimatedDeliveryAt: Date,
+  deliveredAt: Date,
+  cancelledAt: Date,
+  cancellationReason: String
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes
+shopOrderSchema.index({ user: 1, createdAt: -1 });
+shopOrderSchema.index({ 'payment.razorpayOrderId': 1 });
+
+// Virtual for whether the order can still change
+shopOrderSchema.virtual('isActive').get(function() {
+  return STATUS_TRANSITIONS[this.status].length > 0;
+});
+
+// Assign a readable order number and the initial history entry
+shopOrderSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    if (!this.orderNumber) {
+      this.orderNumber = 'SH' + crypto.randomBytes(5).toString('hex').toUpperCase();
+    }
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ status: this.status, timestamp: new Date() });
+    }
+  }
+  next();
+});
+
+// Method to check a status change against the state machine
+shopOrderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Method to move the order through its lifecycle
+shopOrderSchema.methods.transitionTo = async function(status, note) {
+  if (!this.canTransitionTo(status)) {
+    throw new AppError(`Cannot move order ${this.orderNumber} from ${this.status} to ${status}`, 409);
+  }
+
+  this.status = status;
+  this.statusHistory.push({ status, timestamp: new Date(), note });
+
+  if (status === 'delivered') {
+    this.deliveredAt = new Date();
+  }
+
+  if (status === 'cancelled') {
+    this.cancelledAt = new Date();
+    this.cancellationReason = note;
+  }
+
+  await this.save();
+
+  // Only delivered orders count towards the user's totals
+  if (status === 'delivered') {
+    await User.updateOne(
+      { _id: this.user },
+      { $inc: { totalOrders: 1, totalSpent: this.charges.total } }
+    );
+  }
+
+  return this;
+};
+
+// Static to get the user's most recent order
+shopOrderSchema.statics.findLatestForUser = function(userId) {
+  return this.findOne({ user: userId }).sort({ createdAt: -1 });
+};
+
+shopOrderSchema.statics.STATUSES = SHOP_ORDER_STATUSES;
+shopOrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+module.exports = mongoose.model('ShopOrder', shopOrderSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+const PASSWORD_RESET_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const EMAIL_VERIFICATION_TTL_MS = (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
 
 const addressSchema = new mongoose.Schema({
   label: { type: String, required: true }, // Home, Work, etc.
@@ -72,13 +76,6 @@ const userSchema = new mongoose.Schema({
   paymentMethods: [paymentMethodSchema],
   preferences: preferencesSchema,
   
-  // AI Personalization
-  conversationHistory: [{
-    agentType: String,
-    timestamp: { type: Date, default: Date.now },
-    context: mongoose.Schema.Types.Mixed
-  }],
-  
   // Activity & Analytics
   lastActive: { type: Date, default: Date.now },
   totalOrders: { type: Number, default: 0 },
@@ -87,11 +84,21 @@ const userSchema = new mongoose.Schema({
   
   // Authentication & Security
   isVerified: { type: Boolean, default: false },
-  verificationToken: String,
-  resetPasswordToken: String,
+  phoneVerified: { type: Boolean, default: false },
+  verificationToken: { type: String, select: false }, // SHA-256 of the emailed token
+  verificationExpires: Date,
+  resetPasswordToken: { type: String, select: false }, // SHA-256 of the emailed token
   resetPasswordExpires: Date,
   loginAttempts: { type: Number, default: 0 },
   lockUntil: Date,
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false }, // encrypted TOTP secret
+    pendingSecret: { type: String, select: false }, // set up but not yet confirmed
+    recoveryCodes: { type: [String], select: false }, // SHA-256 of unused codes
+    lastUsedStep: Number, // last accepted TOTP step, so a code works only once
+    enabledAt: Date
+  },
   
   // Status
   isActive: { type: Boolean, default: true },
@@ -106,6 +113,8 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ phone: 1 });
 userSchema.index({ 'addresses.coordinates': '2dsphere' });
+userSchema.index({ resetPasswordToken: 1 }, { sparse: true });
+userSchema.index({ verificationToken: 1 }, { sparse: true });
 
 // Virtual for account lock status
 userSchema.virtual('isLocked').get(function() {
@@ -149,6 +158,27 @@ userSchema.methods.incLoginAttempts = function() {
   return this.updateOne(updates);
 };
 
+// Emailed tokens are stored hashed, so a database leak doesn't hand out working links
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Method to start a password reset - returns the raw token to email, keeps only its hash
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPasswordToken = this.constructor.hashToken(token);
+  this.resetPasswordExpires = Date.now() + PASSWORD_RESET_TTL_MS;
+  return token;
+};
+
+// Method to start email verification - returns the raw token to email, keeps only its hash
+userSchema.methods.createVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.verificationToken = this.constructor.hashToken(token);
+  this.verificationExpires = Date.now() + EMAIL_VERIFICATION_TTL_MS;
+  return token;
+};
+
 // Method to get default address
 userSchema.methods.getDefaultAddress = function() {
   return this.addresses.find(addr => addr.isDefault) || this.addresses[0];
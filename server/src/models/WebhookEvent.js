@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const RETENTION_SECONDS = 30 * 24 * 60 * 60; // gateways stop retrying well before this
+
+// Gateway events already handled, so redelivered or replayed ones are ignored
+const webhookEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  eventId: { type: String, required: true },
+  event: String,
+  receivedAt: { type: Date, default: Date.now }
+});
+
+// Indexes
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
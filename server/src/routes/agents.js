@@ -0,0 +1,72 @@
+const express = require('express');
+const crypto = require('crypto');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { authenticate } = require('../middleware/auth');
+const { getAvailableAgents, getAgentInfo } = require('../agents/agentManager');
+const { sendChatMessage } = require('../services/chatService');
+
+const router = express.Router();
+
+// Look up an agent by key, e.g. "foodie"
+const findAgent = (req) => {
+  const info = getAgentInfo(req.params.agentType);
+  if (!info) {
+    throw new AppError(`Agent ${req.params.agentType} not found`, 404);
+  }
+  return info;
+};
+
+// Discover the available agents and what they can do
+router.get('/', catchAsync(async (req, res) => {
+  const agents = getAvailableAgents().map(key => {
+    const { tools, ...summary } = getAgentInfo(key);
+    return summary;
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      agents,
+      total: agents.length
+    }
+  });
+}));
+
+// Capabilities, tools and status of one agent
+router.get('/:agentType', catchAsync(async (req, res) => {
+  const agent = findAgent(req);
+
+  res.status(200).json({
+    success: true,
+    data: { agent }
+  });
+}));
+
+// Talk to a specific agent, skipping automatic routing
+router.post('/:agentType/message', authenticate, catchAsync(async (req, res) => {
+  const agent = findAgent(req);
+  const { message } = req.body;
+
+  if (!message || !message.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Message content is required'
+    });
+  }
+
+  if (!agent.isActive) {
+    throw new AppError(`${agent.name} is not available right now`, 503);
+  }
+
+  const response = await sendChatMessage(req.user.id, message, {
+    messageId: crypto.randomUUID(),
+    agent: agent.key
+  });
+
+  res.status(200).json({
+    success: true,
+    data: response
+  });
+}));
+
+module.exports = router;
@@ -1,19 +1,110 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const { validationResult, body } = require('express-validator');
-const { catchAsync, createValidationError, createAuthError } = require('../middleware/errorHandler');
-const { authenticate } = require('../middleware/auth');
+const { AppError, catchAsync, createValidationError, createAuthError } = require('../middleware/errorHandler');
+const { authenticate, userRateLimit } = require('../middleware/auth');
 const User = require('../models/User');
-const { structuredLogger } = require('../utils/logger');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { createEmailTransport } = require('../services/email');
+const { requestOtp, verifyOtp } = require('../services/phoneOtp');
+const twoFactor = require('../services/twoFactor');
+const { logger, structuredLogger } = require('../utils/logger');
 
 const router = express.Router();
+const mailer = createEmailTransport();
+
+// Links in emails open the app, e.g. APP_URL/reset-password?token=...
+const appLink = (pathname, params) =>
+  `${process.env.APP_URL || 'http://localhost:8081'}${pathname}?${new URLSearchParams(params)}`;
+
+// Delivery failures are logged rather than failing the request - the user can ask again
+const sendEmail = async (message) => {
+  try {
+    await mailer.send(message);
+    return true;
+  } catch (error) {
+    logger.error(`Error sending "${message.subject}" email:`, error);
+    return false;
+  }
+};
+
+const sendVerificationEmail = (user, token) => sendEmail({
+  to: user.email,
+  subject: 'Verify your email address',
+  text: `Hi ${user.name},\n\nConfirm your email address to start placing orders and saving payment methods:\n\n${appLink('/verify-email', { token })}\n\nThe link expires in ${process.env.EMAIL_VERIFICATION_TTL_HOURS || 24} hours.`
+});
+
+const clientInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ip: req.ip
+});
+
+// Last step of every sign-in method: clear failed attempts, start a session and
+// build the response data
+const completeLogin = async (user, req, method) => {
+  // Reset login attempts on successful login
+  if (user.loginAttempts > 0) {
+    await user.updateOne({
+      $unset: { loginAttempts: 1, lockUntil: 1 }
+    });
+  }
+
+  // Update last active
+  await user.updateLastActive();
+
+  // Short-lived access token plus a rotating refresh token
+  const tokens = await createSession(user, clientInfo(req));
+
+  // Log successful login
+  structuredLogger.userAction(user._id, 'login', {
+    method,
+    email: user.email,
+    lastActive: user.lastActive
+  });
+
+  return {
+    user: {
+      id: user._id,
+      name: user.name,
+      email: user.email,
+      phone: user.phone,
+      isVerified: user.isVerified,
+      phoneVerified: user.phoneVerified,
+      subscriptionTier: user.subscriptionTier,
+      profilePicture: user.profilePicture,
+      preferences: user.preferences
+    },
+    ...tokens
+  };
+};
+
+// First factor passed (password or phone code): sign in, or with 2FA on, return a
+// short-lived challenge token to exchange at /login/2fa along with the TOTP code
+const startLogin = async (user, req, method) => {
+  if (!user.isActive) {
+    throw createAuthError('Account is deactivated');
+  }
+
+  if (user.twoFactor?.enabled) {
+    structuredLogger.userAction(user._id, 'login_two_factor_challenge', { method });
+    return {
+      message: 'Enter the code from your authenticator app',
+      data: { twoFactorRequired: true, ...twoFactor.createChallenge(user, method) }
+    };
+  }
+
+  return { message: 'Login successful', data: await completeLogin(user, req, method) };
+};
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
   });
+  return true;
 };
 
 // Validation middleware
@@ -54,16 +145,19 @@ router.post('/register', validateRegistration, catchAsync(async (req, res) => {
   }
 
   // Create new user
-  const user = await User.create({
+  const user = new User({
     name: name.trim(),
     email,
     phone,
-    password,
-    verificationToken: crypto.randomBytes(32).toString('hex')
+    password
   });
+  const verificationToken = user.createVerificationToken();
+  await user.save();
+
+  await sendVerificationEmail(user, verificationToken);
 
-  // Generate token
-  const token = generateToken(user._id);
+  // Short-lived access token plus a rotating refresh token
+  const tokens = await createSession(user, clientInfo(req));
 
   // Log registration
   structuredLogger.userAction(user._id, 'register', {
@@ -83,7 +177,7 @@ router.post('/register', validateRegistration, catchAsync(async (req, res) => {
         isVerified: user.isVerified,
         subscriptionTier: user.subscriptionTier
       },
-      token
+      ...tokens
     }
   });
 }));
@@ -124,41 +218,141 @@ router.post('/login', validateLogin, catchAsync(async (req, res) => {
     throw createAuthError('Invalid email or password');
   }
 
-  // Reset login attempts on successful login
-  if (user.loginAttempts > 0) {
-    await user.updateOne({
-      $unset: { loginAttempts: 1, lockUntil: 1 }
-    });
+  const { message, data } = await startLogin(user, req, 'password');
+
+  res.status(200).json({
+    success: true,
+    message,
+    data
+  });
+}));
+
+// Second step of sign-in for accounts with 2FA: the challenge token plus a TOTP code
+// or one of the recovery codes
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(({ code, recoveryCode }) => Boolean(code || recoveryCode))
+    .withMessage('Authentication code or recovery code is required')
+], catchAsync(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const { challengeToken, code, recoveryCode } = req.body;
+  const challenge = twoFactor.verifyChallenge(challengeToken);
+
+  const user = await User.findById(challenge.userId);
+  if (!user) {
+    throw createAuthError('Invalid challenge token');
   }
 
-  // Update last active
-  await user.updateLastActive();
+  if (user.isLocked) {
+    structuredLogger.security('login_attempt_locked_account', user._id, { method: 'two_factor' });
+    throw createAuthError('Account is temporarily locked due to too many failed login attempts');
+  }
 
-  // Generate token
-  const token = generateToken(user._id);
+  const factor = await twoFactor.verifySecondFactor(user._id, { code, recoveryCode });
 
-  // Log successful login
-  structuredLogger.userAction(user._id, 'login', {
-    email: user.email,
-    lastActive: user.lastActive
-  });
+  // Wrong codes count towards the same lockout as wrong passwords
+  if (!factor) {
+    await user.incLoginAttempts();
+    structuredLogger.security('login_attempt_invalid_two_factor', user._id, { method: challenge.method });
+    throw createAuthError('Invalid authentication code');
+  }
+
+  const data = await completeLogin(user, req, `${challenge.method}+${factor}`);
+  if (factor === 'recovery_code') {
+    data.recoveryCodesRemaining = await twoFactor.remainingRecoveryCodes(user._id);
+  }
 
   res.status(200).json({
     success: true,
     message: 'Login successful',
-    data: {
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        phone: user.phone,
-        isVerified: user.isVerified,
-        subscriptionTier: user.subscriptionTier,
-        profilePicture: user.profilePicture,
-        preferences: user.preferences
-      },
-      token
+    data
+  });
+}));
+
+// Text a one-time login code to a registered phone number
+router.post('/login/otp/request', [
+  body('phone').isMobilePhone().withMessage('Valid phone number is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { phone } = req.body;
+  const user = await User.findOne({ phone });
+
+  if (!user || !user.isActive) {
+    structuredLogger.security('otp_login_unknown_phone', null, { phone });
+  } else if (user.isLocked) {
+    structuredLogger.security('login_attempt_locked_account', user._id, { phone });
+    throw createAuthError('Account is temporarily locked due to too many failed login attempts');
+  } else {
+    await requestOtp(user, 'login');
+  }
+
+  // Don't reveal whether the number is registered
+  res.status(200).json({
+    success: true,
+    message: 'If the number is registered, a login code has been sent'
+  });
+}));
+
+// Sign in with the texted code
+router.post('/login/otp', [
+  body('phone').isMobilePhone().withMessage('Valid phone number is required'),
+  body('code').isString().isLength({ min: 4, max: 10 }).withMessage('Code is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { phone, code } = req.body;
+  const user = await User.findOne({ phone });
+
+  if (user?.isLocked) {
+    structuredLogger.security('login_attempt_locked_account', user._id, { phone });
+    throw createAuthError('Account is temporarily locked due to too many failed login attempts');
+  }
+
+  let userId;
+  try {
+    userId = await verifyOtp(phone, 'login', code);
+  } catch (error) {
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (user && error.statusCode === 400) {
+      await user.incLoginAttempts();
     }
+    throw error;
+  }
+
+  if (!user || !user._id.equals(userId)) {
+    throw createAuthError('Code is invalid or has expired');
+  }
+
+  // Receiving the code proves the number
+  if (!user.phoneVerified) {
+    user.phoneVerified = true;
+    await user.save();
+  }
+
+  const { message, data } = await startLogin(user, req, 'otp');
+
+  res.status(200).json({
+    success: true,
+    message,
+    data
   });
 }));
 
@@ -184,6 +378,8 @@ router.get('/profile', authenticate, catchAsync(async (req, res) => {
         totalSpent: user.totalSpent,
         favoriteAgents: user.favoriteAgents,
         isVerified: user.isVerified,
+        phoneVerified: user.phoneVerified,
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
         subscriptionTier: user.subscriptionTier,
         lastActive: user.lastActive,
         createdAt: user.createdAt
@@ -347,7 +543,10 @@ router.put('/password', authenticate, [
   user.password = newPassword;
   await user.save();
 
-  structuredLogger.userAction(req.user.id, 'change_password');
+  // Keep this device signed in, sign out the rest
+  const revokedSessions = await revokeAllSessions(req.user.id, 'password_change', { except: req.sessionId });
+
+  structuredLogger.userAction(req.user.id, 'change_password', { revokedSessions });
 
   res.status(200).json({
     success: true,
@@ -355,9 +554,35 @@ router.put('/password', authenticate, [
   });
 }));
 
-// Logout (client-side token invalidation)
+// Exchange a refresh token for a new token pair. The old refresh token stops working;
+// presenting it again signs that device out.
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { user, ...tokens } = await rotateSession(req.body.refreshToken, clientInfo(req));
+
+  structuredLogger.userAction(user._id, 'refresh_token', { sessionId: tokens.sessionId });
+
+  res.status(200).json({
+    success: true,
+    data: tokens
+  });
+}));
+
+// Logout - revokes this device's session, its access and refresh tokens
 router.post('/logout', authenticate, catchAsync(async (req, res) => {
-  structuredLogger.userAction(req.user.id, 'logout');
+  await revokeSession(req.sessionId, 'logout');
+
+  structuredLogger.userAction(req.user.id, 'logout', { sessionId: req.sessionId });
 
   res.status(200).json({
     success: true,
@@ -365,6 +590,19 @@ router.post('/logout', authenticate, catchAsync(async (req, res) => {
   });
 }));
 
+// Logout of all devices, including this one
+router.post('/logout-all', authenticate, catchAsync(async (req, res) => {
+  const revokedSessions = await revokeAllSessions(req.user.id, 'logout_all');
+
+  structuredLogger.userAction(req.user.id, 'logout_all', { revokedSessions });
+
+  res.status(200).json({
+    success: true,
+    message: 'Logged out of all devices',
+    data: { revokedSessions }
+  });
+}));
+
 // Forgot password
 router.post('/forgot-password', [
   body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
@@ -381,46 +619,251 @@ router.post('/forgot-password', [
   const { email } = req.body;
   const user = await User.findOne({ email });
 
+  // Same answer whether or not the email exists
+  const response = {
+    success: true,
+    message: 'If the email exists, you will receive password reset instructions'
+  };
+
   if (!user) {
-    // Don't reveal if email exists or not
-    return res.status(200).json({
-      success: true,
-      message: 'If the email exists, you will receive password reset instructions'
+    structuredLogger.security('password_reset_unknown_email', null, { email });
+    return res.status(200).json(response);
+  }
+
+  // Only the token's hash is stored; the raw token goes out in the email
+  const resetToken = user.createPasswordResetToken();
+  await user.save();
+
+  await sendEmail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nUse this link to choose a new password. It expires in 10 minutes.\n\n${appLink('/reset-password', { token: resetToken })}\n\nIf you didn't ask for this, you can ignore this email.`
+  });
+
+  structuredLogger.userAction(user._id, 'request_password_reset', { email });
+
+  res.status(200).json(response);
+}));
+
+// Reset password with the emailed token
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/).withMessage('Password must contain uppercase, lowercase, and number')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
     });
   }
 
-  // Generate reset token
-  const resetToken = crypto.randomBytes(32).toString('hex');
-  user.resetPasswordToken = resetToken;
-  user.resetPasswordExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
+  const { token, password } = req.body;
+
+  const user = await User.findOne({
+    resetPasswordToken: User.hashToken(token),
+    resetPasswordExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    structuredLogger.security('password_reset_invalid_token', null, { ip: req.ip });
+    throw createAuthError('Reset link is invalid or has expired');
+  }
 
+  // Proving control of the email also clears a lockout
+  user.password = password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpires = undefined;
+  user.loginAttempts = 0;
+  user.lockUntil = undefined;
   await user.save();
 
-  structuredLogger.userAction(user._id, 'request_password_reset', { email });
+  // Whoever knew the old password may still be signed in
+  const revokedSessions = await revokeAllSessions(user._id, 'password_reset');
+
+  structuredLogger.security('password_reset', user._id, { revokedSessions });
+
+  res.status(200).json({
+    success: true,
+    message: 'Password has been reset. Please log in with your new password'
+  });
+}));
+
+// Text a code to the account's phone number to verify it
+router.post('/phone/verify/request', authenticate, catchAsync(async (req, res) => {
+  if (req.user.phoneVerified) {
+    throw new AppError('Phone number is already verified', 400);
+  }
 
-  // TODO: Send email with reset link
-  // For now, just return success message
+  const otp = await requestOtp(req.user, 'verify_phone');
 
   res.status(200).json({
     success: true,
-    message: 'Password reset instructions sent to your email',
-    // In development, return the token for testing
-    ...(process.env.NODE_ENV === 'development' && { resetToken })
+    message: `Verification code sent to ${req.user.phone}`,
+    data: otp
   });
 }));
 
-// Verify account
+// Confirm the texted code
+router.post('/phone/verify', authenticate, [
+  body('code').isString().isLength({ min: 4, max: 10 }).withMessage('Code is required')
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const userId = await verifyOtp(req.user.phone, 'verify_phone', req.body.code);
+  if (!req.user._id.equals(userId)) {
+    throw new AppError('Code is invalid or has expired', 400);
+  }
+
+  req.user.phoneVerified = true;
+  await req.user.save();
+
+  structuredLogger.userAction(req.user.id, 'verify_phone');
+
+  res.status(200).json({
+    success: true,
+    message: 'Phone number verified successfully'
+  });
+}));
+
+// Send a fresh verification email; earlier links stop working
+router.post('/resend-verification', authenticate, userRateLimit(3, 15 * 60 * 1000), catchAsync(async (req, res) => {
+  if (req.user.isVerified) {
+    throw new AppError('Email address is already verified', 400);
+  }
+
+  const verificationToken = req.user.createVerificationToken();
+  await req.user.save();
+
+  await sendVerificationEmail(req.user, verificationToken);
+
+  structuredLogger.userAction(req.user.id, 'resend_verification', { email: req.user.email });
+
+  res.status(200).json({
+    success: true,
+    message: `Verification email sent to ${req.user.email}`
+  });
+}));
+
+// Start 2FA setup - returns the secret and an otpauth:// URI for authenticator apps
+router.post('/2fa/setup', authenticate, catchAsync(async (req, res) => {
+  const enrollment = await twoFactor.startEnrollment(req.user._id);
+
+  structuredLogger.userAction(req.user.id, 'two_factor_setup');
+
+  res.status(200).json({
+    success: true,
+    message: 'Add this account to your authenticator app, then confirm with a code from it',
+    data: enrollment
+  });
+}));
+
+// Finish 2FA setup with the first code from the app. The recovery codes are shown only here.
+router.post('/2fa/enable', authenticate, [
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], catchAsync(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const recoveryCodes = await twoFactor.confirmEnrollment(req.user._id, req.body.code);
+
+  structuredLogger.security('two_factor_enabled', req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe',
+    data: { recoveryCodes }
+  });
+}));
+
+// Replace the recovery codes - needs a current TOTP code
+router.post('/2fa/recovery-codes', authenticate, [
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], catchAsync(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  if (!req.user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  const factor = await twoFactor.verifySecondFactor(req.user._id, { code: req.body.code });
+  if (!factor) {
+    structuredLogger.security('two_factor_invalid_code', req.user.id, { action: 'regenerate_recovery_codes' });
+    throw createAuthError('Invalid authentication code');
+  }
+
+  const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user._id);
+
+  structuredLogger.security('two_factor_recovery_codes_regenerated', req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'New recovery codes generated; the old ones no longer work',
+    data: { recoveryCodes }
+  });
+}));
+
+// Turn 2FA off - needs the password and a TOTP or recovery code
+router.post('/2fa/disable', authenticate, [
+  body('password').notEmpty().withMessage('Password is required'),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(({ code, recoveryCode }) => Boolean(code || recoveryCode))
+    .withMessage('Authentication code or recovery code is required')
+], catchAsync(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const { password, code, recoveryCode } = req.body;
+
+  if (!req.user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  const user = await User.findById(req.user.id).select('+password');
+  if (!(await user.comparePassword(password))) {
+    structuredLogger.security('two_factor_disable_invalid_password', req.user.id);
+    throw createAuthError('Password is incorrect');
+  }
+
+  if (!(await twoFactor.verifySecondFactor(req.user._id, { code, recoveryCode }))) {
+    structuredLogger.security('two_factor_invalid_code', req.user.id, { action: 'disable' });
+    throw createAuthError('Invalid authentication code');
+  }
+
+  await twoFactor.disable(req.user._id);
+
+  structuredLogger.security('two_factor_disabled', req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+// Verify account with the emailed token
 router.post('/verify/:token', catchAsync(async (req, res) => {
   const { token } = req.params;
 
-  const user = await User.findOne({ verificationToken: token });
+  const user = await User.findOne({
+    verificationToken: User.hashToken(token),
+    verificationExpires: { $gt: Date.now() }
+  });
 
   if (!user) {
-    throw createAuthError('Invalid verification token');
+    throw createAuthError('Verification link is invalid or has expired');
   }
 
   user.isVerified = true;
   user.verificationToken = undefined;
+  user.verificationExpires = undefined;
   await user.save();
 
   structuredLogger.userAction(user._id, 'verify_account');
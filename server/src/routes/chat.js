@@ -1,14 +1,26 @@
 const express = require('express');
-const { catchAsync } = require('../middleware/errorHandler');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
 const { authenticate } = require('../middleware/auth');
 const { 
-  processMessage, 
+  stopGeneration,
   getUserContext, 
   clearUserContext, 
+  getAgentState,
+  clearAgentState,
   getAvailableAgents, 
-  getAgentStatus 
+  getAgentStatus,
+  processHandoff
 } = require('../agents/agentManager');
+const { isAgentEnabled } = require('../agents/registry');
+const { createHandoffPayload, PREVIOUS_AGENT } = require('../agents/handoff');
 const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { deleteConversation } = require('../services/transcriptStore');
+const { sendChatMessage } = require('../services/chatService');
+const { emitToUser } = require('../services/realtime');
 const { structuredLogger } = require('../utils/logger');
 
 const router = express.Router();
@@ -39,49 +51,32 @@ router.post('/message', authenticate, catchAsync(async (req, res) => {
     });
   }
 
-  // Get user profile for personalization
-  const userProfile = await User.findById(userId);
-  
-  // Log user activity
-  structuredLogger.userAction(userId, 'send_message', {
-    messageLength: message.length,
+  const response = await sendChatMessage(userId, message, {
+    messageId: crypto.randomUUID(),
     agentPreference
   });
 
-  // Process message with AI agents
-  const response = await processMessage(userId, message, userProfile);
-  
-  // Get the Socket.IO instance to send real-time updates
-  const io = req.app.get('io');
-  
-  // Send real-time response to user
-  io.to(`user-${userId}`).emit('agent-response', {
-    ...response,
-    timestamp: Date.now()
+  res.status(200).json({
+    success: true,
+    data: response
   });
+}));
 
-  // Log agent activity
-  structuredLogger.agentActivity(
-    response.agent, 
-    'send_response', 
-    userId, 
-    { 
-      messageLength: response.message.length,
-      hasActions: response.actions && response.actions.length > 0,
-      suggestionCount: response.suggestions ? response.suggestions.length : 0
-    }
-  );
-
+// Stop an in-flight generation (REST alternative to the socket stop-generation event)
+router.post('/stop', authenticate, catchAsync(async (req, res) => {
+  const { messageId } = req.body;
+  const stopped = stopGeneration(req.user.id, messageId);
+  
   res.status(200).json({
     success: true,
-    data: response
+    data: { stopped }
   });
 }));
 
 // Get conversation context/history
 router.get('/context', authenticate, catchAsync(async (req, res) => {
   const userId = req.user.id;
-  const context = getUserContext(userId);
+  const context = await getUserContext(userId);
   
   res.status(200).json({
     success: true,
@@ -95,7 +90,7 @@ router.get('/context', authenticate, catchAsync(async (req, res) => {
 // Clear conversation context
 router.delete('/context', authenticate, catchAsync(async (req, res) => {
   const userId = req.user.id;
-  clearUserContext(userId);
+  await clearUserContext(userId);
   
   structuredLogger.userAction(userId, 'clear_context');
   
@@ -105,70 +100,178 @@ router.delete('/context', authenticate, catchAsync(async (req, res) => {
   });
 }));
 
-// Get chat history (from user profile)
-router.get('/history', authenticate, catchAsync(async (req, res) => {
-  const { limit = 50, agent } = req.query;
-  const userId = req.user.id;
+// Get agent flow state (cart, ride draft, ...) so clients can rebuild it after a reconnect
+router.get('/state', authenticate, catchAsync(async (req, res) => {
+  const agentState = await getAgentState(req.user.id);
   
-  const user = await User.findById(userId);
-  let history = user.conversationHistory || [];
+  res.status(200).json({
+    success: true,
+    data: {
+      agentState
+    }
+  });
+}));
+
+// Get flow state for a single agent
+router.get('/state/:agent', authenticate, catchAsync(async (req, res) => {
+  const { agent } = req.params;
   
-  // Filter by agent if specified
-  if (agent) {
-    history = history.filter(h => h.agentType === agent);
+  if (!getAvailableAgents().includes(agent)) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown agent: ${agent}`
+    });
   }
   
-  // Sort by timestamp (newest first) and limit
-  history = history
-    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-    .slice(0, parseInt(limit));
+  const state = await getAgentState(req.user.id, agent);
   
   res.status(200).json({
     success: true,
     data: {
-      history,
-      total: history.length
+      agent,
+      state
     }
   });
 }));
 
-// Save conversation to history
-router.post('/history', authenticate, catchAsync(async (req, res) => {
-  const { agentType, context } = req.body;
+// Reset flow state for a single agent (e.g. empty the cart)
+router.delete('/state/:agent', authenticate, catchAsync(async (req, res) => {
+  const { agent } = req.params;
   const userId = req.user.id;
   
-  if (!agentType || !context) {
-    return res.status(400).json({
+  if (!getAvailableAgents().includes(agent)) {
+    return res.status(404).json({
       success: false,
-      message: 'Agent type and context are required'
+      message: `Unknown agent: ${agent}`
     });
   }
   
-  const user = await User.findById(userId);
+  await clearAgentState(userId, agent);
   
-  // Add to conversation history
-  user.conversationHistory.push({
-    agentType,
-    context,
-    timestamp: new Date()
-  });
+  structuredLogger.userAction(userId, 'clear_agent_state', { agent });
   
-  // Keep only last 100 conversations per user
-  if (user.conversationHistory.length > 100) {
-    user.conversationHistory = user.conversationHistory.slice(-100);
+  res.status(200).json({
+    success: true,
+    message: `${agent} state cleared`
+  });
+}));
+
+// Opaque pagination cursors - the sort key of the last item on the page
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  let value = null;
+  try {
+    value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    // handled below
   }
-  
-  await user.save();
-  
+
+  if (!value || !mongoose.isValidObjectId(value.id)) {
+    throw new AppError('Invalid cursor', 400);
+  }
+  return value;
+};
+
+const pageLimit = (limit, fallback) => Math.min(Math.max(parseInt(limit) || fallback, 1), 100);
+
+const findUserConversation = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.conversationId)) {
+    throw new AppError('Conversation not found', 404);
+  }
+
+  const conversation = await Conversation.findOne({ _id: req.params.conversationId, user: req.user.id });
+  if (!conversation) {
+    throw new AppError('Conversation not found', 404);
+  }
+  return conversation;
+};
+
+// List the user's conversations, most recently active first
+router.get('/conversations', authenticate, catchAsync(async (req, res) => {
+  const { cursor, agent } = req.query;
+  const limit = pageLimit(req.query.limit, 20);
+
+  const query = { user: req.user.id };
+  if (agent) query.agents = agent;
+
+  if (cursor) {
+    const { lastMessageAt, id } = decodeCursor(cursor);
+    query.$or = [
+      { lastMessageAt: { $lt: new Date(lastMessageAt) } },
+      { lastMessageAt: new Date(lastMessageAt), _id: { $lt: id } }
+    ];
+  }
+
+  const conversations = await Conversation.find(query)
+    .sort({ lastMessageAt: -1, _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = conversations.length > limit;
+  const page = conversations.slice(0, limit);
+  const last = page[page.length - 1];
+
   res.status(200).json({
     success: true,
-    message: 'Conversation saved to history'
+    data: {
+      conversations: page,
+      nextCursor: hasMore ? encodeCursor({ lastMessageAt: last.lastMessageAt.getTime(), id: last.id }) : null
+    }
   });
 }));
 
-// Agent handoff endpoint
+// Get a conversation's transcript - pages go back in time, messages within a page are oldest first
+router.get('/conversations/:conversationId/messages', authenticate, catchAsync(async (req, res) => {
+  const conversation = await findUserConversation(req);
+  const limit = pageLimit(req.query.limit, 50);
+
+  const query = { conversation: conversation._id };
+  if (req.query.cursor) {
+    query._id = { $lt: decodeCursor(req.query.cursor).id };
+  }
+
+  const messages = await Message.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1);
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit).reverse();
+
+  res.status(200).json({
+    success: true,
+    data: {
+      conversation,
+      messages: page,
+      nextCursor: hasMore ? encodeCursor({ id: page[0].id }) : null
+    }
+  });
+}));
+
+// Delete a conversation and its transcript
+router.delete('/conversations/:conversationId', authenticate, catchAsync(async (req, res) => {
+  const userId = req.user.id;
+  const conversation = await findUserConversation(req);
+
+  await deleteConversation(userId, conversation._id);
+
+  // Deleting the live conversation also starts the user afresh
+  const context = await getUserContext(userId);
+  if (context?.conversationId === conversation.id) {
+    await clearUserContext(userId);
+  }
+
+  structuredLogger.userAction(userId, 'delete_conversation', { conversationId: conversation.id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Conversation deleted'
+  });
+}));
+
+// Agent handoff endpoint. targetAgent is an agent key, or "previous" to go back one handoff;
+// entities (location, pickup, destination, time, budget, ...) and data go to the target agent.
 router.post('/handoff', authenticate, catchAsync(async (req, res) => {
-  const { targetAgent, reason, context } = req.body;
+  const { targetAgent, reason, entities = {}, data = {} } = req.body;
   const userId = req.user.id;
   
   if (!targetAgent) {
@@ -177,27 +280,26 @@ router.post('/handoff', authenticate, catchAsync(async (req, res) => {
       message: 'Target agent is required for handoff'
     });
   }
-  
-  // Get user profile
-  const userProfile = await User.findById(userId);
-  
-  // Process handoff message
-  const handoffMessage = `Hand me over to ${targetAgent}`;
-  const response = await processMessage(userId, handoffMessage, userProfile);
-  
-  // Log handoff
-  structuredLogger.handoff(
-    response.metadata?.fromAgent || 'unknown',
-    targetAgent,
-    userId,
-    reason || 'User requested handoff'
-  );
+
+  if (targetAgent !== PREVIOUS_AGENT && !isAgentEnabled(targetAgent)) {
+    throw new AppError(`Agent ${targetAgent} not found`, 404);
+  }
+
+  // Validates the entities before touching the conversation
+  const payload = createHandoffPayload({
+    toAgent: targetAgent,
+    reason: reason || 'User requested handoff',
+    entities,
+    data
+  });
+
+  const response = await processHandoff(userId, targetAgent, payload);
   
   // Send real-time update
-  const io = req.app.get('io');
-  io.to(`user-${userId}`).emit('agent-handoff', {
-    targetAgent,
-    reason,
+  emitToUser(userId, 'agent-handoff', {
+    targetAgent: response.agent,
+    fromAgent: response.fromAgent,
+    reason: payload.reason,
     response
   });
   
@@ -277,27 +379,41 @@ router.get('/recommendations', authenticate, catchAsync(async (req, res) => {
     });
   }
   
+  // Leave out agents switched off in this deployment
+  const available = recommendations
+    .map(recommendation => ({
+      ...recommendation,
+      agents: recommendation.agents.filter(isAgentEnabled)
+    }))
+    .filter(recommendation => recommendation.agents.length > 0);
+
   res.status(200).json({
     success: true,
     data: {
-      recommendations
+      recommendations: available
     }
   });
 }));
 
 // Chat statistics
 router.get('/stats', authenticate, catchAsync(async (req, res) => {
-  const userId = req.user.id;
-  const user = await User.findById(userId);
-  
-  // Calculate statistics from conversation history
+  const userId = new mongoose.Types.ObjectId(req.user.id);
+
+  const [totalConversations, usage] = await Promise.all([
+    Conversation.countDocuments({ user: userId }),
+    Conversation.aggregate([
+      { $match: { user: userId } },
+      { $unwind: '$agents' },
+      { $group: { _id: '$agents', conversations: { $sum: 1 } } }
+    ])
+  ]);
+
+  // Conversations each agent took part in
   const agentUsage = {};
-  const totalConversations = user.conversationHistory.length;
-  
-  user.conversationHistory.forEach(conv => {
-    agentUsage[conv.agentType] = (agentUsage[conv.agentType] || 0) + 1;
+  usage.forEach(({ _id, conversations }) => {
+    agentUsage[_id] = conversations;
   });
-  
+
   const mostUsedAgent = Object.keys(agentUsage).reduce((a, b) => 
     agentUsage[a] > agentUsage[b] ? a : b, null
   );
@@ -308,10 +424,52 @@ router.get('/stats', authenticate, catchAsync(async (req, res) => {
       totalConversations,
       agentUsage,
       mostUsedAgent,
-      joinDate: user.createdAt,
-      lastActive: user.lastActive
+      joinDate: req.user.createdAt,
+      lastActive: req.user.lastActive
     }
   });
 }));
 
+// Kept for older clients: the embedded history was replaced by /conversations. Each
+// entry is a conversation, with its last agent as agentType.
+router.get('/history', authenticate, catchAsync(async (req, res) => {
+  const { agent } = req.query;
+  const limit = pageLimit(req.query.limit, 50);
+
+  const query = { user: req.user.id };
+  if (agent) query.agents = agent;
+
+  const conversations = await Conversation.find(query)
+    .sort({ lastMessageAt: -1, _id: -1 })
+    .limit(limit)
+    .lean();
+
+  const history = conversations.map(conversation => ({
+    agentType: conversation.lastAgent,
+    timestamp: conversation.lastMessageAt,
+    context: {
+      conversationId: conversation._id,
+      title: conversation.title,
+      agents: conversation.agents,
+      messageCount: conversation.messageCount
+    }
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      history,
+      total: history.length
+    }
+  });
+}));
+
+// Conversations are recorded by the agents now; clients no longer save history
+router.post('/history', authenticate, (req, res) => {
+  res.status(410).json({
+    success: false,
+    message: 'Conversation history is saved automatically; use GET /api/chat/conversations'
+  });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,114 @@
+const express = require('express');
+const { validationResult, body } = require('express-validator');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const Order = require('../models/Order');
+const { structuredLogger } = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Load an order belonging to the current user
+const findUserOrder = async (req) => {
+  const order = await Order.findOne({ _id: req.params.orderId, user: req.user.id });
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+  return order;
+};
+
+// List the user's orders (newest first)
+router.get('/', catchAsync(async (req, res) => {
+  const { limit = 20, status } = req.query;
+
+  const query = { user: req.user.id };
+  if (status) query.status = status;
+
+  const orders = await Order.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 20, 100));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      orders,
+      total: orders.length
+    }
+  });
+}));
+
+// Get a single order
+router.get('/:orderId', catchAsync(async (req, res) => {
+  const order = await findUserOrder(req);
+
+  res.status(200).json({
+    success: true,
+    data: { order }
+  });
+}));
+
+// Cancel an order before it leaves the restaurant
+router.post('/:orderId/cancel', [
+  body('reason').optional().trim()
+], catchAsync(async (req, res) => {
+  const order = await findUserOrder(req);
+
+  if (!order.canTransitionTo('cancelled')) {
+    return res.status(409).json({
+      success: false,
+      message: `Order can no longer be cancelled (status: ${order.status})`
+    });
+  }
+
+  await order.transitionTo('cancelled', req.body.reason || 'Cancelled by user');
+
+  structuredLogger.userAction(req.user.id, 'cancel_order', {
+    orderId: order._id,
+    orderNumber: order.orderNumber
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Order cancelled successfully',
+    data: { order }
+  });
+}));
+
+// Advance an order through its lifecycle (fulfilment side)
+router.patch('/:orderId/status', requireAdmin, [
+  body('status').isIn(Order.STATUSES).withMessage('Invalid order status'),
+  body('note').optional().trim()
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const order = await Order.findById(req.params.orderId);
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+
+  const previousStatus = order.status;
+  await order.transitionTo(req.body.status, req.body.note);
+
+  structuredLogger.business('order_status_changed', order.status, {
+    orderId: order._id,
+    from: previousStatus,
+    to: order.status
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Order status updated',
+    data: { order }
+  });
+}));
+
+module.exports = router;
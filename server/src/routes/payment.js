@@ -0,0 +1,256 @@
+const express = require('express');
+const { validationResult, body, param } = require('express-validator');
+const { catchAsync, AppError, createPaymentError, createExternalAPIError } = require('../middleware/errorHandler');
+const { authenticate, requireVerification } = require('../middleware/auth');
+const {
+  PAYABLES,
+  PAYABLE_TYPES,
+  getRazorpay,
+  toPaise,
+  verifyPaymentSignature,
+  findPayable,
+  findPayableByRazorpayOrder
+} = require('../services/payments');
+const { emitToUser } = require('../services/realtime');
+const { structuredLogger } = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+};
+
+// Razorpay SDK errors carry the API's description; surface them as upstream failures
+const callRazorpay = async (request) => {
+  try {
+    return await request(getRazorpay());
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw createExternalAPIError('Razorpay', error.error?.description || error.message);
+  }
+};
+
+const payableFields = [
+  body('type').isIn(PAYABLE_TYPES).withMessage(`Type must be one of: ${PAYABLE_TYPES.join(', ')}`),
+  body('id').isMongoId().withMessage('Invalid id')
+];
+
+// Create a Razorpay order for something the user owes, to open Razorpay Checkout with
+router.post('/create-order', requireVerification, payableFields, catchAsync(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const { type, id } = req.body;
+  const payable = await findPayable(type, id, req.user.id);
+
+  if (['paid', 'refunded', 'mismatch'].includes(payable.payment.status)) {
+    return res.status(409).json({
+      success: false,
+      message: `Payment already ${payable.payment.status}`
+    });
+  }
+
+  if (payable.status === 'cancelled') {
+    return res.status(409).json({
+      success: false,
+      message: 'Cancelled bookings cannot be paid for'
+    });
+  }
+
+  const amount = toPaise(PAYABLES[type].amount(payable));
+  const reference = PAYABLES[type].reference(payable);
+
+  const razorpayOrder = await callRazorpay(razorpay => razorpay.orders.create({
+    amount,
+    currency: 'INR',
+    receipt: reference,
+    notes: { type, id: payable._id.toString(), userId: req.user.id }
+  }));
+
+  payable.payment.razorpayOrderId = razorpayOrder.id;
+  payable.payment.status = 'pending';
+  await payable.save();
+
+  structuredLogger.userAction(req.user.id, 'create_payment_order', {
+    type,
+    id: payable._id,
+    razorpayOrderId: razorpayOrder.id,
+    amount
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      keyId: process.env.RAZORPAY_KEY_ID,
+      razorpayOrderId: razorpayOrder.id,
+      amount: razorpayOrder.amount,
+      currency: razorpayOrder.currency,
+      reference
+    }
+  });
+}));
+
+// Confirm a Checkout payment - the signature proves Razorpay issued these ids
+router.post('/verify', [
+  body('razorpay_order_id').notEmpty().withMessage('razorpay_order_id is required'),
+  body('razorpay_payment_id').notEmpty().withMessage('razorpay_payment_id is required'),
+  body('razorpay_signature').notEmpty().withMessage('razorpay_signature is required')
+], catchAsync(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const {
+    razorpay_order_id: razorpayOrderId,
+    razorpay_payment_id: razorpayPaymentId,
+    razorpay_signature: signature
+  } = req.body;
+
+  const found = await findPayableByRazorpayOrder(razorpayOrderId, req.user.id);
+  if (!found) {
+    throw new AppError('Payment order not found', 404);
+  }
+
+  if (!verifyPaymentSignature(razorpayOrderId, razorpayPaymentId, signature)) {
+    structuredLogger.security('payment_signature_mismatch', req.user.id, {
+      razorpayOrderId,
+      razorpayPaymentId
+    });
+    throw createPaymentError('Invalid payment signature', 400);
+  }
+
+  const { type, doc: payable } = found;
+  const { status } = payable.payment;
+
+  // A signature stays valid forever, so replaying it must not undo a refund (and
+  // re-open /refund) or replace the payment that settled the booking
+  if (status === 'refunded') {
+    return res.status(409).json({
+      success: false,
+      message: 'Payment already refunded'
+    });
+  }
+
+  // Verifying the same payment twice is harmless. The webhook compares the captured
+  // amount with what's due, so a payment it flagged as a mismatch stays flagged.
+  if (['paid', 'mismatch'].includes(status) && payable.payment.razorpayPaymentId !== razorpayPaymentId) {
+    return res.status(409).json({
+      success: false,
+      message: `Payment already ${status}`
+    });
+  }
+
+  if (['pending', 'failed'].includes(status)) {
+    payable.payment.status = 'paid';
+    payable.payment.razorpayPaymentId = razorpayPaymentId;
+    payable.payment.paidAt = new Date();
+    await payable.save();
+
+    structuredLogger.business('payment_captured', PAYABLES[type].amount(payable), {
+      userId: req.user.id,
+      type,
+      id: payable._id,
+      razorpayPaymentId
+    });
+
+    emitToUser(req.user.id, 'payment-status', {
+      type,
+      id: payable._id,
+      status: 'paid'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment verified',
+    data: { type, id: payable._id, payment: payable.payment }
+  });
+}));
+
+// Refund a paid booking in full. Users can refund what they cancelled; admins anything paid.
+router.post('/refund', [
+  ...payableFields,
+  body('reason').optional().trim()
+], catchAsync(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const { type, id, reason } = req.body;
+  const isAdmin = req.user.role === 'admin';
+  const payable = await findPayable(type, id, isAdmin ? null : req.user.id);
+
+  if (payable.payment.status !== 'paid' || !payable.payment.razorpayPaymentId) {
+    return res.status(409).json({
+      success: false,
+      message: `Only paid payments can be refunded (status: ${payable.payment.status})`
+    });
+  }
+
+  if (!isAdmin && payable.status !== 'cancelled') {
+    return res.status(409).json({
+      success: false,
+      message: 'Cancel the booking before requesting a refund'
+    });
+  }
+
+  const amount = toPaise(PAYABLES[type].amount(payable));
+
+  const refund = await callRazorpay(razorpay => razorpay.payments.refund(payable.payment.razorpayPaymentId, {
+    amount,
+    notes: { type, id: payable._id.toString(), reason: reason || 'Refund requested' }
+  }));
+
+  payable.payment.status = 'refunded';
+  payable.payment.razorpayRefundId = refund.id;
+  payable.payment.refundedAt = new Date();
+  await payable.save();
+
+  structuredLogger.business('payment_refunded', amount / 100, {
+    userId: payable.user,
+    refundedBy: req.user.id,
+    type,
+    id: payable._id,
+    razorpayRefundId: refund.id
+  });
+
+  emitToUser(payable.user, 'payment-status', {
+    type,
+    id: payable._id,
+    status: 'refunded'
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Refund initiated',
+    data: { type, id: payable._id, refundId: refund.id, payment: payable.payment }
+  });
+}));
+
+// Payment status for one of the user's bookings
+router.get('/:type/:id', [
+  param('type').isIn(PAYABLE_TYPES).withMessage(`Type must be one of: ${PAYABLE_TYPES.join(', ')}`),
+  param('id').isMongoId().withMessage('Invalid id')
+], catchAsync(async (req, res) => {
+  if (rejectInvalid(req, res)) return;
+
+  const payable = await findPayable(req.params.type, req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      type: req.params.type,
+      id: payable._id,
+      amount: PAYABLES[req.params.type].amount(payable),
+      payment: payable.payment
+    }
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const { catchAsync } = require('../middleware/errorHandler');
+const { handleRazorpayWebhook } = require('../services/paymentWebhooks');
+
+const router = express.Router();
+
+// Razorpay webhook - no user auth, the signature over the raw body is the proof.
+// Mounted with express.raw() so req.body is the exact bytes Razorpay signed.
+router.post('/', catchAsync(async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Expected a raw JSON body'
+    });
+  }
+
+  const result = await handleRazorpayWebhook({
+    rawBody: req.body,
+    signature: req.get('X-Razorpay-Signature'),
+    eventId: req.get('X-Razorpay-Event-Id')
+  });
+
+  // Duplicates and unknown events still get a 2xx so Razorpay stops retrying
+  res.status(200).json({
+    success: true,
+    data: result
+  });
+}));
+
+module.exports = router;
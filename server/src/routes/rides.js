@@ -0,0 +1,126 @@
+const express = require('express');
+const { validationResult, body } = require('express-validator');
+const { catchAsync, AppError } = require('../middleware/errorHandler');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const Ride = require('../models/Ride');
+const { structuredLogger } = require('../utils/logger');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Load a ride belonging to the current user
+const findUserRide = async (req) => {
+  const ride = await Ride.findOne({ _id: req.params.rideId, user: req.user.id });
+  if (!ride) {
+    throw new AppError('Ride not found', 404);
+  }
+  return ride;
+};
+
+// List the user's rides (newest first)
+router.get('/', catchAsync(async (req, res) => {
+  const { limit = 20, status } = req.query;
+
+  const query = { user: req.user.id };
+  if (status) query.status = status;
+
+  const rides = await Ride.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(parseInt(limit) || 20, 100));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      rides,
+      total: rides.length
+    }
+  });
+}));
+
+// Get the user's ride that is still in progress
+router.get('/active', catchAsync(async (req, res) => {
+  const ride = await Ride.findActiveForUser(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    data: { ride }
+  });
+}));
+
+// Get a single ride
+router.get('/:rideId', catchAsync(async (req, res) => {
+  const ride = await findUserRide(req);
+
+  res.status(200).json({
+    success: true,
+    data: { ride }
+  });
+}));
+
+// Cancel a ride before the trip starts
+router.post('/:rideId/cancel', [
+  body('reason').optional().trim()
+], catchAsync(async (req, res) => {
+  const ride = await findUserRide(req);
+
+  if (!ride.canTransitionTo('cancelled')) {
+    return res.status(409).json({
+      success: false,
+      message: `Ride can no longer be cancelled (status: ${ride.status})`
+    });
+  }
+
+  await ride.transitionTo('cancelled', { note: req.body.reason || 'Cancelled by rider' });
+
+  structuredLogger.userAction(req.user.id, 'cancel_ride', {
+    rideId: ride._id,
+    rideNumber: ride.rideNumber
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Ride cancelled successfully',
+    data: { ride }
+  });
+}));
+
+// Advance a ride through its lifecycle (driver/provider side)
+router.patch('/:rideId/status', requireAdmin, [
+  body('status').isIn(Ride.STATUSES).withMessage('Invalid ride status'),
+  body('note').optional().trim(),
+  body('fare').optional().isFloat({ min: 0 })
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const ride = await Ride.findById(req.params.rideId);
+  if (!ride) {
+    throw new AppError('Ride not found', 404);
+  }
+
+  const { status, note, driver, fare } = req.body;
+  const previousStatus = ride.status;
+  await ride.transitionTo(status, { note, driver, fare });
+
+  structuredLogger.business('ride_status_changed', ride.status, {
+    rideId: ride._id,
+    from: previousStatus,
+    to: ride.status
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Ride status updated',
+    data: { ride }
+  });
+}));
+
+module.exports = router;
@@ -3,6 +3,9 @@ const { validationResult, body } = require('express-validator');
 const { catchAsync, createValidationError } = require('../middleware/errorHandler');
 const { authenticate, requireVerification } = require('../middleware/auth');
 const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { isAgentEnabled } = require('../agents/registry');
 const { structuredLogger } = require('../utils/logger');
 
 const router = express.Router();
@@ -13,6 +16,7 @@ router.use(authenticate);
 // Get user dashboard data
 router.get('/dashboard', catchAsync(async (req, res) => {
   const user = await User.findById(req.user.id);
+  const conversationsCount = await Conversation.countDocuments({ user: req.user.id });
   
   // Calculate dashboard metrics
   const dashboardData = {
@@ -30,7 +34,7 @@ router.get('/dashboard', catchAsync(async (req, res) => {
       memberSince: user.createdAt
     },
     quickStats: {
-      conversationsCount: user.conversationHistory.length,
+      conversationsCount,
       addressesCount: user.addresses.length,
       paymentMethodsCount: user.paymentMethods.length
     }
@@ -59,8 +63,7 @@ router.put('/favorite-agents', [
   const { agents } = req.body;
   
   // Validate agent names
-  const validAgents = ['foodie', 'ridenow', 'travelbuddy', 'shopsmart', 'grocer', 'askme'];
-  const invalidAgents = agents.filter(agent => !validAgents.includes(agent));
+  const invalidAgents = agents.filter(agent => !isAgentEnabled(agent));
   
   if (invalidAgents.length > 0) {
     return res.status(400).json({
@@ -189,7 +192,7 @@ router.put('/addresses/:addressId', [
 }));
 
 // Add payment method
-router.post('/payment-methods', [
+router.post('/payment-methods', requireVerification, [
   body('type').isIn(['UPI', 'CARD', 'WALLET', 'BNPL']).withMessage('Invalid payment type'),
   body('provider').optional().trim().notEmpty(),
   body('identifier').trim().notEmpty().withMessage('Payment identifier is required')
@@ -279,23 +282,26 @@ router.delete('/payment-methods/:paymentId', catchAsync(async (req, res) => {
 // Get user activity/analytics
 router.get('/analytics', catchAsync(async (req, res) => {
   const user = await User.findById(req.user.id);
+  const conversations = await Conversation.find({ user: req.user.id }).select('agents createdAt').lean();
   
   // Analyze conversation history
   const agentUsage = {};
   const monthlyActivity = {};
   
-  user.conversationHistory.forEach(conv => {
+  conversations.forEach(conv => {
     // Agent usage
-    agentUsage[conv.agentType] = (agentUsage[conv.agentType] || 0) + 1;
+    conv.agents.forEach(agent => {
+      agentUsage[agent] = (agentUsage[agent] || 0) + 1;
+    });
     
     // Monthly activity
-    const month = new Date(conv.timestamp).toISOString().substring(0, 7); // YYYY-MM
+    const month = new Date(conv.createdAt).toISOString().substring(0, 7); // YYYY-MM
     monthlyActivity[month] = (monthlyActivity[month] || 0) + 1;
   });
 
   const analytics = {
     overview: {
-      totalConversations: user.conversationHistory.length,
+      totalConversations: conversations.length,
       totalOrders: user.totalOrders,
       totalSpent: user.totalSpent,
       memberSince: user.createdAt,
@@ -357,6 +363,8 @@ router.put('/notifications', [
 // Export user data (GDPR compliance)
 router.get('/export', catchAsync(async (req, res) => {
   const user = await User.findById(req.user.id);
+  const conversations = await Conversation.find({ user: req.user.id }).sort({ createdAt: 1 }).lean();
+  const messages = await Message.find({ user: req.user.id }).sort({ _id: 1 }).lean();
   
   const exportData = {
     personal: {
@@ -373,7 +381,10 @@ router.get('/export', catchAsync(async (req, res) => {
       totalOrders: user.totalOrders,
       totalSpent: user.totalSpent,
       favoriteAgents: user.favoriteAgents,
-      conversationHistory: user.conversationHistory,
+      conversations: conversations.map(conversation => ({
+        ...conversation,
+        messages: messages.filter(message => message.conversation.equals(conversation._id))
+      })),
       lastActive: user.lastActive,
       createdAt: user.createdAt
     },
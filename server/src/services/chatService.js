@@ -0,0 +1,64 @@
+const { processMessage } = require('../agents/agentManager');
+const User = require('../models/User');
+const { emitToUser } = require('./realtime');
+const { structuredLogger } = require('../utils/logger');
+
+// Run one chat turn for a user - shared by the REST route and the socket transport.
+// Generated text streams to the user's room as agent-response-chunk events, followed
+// by a final agent-response; the complete response is also returned to the caller.
+// Passing agent sends the message straight to that agent instead of routing it.
+const sendChatMessage = async (userId, message, { messageId, agentPreference, agent = null, transport = 'rest' } = {}) => {
+  // Get user profile for personalization
+  const userProfile = await User.findById(userId);
+
+  // Log user activity
+  structuredLogger.userAction(userId, 'send_message', {
+    messageLength: message.length,
+    agentPreference,
+    agent,
+    transport
+  });
+
+  let chunkIndex = 0;
+
+  // Process message with AI agents, streaming generated text to the user's room
+  const response = await processMessage(userId, message, userProfile, {
+    messageId,
+    agent,
+    onToken: (chunk) => {
+      emitToUser(userId, 'agent-response-chunk', {
+        messageId,
+        chunk,
+        index: chunkIndex++
+      });
+    }
+  });
+
+  // Final event with the complete message, actions and suggestions
+  emitToUser(userId, 'agent-response', {
+    ...response,
+    messageId
+  });
+
+  // Log agent activity
+  structuredLogger.agentActivity(
+    response.agent,
+    'send_response',
+    userId,
+    {
+      messageLength: response.message.length,
+      hasActions: response.actions && response.actions.length > 0,
+      suggestionCount: response.suggestions ? response.suggestions.length : 0,
+      transport
+    }
+  );
+
+  return {
+    ...response,
+    messageId
+  };
+};
+
+module.exports = {
+  sendChatMessage
+};
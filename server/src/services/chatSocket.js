@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const { stopGeneration } = require('../agents/agentManager');
+const { sendChatMessage } = require('./chatService');
+const { emitToUser } = require('./realtime');
+const { logger, structuredLogger } = require('../utils/logger');
+
+const MESSAGE_LIMIT = parseInt(process.env.SOCKET_MESSAGE_LIMIT) || 20;
+const MESSAGE_WINDOW_MS = parseInt(process.env.SOCKET_MESSAGE_WINDOW_MS) || 60 * 1000;
+
+// Client message ids are remembered for a while so a resend after a dropped ack
+// (or from a reconnected socket) returns the original reply instead of running twice
+const DEDUP_TTL_MS = 10 * 60 * 1000;
+const DEDUP_MAX_PER_USER = 50;
+const recentMessages = new Map(); // userId -> Map of clientMessageId -> { result, expiresAt }
+
+const forgetMessage = (userId, clientMessageId) => {
+  const entries = recentMessages.get(userId);
+  if (!entries) return;
+
+  entries.delete(clientMessageId);
+  if (entries.size === 0) {
+    recentMessages.delete(userId);
+  }
+};
+
+const getRecentMessage = (userId, clientMessageId) => {
+  const entries = recentMessages.get(userId);
+  const entry = entries && entries.get(clientMessageId);
+  if (!entry) return null;
+
+  if (entry.expiresAt <= Date.now()) {
+    forgetMessage(userId, clientMessageId);
+    return null;
+  }
+  return entry;
+};
+
+const rememberMessage = (userId, clientMessageId, result) => {
+  if (!recentMessages.has(userId)) {
+    recentMessages.set(userId, new Map());
+  }
+  const entries = recentMessages.get(userId);
+  entries.set(clientMessageId, { result, expiresAt: Date.now() + DEDUP_TTL_MS });
+
+  // Maps keep insertion order, so the first key is the oldest
+  if (entries.size > DEDUP_MAX_PER_USER) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+// Entries are otherwise only expired when the same id comes back, so users who
+// never resend would keep theirs until the process restarts
+const sweepRecentMessages = () => {
+  const now = Date.now();
+  for (const [userId, entries] of recentMessages) {
+    for (const [clientMessageId, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(clientMessageId);
+      }
+    }
+    if (entries.size === 0) {
+      recentMessages.delete(userId);
+    }
+  }
+};
+
+setInterval(sweepRecentMessages, DEDUP_TTL_MS).unref();
+
+// Sliding window limiter scoped to a single socket
+const createSocketRateLimiter = (maxMessages = MESSAGE_LIMIT, windowMs = MESSAGE_WINDOW_MS) => {
+  let timestamps = [];
+
+  return () => {
+    const now = Date.now();
+    timestamps = timestamps.filter(timestamp => timestamp > now - windowMs);
+
+    if (timestamps.length >= maxMessages) {
+      return { allowed: false, retryAfterMs: timestamps[0] + windowMs - now };
+    }
+
+    timestamps.push(now);
+    return { allowed: true };
+  };
+};
+
+const reply = (ack, payload) => {
+  if (typeof ack === 'function') {
+    ack(payload);
+  }
+};
+
+// Event payloads come straight from the client: null, strings and arrays all arrive as-is
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const invalidPayload = { success: false, code: 'VALIDATION_ERROR', message: 'Payload must be an object' };
+
+// A throw in a handler would reach the process-level hooks in ../middleware/errorHandler,
+// which exit, so every handler answers errors on its own ack instead
+const safeHandler = (event, userId, handler) => async (payload, ack) => {
+  try {
+    await handler(payload, ack);
+  } catch (error) {
+    logger.error(`Socket ${event} from user ${userId} failed:`, error);
+    try {
+      reply(ack, { success: false, code: 'AGENT_ERROR', message: 'Failed to process event' });
+    } catch (ackError) {
+      logger.error(`Could not acknowledge socket ${event} for user ${userId}:`, ackError);
+    }
+  }
+};
+
+// Chat events for an authenticated socket (socket.data.userId is set by authenticateSocket)
+const registerChatHandlers = (socket) => {
+  const { userId } = socket.data;
+  const isRateLimited = createSocketRateLimiter();
+
+  // Same pipeline as POST /api/chat/message; the ack carries the same body as the REST response
+  socket.on('send-message', safeHandler('send-message', userId, async (payload = {}, ack) => {
+    if (!isPlainObject(payload)) {
+      return reply(ack, invalidPayload);
+    }
+
+    const { message, agentPreference, clientMessageId } = payload;
+
+    if (typeof message !== 'string' || !message.trim()) {
+      return reply(ack, { success: false, code: 'VALIDATION_ERROR', message: 'Message content is required' });
+    }
+
+    if (clientMessageId !== undefined && (typeof clientMessageId !== 'string' || clientMessageId.length > 100)) {
+      return reply(ack, { success: false, code: 'VALIDATION_ERROR', message: 'clientMessageId must be a string of up to 100 characters' });
+    }
+
+    // Duplicates are answered from the first attempt and don't count against the limit
+    if (clientMessageId) {
+      const previous = getRecentMessage(userId, clientMessageId);
+      if (previous) {
+        logger.info(`Duplicate message ${clientMessageId} from user ${userId}`);
+        return reply(ack, { ...(await previous.result), duplicate: true });
+      }
+    }
+
+    const limit = isRateLimited();
+    if (!limit.allowed) {
+      structuredLogger.security('socket_rate_limit_exceeded', userId, {
+        socketId: socket.id,
+        maxMessages: MESSAGE_LIMIT,
+        windowMs: MESSAGE_WINDOW_MS
+      });
+      return reply(ack, {
+        success: false,
+        code: 'RATE_LIMIT_ERROR',
+        message: 'Too many messages, please slow down.',
+        retryAfterMs: limit.retryAfterMs
+      });
+    }
+
+    // The client id doubles as the stream id so the client can stop it before the ack arrives
+    const messageId = clientMessageId || crypto.randomUUID();
+
+    // Never rejects, so duplicates waiting on an in-flight attempt always get an answer
+    const result = (async () => {
+      emitToUser(userId, 'agent-typing', { messageId, isTyping: true });
+
+      try {
+        const response = await sendChatMessage(userId, message, {
+          messageId,
+          agentPreference,
+          transport: 'socket'
+        });
+        return { success: true, data: response };
+      } catch (error) {
+        // Let the client retry a failed message under the same id
+        if (clientMessageId) {
+          forgetMessage(userId, clientMessageId);
+        }
+        logger.error(`Socket message from user ${userId} failed:`, error);
+        return {
+          success: false,
+          code: 'AGENT_ERROR',
+          message: error.isOperational ? error.message : 'Failed to process message'
+        };
+      } finally {
+        emitToUser(userId, 'agent-typing', { messageId, isTyping: false });
+      }
+    })();
+
+    if (clientMessageId) {
+      rememberMessage(userId, clientMessageId, result);
+    }
+
+    reply(ack, await result);
+  }));
+
+  // Relay the user's own typing state to their other devices
+  socket.on('typing', safeHandler('typing', userId, (payload) => {
+    socket.to(`user-${userId}`).emit('user-typing', { isTyping: isPlainObject(payload) && !!payload.isTyping });
+  }));
+
+  // Stop the agent reply currently being streamed
+  socket.on('stop-generation', safeHandler('stop-generation', userId, (payload = {}, ack) => {
+    if (!isPlainObject(payload)) {
+      return reply(ack, invalidPayload);
+    }
+
+    // Without a messageId every reply being streamed is stopped
+    if (payload.messageId !== undefined && typeof payload.messageId !== 'string') {
+      return reply(ack, { success: false, code: 'VALIDATION_ERROR', message: 'messageId must be a string' });
+    }
+
+    const stopped = stopGeneration(userId, payload.messageId);
+    reply(ack, { stopped });
+  }));
+};
+
+module.exports = {
+  registerChatHandlers,
+  createSocketRateLimiter
+};
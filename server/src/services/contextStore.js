@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60; // 24 hours
+
+// Base store - serializes work per user inside this process
+class ContextStore {
+  constructor({ ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    this.ttlSeconds = ttlSeconds;
+    this.locks = new Map(); // userId -> tail of the pending work queue
+  }
+
+  async connect() {}
+
+  async disconnect() {}
+
+  async get(userId) {
+    throw new Error('get method must be implemented by subclass');
+  }
+
+  async set(userId, context) {
+    throw new Error('set method must be implemented by subclass');
+  }
+
+  async delete(userId) {
+    throw new Error('delete method must be implemented by subclass');
+  }
+
+  // Run fn exclusively for a user so concurrent messages don't overwrite each other
+  async withLock(userId, fn) {
+    const previous = this.locks.get(userId) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.locks.set(userId, tail);
+
+    await previous;
+    try {
+      return await fn();
+    } finally {
+      release();
+      if (this.locks.get(userId) === tail) {
+        this.locks.delete(userId);
+      }
+    }
+  }
+}
+
+class MemoryContextStore extends ContextStore {
+  constructor(options = {}) {
+    super(options);
+    this.contexts = new Map(); // userId -> { value, expiresAt }
+    this.sweepInterval = null;
+  }
+
+  async connect() {
+    // Periodically drop expired entries so idle users don't pile up
+    this.sweepInterval = setInterval(() => this.sweep(), 60 * 60 * 1000);
+    this.sweepInterval.unref();
+  }
+
+  async disconnect() {
+    clearInterval(this.sweepInterval);
+    this.sweepInterval = null;
+  }
+
+  async get(userId) {
+    const entry = this.contexts.get(userId);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.contexts.delete(userId);
+      return null;
+    }
+
+    return JSON.parse(entry.value);
+  }
+
+  async set(userId, context) {
+    // Stored serialized so callers see the same data shape as with Redis
+    this.contexts.set(userId, {
+      value: JSON.stringify(context),
+      expiresAt: Date.now() + this.ttlSeconds * 1000
+    });
+  }
+
+  async delete(userId) {
+    this.contexts.delete(userId);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [userId, entry] of this.contexts.entries()) {
+      if (entry.expiresAt <= now) {
+        this.contexts.delete(userId);
+        logger.info(`Expired conversation context for user ${userId}`);
+      }
+    }
+  }
+}
+
+// Deletes the lock only if we still own it
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+// Pushes the lock's expiry out only if we still own it
+const EXTEND_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+// Writes the context only if we still own its lock
+const SET_IF_LOCKED_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  redis.call('set', KEYS[2], ARGV[2], 'EX', ARGV[3])
+  return 1
+end
+return 0`;
+
+class RedisContextStore extends ContextStore {
+  // The lock is renewed every lockTtlMs / 3 while its work runs, so lockTtlMs only has
+  // to outlast a stalled or crashed instance, not the slowest turn
+  constructor({ url, prefix = 'context:', lockTtlMs = 30000, lockWaitMs = 10000, ...options } = {}) {
+    super(options);
+    this.url = url;
+    this.prefix = prefix;
+    this.lockTtlMs = lockTtlMs;
+    this.lockWaitMs = lockWaitMs;
+    this.client = null;
+    this.heldLocks = new Map(); // userId -> token of the lock this instance holds
+  }
+
+  async connect() {
+    const { createClient } = require('redis');
+    this.client = createClient({ url: this.url });
+    this.client.on('error', (error) => logger.error('Redis context store error:', error));
+    await this.client.connect();
+    logger.info('Connected to Redis context store');
+  }
+
+  async disconnect() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+  }
+
+  key(userId) {
+    return `${this.prefix}${userId}`;
+  }
+
+  lockKey(userId) {
+    return `${this.prefix}lock:${userId}`;
+  }
+
+  async get(userId) {
+    const raw = await this.client.get(this.key(userId));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // Inside withLock the write only happens while the lock is still ours - if it expired
+  // and another instance took over, saving would overwrite that instance's turn
+  async set(userId, context) {
+    const value = JSON.stringify(context);
+    const token = this.heldLocks.get(userId);
+
+    if (!token) {
+      await this.client.set(this.key(userId), value, { EX: this.ttlSeconds });
+      return;
+    }
+
+    const saved = await this.client.eval(SET_IF_LOCKED_SCRIPT, {
+      keys: [this.lockKey(userId), this.key(userId)],
+      arguments: [token, value, String(this.ttlSeconds)]
+    });
+    if (!saved) {
+      throw new Error(`Lost the context lock for user ${userId}, not saving`);
+    }
+  }
+
+  async delete(userId) {
+    await this.client.del(this.key(userId));
+  }
+
+  // Local queue first, then a Redis lock so other instances wait their turn too
+  async withLock(userId, fn) {
+    return super.withLock(userId, async () => {
+      const lockKey = this.lockKey(userId);
+      const token = crypto.randomBytes(16).toString('hex');
+      const deadline = Date.now() + this.lockWaitMs;
+
+      while (!(await this.client.set(lockKey, token, { NX: true, PX: this.lockTtlMs }))) {
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for context lock for user ${userId}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+
+      this.heldLocks.set(userId, token);
+      const renewal = setInterval(async () => {
+        try {
+          const extended = await this.client.eval(EXTEND_LOCK_SCRIPT, {
+            keys: [lockKey],
+            arguments: [token, String(this.lockTtlMs)]
+          });
+          if (!extended) {
+            logger.warn(`Context lock for user ${userId} expired while in use`);
+            clearInterval(renewal);
+          }
+        } catch (error) {
+          logger.error(`Failed to renew context lock for user ${userId}:`, error);
+        }
+      }, Math.floor(this.lockTtlMs / 3));
+      renewal.unref();
+
+      try {
+        return await fn();
+      } finally {
+        clearInterval(renewal);
+        this.heldLocks.delete(userId);
+        await this.client.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [token] });
+      }
+    });
+  }
+}
+
+const createContextStore = (type = process.env.CONTEXT_STORE || 'memory') => {
+  const ttlSeconds = parseInt(process.env.CONTEXT_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+
+  switch (type) {
+    case 'redis':
+      return new RedisContextStore({ url: process.env.REDIS_URL, ttlSeconds });
+    case 'memory':
+      return new MemoryContextStore({ ttlSeconds });
+    default:
+      throw new Error(`Unknown context store type: ${type}`);
+  }
+};
+
+module.exports = {
+  ContextStore,
+  MemoryContextStore,
+  RedisContextStore,
+  createContextStore
+};
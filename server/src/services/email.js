@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+class EmailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // message: { to, subject, text, html }. Resolves to { id } once accepted for delivery
+  async send(message) {
+    throw new Error('send method must be implemented by subclass');
+  }
+}
+
+// Development transport - nothing leaves the machine. Each message is logged and
+// written to the outbox directory as JSON so links in it can be opened by hand or
+// read back by tests.
+class LocalEmailTransport extends EmailTransport {
+  constructor({ outboxDir = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox') } = {}) {
+    super('local');
+    this.outboxDir = outboxDir;
+  }
+
+  async send({ to, subject, text, html }) {
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const message = {
+      id,
+      from: process.env.EMAIL_FROM || 'no-reply@ai-super-app.local',
+      to,
+      subject,
+      text,
+      html,
+      sentAt: new Date().toISOString()
+    };
+
+    await fs.promises.mkdir(this.outboxDir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.outboxDir, `${id}.json`), JSON.stringify(message, null, 2));
+
+    logger.info(`Email "${subject}" to ${to} written to ${this.outboxDir}/${id}.json`);
+    return { id };
+  }
+}
+
+const createEmailTransport = (type = process.env.EMAIL_TRANSPORT || 'local') => {
+  switch (type) {
+    case 'local':
+      return new LocalEmailTransport();
+    default:
+      throw new Error(`Unknown email transport type: ${type}`);
+  }
+};
+
+module.exports = {
+  EmailTransport,
+  LocalEmailTransport,
+  createEmailTransport
+};
@@ -0,0 +1,225 @@
+// Grocery catalog and delivery slots for Grocer AI. Items in the same substitute group can
+// stand in for each other when one is out of stock; the local store works offline.
+
+const ITEMS = [
+  // Produce
+  { id: 'GR-TOMATO', name: 'Tomatoes', category: 'produce', unit: '1 kg', price: 40, group: 'tomato', tags: ['tomato'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-ONION', name: 'Onions', category: 'produce', unit: '1 kg', price: 35, group: 'onion', tags: ['onion'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-POTATO', name: 'Potatoes', category: 'produce', unit: '1 kg', price: 30, group: 'potato', tags: ['potato', 'aloo'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-SPINACH', name: 'Spinach', category: 'produce', unit: '250 g', price: 25, group: 'greens', tags: ['spinach', 'palak', 'greens'], veg: true, vegan: true, allergens: [], inStock: false },
+  { id: 'GR-METHI', name: 'Fenugreek Leaves', category: 'produce', unit: '250 g', price: 20, group: 'greens', tags: ['methi', 'fenugreek', 'greens'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-BANANA', name: 'Bananas', category: 'produce', unit: '6 pcs', price: 45, group: 'banana', tags: ['banana', 'fruit'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-APPLE', name: 'Shimla Apples', category: 'produce', unit: '1 kg', price: 180, group: 'apple', tags: ['apple', 'fruit'], veg: true, vegan: true, allergens: [] },
+
+  // Dairy and alternatives
+  { id: 'GR-MILK-TONED', name: 'Amul Taaza Toned Milk', category: 'dairy', unit: '1 L', price: 56, group: 'milk', tags: ['milk'], veg: true, vegan: false, allergens: ['milk'] },
+  { id: 'GR-MILK-FULL', name: 'Mother Dairy Full Cream Milk', category: 'dairy', unit: '1 L', price: 68, group: 'milk', tags: ['milk', 'full cream'], veg: true, vegan: false, allergens: ['milk'], inStock: false },
+  { id: 'GR-MILK-SOY', name: 'Sofit Soya Milk', category: 'dairy', unit: '1 L', price: 120, group: 'milk', tags: ['milk', 'soy', 'soya', 'plant'], veg: true, vegan: true, allergens: ['soy'] },
+  { id: 'GR-MILK-OAT', name: 'Oatly Oat Milk', category: 'dairy', unit: '1 L', price: 299, group: 'milk', tags: ['milk', 'oat', 'plant'], veg: true, vegan: true, allergens: ['gluten'] },
+  { id: 'GR-MILK-ALMOND', name: 'So Good Almond Milk', category: 'dairy', unit: '1 L', price: 250, group: 'milk', tags: ['milk', 'almond', 'plant'], veg: true, vegan: true, allergens: ['nuts'] },
+  { id: 'GR-CURD', name: 'Nandini Curd', category: 'dairy', unit: '500 g', price: 35, group: 'curd', tags: ['curd', 'dahi', 'yogurt'], veg: true, vegan: false, allergens: ['milk'] },
+  { id: 'GR-PANEER', name: 'Amul Fresh Paneer', category: 'dairy', unit: '200 g', price: 90, group: 'protein', tags: ['paneer'], veg: true, vegan: false, allergens: ['milk'] },
+  { id: 'GR-TOFU', name: 'Urban Platter Firm Tofu', category: 'dairy', unit: '200 g', price: 110, group: 'protein', tags: ['tofu', 'plant'], veg: true, vegan: true, allergens: ['soy'] },
+  { id: 'GR-BUTTER', name: 'Amul Butter', category: 'dairy', unit: '100 g', price: 58, group: 'butter', tags: ['butter'], veg: true, vegan: false, allergens: ['milk'] },
+  { id: 'GR-EGGS', name: 'Farm Fresh Eggs', category: 'dairy', unit: '12 pcs', price: 96, group: 'eggs', tags: ['eggs', 'egg', 'anda'], veg: false, vegan: false, allergens: ['eggs'] },
+
+  // Bakery
+  { id: 'GR-BREAD-WW', name: 'Whole Wheat Bread', category: 'bakery', unit: '400 g', price: 50, group: 'bread', tags: ['bread', 'wheat'], veg: true, vegan: true, allergens: ['gluten'] },
+  { id: 'GR-BREAD-MG', name: 'Multigrain Bread', category: 'bakery', unit: '400 g', price: 60, group: 'bread', tags: ['bread', 'multigrain'], veg: true, vegan: true, allergens: ['gluten'], inStock: false },
+  { id: 'GR-BREAD-GF', name: 'Gluten Free Bread', category: 'bakery', unit: '300 g', price: 140, group: 'bread', tags: ['bread', 'gluten free'], veg: true, vegan: true, allergens: [] },
+
+  // Staples
+  { id: 'GR-RICE', name: 'India Gate Basmati Rice', category: 'staples', unit: '1 kg', price: 145, group: 'rice', tags: ['rice', 'basmati'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-ATTA', name: 'Aashirvaad Whole Wheat Atta', category: 'staples', unit: '5 kg', price: 260, group: 'flour', tags: ['atta', 'flour', 'wheat'], veg: true, vegan: true, allergens: ['gluten'] },
+  { id: 'GR-RAGI', name: 'Ragi Flour', category: 'staples', unit: '1 kg', price: 90, group: 'flour', tags: ['ragi', 'flour', 'millet'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-DAL', name: 'Toor Dal', category: 'staples', unit: '1 kg', price: 165, group: 'dal', tags: ['dal', 'toor', 'lentils'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-OIL', name: 'Fortune Sunflower Oil', category: 'staples', unit: '1 L', price: 155, group: 'oil', tags: ['oil', 'sunflower', 'cooking oil'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-SUGAR', name: 'Sugar', category: 'staples', unit: '1 kg', price: 48, group: 'sugar', tags: ['sugar'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-SALT', name: 'Tata Salt', category: 'staples', unit: '1 kg', price: 28, group: 'salt', tags: ['salt'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-PB', name: 'Pintola Peanut Butter', category: 'staples', unit: '350 g', price: 199, group: 'spread', tags: ['peanut butter', 'spread'], veg: true, vegan: true, allergens: ['nuts', 'peanuts'] },
+
+  // Meat
+  { id: 'GR-CHICKEN', name: 'Chicken Breast', category: 'meat', unit: '500 g', price: 240, group: 'protein', tags: ['chicken'], veg: false, vegan: false, allergens: [] },
+
+  // Beverages and snacks
+  { id: 'GR-TEA', name: 'Tata Tea Gold', category: 'beverages', unit: '500 g', price: 290, group: 'tea', tags: ['tea', 'chai'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-COFFEE', name: 'Bru Instant Coffee', category: 'beverages', unit: '100 g', price: 235, group: 'coffee', tags: ['coffee'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-BISCUIT', name: 'Britannia Good Day Biscuits', category: 'snacks', unit: '250 g', price: 40, group: 'biscuits', tags: ['biscuits', 'cookies'], veg: true, vegan: false, allergens: ['gluten', 'milk'] },
+
+  // Household
+  { id: 'GR-DETERGENT', name: 'Surf Excel Detergent', category: 'household', unit: '1 kg', price: 140, group: 'detergent', tags: ['detergent', 'washing powder', 'laundry'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-DISHWASH', name: 'Vim Dishwash Gel', category: 'household', unit: '500 ml', price: 115, group: 'dishwash', tags: ['dishwash', 'dish soap', 'vim'], veg: true, vegan: true, allergens: [] },
+  { id: 'GR-TISSUE', name: 'Origami Toilet Rolls', category: 'household', unit: '4 rolls', price: 160, group: 'tissue', tags: ['toilet paper', 'tissue', 'toilet rolls'], veg: true, vegan: true, allergens: [] }
+];
+
+const SERVICEABLE_CITIES = ['bengaluru', 'bangalore', 'mumbai', 'delhi', 'new delhi', 'chennai', 'hyderabad', 'pune', 'kolkata', 'gurugram', 'noida'];
+
+// Two-hour delivery windows (start hour, 24h)
+const SLOT_HOURS = [7, 9, 11, 13, 15, 17, 19];
+const SLOT_LEAD_MINUTES = 60;
+
+// Allergy names users tend to type, mapped to the allergens items declare
+const ALLERGY_ALIASES = {
+  dairy: 'milk', lactose: 'milk', egg: 'eggs', peanut: 'peanuts', 'tree nuts': 'nuts',
+  nut: 'nuts', wheat: 'gluten', soya: 'soy', seafood: 'fish'
+};
+
+class GroceryStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Items matching the text, best match first
+  async search(query) {
+    throw new Error('search method must be implemented by subclass');
+  }
+
+  async getItem(itemId) {
+    throw new Error('getItem method must be implemented by subclass');
+  }
+
+  // In-stock items that can replace the given one, closest price first
+  async getSubstitutes(itemId) {
+    throw new Error('getSubstitutes method must be implemented by subclass');
+  }
+
+  // Delivery windows for an address; empty when the address isn't serviceable
+  async getDeliverySlots(address, from) {
+    throw new Error('getDeliverySlots method must be implemented by subclass');
+  }
+}
+
+// Built-in store - stock lives in memory so shortages can be simulated
+class LocalGroceryStore extends GroceryStore {
+  constructor({ items = ITEMS } = {}) {
+    super('local');
+    this.items = items.map(item => ({ inStock: true, ...item }));
+  }
+
+  async search(query = '') {
+    const text = query.toLowerCase().trim();
+    if (!text) return [];
+
+    return this.items
+      .map(item => ({ item, score: this.matchScore(item, text) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || a.item.price - b.item.price)
+      .map(({ item }) => item);
+  }
+
+  async getItem(itemId) {
+    return this.items.find(item => item.id === itemId) || null;
+  }
+
+  async getSubstitutes(itemId) {
+    const item = await this.getItem(itemId);
+    if (!item) return [];
+
+    return this.items
+      .filter(other => other.id !== item.id && other.group === item.group && other.inStock)
+      .sort((a, b) => Math.abs(a.price - item.price) - Math.abs(b.price - item.price));
+  }
+
+  async getDeliverySlots(address, from = new Date()) {
+    if (!address || !SERVICEABLE_CITIES.includes(String(address.city).toLowerCase())) {
+      return [];
+    }
+
+    const earliest = from.getTime() + SLOT_LEAD_MINUTES * 60 * 1000;
+    const slots = [];
+
+    for (let day = 0; day < 2; day++) {
+      const date = new Date(from);
+      date.setDate(date.getDate() + day);
+
+      for (const hour of SLOT_HOURS) {
+        const start = new Date(date);
+        start.setHours(hour, 0, 0, 0);
+        if (start.getTime() < earliest) continue;
+
+        const end = new Date(start);
+        end.setHours(hour + 2);
+
+        const id = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}T${String(hour).padStart(2, '0')}`;
+        slots.push({
+          id,
+          start,
+          end,
+          label: `${day === 0 ? 'Today' : 'Tomorrow'} ${this.formatHour(hour)}-${this.formatHour(hour + 2)}`,
+          // Some windows fill up, varying by pincode so neighbours see different availability
+          available: this.slotLoad(`${address.pincode || address.city}-${id}`) < 4
+        });
+      }
+    }
+
+    return slots;
+  }
+
+  // Mark an item in or out of stock, e.g. to simulate a shortage
+  setStock(itemId, inStock) {
+    const item = this.items.find(i => i.id === itemId);
+    if (!item) return false;
+
+    item.inStock = inStock;
+    return true;
+  }
+
+  matchScore(item, text) {
+    if (item.name.toLowerCase() === text) return 4;
+    if (item.tags.includes(text)) return 3;
+    if (item.name.toLowerCase().includes(text)) return 2;
+
+    const singular = text.replace(/(es|s)$/, '');
+    return item.tags.some(tag => tag === singular || tag.includes(text)) ? 1 : 0;
+  }
+
+  slotLoad(key) {
+    let hash = 0;
+    for (const char of key) {
+      hash = (hash * 31 + char.charCodeAt(0)) % 1000;
+    }
+    return hash % 5;
+  }
+
+  formatHour(hour) {
+    const suffix = hour >= 12 ? 'pm' : 'am';
+    return `${hour % 12 || 12}${suffix}`;
+  }
+}
+
+// Reasons an item doesn't fit the user's diet; empty when it's fine
+const dietaryConflicts = (item, dietary = {}) => {
+  const conflicts = [];
+
+  if (dietary.vegan && !item.vegan) {
+    conflicts.push('not vegan');
+  } else if (dietary.vegetarian && !item.veg) {
+    conflicts.push('not vegetarian');
+  }
+
+  for (const allergy of dietary.allergies || []) {
+    const name = allergy.toLowerCase().trim();
+    const allergen = ALLERGY_ALIASES[name] || name;
+    if (item.allergens.includes(allergen)) {
+      conflicts.push(`contains ${allergy}`);
+    }
+  }
+
+  return conflicts;
+};
+
+const createGroceryStore = (type = process.env.GROCERY_STORE || 'local') => {
+  switch (type) {
+    case 'local':
+      return new LocalGroceryStore();
+    default:
+      throw new Error(`Unknown grocery store type: ${type}`);
+  }
+};
+
+module.exports = {
+  GroceryStore,
+  LocalGroceryStore,
+  createGroceryStore,
+  dietaryConflicts
+};
@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const { createPaymentError } = require('../middleware/errorHandler');
+const {
+  PAYABLES,
+  toPaise,
+  verifyWebhookSignature,
+  findPayableByRazorpayOrder,
+  findPayableByRazorpayPayment
+} = require('./payments');
+const { emitToUser } = require('./realtime');
+const { logger, structuredLogger } = require('../utils/logger');
+
+// Find the booking a payment entity belongs to: by Razorpay order, then by payment id
+const findLinkedPayable = async (paymentEntity) => {
+  if (paymentEntity.order_id) {
+    const found = await findPayableByRazorpayOrder(paymentEntity.order_id);
+    if (found) return found;
+  }
+  return await findPayableByRazorpayPayment(paymentEntity.id);
+};
+
+const recordLedgerEntry = (found, entry) => Payment.create({
+  user: found.doc.user,
+  payableType: found.type,
+  payable: found.doc._id,
+  ...entry
+});
+
+const notifyUser = (found, status) => {
+  emitToUser(found.doc.user, 'payment-status', {
+    type: found.type,
+    id: found.doc._id,
+    status
+  });
+};
+
+// Each handler applies one event type and returns what happened
+const EVENT_HANDLERS = {
+  'payment.captured': async (payload, meta) => {
+    const payment = payload.payment.entity;
+    const found = await findLinkedPayable(payment);
+    if (!found) return 'unlinked';
+
+    const { type, doc } = found;
+    const due = toPaise(PAYABLES[type].amount(doc));
+    const mismatch = payment.amount !== due;
+
+    if (mismatch) {
+      structuredLogger.security('payment_amount_mismatch', doc.user, {
+        type,
+        id: doc._id,
+        razorpayPaymentId: payment.id,
+        captured: payment.amount,
+        due
+      });
+    }
+
+    // A late capture must not undo a refund. Money that doesn't match what's due
+    // doesn't settle the booking - it's held as 'mismatch' until someone reviews it.
+    if (doc.payment.status !== 'refunded') {
+      const status = mismatch ? 'mismatch' : 'paid';
+      doc.payment.status = status;
+      doc.payment.razorpayPaymentId = payment.id;
+      if (!mismatch) {
+        doc.payment.paidAt = doc.payment.paidAt || new Date((payment.created_at || Date.now() / 1000) * 1000);
+      }
+      await doc.save();
+      notifyUser(found, status);
+    }
+
+    // payment.captured and order.paid both arrive for the same payment; book it once
+    if (await Payment.exists({ razorpayPaymentId: payment.id, kind: 'payment', status: 'captured' })) {
+      return 'processed';
+    }
+
+    await recordLedgerEntry(found, {
+      kind: 'payment',
+      status: 'captured',
+      amount: payment.amount / 100,
+      ...(mismatch && { expectedAmount: due / 100 }),
+      currency: payment.currency,
+      method: payment.method,
+      razorpayOrderId: payment.order_id,
+      razorpayPaymentId: payment.id,
+      ...meta
+    });
+
+    structuredLogger.business('payment_captured', payment.amount / 100, {
+      userId: doc.user,
+      type,
+      id: doc._id,
+      razorpayPaymentId: payment.id,
+      source: 'webhook'
+    });
+    return 'processed';
+  },
+
+  'payment.failed': async (payload, meta) => {
+    const payment = payload.payment.entity;
+    const found = await findLinkedPayable(payment);
+    if (!found) return 'unlinked';
+
+    const { doc } = found;
+
+    // Only a payment still waiting can fail - a retry may already have succeeded
+    if (doc.payment.status === 'pending') {
+      doc.payment.status = 'failed';
+      await doc.save();
+      notifyUser(found, 'failed');
+    }
+
+    await recordLedgerEntry(found, {
+      kind: 'payment',
+      status: 'failed',
+      amount: payment.amount / 100,
+      currency: payment.currency,
+      method: payment.method,
+      razorpayOrderId: payment.order_id,
+      razorpayPaymentId: payment.id,
+      errorDescription: payment.error_description,
+      ...meta
+    });
+    return 'processed';
+  },
+
+  'refund.processed': async (payload, meta) => {
+    const refund = payload.refund.entity;
+    const payment = payload.payment?.entity || { id: refund.payment_id };
+    const found = await findLinkedPayable(payment);
+    if (!found) return 'unlinked';
+
+    const { type, doc } = found;
+
+    // Refunds started from /api/payment/refund are already marked
+    if (doc.payment.status !== 'refunded') {
+      doc.payment.status = 'refunded';
+      doc.payment.razorpayPaymentId = doc.payment.razorpayPaymentId || refund.payment_id;
+      doc.payment.razorpayRefundId = refund.id;
+      doc.payment.refundedAt = new Date((refund.created_at || Date.now() / 1000) * 1000);
+      await doc.save();
+      notifyUser(found, 'refunded');
+    }
+
+    await recordLedgerEntry(found, {
+      kind: 'refund',
+      status: 'refunded',
+      amount: refund.amount / 100,
+      currency: refund.currency,
+      razorpayOrderId: payment.order_id,
+      razorpayPaymentId: refund.payment_id,
+      razorpayRefundId: refund.id,
+      ...meta
+    });
+
+    structuredLogger.business('payment_refunded', refund.amount / 100, {
+      userId: doc.user,
+      type,
+      id: doc._id,
+      razorpayRefundId: refund.id,
+      source: 'webhook'
+    });
+    return 'processed';
+  }
+};
+
+// order.paid carries the same payment entity as payment.captured
+EVENT_HANDLERS['order.paid'] = EVENT_HANDLERS['payment.captured'];
+
+// Verify, de-duplicate and apply one Razorpay webhook delivery.
+// Returns { event, eventId, status } where status is processed, duplicate, ignored or unlinked.
+const handleRazorpayWebhook = async ({ rawBody, signature, eventId }) => {
+  if (!verifyWebhookSignature(rawBody, signature)) {
+    structuredLogger.security('webhook_signature_mismatch', null, { provider: 'razorpay', eventId });
+    throw createPaymentError('Invalid webhook signature', 400);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    throw createPaymentError('Webhook body is not valid JSON', 400);
+  }
+
+  // Razorpay sends the event id as a header; fall back to the body hash for replays of the same payload
+  const id = eventId || crypto.createHash('sha256').update(rawBody).digest('hex');
+  const event = body.event;
+
+  try {
+    await WebhookEvent.create({ provider: 'razorpay', eventId: id, event });
+  } catch (error) {
+    if (error.code === 11000) {
+      logger.info(`Ignoring replayed Razorpay event ${id} (${event})`);
+      return { event, eventId: id, status: 'duplicate' };
+    }
+    throw error;
+  }
+
+  const handler = EVENT_HANDLERS[event];
+  if (!handler) {
+    return { event, eventId: id, status: 'ignored' };
+  }
+
+  try {
+    const status = await handler(body.payload || {}, { event, eventId: id });
+    if (status === 'unlinked') {
+      logger.warn(`Razorpay event ${id} (${event}) matches no order or ride`);
+    }
+    return { event, eventId: id, status };
+  } catch (error) {
+    // Forget the event so Razorpay's retry gets another chance
+    await WebhookEvent.deleteOne({ provider: 'razorpay', eventId: id });
+    throw error;
+  }
+};
+
+module.exports = {
+  handleRazorpayWebhook,
+  HANDLED_EVENTS: Object.keys(EVENT_HANDLERS)
+};
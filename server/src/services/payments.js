@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const { AppError, createPaymentError } = require('../middleware/errorHandler');
+const Order = require('../models/Order');
+const Ride = require('../models/Ride');
+const ShopOrder = require('../models/ShopOrder');
+const GroceryOrder = require('../models/GroceryOrder');
+
+// Everything a user can pay for online. Each entry knows its model, the amount due
+// (in rupees) and a human readable reference used as the Razorpay receipt.
+const PAYABLES = {
+  order: {
+    model: Order,
+    amount: order => order.charges.total,
+    reference: order => order.orderNumber
+  },
+  ride: {
+    model: Ride,
+    amount: ride => ride.fare.final ?? ride.fare.estimated,
+    reference: ride => ride.rideNumber
+  },
+  shop_order: {
+    model: ShopOrder,
+    amount: order => order.charges.total,
+    reference: order => order.orderNumber
+  },
+  grocery_order: {
+    model: GroceryOrder,
+    amount: order => order.charges.total,
+    reference: order => order.orderNumber
+  }
+};
+
+const PAYABLE_TYPES = Object.keys(PAYABLES);
+
+let razorpay = null;
+
+// Razorpay client, created on first use so the server starts without payment keys
+const getRazorpay = () => {
+  if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+    throw createPaymentError('Razorpay is not configured', 503);
+  }
+
+  if (!razorpay) {
+    razorpay = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+  }
+  return razorpay;
+};
+
+const toPaise = (rupees) => Math.round(rupees * 100);
+
+const hmacSha256 = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time comparison of a hex signature against the expected one
+const signatureMatches = (expected, signature) => {
+  if (typeof signature !== 'string' || signature.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+// Checkout returns razorpay_signature = HMAC-SHA256(order_id + "|" + payment_id, key secret)
+const verifyPaymentSignature = (razorpayOrderId, razorpayPaymentId, signature, secret = process.env.RAZORPAY_KEY_SECRET) => {
+  if (!secret) return false;
+  return signatureMatches(hmacSha256(`${razorpayOrderId}|${razorpayPaymentId}`, secret), signature);
+};
+
+// Webhooks are signed with HMAC-SHA256 of the raw request body and the webhook secret
+const verifyWebhookSignature = (rawBody, signature, secret = process.env.RAZORPAY_WEBHOOK_SECRET) => {
+  if (!secret) return false;
+  return signatureMatches(hmacSha256(rawBody, secret), signature);
+};
+
+// Load something payable; users only see their own, admins can pass userId = null
+const findPayable = async (type, id, userId) => {
+  const payable = PAYABLES[type];
+  if (!payable) {
+    throw new AppError(`Unknown payable type: ${type}`, 400);
+  }
+
+  const query = { _id: id };
+  if (userId) query.user = userId;
+
+  const doc = await payable.model.findOne(query);
+  if (!doc) {
+    throw new AppError('Payable not found', 404);
+  }
+  return doc;
+};
+
+const findPayableBy = async (field, value, userId) => {
+  for (const type of PAYABLE_TYPES) {
+    const query = { [field]: value };
+    if (userId) query.user = userId;
+
+    const doc = await PAYABLES[type].model.findOne(query);
+    if (doc) return { type, doc };
+  }
+  return null;
+};
+
+// Find whichever payable a Razorpay order was created for
+const findPayableByRazorpayOrder = (razorpayOrderId, userId = null) =>
+  findPayableBy('payment.razorpayOrderId', razorpayOrderId, userId);
+
+// Find whichever payable a Razorpay payment settled
+const findPayableByRazorpayPayment = (razorpayPaymentId, userId = null) =>
+  findPayableBy('payment.razorpayPaymentId', razorpayPaymentId, userId);
+
+module.exports = {
+  PAYABLES,
+  PAYABLE_TYPES,
+  getRazorpay,
+  toPaise,
+  hmacSha256,
+  signatureMatches,
+  verifyPaymentSignature,
+  verifyWebhookSignature,
+  findPayable,
+  findPayableByRazorpayOrder,
+  findPayableByRazorpayPayment
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const OtpChallenge = require('../models/OtpChallenge');
+const { AppError } = require('../middleware/errorHandler');
+const { structuredLogger } = require('../utils/logger');
+const { createSmsSender } = require('./sms');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = (parseInt(process.env.OTP_TTL_SECONDS) || 300) * 1000;
+const OTP_RESEND_COOLDOWN_MS = (parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60) * 1000;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+const OTP_TTL_MINUTES = Math.ceil(OTP_TTL_MS / 60000);
+
+const MESSAGES = {
+  login: (code) => `${code} is your AI Super App login code. It expires in ${OTP_TTL_MINUTES} minutes. Don't share it with anyone.`,
+  verify_phone: (code) => `${code} is your AI Super App verification code. It expires in ${OTP_TTL_MINUTES} minutes.`
+};
+
+let smsSender = null;
+
+const getSmsSender = () => {
+  if (!smsSender) {
+    smsSender = createSmsSender();
+  }
+  return smsSender;
+};
+
+// Swap the sender, e.g. for a MemorySmsSender in tests
+const setSmsSender = (sender) => {
+  smsSender = sender;
+};
+
+// Six digits are easy to brute force from a plain hash, so codes are keyed with a server secret
+const hashCode = (phone, purpose, code) =>
+  crypto.createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${purpose}:${phone}:${code}`)
+    .digest('hex');
+
+const generateCode = () => crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+
+// Text a new code to the user's phone. Throws 429 while the previous code is in its
+// resend cooldown. Returns { expiresAt, resendAfter }.
+const requestOtp = async (user, purpose) => {
+  const { phone } = user;
+  const existing = await OtpChallenge.findOne({ phone, purpose });
+
+  if (existing) {
+    const waitMs = existing.sentAt.getTime() + OTP_RESEND_COOLDOWN_MS - Date.now();
+    if (waitMs > 0) {
+      throw new AppError(`Please wait ${Math.ceil(waitMs / 1000)} seconds before requesting another code`, 429);
+    }
+  }
+
+  const code = generateCode();
+  const sentAt = new Date();
+  const expiresAt = new Date(sentAt.getTime() + OTP_TTL_MS);
+
+  // A new code replaces the old one; the cooldown limits how fast codes can be guessed
+  await OtpChallenge.findOneAndUpdate(
+    { phone, purpose },
+    { $set: { user: user._id, codeHash: hashCode(phone, purpose, code), attempts: 0, sentAt, expiresAt } },
+    { upsert: true }
+  );
+
+  await getSmsSender().send(phone, MESSAGES[purpose](code));
+
+  structuredLogger.userAction(user._id, 'request_otp', { purpose });
+
+  return {
+    expiresAt: expiresAt.getTime(),
+    resendAfter: sentAt.getTime() + OTP_RESEND_COOLDOWN_MS
+  };
+};
+
+// Check a code. Each code allows OTP_MAX_ATTEMPTS tries and is deleted once used.
+// Resolves to the id of the user the code was sent for; throws 400 for a wrong or
+// expired code and 429 once tries run out.
+const verifyOtp = async (phone, purpose, code) => {
+  // Count the try before checking it, so parallel guesses can't exceed the limit
+  const challenge = await OtpChallenge.findOneAndUpdate(
+    { phone, purpose, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).select('+codeHash');
+
+  if (!challenge) {
+    const exhausted = await OtpChallenge.exists({ phone, purpose, expiresAt: { $gt: new Date() } });
+    if (exhausted) {
+      throw new AppError('Too many incorrect codes. Please request a new one', 429);
+    }
+    throw new AppError('Code is invalid or has expired', 400);
+  }
+
+  const expected = Buffer.from(challenge.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(phone, purpose, String(code)), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    structuredLogger.security('otp_invalid_code', challenge.user, {
+      purpose,
+      attempts: challenge.attempts
+    });
+    throw new AppError('Code is invalid or has expired', 400);
+  }
+
+  // Only one request gets to use a code
+  const { deletedCount } = await OtpChallenge.deleteOne({ _id: challenge._id, codeHash: challenge.codeHash });
+  if (deletedCount === 0) {
+    throw new AppError('Code is invalid or has expired', 400);
+  }
+
+  return challenge.user;
+};
+
+module.exports = {
+  requestOtp,
+  verifyOtp,
+  getSmsSender,
+  setSmsSender
+};
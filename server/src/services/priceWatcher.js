@@ -0,0 +1,75 @@
+const PriceWatch = require('../models/PriceWatch');
+const { getProductCatalog } = require('./productCatalog');
+const { emitToUser } = require('./realtime');
+const { logger, structuredLogger } = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Compare every active watch against the catalog's current best price and
+// push a price-drop event to the user when it falls. Returns the number of alerts sent.
+const checkPriceWatches = async (catalog = getProductCatalog()) => {
+  const watches = await PriceWatch.find({ active: true });
+  let alerts = 0;
+
+  for (const watch of watches) {
+    try {
+      const offer = await catalog.getBestOffer(watch.productId);
+      if (!offer) continue;
+
+      if (watch.shouldAlert(offer.price)) {
+        emitToUser(watch.user, 'price-drop', {
+          watchId: watch._id,
+          productId: watch.productId,
+          productName: watch.productName,
+          previousPrice: watch.lastSeenPrice,
+          price: offer.price,
+          seller: offer.seller,
+          targetPrice: watch.targetPrice
+        });
+
+        structuredLogger.business('price_drop_alert', offer.price, {
+          userId: watch.user,
+          productId: watch.productId,
+          previousPrice: watch.lastSeenPrice
+        });
+
+        watch.lastNotifiedAt = new Date();
+        alerts++;
+      }
+
+      // Track rises too, so the next alert is relative to the current price
+      watch.lastSeenPrice = offer.price;
+      watch.lastSeenSeller = offer.seller;
+      watch.lastCheckedAt = new Date();
+      await watch.save();
+    } catch (error) {
+      logger.error(`Price check failed for watch ${watch._id}:`, error);
+    }
+  }
+
+  return alerts;
+};
+
+let timer = null;
+
+const startPriceWatcher = ({ intervalMs = parseInt(process.env.PRICE_WATCH_INTERVAL_MS) || DEFAULT_INTERVAL_MS } = {}) => {
+  if (timer) return;
+
+  timer = setInterval(() => {
+    checkPriceWatches().catch(error => logger.error('Price watcher run failed:', error));
+  }, intervalMs);
+  timer.unref();
+
+  logger.info(`Price watcher running every ${Math.round(intervalMs / 1000)}s`);
+};
+
+const stopPriceWatcher = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  checkPriceWatches,
+  startPriceWatcher,
+  stopPriceWatcher
+};
@@ -0,0 +1,212 @@
+// Product catalog for ShopSmart AI. Each product carries offers from several sellers so
+// prices can be compared; the local catalog works offline, a marketplace API can replace it.
+
+const PRODUCTS = [
+  {
+    id: 'SHOE-NK-PEG40', name: 'Nike Air Zoom Pegasus 40', brand: 'Nike', category: 'shoes',
+    tags: ['running', 'sports', 'sneakers'], sizes: ['7', '8', '9', '10', '11'], rating: 4.6,
+    offers: [{ seller: 'Amazon', price: 9995, deliveryDays: 2 }, { seller: 'Flipkart', price: 9695, deliveryDays: 3 }, { seller: 'Myntra', price: 10495, deliveryDays: 4 }]
+  },
+  {
+    id: 'SHOE-AD-ULTRA', name: 'Adidas Ultraboost Light', brand: 'Adidas', category: 'shoes',
+    tags: ['running', 'sports', 'sneakers'], sizes: ['7', '8', '9', '10'], rating: 4.5,
+    offers: [{ seller: 'Amazon', price: 13999, deliveryDays: 2 }, { seller: 'Myntra', price: 12599, deliveryDays: 3 }]
+  },
+  {
+    id: 'SHOE-PU-VELO', name: 'Puma Velocity Nitro 2', brand: 'Puma', category: 'shoes',
+    tags: ['running', 'sports'], sizes: ['6', '7', '8', '9', '10', '11'], rating: 4.3,
+    offers: [{ seller: 'Flipkart', price: 6499, deliveryDays: 3 }, { seller: 'Myntra', price: 6999, deliveryDays: 3 }]
+  },
+  {
+    id: 'SHOE-BT-FORMAL', name: 'Bata Leather Oxford Formal Shoes', brand: 'Bata', category: 'shoes',
+    tags: ['formal', 'office', 'leather'], sizes: ['7', '8', '9', '10'], rating: 4.1,
+    offers: [{ seller: 'Amazon', price: 2499, deliveryDays: 2 }, { seller: 'Flipkart', price: 2299, deliveryDays: 4 }]
+  },
+  {
+    id: 'CLO-LV-511', name: "Levi's 511 Slim Fit Jeans", brand: "Levi's", category: 'clothing',
+    tags: ['jeans', 'denim', 'casual'], sizes: ['S', 'M', 'L', 'XL'], rating: 4.4,
+    offers: [{ seller: 'Myntra', price: 2799, deliveryDays: 3 }, { seller: 'Amazon', price: 2999, deliveryDays: 2 }]
+  },
+  {
+    id: 'CLO-UQ-OXF', name: 'Uniqlo Oxford Slim Fit Shirt', brand: 'Uniqlo', category: 'clothing',
+    tags: ['shirt', 'formal', 'office', 'cotton'], sizes: ['S', 'M', 'L', 'XL'], rating: 4.5,
+    offers: [{ seller: 'Uniqlo', price: 1990, deliveryDays: 4 }, { seller: 'Myntra', price: 2090, deliveryDays: 3 }]
+  },
+  {
+    id: 'CLO-AS-POLO', name: 'Allen Solly Cotton Polo T-Shirt', brand: 'Allen Solly', category: 'clothing',
+    tags: ['t-shirt', 'tshirt', 'polo', 'casual', 'cotton'], sizes: ['S', 'M', 'L', 'XL', 'XXL'], rating: 4.2,
+    offers: [{ seller: 'Amazon', price: 899, deliveryDays: 2 }, { seller: 'Flipkart', price: 849, deliveryDays: 3 }, { seller: 'Myntra', price: 949, deliveryDays: 3 }]
+  },
+  {
+    id: 'CLO-FB-KURTA', name: 'Fabindia Cotton Kurta', brand: 'Fabindia', category: 'clothing',
+    tags: ['kurta', 'ethnic', 'festive', 'cotton'], sizes: ['S', 'M', 'L', 'XL'], rating: 4.3,
+    offers: [{ seller: 'Fabindia', price: 1990, deliveryDays: 5 }, { seller: 'Myntra', price: 1890, deliveryDays: 3 }]
+  },
+  {
+    id: 'CLO-WR-DRESS', name: 'W Floral Maxi Dress', brand: 'W', category: 'clothing',
+    tags: ['dress', 'ethnic', 'floral'], sizes: ['XS', 'S', 'M', 'L'], rating: 4.2,
+    offers: [{ seller: 'Myntra', price: 1799, deliveryDays: 3 }, { seller: 'Amazon', price: 1899, deliveryDays: 2 }]
+  },
+  {
+    id: 'ELEC-SAM-A55', name: 'Samsung Galaxy A55 5G (8GB/128GB)', brand: 'Samsung', category: 'electronics',
+    tags: ['phone', 'smartphone', 'mobile', '5g'], rating: 4.4,
+    specs: { display: '6.6" AMOLED 120Hz', battery: '5000 mAh', camera: '50 MP' },
+    offers: [{ seller: 'Amazon', price: 39999, deliveryDays: 1 }, { seller: 'Flipkart', price: 38999, deliveryDays: 2 }]
+  },
+  {
+    id: 'ELEC-OP-N4', name: 'OnePlus Nord 4 (8GB/256GB)', brand: 'OnePlus', category: 'electronics',
+    tags: ['phone', 'smartphone', 'mobile', '5g'], rating: 4.5,
+    specs: { display: '6.74" AMOLED 120Hz', battery: '5500 mAh', camera: '50 MP' },
+    offers: [{ seller: 'Amazon', price: 32999, deliveryDays: 1 }, { seller: 'OnePlus Store', price: 32999, deliveryDays: 3 }]
+  },
+  {
+    id: 'ELEC-RM-13P', name: 'Redmi Note 13 Pro 5G (8GB/256GB)', brand: 'Xiaomi', category: 'electronics',
+    tags: ['phone', 'smartphone', 'mobile', '5g'], rating: 4.3,
+    specs: { display: '6.67" AMOLED 120Hz', battery: '5100 mAh', camera: '200 MP' },
+    offers: [{ seller: 'Flipkart', price: 25999, deliveryDays: 2 }, { seller: 'Amazon', price: 26999, deliveryDays: 1 }]
+  },
+  {
+    id: 'ELEC-SONY-XM5', name: 'Sony WH-1000XM5 Headphones', brand: 'Sony', category: 'electronics',
+    tags: ['headphones', 'audio', 'noise cancelling', 'wireless'], rating: 4.7,
+    specs: { battery: '30 hours', type: 'Over-ear', anc: 'Yes' },
+    offers: [{ seller: 'Amazon', price: 29990, deliveryDays: 1 }, { seller: 'Croma', price: 31990, deliveryDays: 2 }]
+  },
+  {
+    id: 'ELEC-BOAT-141', name: 'boAt Airdopes 141 Earbuds', brand: 'boAt', category: 'electronics',
+    tags: ['earbuds', 'audio', 'wireless'], rating: 4.0,
+    specs: { battery: '42 hours', type: 'In-ear', anc: 'No' },
+    offers: [{ seller: 'Amazon', price: 1299, deliveryDays: 1 }, { seller: 'Flipkart', price: 1199, deliveryDays: 2 }]
+  },
+  {
+    id: 'HOME-PR-COOK', name: 'Prestige Svachh 5L Pressure Cooker', brand: 'Prestige', category: 'home',
+    tags: ['kitchen', 'cookware', 'cooker'], rating: 4.4,
+    offers: [{ seller: 'Amazon', price: 2199, deliveryDays: 2 }, { seller: 'Flipkart', price: 2099, deliveryDays: 3 }]
+  },
+  {
+    id: 'HOME-PH-AIR', name: 'Philips Air Fryer HD9200', brand: 'Philips', category: 'home',
+    tags: ['kitchen', 'appliance', 'air fryer'], rating: 4.5,
+    offers: [{ seller: 'Amazon', price: 6999, deliveryDays: 1 }, { seller: 'Croma', price: 7499, deliveryDays: 2 }, { seller: 'Flipkart', price: 6799, deliveryDays: 3 }]
+  }
+];
+
+const CATEGORIES = ['shoes', 'clothing', 'electronics', 'home'];
+
+// Words that say nothing about the product itself
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'me', 'my', 'for', 'and', 'or', 'with', 'under', 'below', 'above', 'over',
+  'show', 'find', 'search', 'buy', 'get', 'want', 'need', 'looking', 'some', 'any', 'good', 'best',
+  'new', 'pair', 'of', 'in', 'on', 'to', 'size', 'rs', 'price', 'cheap', 'please', 'shop', 'shopping'
+]);
+
+class ProductCatalog {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Products matching the filters, each with its cheapest in-stock offer as bestOffer
+  async search({ query, category, brands, minPrice, maxPrice, size }) {
+    throw new Error('search method must be implemented by subclass');
+  }
+
+  async getProduct(productId) {
+    throw new Error('getProduct method must be implemented by subclass');
+  }
+
+  // Seller offers for a product, cheapest first
+  async getOffers(productId) {
+    const product = await this.getProduct(productId);
+    return product ? [...product.offers].sort((a, b) => a.price - b.price) : [];
+  }
+
+  async getBestOffer(productId) {
+    const offers = await this.getOffers(productId);
+    return offers.find(offer => offer.inStock !== false) || null;
+  }
+}
+
+// Built-in catalog - prices live in memory so price changes can be simulated
+class LocalProductCatalog extends ProductCatalog {
+  constructor({ products = PRODUCTS } = {}) {
+    super('local');
+    this.products = products.map(product => ({
+      ...product,
+      offers: product.offers.map(offer => ({ inStock: true, ...offer }))
+    }));
+  }
+
+  async search({ query = '', category = null, brands = [], minPrice = null, maxPrice = null, size = null } = {}) {
+    const terms = query.toLowerCase().split(/[^a-z0-9'-]+/).filter(term => term.length > 1 && !STOP_WORDS.has(term) && !/^\d+$/.test(term));
+    const wantedBrands = (brands || []).map(brand => brand.toLowerCase());
+
+    return this.products
+      .map(product => ({ product, score: this.matchScore(product, terms) }))
+      .filter(({ product, score }) =>
+        (terms.length === 0 || score > 0) &&
+        (!category || product.category === category) &&
+        (wantedBrands.length === 0 || wantedBrands.includes(product.brand.toLowerCase())) &&
+        (!size || !product.sizes || product.sizes.includes(String(size).toUpperCase()))
+      )
+      .map(({ product, score }) => ({ ...this.withBestOffer(product), score }))
+      .filter(product =>
+        product.bestOffer &&
+        (minPrice == null || product.bestOffer.price >= minPrice) &&
+        (maxPrice == null || product.bestOffer.price <= maxPrice)
+      )
+      .sort((a, b) => b.score - a.score || b.rating - a.rating);
+  }
+
+  async getProduct(productId) {
+    const product = this.products.find(p => p.id === productId);
+    return product ? this.withBestOffer(product) : null;
+  }
+
+  // Change a seller's price, e.g. to simulate a sale
+  setPrice(productId, seller, price) {
+    const offer = this.products.find(p => p.id === productId)?.offers.find(o => o.seller === seller);
+    if (!offer) return false;
+
+    offer.price = price;
+    return true;
+  }
+
+  matchScore(product, terms) {
+    const haystack = [product.name, product.brand, product.category, ...product.tags].join(' ').toLowerCase();
+    return terms.filter(term => haystack.includes(term.replace(/s$/, ''))).length;
+  }
+
+  withBestOffer(product) {
+    const offers = [...product.offers].sort((a, b) => a.price - b.price);
+    return {
+      ...product,
+      offers,
+      bestOffer: offers.find(offer => offer.inStock) || null
+    };
+  }
+}
+
+const createProductCatalog = (type = process.env.PRODUCT_CATALOG || 'local') => {
+  switch (type) {
+    case 'local':
+      return new LocalProductCatalog();
+    default:
+      throw new Error(`Unknown product catalog type: ${type}`);
+  }
+};
+
+// Shared instance so the agent and the price watcher see the same prices
+let defaultCatalog = null;
+
+const getProductCatalog = () => {
+  if (!defaultCatalog) {
+    defaultCatalog = createProductCatalog();
+  }
+  return defaultCatalog;
+};
+
+module.exports = {
+  CATEGORIES,
+  ProductCatalog,
+  LocalProductCatalog,
+  createProductCatalog,
+  getProductCatalog
+};
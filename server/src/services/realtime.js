@@ -0,0 +1,41 @@
+const { logger } = require('../utils/logger');
+
+// Socket.IO server, set once at startup so code outside routes can push updates
+let io = null;
+
+const setSocketServer = (server) => {
+  io = server;
+};
+
+const getSocketServer = () => io;
+
+// Emit an event to every socket in the user's room
+const emitToUser = (userId, event, payload = {}) => {
+  if (!io) {
+    logger.debug(`Socket server not ready, dropping ${event} for user ${userId}`);
+    return false;
+  }
+
+  io.to(`user-${userId}`).emit(event, {
+    ...payload,
+    timestamp: Date.now()
+  });
+  return true;
+};
+
+// Tell a signed-out session's sockets and close them
+const disconnectSession = (sessionId, message) => {
+  if (!io) return false;
+
+  const room = `session-${sessionId}`;
+  io.to(room).emit('session-expired', { message, timestamp: Date.now() });
+  io.in(room).disconnectSockets(true);
+  return true;
+};
+
+module.exports = {
+  setSocketServer,
+  getSocketServer,
+  emitToUser,
+  disconnectSession
+};
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { createAuthError } = require('../middleware/errorHandler');
+const { structuredLogger } = require('../utils/logger');
+const { disconnectSession } = require('./realtime');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Rotated refresh tokens remembered per session; reuse of anything older just fails
+const MAX_PREVIOUS_TOKENS = 100;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Opaque refresh token: "<session id>.<secret>". Only its hash is stored.
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+// Short-lived access JWT tied to its session, so revoking the session revokes it
+const issueAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId: String(userId), sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+
+const tokenPair = (userId, session, refreshToken) => {
+  const token = issueAccessToken(userId, session.id);
+  return {
+    token,
+    tokenExpiresAt: jwt.decode(token).exp * 1000,
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt.getTime()
+  };
+};
+
+// Sign a user in on a new device
+const createSession = async (user, { userAgent, ip } = {}) => {
+  const session = new Session({
+    user: user._id,
+    expiresAt: refreshExpiry(),
+    userAgent,
+    ip
+  });
+
+  const refreshToken = newRefreshToken(session.id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+
+  return { sessionId: session.id, ...tokenPair(user._id, session, refreshToken) };
+};
+
+const revokeSession = async (sessionId, reason) => {
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt) return false;
+
+  await session.revoke(reason);
+  disconnectSession(session.id, 'Session has been revoked');
+  return true;
+};
+
+const revokeAllSessions = async (userId, reason, options = {}) => {
+  const sessionIds = await Session.revokeAllForUser(userId, reason, options);
+  sessionIds.forEach(sessionId => disconnectSession(sessionId, 'Session has been revoked'));
+  return sessionIds.length;
+};
+
+// A refresh token that was already exchanged is being replayed - either the client or
+// an attacker holds a stolen copy, and we can't tell which, so the whole family goes
+const handleReuse = async (session, meta) => {
+  structuredLogger.security('refresh_token_reuse', session.user, {
+    sessionId: session.id,
+    ...meta
+  });
+  await revokeSession(session.id, 'refresh_token_reuse');
+};
+
+// Exchange a refresh token for a new access token and refresh token
+const rotateSession = async (refreshToken, { userAgent, ip } = {}) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    throw createAuthError('Invalid refresh token');
+  }
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash +previousTokenHashes');
+  if (!session) {
+    throw createAuthError('Invalid refresh token');
+  }
+
+  const presentedHash = hashToken(refreshToken);
+
+  if (session.refreshTokenHash !== presentedHash) {
+    if (!session.revokedAt && (session.previousTokenHashes || []).includes(presentedHash)) {
+      await handleReuse(session, { userAgent, ip });
+    }
+    throw createAuthError('Invalid refresh token');
+  }
+
+  if (!session.isActive) {
+    throw createAuthError('Session has expired or been revoked');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    await revokeSession(session.id, 'account_inactive');
+    throw createAuthError('Account is deactivated');
+  }
+
+  const nextToken = newRefreshToken(session.id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        expiresAt: refreshExpiry(),
+        lastUsedAt: new Date(),
+        userAgent,
+        ip
+      },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  // Another request exchanged the same token first - that's reuse too
+  if (!rotated) {
+    await handleReuse(session, { userAgent, ip });
+    throw createAuthError('Invalid refresh token');
+  }
+
+  return { user, sessionId: rotated.id, ...tokenPair(user._id, rotated, nextToken) };
+};
+
+// Used by the auth middleware for every access token
+const assertActiveSession = async (decoded) => {
+  const session = decoded.sid && mongoose.isValidObjectId(decoded.sid)
+    ? await Session.findById(decoded.sid)
+    : null;
+
+  if (!session || !session.isActive || String(session.user) !== String(decoded.userId)) {
+    structuredLogger.security('revoked_session_token', decoded.userId || null, { sessionId: decoded.sid });
+    throw createAuthError('Session is no longer valid');
+  }
+
+  return session;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  assertActiveSession
+};
@@ -0,0 +1,68 @@
+const { logger } = require('../utils/logger');
+
+class SmsSender {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Resolves to { id } once the provider accepted the message
+  async send(to, body) {
+    throw new Error('send method must be implemented by subclass');
+  }
+}
+
+// Nothing is sent - messages are kept in memory (and logged) so development and
+// tests can read the codes back
+class MemorySmsSender extends SmsSender {
+  constructor() {
+    super('memory');
+    this.sent = [];
+  }
+
+  async send(to, body) {
+    const id = `sms-${this.sent.length + 1}`;
+    this.sent.push({ id, to, body, sentAt: new Date() });
+    logger.info(`SMS to ${to}: ${body}`);
+    return { id };
+  }
+
+  // Most recent message sent to a number
+  lastMessageTo(to) {
+    return [...this.sent].reverse().find(message => message.to === to) || null;
+  }
+}
+
+class TwilioSmsSender extends SmsSender {
+  constructor({ accountSid, authToken, from }) {
+    super('twilio');
+    this.from = from;
+    this.client = require('twilio')(accountSid, authToken);
+  }
+
+  async send(to, body) {
+    const message = await this.client.messages.create({ to, from: this.from, body });
+    return { id: message.sid };
+  }
+}
+
+const createSmsSender = (type = process.env.SMS_SENDER || 'memory') => {
+  switch (type) {
+    case 'twilio':
+      return new TwilioSmsSender({
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_PHONE_NUMBER
+      });
+    case 'memory':
+      return new MemorySmsSender();
+    default:
+      throw new Error(`Unknown SMS sender type: ${type}`);
+  }
+};
+
+module.exports = {
+  SmsSender,
+  MemorySmsSender,
+  TwilioSmsSender,
+  createSmsSender
+};
@@ -0,0 +1,82 @@
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+// Append the entries of one turn to the user's conversation, starting a new
+// conversation when there is none yet (or it was deleted). Agent entries without any
+// text are dropped. Returns the conversation id.
+const recordTurn = async (userId, conversationId, turnEntries) => {
+  // A reply stopped before its first token leaves no text, and Message requires some
+  const entries = turnEntries.filter(entry => entry.role === 'user' || entry.content?.trim());
+  if (entries.length === 0) return conversationId;
+
+  let conversation = conversationId
+    ? await Conversation.findOne({ _id: conversationId, user: userId })
+    : null;
+
+  if (!conversation) {
+    const opening = entries.find(entry => entry.role === 'user');
+    conversation = new Conversation({
+      user: userId,
+      title: Conversation.titleFrom(opening ? opening.content : entries[0].content)
+    });
+  }
+
+  // Inserted in turn order so the generated _ids keep that order for pagination
+  await Message.insertMany(entries.map(entry => ({
+    ...entry,
+    conversation: conversation._id,
+    user: userId
+  })));
+
+  for (const entry of entries) {
+    if (entry.agent && !conversation.agents.includes(entry.agent)) {
+      conversation.agents.push(entry.agent);
+    }
+    if (entry.agent) {
+      conversation.lastAgent = entry.agent;
+    }
+  }
+  conversation.messageCount += entries.length;
+  conversation.lastMessageAt = new Date();
+  await conversation.save();
+
+  return conversation._id.toString();
+};
+
+// Only the user's most recent conversations keep their summaries
+const SUMMARIES_PER_USER = parseInt(process.env.SUMMARIES_PER_USER) || 20;
+
+// Store the rolling summary on the conversation and drop it from the user's older ones
+const saveSummary = async (userId, conversationId, summary, summarizedTurns) => {
+  const conversation = await Conversation.findOneAndUpdate(
+    { _id: conversationId, user: userId },
+    { summary, summarizedTurns, summaryUpdatedAt: new Date() },
+    { new: true }
+  );
+  if (!conversation) return;
+
+  const keep = await Conversation.find({ user: userId, summary: { $exists: true } })
+    .sort({ summaryUpdatedAt: -1 })
+    .limit(SUMMARIES_PER_USER)
+    .select('_id');
+
+  await Conversation.updateMany(
+    { user: userId, summary: { $exists: true }, _id: { $nin: keep.map(c => c._id) } },
+    { $unset: { summary: 1, summaryUpdatedAt: 1 } }
+  );
+};
+
+// Remove a conversation and its transcript; false when it isn't the user's
+const deleteConversation = async (userId, conversationId) => {
+  const conversation = await Conversation.findOneAndDelete({ _id: conversationId, user: userId });
+  if (!conversation) return false;
+
+  await Message.deleteMany({ conversation: conversation._id });
+  return true;
+};
+
+module.exports = {
+  recordTurn,
+  saveSummary,
+  deleteConversation
+};
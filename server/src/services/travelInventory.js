@@ -0,0 +1,295 @@
+// Flight, hotel and attraction inventory for TravelBuddy AI. The local provider works
+// offline from built-in data; a provider backed by a real travel API implements the same methods.
+
+const CITIES = [
+  { code: 'DEL', name: 'Delhi', airport: 'Indira Gandhi International Airport', aliases: ['new delhi'], lat: 28.56, lon: 77.10, costFactor: 1.1 },
+  { code: 'BOM', name: 'Mumbai', airport: 'Chhatrapati Shivaji Maharaj International Airport', aliases: ['bombay'], lat: 19.09, lon: 72.87, costFactor: 1.3 },
+  { code: 'BLR', name: 'Bengaluru', airport: 'Kempegowda International Airport', aliases: ['bangalore'], lat: 13.20, lon: 77.71, costFactor: 1.1 },
+  { code: 'MAA', name: 'Chennai', airport: 'Chennai International Airport', aliases: ['madras'], lat: 12.99, lon: 80.17, costFactor: 1.0 },
+  { code: 'HYD', name: 'Hyderabad', airport: 'Rajiv Gandhi International Airport', aliases: [], lat: 17.24, lon: 78.43, costFactor: 1.0 },
+  { code: 'CCU', name: 'Kolkata', airport: 'Netaji Subhas Chandra Bose International Airport', aliases: ['calcutta'], lat: 22.65, lon: 88.45, costFactor: 0.9 },
+  { code: 'GOI', name: 'Goa', airport: 'Dabolim Airport', aliases: ['panaji'], lat: 15.38, lon: 73.83, costFactor: 1.2 },
+  { code: 'JAI', name: 'Jaipur', airport: 'Jaipur International Airport', aliases: [], lat: 26.82, lon: 75.81, costFactor: 0.9 },
+  { code: 'COK', name: 'Kochi', airport: 'Cochin International Airport', aliases: ['cochin'], lat: 10.15, lon: 76.40, costFactor: 0.9 }
+];
+
+const AIRLINES = [
+  { code: '6E', name: 'IndiGo', fareFactor: 1.0 },
+  { code: 'AI', name: 'Air India', fareFactor: 1.15, hasFirst: true },
+  { code: 'UK', name: 'Vistara', fareFactor: 1.2 },
+  { code: 'SG', name: 'SpiceJet', fareFactor: 0.95 },
+  { code: 'QP', name: 'Akasa Air', fareFactor: 0.92 }
+];
+
+const DEPARTURES = ['06:00', '09:30', '13:15', '17:45', '21:10'];
+
+const CLASS_MULTIPLIERS = { economy: 1, business: 3.2, first: 5.5 };
+
+const HOTEL_TIERS = [
+  { suffix: 'Grand Palace', stars: 5, baseRate: 9000, amenities: ['Pool', 'Spa', 'Free breakfast', 'Airport shuttle', 'Gym'] },
+  { suffix: 'Residency', stars: 4, baseRate: 4500, amenities: ['Free breakfast', 'Gym', 'Free WiFi'] },
+  { suffix: 'Comfort Inn', stars: 3, baseRate: 2200, amenities: ['Free WiFi', 'Restaurant'] },
+  { suffix: 'Backpackers', stars: 2, baseRate: 900, amenities: ['Free WiFi', 'Shared lounge'] }
+];
+
+const AREAS = {
+  DEL: ['Connaught Place', 'Aerocity', 'Karol Bagh', 'Paharganj'],
+  BOM: ['Colaba', 'Bandra', 'Andheri', 'Juhu'],
+  BLR: ['MG Road', 'Indiranagar', 'Whitefield', 'Koramangala'],
+  MAA: ['T. Nagar', 'Egmore', 'Nungambakkam', 'Besant Nagar'],
+  HYD: ['Banjara Hills', 'HITEC City', 'Jubilee Hills', 'Charminar'],
+  CCU: ['Park Street', 'Salt Lake', 'Esplanade', 'Ballygunge'],
+  GOI: ['Candolim', 'Baga', 'Panaji', 'Palolem'],
+  JAI: ['C-Scheme', 'Bani Park', 'MI Road', 'Amer'],
+  COK: ['Fort Kochi', 'Marine Drive', 'Edappally', 'Kakkanad']
+};
+
+const ATTRACTIONS = {
+  DEL: [
+    { name: 'Red Fort', tags: ['history', 'culture'], hours: 2 },
+    { name: 'Qutub Minar', tags: ['history'], hours: 2 },
+    { name: 'Chandni Chowk food walk', tags: ['food', 'shopping'], hours: 3 },
+    { name: "Humayun's Tomb", tags: ['history', 'culture'], hours: 2 },
+    { name: 'Lodhi Garden', tags: ['nature', 'relaxation'], hours: 1.5 },
+    { name: 'Dilli Haat', tags: ['shopping', 'food'], hours: 2 }
+  ],
+  BOM: [
+    { name: 'Gateway of India', tags: ['history'], hours: 1 },
+    { name: 'Marine Drive sunset', tags: ['relaxation'], hours: 1.5 },
+    { name: 'Elephanta Caves', tags: ['history', 'culture'], hours: 5 },
+    { name: 'Colaba Causeway', tags: ['shopping', 'food'], hours: 2 },
+    { name: 'Sanjay Gandhi National Park', tags: ['nature', 'adventure'], hours: 4 }
+  ],
+  BLR: [
+    { name: 'Lalbagh Botanical Garden', tags: ['nature'], hours: 2 },
+    { name: 'Bangalore Palace', tags: ['history', 'culture'], hours: 2 },
+    { name: 'Church Street cafes', tags: ['food', 'nightlife'], hours: 2 },
+    { name: 'Nandi Hills sunrise', tags: ['nature', 'adventure'], hours: 5 },
+    { name: 'Commercial Street', tags: ['shopping'], hours: 2 }
+  ],
+  MAA: [
+    { name: 'Marina Beach', tags: ['relaxation', 'nature'], hours: 2 },
+    { name: 'Kapaleeshwarar Temple', tags: ['culture', 'history'], hours: 1.5 },
+    { name: 'Mahabalipuram shore temples', tags: ['history', 'culture'], hours: 5 },
+    { name: 'T. Nagar silk shopping', tags: ['shopping'], hours: 3 }
+  ],
+  HYD: [
+    { name: 'Charminar & Laad Bazaar', tags: ['history', 'shopping'], hours: 3 },
+    { name: 'Golconda Fort', tags: ['history'], hours: 3 },
+    { name: 'Biryani trail', tags: ['food'], hours: 2 },
+    { name: 'Hussain Sagar boat ride', tags: ['relaxation'], hours: 1.5 },
+    { name: 'Ramoji Film City', tags: ['adventure', 'culture'], hours: 6 }
+  ],
+  CCU: [
+    { name: 'Victoria Memorial', tags: ['history', 'culture'], hours: 2 },
+    { name: 'Howrah Bridge & flower market', tags: ['culture'], hours: 2 },
+    { name: 'Park Street dinner', tags: ['food', 'nightlife'], hours: 2 },
+    { name: 'Kumartuli artisans', tags: ['culture'], hours: 2 }
+  ],
+  GOI: [
+    { name: 'Baga & Calangute beaches', tags: ['relaxation', 'nightlife'], hours: 4 },
+    { name: 'Old Goa churches', tags: ['history', 'culture'], hours: 3 },
+    { name: 'Dudhsagar Falls trip', tags: ['nature', 'adventure'], hours: 7 },
+    { name: 'Fontainhas walk', tags: ['culture', 'food'], hours: 2 },
+    { name: 'Anjuna flea market', tags: ['shopping'], hours: 2 }
+  ],
+  JAI: [
+    { name: 'Amer Fort', tags: ['history', 'culture'], hours: 3 },
+    { name: 'Hawa Mahal', tags: ['history'], hours: 1 },
+    { name: 'City Palace', tags: ['history', 'culture'], hours: 2 },
+    { name: 'Johari Bazaar', tags: ['shopping'], hours: 2 },
+    { name: 'Nahargarh sunset', tags: ['nature', 'relaxation'], hours: 2 }
+  ],
+  COK: [
+    { name: 'Fort Kochi & Chinese fishing nets', tags: ['history', 'culture'], hours: 3 },
+    { name: 'Mattancherry Palace', tags: ['history'], hours: 1.5 },
+    { name: 'Backwater cruise', tags: ['nature', 'relaxation'], hours: 4 },
+    { name: 'Kathakali performance', tags: ['culture'], hours: 2 }
+  ]
+};
+
+class TravelInventory {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Names of the cities this inventory covers
+  listCities() {
+    throw new Error('listCities method must be implemented by subclass');
+  }
+
+  // Resolve a city name, alias or airport code
+  findCity(query) {
+    throw new Error('findCity method must be implemented by subclass');
+  }
+
+  // Known cities mentioned in free text, in the order they appear: [{ city, index }]
+  findCitiesIn(text) {
+    throw new Error('findCitiesIn method must be implemented by subclass');
+  }
+
+  async searchFlights({ from, to, date, travelClass, passengers }) {
+    throw new Error('searchFlights method must be implemented by subclass');
+  }
+
+  async searchHotels({ city, checkIn, nights, guests, maxPricePerNight }) {
+    throw new Error('searchHotels method must be implemented by subclass');
+  }
+
+  async getAttractions(city, interests = []) {
+    throw new Error('getAttractions method must be implemented by subclass');
+  }
+}
+
+// Built-in inventory - deterministic so the same search always returns the same options
+class LocalTravelInventory extends TravelInventory {
+  constructor({ cities = CITIES } = {}) {
+    super('local');
+    this.cities = cities;
+  }
+
+  listCities() {
+    return this.cities.map(city => city.name);
+  }
+
+  findCity(query) {
+    if (!query) return null;
+    const text = String(query).trim().toLowerCase();
+
+    return this.cities.find(city =>
+      city.code.toLowerCase() === text ||
+      city.name.toLowerCase() === text ||
+      city.aliases.includes(text)
+    ) || this.findCitiesIn(text)[0]?.city || null;
+  }
+
+  findCitiesIn(text) {
+    const found = [];
+    const lower = String(text).toLowerCase();
+
+    for (const city of this.cities) {
+      for (const name of [city.name.toLowerCase(), ...city.aliases]) {
+        const match = new RegExp(`\\b${name}\\b`).exec(lower);
+        if (match) {
+          found.push({ city, index: match.index });
+          break;
+        }
+      }
+    }
+
+    return found.sort((a, b) => a.index - b.index);
+  }
+
+  async searchFlights({ from, to, date = null, travelClass = 'economy', passengers = 1 }) {
+    const origin = this.findCity(from);
+    const destination = this.findCity(to);
+    if (!origin || !destination || origin.code === destination.code) return [];
+
+    const distanceKm = this.distanceBetween(origin, destination);
+    const directMinutes = Math.round((45 + distanceKm / 750 * 60) / 5) * 5;
+    const routeSeed = this.seed(origin.code + destination.code);
+
+    return DEPARTURES.map((departure, i) => {
+      const airline = AIRLINES[(routeSeed + i) % AIRLINES.length];
+      const stops = i === 3 ? 1 : 0;
+      const durationMinutes = directMinutes + stops * 90;
+
+      // First class is only sold by full-service carriers, others fall back to business
+      const cabin = travelClass === 'first' && !airline.hasFirst ? 'business' : travelClass;
+      const peakFactor = i === 0 || i === 4 ? 0.9 : 1.05;
+      const farePerPerson = Math.round(
+        (2500 + distanceKm * 4.2) * airline.fareFactor * peakFactor * (stops ? 0.85 : 1) * CLASS_MULTIPLIERS[cabin] / 10
+      ) * 10;
+
+      return {
+        id: `${airline.code}${100 + (routeSeed * 7 + i * 131) % 900}`,
+        flightNumber: `${airline.code} ${100 + (routeSeed * 7 + i * 131) % 900}`,
+        airline: airline.name,
+        from: { code: origin.code, city: origin.name, airport: origin.airport },
+        to: { code: destination.code, city: destination.name, airport: destination.airport },
+        date,
+        departure,
+        arrival: this.addMinutes(departure, durationMinutes),
+        durationMinutes,
+        stops,
+        travelClass: cabin,
+        farePerPerson,
+        totalFare: farePerPerson * passengers,
+        passengers,
+        seatsLeft: 3 + (routeSeed + i * 5) % 9
+      };
+    }).sort((a, b) => a.totalFare - b.totalFare);
+  }
+
+  async searchHotels({ city, checkIn = null, nights = 1, guests = 1, maxPricePerNight = null }) {
+    const destination = this.findCity(city);
+    if (!destination) return [];
+
+    const rooms = Math.ceil(guests / 2);
+    const areas = AREAS[destination.code] || [destination.name];
+
+    return HOTEL_TIERS
+      .map((tier, i) => {
+        const pricePerNight = Math.round(tier.baseRate * destination.costFactor / 50) * 50;
+        return {
+          id: `${destination.code}-H${i + 1}`,
+          name: `${destination.name} ${tier.suffix}`,
+          city: destination.name,
+          area: areas[i % areas.length],
+          stars: tier.stars,
+          rating: Math.round((3.6 + tier.stars * 0.25 - (this.seed(destination.code) % 3) * 0.1) * 10) / 10,
+          amenities: tier.amenities,
+          checkIn,
+          nights,
+          rooms,
+          pricePerNight,
+          totalPrice: pricePerNight * nights * rooms
+        };
+      })
+      .filter(hotel => !maxPricePerNight || hotel.pricePerNight <= maxPricePerNight);
+  }
+
+  async getAttractions(city, interests = []) {
+    const destination = this.findCity(city);
+    const attractions = destination ? ATTRACTIONS[destination.code] || [] : [];
+    if (interests.length === 0) return attractions;
+
+    // Matching interests first, then the rest so longer trips still fill up
+    const wanted = interests.map(interest => interest.toLowerCase());
+    const matches = attractions.filter(a => a.tags.some(tag => wanted.includes(tag)));
+    return [...matches, ...attractions.filter(a => !matches.includes(a))];
+  }
+
+  distanceBetween(a, b) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(b.lat - a.lat);
+    const dLon = toRad(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.asin(Math.sqrt(h));
+  }
+
+  addMinutes(time, minutes) {
+    const [hours, mins] = time.split(':').map(Number);
+    const total = (hours * 60 + mins + minutes) % 1440;
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  seed(text) {
+    return [...text].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  }
+}
+
+const createTravelInventory = (type = process.env.TRAVEL_INVENTORY || 'local') => {
+  switch (type) {
+    case 'local':
+      return new LocalTravelInventory();
+    default:
+      throw new Error(`Unknown travel inventory type: ${type}`);
+  }
+};
+
+module.exports = {
+  TravelInventory,
+  LocalTravelInventory,
+  createTravelInventory
+};
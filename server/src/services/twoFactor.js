@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { AppError, createAuthError } = require('../middleware/errorHandler');
+const { generateSecret, verifyTotp, otpauthUri } = require('./totp');
+
+const ISSUER = process.env.TOTP_ISSUER || 'AI Super App';
+const CHALLENGE_EXPIRE = process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m';
+const CHALLENGE_PURPOSE = 'two_factor';
+const RECOVERY_CODE_COUNT = 10;
+
+// TOTP secrets must be readable to check codes, so they're encrypted rather than hashed
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// "3f9a2-c41b7" - dashes and case are ignored when they're typed back
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+const loadWithSecrets = (userId) =>
+  User.findById(userId).select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes');
+
+// Step 1 of enrollment: a new secret, kept pending until a code from it is verified
+const startEnrollment = async (userId) => {
+  const user = await loadWithSecrets(userId);
+  if (user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = generateSecret();
+  user.set('twoFactor.pendingSecret', encryptSecret(secret));
+  await user.save();
+
+  return {
+    secret,
+    otpauthUri: otpauthUri({ secret, account: user.email, issuer: ISSUER })
+  };
+};
+
+// Step 2: the first code proves the app was set up. Returns the recovery codes,
+// which are only ever shown here.
+const confirmEnrollment = async (userId, code) => {
+  const user = await loadWithSecrets(userId);
+  if (user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  user.set('twoFactor', {
+    enabled: true,
+    secret: user.twoFactor.pendingSecret,
+    recoveryCodes: recoveryCodes.map(recoveryCode => User.hashToken(normalizeRecoveryCode(recoveryCode))),
+    lastUsedStep: step,
+    enabledAt: new Date()
+  });
+  await user.save();
+
+  return recoveryCodes;
+};
+
+// Check a TOTP code or a recovery code for a user with 2FA on. Codes can't be reused:
+// TOTP steps must move forward and recovery codes are removed once used.
+// Resolves to 'totp', 'recovery_code' or null.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await loadWithSecrets(userId);
+  if (!user?.twoFactor?.enabled) return null;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code);
+    if (step === null) return null;
+
+    const { modifiedCount } = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return modifiedCount > 0 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const hash = User.hashToken(normalizeRecoveryCode(recoveryCode));
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return modifiedCount > 0 ? 'recovery_code' : null;
+  }
+
+  return null;
+};
+
+const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(code => User.hashToken(normalizeRecoveryCode(code))) } }
+  );
+  return recoveryCodes;
+};
+
+const disable = (userId) => User.updateOne({ _id: userId }, { $unset: { twoFactor: 1 } });
+
+const remainingRecoveryCodes = async (userId) => {
+  const user = await loadWithSecrets(userId);
+  return user?.twoFactor?.recoveryCodes?.length || 0;
+};
+
+// Short-lived token proving the first factor passed. It carries no session, so it
+// can't be used as an access token.
+const createChallenge = (user, method) => {
+  const challengeToken = jwt.sign(
+    { userId: String(user._id), purpose: CHALLENGE_PURPOSE, method },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRE }
+  );
+  return { challengeToken, challengeExpiresAt: jwt.decode(challengeToken).exp * 1000 };
+};
+
+const verifyChallenge = (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw createAuthError(error.name === 'TokenExpiredError'
+      ? 'Sign-in has expired, please log in again'
+      : 'Invalid challenge token');
+  }
+
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw createAuthError('Invalid challenge token');
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  remainingRecoveryCodes,
+  disable,
+  createChallenge,
+  verifyChallenge
+};
@@ -191,6 +191,16 @@ const structuredLogger = {
     });
   },
 
+  // Routing decisions: which agent got the message, how it was picked and the classifier scores
+  routing: (userId, agent, metadata = {}) => {
+    logger.info('Agent routing', {
+      userId,
+      agent,
+      ...metadata,
+      category: 'agent_routing'
+    });
+  },
+
   // Agent handoff logging
   handoff: (fromAgent, toAgent, userId, reason, metadata = {}) => {
     logger.info('Agent handoff', {
@@ -271,8 +281,8 @@ const cleanupLogs = () => {
   });
 };
 
-// Schedule log cleanup (run daily)
-setInterval(cleanupLogs, 24 * 60 * 60 * 1000);
+// Schedule log cleanup (run daily); unref'd so it never keeps the process alive on its own
+setInterval(cleanupLogs, 24 * 60 * 60 * 1000).unref();
 
 module.exports = {
   logger,
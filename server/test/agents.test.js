@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+const FoodieAgent = require('../src/agents/FoodieAgent');
+const GrocerAgent = require('../src/agents/GrocerAgent');
+const ShopSmartAgent = require('../src/agents/ShopSmartAgent');
+const RideNowAgent = require('../src/agents/RideNowAgent');
+const TravelBuddyAgent = require('../src/agents/TravelBuddyAgent');
+const ScriptedProvider = require('../src/llm/ScriptedProvider');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const GroceryOrder = require('../src/models/GroceryOrder');
+const ShopOrder = require('../src/models/ShopOrder');
+const Ride = require('../src/models/Ride');
+
+const userProfile = ({ isVerified }) => User.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Ann',
+  email: 'ann@example.com',
+  isVerified,
+  addresses: [{ label: 'Home', street: '12 MG Road', city: 'Bengaluru', isDefault: true }],
+  paymentMethods: []
+});
+
+describe('FoodieAgent', () => {
+  let agent;
+
+  beforeEach(() => {
+    agent = new FoodieAgent(new ScriptedProvider());
+  });
+
+  // Waiting on "Confirm order" for a biryani
+  const checkoutState = () => ({
+    ...agent.initialOrderState(),
+    stage: 'checkout',
+    restaurant: { id: 'rest_1', name: 'Spice Garden' },
+    selectedItems: [{ id: 'item_1', name: 'Chicken Biryani', price: 280, quantity: 1 }],
+    total: 280
+  });
+
+  test('adding to the cart at checkout goes back to the cart', async () => {
+    const orderState = checkoutState();
+
+    await agent.handleAddToCart('add a garlic naan', { itemName: 'Garlic Naan' }, orderState);
+
+    expect(orderState.stage).toBe('cart');
+    expect(orderState.total).toBe(340);
+    // "Confirm order" no longer confirms the stale summary
+    expect(agent.getPendingStepCall('Confirm order', orderState)).toBeNull();
+  });
+
+  test('removing from the cart at checkout goes back to the cart', async () => {
+    const orderState = checkoutState();
+    orderState.selectedItems.push({ id: 'item_3', name: 'Garlic Naan', price: 60, quantity: 2 });
+
+    await agent.handleModifyOrder('remove a naan', { itemName: 'naan', quantity: 1 }, orderState);
+
+    expect(orderState.stage).toBe('cart');
+  });
+});
+
+describe('confirming at checkout', () => {
+  let agent;
+  let context;
+
+  beforeEach(() => {
+    agent = new FoodieAgent(new ScriptedProvider({
+      fixturesPath: require.resolve('../src/llm/fixtures/default.json')
+    }));
+    context = {
+      userId: 'user-1',
+      history: [],
+      agentState: {
+        foodie: {
+          ...agent.initialOrderState(),
+          stage: 'checkout',
+          restaurant: { id: 'rest_1', name: 'Spice Garden' },
+          selectedItems: [{ id: 'item_1', name: 'Chicken Biryani', price: 280, quantity: 1 }],
+          total: 280
+        }
+      }
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(['yes', 'Yes!', 'sure', 'Confirm order', 'confirm', 'ok, place my order', 'Place the order please'])(
+    '"%s" confirms the order',
+    (message) => {
+      expect(agent.isOrderConfirmation(message)).toBe(true);
+    }
+  );
+
+  test.each(['yes, add a raita too', 'sure, but make it spicy', 'yes please remove the naan', 'place', 'confirm order but no onions'])(
+    '"%s" is not a confirmation',
+    (message) => {
+      expect(agent.isOrderConfirmation(message)).toBe(false);
+    }
+  );
+
+  test('an affirmative followed by a change does not place the order', async () => {
+    const create = jest.spyOn(Order, 'create').mockImplementation(async (fields) => new Order(fields));
+
+    const response = await agent.processMessage('yes, add a raita too', context, userProfile({ isVerified: true }));
+
+    expect(create).not.toHaveBeenCalled();
+    expect(response.message).not.toMatch(/Order placed/);
+  });
+});
+
+describe('placing orders needs a verified email', () => {
+  const llm = new ScriptedProvider();
+  const context = { userId: 'user-1', history: [] };
+
+  // Each agent's confirm step with a full cart, and the model it creates the order with
+  const confirmations = [
+    ['FoodieAgent', Order, (profile) => new FoodieAgent(llm).handleConfirmOrder('Confirm order', {
+      stage: 'checkout',
+      restaurant: { id: 'rest_1', name: 'Spice Garden' },
+      selectedItems: [{ id: 'item_1', name: 'Chicken Biryani', price: 280, quantity: 1 }],
+      total: 280
+    }, profile, context)],
+    ['GrocerAgent', GroceryOrder, (profile) => new GrocerAgent(llm).handleConfirmOrder({
+      basket: [{ itemId: 'milk', name: 'Milk', unit: '1 L', price: 60, quantity: 2 }],
+      slot: { start: Date.now(), end: Date.now() + 3600000, label: 'Today 6-7 PM' }
+    }, context, profile)],
+    ['ShopSmartAgent', ShopOrder, (profile) => new ShopSmartAgent(llm).handleConfirmPurchase({
+      cart: [{ productId: 'p1', name: 'Running Shoes', price: 2999, quantity: 1 }]
+    }, profile, context)]
+  ];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(confirmations)('%s asks an unverified user to verify instead of ordering', async (name, Model, confirm) => {
+    const create = jest.spyOn(Model, 'create');
+
+    const response = await confirm(userProfile({ isVerified: false }));
+
+    expect(create).not.toHaveBeenCalled();
+    expect(response.message).toMatch(/verify your email/);
+    expect(response.actions).toEqual([
+      { type: 'email_verification', resendEndpoint: '/api/auth/resend-verification' }
+    ]);
+  });
+
+  test('a verified user\'s order is placed', async () => {
+    const create = jest.spyOn(Order, 'create').mockImplementation(async (fields) => new Order(fields));
+
+    const response = await confirmations[0][2](userProfile({ isVerified: true }));
+
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(response.message).toMatch(/Order placed/);
+  });
+});
+
+describe('TravelBuddyAgent airport transfers', () => {
+  let agent;
+
+  beforeEach(() => {
+    agent = new TravelBuddyAgent(new ScriptedProvider());
+  });
+
+  const transferTo = async (flight, message = 'Cab to the airport') => {
+    const response = await agent.handleAirportTransfer(message, {}, { selectedFlight: flight }, null);
+    return response.handoff.context.entities.time;
+  };
+
+  const flight = (overrides) => ({
+    id: 'AI101',
+    flightNumber: 'AI 101',
+    from: { code: 'DEL', city: 'Delhi', airport: 'Indira Gandhi International Airport' },
+    to: { code: 'GOI', city: 'Goa', airport: 'Dabolim Airport' },
+    departure: '09:30',
+    arrival: '12:05',
+    durationMinutes: 155,
+    ...overrides
+  });
+
+  test('the pickup for an early flight is the evening before', async () => {
+    expect(await transferTo(flight({ date: '2024-12-20', departure: '01:00' }))).toBe('2024-12-19 22:30');
+    expect(await transferTo(flight({ date: '2025-01-01', departure: '02:00' }))).toBe('2024-12-31 23:30');
+  });
+
+  test('the pickup for a late flight landing after midnight is the next day', async () => {
+    const late = flight({ date: '2024-12-20', departure: '21:10', arrival: '00:35', durationMinutes: 205 });
+
+    expect(await transferTo(late, 'Cab from the airport')).toBe('2024-12-21 00:35');
+  });
+
+  test('relative dates are resolved before shifting', async () => {
+    const tomorrow = agent.parseTravelDate('tomorrow');
+    const dayBefore = new Date(tomorrow.getFullYear(), tomorrow.getMonth(), tomorrow.getDate() - 1);
+    const expected = [dayBefore.getFullYear(), dayBefore.getMonth() + 1, dayBefore.getDate()]
+      .map(part => String(part).padStart(2, '0'))
+      .join('-');
+
+    expect(await transferTo(flight({ date: 'tomorrow', departure: '01:00' }))).toBe(`${expected} 22:30`);
+  });
+
+  test('a vague date says which day the pickup falls on', async () => {
+    expect(await transferTo(flight({ date: 'next week', departure: '01:00' }))).toBe('22:30 the day before next week');
+    expect(await transferTo(flight({ date: 'next week' }))).toBe('next week 07:00');
+  });
+
+  test('dates are parsed the way extractTravelDate finds them', () => {
+    const now = new Date(2024, 11, 18); // a Wednesday
+
+    expect(agent.parseTravelDate('20th Dec', now)).toEqual(new Date(2024, 11, 20));
+    expect(agent.parseTravelDate('Jan 5', now)).toEqual(new Date(2025, 0, 5));
+    expect(agent.parseTravelDate('next Friday', now)).toEqual(new Date(2024, 11, 20));
+    expect(agent.parseTravelDate('this wednesday', now)).toEqual(new Date(2024, 11, 18));
+    expect(agent.parseTravelDate('next wednesday', now)).toEqual(new Date(2024, 11, 25));
+    expect(agent.parseTravelDate('this weekend', now)).toBeNull();
+  });
+});
+
+describe('RideNowAgent pickup and destination', () => {
+  let agent;
+  let context;
+
+  beforeEach(() => {
+    agent = new RideNowAgent(new ScriptedProvider({
+      fixturesPath: require.resolve('../src/llm/fixtures/default.json')
+    }));
+    context = { userId: 'user-1', history: [] };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const book = (message) => agent.processMessage(message, context, null);
+  const rideState = () => context.agentState.ridenow;
+
+  test('a destination alone is not also used as the pickup', async () => {
+    const response = await book('book a cab to Koramangala');
+
+    expect(response.message).toBe('Where would you like to be picked up from?');
+    expect(rideState().stage).toBe('awaiting_pickup');
+    expect(rideState().destination).toEqual({ name: 'Koramangala' });
+  });
+
+  test('the answer to the pickup question completes the route', async () => {
+    await book('book a cab to Koramangala');
+
+    expect(agent.hasPendingStep('Indiranagar', context)).toBe(true);
+    const response = await book('Indiranagar');
+
+    expect(response.message).toMatch(/from Indiranagar to Koramangala/);
+    expect(rideState().stage).toBe('ride_selection');
+  });
+
+  test.each([
+    ['book a cab to the'],
+    ['book a ride from the to the']
+  ])('"%s" asks for the places instead of offering rides', async (message) => {
+    const response = await book(message);
+
+    expect(response.message).toMatch(/Where would you like/);
+    expect(response.actions[0].type).toBe('location_input');
+  });
+
+  test('a pickup the same as the destination is not booked', async () => {
+    const response = await book('cab from Koramangala to koramangala');
+
+    expect(response.message).toMatch(/pickup is koramangala, so I can't book a ride there/i);
+    expect(rideState().stage).toBe('awaiting_destination');
+    expect(rideState().destination).toBeNull();
+  });
+
+  test('a saved address label is used as the pickup', async () => {
+    const profile = userProfile({ isVerified: true });
+    const response = await agent.processMessage('cab from home to the airport', context, profile);
+
+    expect(response.message).toMatch(/from Home to the airport/);
+    expect(rideState().pickup.street).toBe('12 MG Road');
+  });
+
+  test('a draft with a bad route never creates a ride', async () => {
+    const create = jest.spyOn(Ride, 'create');
+    const state = agent.getFlowState(context, agent.initialRideState());
+    Object.assign(state, {
+      stage: 'ride_selection',
+      pickup: { name: 'the' },
+      destination: { name: 'Koramangala' },
+      availableRides: await agent.getAvailableRides()
+    });
+
+    const response = await book('1');
+
+    expect(create).not.toHaveBeenCalled();
+    expect(response.message).toBe('Where would you like to be picked up from?');
+  });
+});
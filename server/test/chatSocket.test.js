@@ -0,0 +1,123 @@
+jest.mock('../src/agents/agentManager', () => ({ stopGeneration: jest.fn(() => true) }));
+jest.mock('../src/services/chatService', () => ({ sendChatMessage: jest.fn() }));
+
+const { stopGeneration } = require('../src/agents/agentManager');
+const { sendChatMessage } = require('../src/services/chatService');
+const { registerChatHandlers } = require('../src/services/chatSocket');
+
+// Just enough of a socket to register the handlers and call them like the client would
+const fakeSocket = (userId = 'user-1') => {
+  const handlers = new Map();
+  const relayed = [];
+
+  return {
+    id: 'socket-1',
+    data: { userId },
+    relayed,
+    on(event, handler) {
+      handlers.set(event, handler);
+    },
+    to: () => ({ emit: (event, payload) => relayed.push({ event, payload }) }),
+    // Resolves with the ack once the handler has finished
+    async emit(event, ...args) {
+      let acked;
+      await handlers.get(event)(...args, (response) => {
+        acked = response;
+      });
+      return acked;
+    }
+  };
+};
+
+describe('chat socket handlers', () => {
+  let socket;
+  let exit;
+
+  beforeEach(() => {
+    socket = fakeSocket();
+    registerChatHandlers(socket);
+    exit = jest.spyOn(process, 'exit').mockImplementation(() => {});
+    sendChatMessage.mockResolvedValue({ message: 'Hi there', agent: 'askme' });
+  });
+
+  afterEach(() => {
+    exit.mockRestore();
+    jest.clearAllMocks();
+  });
+
+  test.each([
+    ['null', null],
+    ['a string', 'hello'],
+    ['a number', 42],
+    ['an array', ['hello']]
+  ])('send-message with %s as the payload is rejected', async (name, payload) => {
+    const ack = await socket.emit('send-message', payload);
+
+    expect(ack).toEqual({ success: false, code: 'VALIDATION_ERROR', message: 'Payload must be an object' });
+    expect(sendChatMessage).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['no message', {}],
+    ['an empty message', { message: '   ' }],
+    ['a non-string message', { message: { text: 'hi' } }]
+  ])('send-message with %s is rejected', async (name, payload) => {
+    const ack = await socket.emit('send-message', payload);
+
+    expect(ack).toMatchObject({ success: false, code: 'VALIDATION_ERROR', message: 'Message content is required' });
+    expect(sendChatMessage).not.toHaveBeenCalled();
+  });
+
+  test('send-message with no payload at all is rejected', async () => {
+    const ack = await socket.emit('send-message', undefined);
+
+    expect(ack).toMatchObject({ success: false, code: 'VALIDATION_ERROR' });
+  });
+
+  test('a valid message is answered', async () => {
+    const ack = await socket.emit('send-message', { message: 'hello', clientMessageId: 'c-1' });
+
+    expect(ack).toEqual({ success: true, data: { message: 'Hi there', agent: 'askme' } });
+    expect(sendChatMessage).toHaveBeenCalledWith('user-1', 'hello', expect.objectContaining({ messageId: 'c-1' }));
+  });
+
+  test.each([
+    ['null', null],
+    ['a string', 'm-1'],
+    ['an array', []]
+  ])('stop-generation with %s as the payload is rejected', async (name, payload) => {
+    const ack = await socket.emit('stop-generation', payload);
+
+    expect(ack).toEqual({ success: false, code: 'VALIDATION_ERROR', message: 'Payload must be an object' });
+    expect(stopGeneration).not.toHaveBeenCalled();
+  });
+
+  test('stop-generation without a messageId stops every reply', async () => {
+    expect(await socket.emit('stop-generation', {})).toEqual({ stopped: true });
+    expect(stopGeneration).toHaveBeenCalledWith('user-1', undefined);
+  });
+
+  test('stop-generation with a non-string messageId is rejected', async () => {
+    const ack = await socket.emit('stop-generation', { messageId: 7 });
+
+    expect(ack).toMatchObject({ success: false, code: 'VALIDATION_ERROR' });
+    expect(stopGeneration).not.toHaveBeenCalled();
+  });
+
+  test('typing with a null payload relays not typing', async () => {
+    await socket.emit('typing', null);
+
+    expect(socket.relayed).toEqual([{ event: 'user-typing', payload: { isTyping: false } }]);
+  });
+
+  test('an unexpected error is answered on the ack instead of reaching the process', async () => {
+    stopGeneration.mockImplementationOnce(() => {
+      throw new Error('boom');
+    });
+
+    const ack = await socket.emit('stop-generation', { messageId: 'm-1' });
+
+    expect(ack).toEqual({ success: false, code: 'AGENT_ERROR', message: 'Failed to process event' });
+    expect(exit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+const { RedisContextStore } = require('../src/services/contextStore');
+
+// Enough of a Redis client for the context store: strings with expiry, plus the
+// store's three Lua scripts, told apart by the command each one runs
+const fakeRedis = () => {
+  const data = new Map(); // key -> { value, expiresAt }
+
+  const read = (key) => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt <= Date.now()) data.delete(key);
+    return data.get(key)?.value ?? null;
+  };
+  const write = (key, value, ttlMs) => data.set(key, { value, expiresAt: ttlMs ? Date.now() + ttlMs : Infinity });
+
+  return {
+    data,
+    read,
+    write,
+    async get(key) {
+      return read(key);
+    },
+    async set(key, value, { NX, PX, EX } = {}) {
+      if (NX && read(key) !== null) return null;
+      write(key, value, PX ?? (EX && EX * 1000));
+      return 'OK';
+    },
+    async del(key) {
+      data.delete(key);
+    },
+    async eval(script, { keys, arguments: args }) {
+      if (read(keys[0]) !== args[0]) return 0;
+
+      if (script.includes("'pexpire'")) {
+        write(keys[0], args[0], Number(args[1]));
+      } else if (script.includes("'set'")) {
+        write(keys[1], args[1], Number(args[2]) * 1000);
+      } else {
+        data.delete(keys[0]);
+      }
+      return 1;
+    }
+  };
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('RedisContextStore locking', () => {
+  let store;
+  let client;
+
+  beforeEach(() => {
+    store = new RedisContextStore({ lockTtlMs: 60, lockWaitMs: 20 });
+    client = fakeRedis();
+    store.client = client;
+  });
+
+  test('keeps the lock for work that outlasts its TTL', async () => {
+    const result = await store.withLock('user-1', async () => {
+      await sleep(200);
+
+      // Another instance still can't take it
+      expect(await client.set('context:lock:user-1', 'other', { NX: true, PX: 60 })).toBeNull();
+
+      await store.set('user-1', { currentAgent: 'foodie' });
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(JSON.parse(client.read('context:user-1'))).toEqual({ currentAgent: 'foodie' });
+    expect(client.read('context:lock:user-1')).toBeNull();
+  });
+
+  test('does not save once another instance has taken the lock over', async () => {
+    await expect(store.withLock('user-1', async () => {
+      // The lock expired (e.g. the process stalled) and someone else acquired it
+      client.write('context:lock:user-1', 'other-instance', 60000);
+
+      await store.set('user-1', { currentAgent: 'foodie' });
+    })).rejects.toThrow('Lost the context lock for user user-1');
+
+    expect(client.read('context:user-1')).toBeNull();
+    // Their lock is left alone
+    expect(client.read('context:lock:user-1')).toBe('other-instance');
+  });
+
+  test('waits for the lock and gives up after lockWaitMs', async () => {
+    client.write('context:lock:user-1', 'other-instance', 60000);
+
+    await expect(store.withLock('user-1', async () => 'never')).rejects.toThrow('Timed out waiting for context lock');
+  });
+
+  test('saves outside a lock unconditionally', async () => {
+    await store.set('user-1', { currentAgent: 'askme' });
+
+    expect(JSON.parse(client.read('context:user-1'))).toEqual({ currentAgent: 'askme' });
+  });
+});
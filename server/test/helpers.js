@@ -0,0 +1,92 @@
+const { AgentManager } = require('../src/agents/agentManager');
+const ScriptedProvider = require('../src/llm/ScriptedProvider');
+const { MemoryContextStore } = require('../src/services/contextStore');
+const Session = require('../src/models/Session');
+
+// An AgentManager that runs fully offline: scripted LLM (src/llm/fixtures/default.json
+// plus any extra rules), in-memory contexts and a transcript that records nothing
+const createManager = async ({ rules = [] } = {}) => {
+  const llm = new ScriptedProvider({
+    rules,
+    fixturesPath: require.resolve('../src/llm/fixtures/default.json')
+  });
+  const contextStore = new MemoryContextStore();
+  const manager = new AgentManager({
+    llm,
+    contextStore,
+    transcript: {
+      recordTurn: async () => 'conversation-1',
+      saveSummary: async () => {}
+    }
+  });
+
+  await manager.initialize();
+  return { manager, llm, contextStore };
+};
+
+// Send messages one after another, returning every response
+const converse = async (manager, userId, messages, userProfile = null) => {
+  const responses = [];
+  for (const message of messages) {
+    responses.push(await manager.processMessage(userId, message, userProfile));
+  }
+  return responses;
+};
+
+// A query that can be awaited directly or after .select(...)
+const query = (result) => ({
+  select() {
+    return this;
+  },
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+// Keep Session documents in a Map instead of MongoDB, covering the queries the session
+// service makes. Returns the Map of id -> stored session.
+const stubSessionStore = () => {
+  const sessions = new Map();
+  const load = (id) => sessions.has(String(id)) ? Session.hydrate({ ...sessions.get(String(id)) }) : null;
+
+  jest.spyOn(Session.prototype, 'save').mockImplementation(function() {
+    sessions.set(this.id, this.toObject({ virtuals: false }));
+    return Promise.resolve(this);
+  });
+
+  jest.spyOn(Session, 'findById').mockImplementation((id) => query(load(id)));
+
+  jest.spyOn(Session, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const stored = sessions.get(String(filter._id));
+    const matches = stored &&
+      stored.refreshTokenHash === filter.refreshTokenHash &&
+      !stored.revokedAt;
+    if (!matches) return query(null);
+
+    const { $each, $slice } = update.$push.previousTokenHashes;
+    Object.assign(stored, update.$set, {
+      previousTokenHashes: [...(stored.previousTokenHashes || []), ...$each].slice($slice)
+    });
+    return query(load(filter._id));
+  });
+
+  jest.spyOn(Session, 'find').mockImplementation((filter) => query(
+    [...sessions.values()]
+      .filter(stored => String(stored.user) === String(filter.user) && !stored.revokedAt)
+      .filter(stored => !filter._id || String(stored._id) !== String(filter._id.$ne))
+      .map(stored => Session.hydrate(stored))
+  ));
+
+  jest.spyOn(Session, 'updateMany').mockImplementation(async (filter, update) => {
+    const ids = filter._id.$in.map(String);
+    ids.forEach(id => Object.assign(sessions.get(id), update.$set));
+    return { modifiedCount: ids.length };
+  });
+
+  return sessions;
+};
+
+module.exports = {
+  createManager,
+  converse,
+  query,
+  stubSessionStore
+};
@@ -0,0 +1,103 @@
+jest.mock('../src/middleware/auth', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { id: 'user-1', role: 'user' };
+    next();
+  },
+  requireVerification: (req, res, next) => next()
+}));
+
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const paymentRoutes = require('../src/routes/payment');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { hmacSha256 } = require('../src/services/payments');
+const Order = require('../src/models/Order');
+const Ride = require('../src/models/Ride');
+const ShopOrder = require('../src/models/ShopOrder');
+const GroceryOrder = require('../src/models/GroceryOrder');
+
+const KEY_SECRET = 'rzp_secret_test';
+
+const app = express();
+app.use(express.json());
+app.use('/api/payment', paymentRoutes);
+app.use(errorHandler);
+
+// The ids and signature Razorpay Checkout hands the client after a successful payment
+const checkoutResult = (paymentId = 'pay_1') => ({
+  razorpay_order_id: 'order_1',
+  razorpay_payment_id: paymentId,
+  razorpay_signature: hmacSha256(`order_1|${paymentId}`, KEY_SECRET)
+});
+
+const verify = (body) => request(app).post('/api/payment/verify').send(body);
+
+describe('POST /api/payment/verify', () => {
+  let order;
+
+  const withPayment = (payment) => {
+    order = new Order({
+      user: new mongoose.Types.ObjectId(),
+      charges: { subtotal: 450, total: 450 },
+      payment: { method: 'UPI', razorpayOrderId: 'order_1', ...payment }
+    });
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+  };
+
+  beforeEach(() => {
+    process.env.RAZORPAY_KEY_SECRET = KEY_SECRET;
+    jest.spyOn(Order, 'findOne').mockImplementation(async () => order);
+    for (const model of [Ride, ShopOrder, GroceryOrder]) {
+      jest.spyOn(model, 'findOne').mockResolvedValue(null);
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each(['pending', 'failed'])('a %s payment is marked paid', async (status) => {
+    withPayment({ status });
+
+    const res = await verify(checkoutResult());
+
+    expect(res.status).toBe(200);
+    expect(order.payment.status).toBe('paid');
+    expect(order.payment.razorpayPaymentId).toBe('pay_1');
+    expect(order.save).toHaveBeenCalledTimes(1);
+  });
+
+  test('replaying the checkout result after a refund does not mark it paid again', async () => {
+    const refundedAt = new Date('2024-12-20T10:00:00Z');
+    withPayment({ status: 'refunded', razorpayPaymentId: 'pay_1', paidAt: new Date('2024-12-19T10:00:00Z'), refundedAt });
+
+    const res = await verify(checkoutResult());
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('Payment already refunded');
+    expect(order.payment.status).toBe('refunded');
+    expect(order.payment.paidAt).toEqual(new Date('2024-12-19T10:00:00Z'));
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  test.each(['paid', 'mismatch'])('verifying the same %s payment again changes nothing', async (status) => {
+    withPayment({ status, razorpayPaymentId: 'pay_1' });
+
+    const res = await verify(checkoutResult());
+
+    expect(res.status).toBe(200);
+    expect(order.payment.status).toBe(status);
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  test('a different payment for a settled booking is refused', async () => {
+    withPayment({ status: 'paid', razorpayPaymentId: 'pay_1' });
+
+    const res = await verify(checkoutResult('pay_2'));
+
+    expect(res.status).toBe(409);
+    expect(order.payment.razorpayPaymentId).toBe('pay_1');
+    expect(order.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const paymentWebhookRoutes = require('../src/routes/paymentWebhook');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const Order = require('../src/models/Order');
+const Ride = require('../src/models/Ride');
+const ShopOrder = require('../src/models/ShopOrder');
+const GroceryOrder = require('../src/models/GroceryOrder');
+const Payment = require('../src/models/Payment');
+const WebhookEvent = require('../src/models/WebhookEvent');
+
+const WEBHOOK_SECRET = 'whsec_test';
+const FIXTURES_DIR = path.join(__dirname, '..', 'src', 'services', 'fixtures', 'razorpay');
+
+// A fixture body, optionally edited, exactly as Razorpay would send it
+const fixture = (event, edit = () => {}) => {
+  const body = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${event}.json`), 'utf8'));
+  edit(body);
+  return JSON.stringify(body);
+};
+
+const sign = (body, secret = WEBHOOK_SECRET) =>
+  crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const app = express();
+app.use('/api/payment/webhook', express.raw({ type: 'application/json' }), paymentWebhookRoutes);
+app.use(errorHandler);
+
+const deliver = (body, { signature = sign(body), eventId = 'evt_1' } = {}) =>
+  request(app)
+    .post('/api/payment/webhook')
+    .set('Content-Type', 'application/json')
+    .set('X-Razorpay-Signature', signature)
+    .set('X-Razorpay-Event-Id', eventId)
+    .send(body);
+
+describe('Razorpay webhook', () => {
+  let order;
+  let ledger;
+
+  beforeEach(() => {
+    process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+    // ₹450 order the fixtures were paid for
+    order = new Order({
+      user: new mongoose.Types.ObjectId(),
+      charges: { subtotal: 450, total: 450 },
+      payment: { method: 'UPI', status: 'pending', razorpayOrderId: 'order_LocalFixture01' }
+    });
+    jest.spyOn(order, 'save').mockResolvedValue(order);
+
+    jest.spyOn(Order, 'findOne').mockImplementation(async (query) =>
+      query['payment.razorpayOrderId'] === order.payment.razorpayOrderId ||
+      (order.payment.razorpayPaymentId && query['payment.razorpayPaymentId'] === order.payment.razorpayPaymentId)
+        ? order
+        : null);
+    for (const model of [Ride, ShopOrder, GroceryOrder]) {
+      jest.spyOn(model, 'findOne').mockResolvedValue(null);
+    }
+
+    const seen = new Set();
+    jest.spyOn(WebhookEvent, 'create').mockImplementation(async ({ provider, eventId }) => {
+      if (seen.has(`${provider}:${eventId}`)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      seen.add(`${provider}:${eventId}`);
+    });
+    jest.spyOn(WebhookEvent, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    ledger = [];
+    jest.spyOn(Payment, 'exists').mockImplementation(async (query) =>
+      ledger.some(entry => Object.entries(query).every(([key, value]) => entry[key] === value)) || null);
+    jest.spyOn(Payment, 'create').mockImplementation(async (entry) => {
+      ledger.push(entry);
+      return entry;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects a body signed with the wrong secret', async () => {
+    const body = fixture('payment.captured');
+
+    const res = await deliver(body, { signature: sign(body, 'not-the-secret') });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/Invalid webhook signature/);
+    expect(WebhookEvent.create).not.toHaveBeenCalled();
+    expect(order.payment.status).toBe('pending');
+  });
+
+  test('rejects a body changed after signing', async () => {
+    const signature = sign(fixture('payment.captured'));
+    const tampered = fixture('payment.captured', event => {
+      event.payload.payment.entity.amount = 100;
+    });
+
+    const res = await deliver(tampered, { signature });
+
+    expect(res.status).toBe(400);
+    expect(order.save).not.toHaveBeenCalled();
+  });
+
+  test('payment.captured marks the order paid and records it in the ledger', async () => {
+    const res = await deliver(fixture('payment.captured'));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ event: 'payment.captured', eventId: 'evt_1', status: 'processed' });
+    expect(order.payment.status).toBe('paid');
+    expect(order.payment.razorpayPaymentId).toBe('pay_LocalFixture01');
+    expect(order.payment.paidAt).toEqual(new Date(1760000000 * 1000));
+    expect(ledger).toEqual([expect.objectContaining({
+      kind: 'payment',
+      status: 'captured',
+      amount: 450,
+      razorpayPaymentId: 'pay_LocalFixture01',
+      eventId: 'evt_1'
+    })]);
+    expect(ledger[0].expectedAmount).toBeUndefined();
+  });
+
+  test('a redelivered event is acknowledged and ignored', async () => {
+    const body = fixture('payment.captured');
+
+    await deliver(body, { eventId: 'evt_1' });
+    const res = await deliver(body, { eventId: 'evt_1' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('duplicate');
+    expect(order.save).toHaveBeenCalledTimes(1);
+    expect(ledger).toHaveLength(1);
+  });
+
+  test('order.paid after payment.captured books the payment once', async () => {
+    await deliver(fixture('payment.captured'), { eventId: 'evt_1' });
+    const res = await deliver(fixture('order.paid'), { eventId: 'evt_2' });
+
+    expect(res.body.data.status).toBe('processed');
+    expect(order.payment.status).toBe('paid');
+    expect(ledger).toHaveLength(1);
+  });
+
+  test('refund.processed marks a paid order refunded', async () => {
+    await deliver(fixture('payment.captured'), { eventId: 'evt_1' });
+    const res = await deliver(fixture('refund.processed'), { eventId: 'evt_2' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.status).toBe('processed');
+    expect(order.payment.status).toBe('refunded');
+    expect(order.payment.razorpayRefundId).toBe('rfnd_LocalFixture01');
+    expect(ledger[1]).toEqual(expect.objectContaining({
+      kind: 'refund',
+      status: 'refunded',
+      amount: 450,
+      razorpayRefundId: 'rfnd_LocalFixture01'
+    }));
+  });
+
+  test('a late capture does not undo a refund', async () => {
+    await deliver(fixture('refund.processed'), { eventId: 'evt_1' });
+    await deliver(fixture('payment.captured'), { eventId: 'evt_2' });
+
+    expect(order.payment.status).toBe('refunded');
+  });
+
+  test('a capture for a different amount is flagged, not marked paid', async () => {
+    const body = fixture('payment.captured', event => {
+      event.payload.payment.entity.amount = 100;
+    });
+
+    const res = await deliver(body);
+
+    expect(res.status).toBe(200);
+    expect(order.payment.status).toBe('mismatch');
+    expect(order.payment.paidAt).toBeUndefined();
+    expect(ledger).toEqual([expect.objectContaining({
+      kind: 'payment',
+      status: 'captured',
+      amount: 1,
+      expectedAmount: 450
+    })]);
+  });
+});
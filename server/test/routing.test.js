@@ -0,0 +1,105 @@
+const { createManager, converse } = require('./helpers');
+
+describe('agent routing', () => {
+  let manager;
+  let llm;
+  let contextStore;
+
+  beforeEach(async () => {
+    ({ manager, llm, contextStore } = await createManager());
+  });
+
+  test.each([
+    ['hello', 'askme'],
+    ['I am hungry, order a pizza', 'foodie'],
+    ['book a cab to Koramangala', 'ridenow'],
+    ['find flights from Delhi to Goa tomorrow', 'travelbuddy'],
+    ['show me running shoes', 'shopsmart'],
+    ['I need milk and eggs', 'grocer']
+  ])('"%s" starts a conversation with %s', async (message, agent) => {
+    const [response] = await converse(manager, 'user-1', [message]);
+
+    expect(response.agent).toBe(agent);
+  });
+
+  test('a follow-up one of the current agent\'s tools covers stays with that agent', async () => {
+    const [, selected, transfer] = await converse(manager, 'user-1', [
+      'Find flights from Delhi to Goa tomorrow',
+      '1',
+      'Cab to the airport'
+    ]);
+
+    expect(selected.agent).toBe('travelbuddy');
+
+    // TravelBuddy's airport transfer fills in the pickup and hands over to RideNow,
+    // instead of RideNow booking a ride with no locations
+    const toolCall = llm.calls.find(call => call.tools && call.input.includes('Cab to the airport'));
+    expect(toolCall.tools).toContain('bookAirportTransfer');
+    expect(transfer.handoff).toBeTruthy();
+    expect(transfer.agent).toBe('ridenow');
+    expect(transfer.message).not.toMatch(/from the to the/);
+  });
+
+  test('the answer to RideNow\'s pickup question stays with RideNow', async () => {
+    const [asked, answered] = await converse(manager, 'user-1', ['book a cab to Koramangala', 'Indiranagar']);
+
+    expect(asked.message).toBe('Where would you like to be picked up from?');
+    expect(answered.agent).toBe('ridenow');
+    expect(answered.message).toMatch(/from Indiranagar to Koramangala/);
+  });
+
+  test.each([
+    ['book a hotel in Goa'],
+    ['help me with my travel plans for Jaipur']
+  ])('"%s" is not taken for a ride, even mid-ride', async (message) => {
+    const [fresh] = await converse(manager, 'user-1', [message]);
+    expect(fresh.agent).not.toBe('ridenow');
+
+    await converse(manager, 'user-2', ['Book a cab to the airport']);
+    const [midRide] = await converse(manager, 'user-2', [message]);
+    expect(midRide.agent).not.toBe('ridenow');
+  });
+
+  test('a request for another service still switches agents', async () => {
+    await converse(manager, 'user-1', ['Book a cab to the airport']);
+    const [response] = await converse(manager, 'user-1', ['book a flight to Goa']);
+
+    expect(response.agent).toBe('travelbuddy');
+  });
+
+  test('a handoff passes the trip on and can be undone', async () => {
+    await converse(manager, 'user-1', [
+      'Find flights from Delhi to Goa tomorrow',
+      '1',
+      'Cab to the airport'
+    ]);
+
+    let context = await contextStore.get('user-1');
+    expect(context.currentAgent).toBe('ridenow');
+    expect(context.handoffChain).toEqual(['travelbuddy']);
+    expect(context.handoffContext.fromAgent).toBe('travelbuddy');
+    // The flight's departure airport is already filled in as the destination
+    expect(context.agentState.ridenow.destination.name).toMatch(/Airport/);
+    expect(context.history.filter(entry => entry.type === 'handoff')).toEqual([
+      expect.objectContaining({ fromAgent: 'travelbuddy', toAgent: 'ridenow' })
+    ]);
+
+    const [back] = await converse(manager, 'user-1', ['go back to the previous agent']);
+
+    context = await contextStore.get('user-1');
+    expect(back.agent).toBe('travelbuddy');
+    expect(back.handoff).toBe(true);
+    expect(context.currentAgent).toBe('travelbuddy');
+    expect(context.handoffChain).toEqual([]);
+  });
+
+  test('a compound request runs one task per agent, in order', async () => {
+    const [response] = await converse(manager, 'user-1', ['order me a pizza and then book a flight to Goa']);
+
+    expect(response.metadata.compound).toBe(true);
+    expect(response.metadata.tasks).toEqual([
+      expect.objectContaining({ step: 0, agent: 'foodie', status: 'completed', dependsOn: [] }),
+      expect.objectContaining({ step: 1, agent: 'travelbuddy', status: 'completed', dependsOn: [0] })
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const authRoutes = require('../src/routes/auth');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const User = require('../src/models/User');
+const { createSession, rotateSession } = require('../src/services/sessions');
+const { stubSessionStore } = require('./helpers');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+
+const refresh = (refreshToken) => request(app).post('/api/auth/refresh').send({ refreshToken });
+
+const authorized = (path, token) => request(app).post(path).set('Authorization', `Bearer ${token}`);
+
+describe('sessions', () => {
+  let sessions;
+  let user;
+
+  beforeEach(() => {
+    sessions = stubSessionStore();
+
+    user = User.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Ann',
+      email: 'ann@example.com',
+      isActive: true
+    });
+    jest.spyOn(User, 'findById').mockImplementation(async (id) => String(id) === String(user._id) ? user : null);
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a refresh rotates both tokens and retires the old refresh token', async () => {
+    const login = await createSession(user);
+
+    const res = await refresh(login.refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.sessionId).toBe(login.sessionId);
+    expect(res.body.data.refreshToken).not.toBe(login.refreshToken);
+    expect(res.body.data.refreshToken.startsWith(`${login.sessionId}.`)).toBe(true);
+
+    // The new pair works; only hashes are stored
+    expect((await refresh(res.body.data.refreshToken)).status).toBe(200);
+    expect(JSON.stringify([...sessions.values()])).not.toContain(res.body.data.refreshToken.split('.')[1]);
+  });
+
+  test('reusing a rotated refresh token revokes the whole session', async () => {
+    const login = await createSession(user);
+    const rotated = (await refresh(login.refreshToken)).body.data;
+
+    const replay = await refresh(login.refreshToken);
+
+    expect(replay.status).toBe(401);
+    expect(sessions.get(login.sessionId)).toEqual(expect.objectContaining({
+      revokedAt: expect.any(Date),
+      revokedReason: 'refresh_token_reuse'
+    }));
+
+    // Whoever holds the newest tokens is signed out too
+    expect((await refresh(rotated.refreshToken)).status).toBe(401);
+    expect((await authorized('/api/auth/logout', rotated.token)).status).toBe(401);
+  });
+
+  test('two requests exchanging the same refresh token count as reuse', async () => {
+    const login = await createSession(user);
+
+    const results = await Promise.allSettled([
+      rotateSession(login.refreshToken),
+      rotateSession(login.refreshToken)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(sessions.get(login.sessionId).revokedReason).toBe('refresh_token_reuse');
+  });
+
+  test('a made-up refresh token is rejected without touching any session', async () => {
+    const login = await createSession(user);
+
+    expect((await refresh(`${login.sessionId}.not-the-secret`)).status).toBe(401);
+    expect((await refresh('garbage')).status).toBe(401);
+    expect(sessions.get(login.sessionId).revokedAt).toBeUndefined();
+  });
+
+  test('logout ends only this device', async () => {
+    const phone = await createSession(user);
+    const laptop = await createSession(user);
+
+    expect((await authorized('/api/auth/logout', phone.token)).status).toBe(200);
+
+    expect((await refresh(phone.refreshToken)).status).toBe(401);
+    expect((await authorized('/api/auth/logout', phone.token)).status).toBe(401);
+    expect((await refresh(laptop.refreshToken)).status).toBe(200);
+  });
+
+  test('logout-all ends every device', async () => {
+    const phone = await createSession(user);
+    const laptop = await createSession(user);
+
+    const res = await authorized('/api/auth/logout-all', phone.token);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revokedSessions).toBe(2);
+    for (const device of [phone, laptop]) {
+      expect((await refresh(device.refreshToken)).status).toBe(401);
+      expect((await authorized('/api/auth/logout', device.token)).status).toBe(401);
+    }
+  });
+});
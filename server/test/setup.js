@@ -0,0 +1,8 @@
+// Offline defaults for every test file: scripted LLM, in-memory context store, no console noise
+process.env.NODE_ENV = 'test';
+process.env.LLM_PROVIDER = 'scripted';
+process.env.CONTEXT_STORE = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { logger } = require('../src/utils/logger');
+logger.silent = true;
@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const Order = require('../src/models/Order');
+const Ride = require('../src/models/Ride');
+const User = require('../src/models/User');
+const { setSocketServer } = require('../src/services/realtime');
+
+// An order as loaded from the database
+const storedOrder = (status = 'confirmed') => {
+  return Order.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber: 'FDTEST',
+    user: new mongoose.Types.ObjectId(),
+    charges: { subtotal: 400, deliveryFee: 30, gst: 20, total: 450 },
+    status,
+    statusHistory: [{ status, timestamp: new Date() }]
+  });
+};
+
+// findOneAndUpdate against a single stored document, honouring the status filter
+const stubStore = (doc) => {
+  const Model = doc.constructor;
+  const stored = doc.toObject({ depopulate: true, virtuals: false });
+
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update) => {
+    const allowed = filter.status.$in.includes(stored.status);
+    if (allowed) {
+      // $set paths like 'fare.final' update the nested field
+      for (const [path, value] of Object.entries(update.$set)) {
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((target, key) => (target[key] = target[key] || {}), stored);
+        parent[keys[keys.length - 1]] = value;
+      }
+      stored.statusHistory = [...stored.statusHistory, update.$push.statusHistory];
+    }
+    return Promise.resolve(allowed ? { ...stored } : null);
+  });
+  jest.spyOn(Model, 'findById').mockImplementation(() => ({
+    select: () => ({ lean: () => Promise.resolve({ _id: stored._id, status: stored.status }) })
+  }));
+
+  return stored;
+};
+
+describe('Order state machine', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['confirmed', 'preparing', true],
+    ['confirmed', 'cancelled', true],
+    ['confirmed', 'delivered', false],
+    ['packed', 'out_for_delivery', true],
+    ['out_for_delivery', 'cancelled', false],
+    ['delivered', 'cancelled', false],
+    ['cancelled', 'confirmed', false]
+  ])('%s -> %s allowed: %s', (from, to, allowed) => {
+    expect(storedOrder(from).canTransitionTo(to)).toBe(allowed);
+  });
+
+  test('rejects a move the state machine does not allow without writing', async () => {
+    const order = storedOrder('confirmed');
+    stubStore(order);
+
+    await expect(order.transitionTo('delivered')).rejects.toMatchObject({ statusCode: 409 });
+    expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('writes only while the stored status can still make the move', async () => {
+    const order = storedOrder('packed');
+    stubStore(order);
+
+    await order.transitionTo('out_for_delivery', 'Picked up');
+
+    const [filter, update] = Order.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: order._id, status: { $in: ['packed'] } });
+    expect(update.$set).toEqual({ status: 'out_for_delivery' });
+    expect(order.status).toBe('out_for_delivery');
+    expect(order.statusHistory.map(entry => entry.status)).toEqual(['packed', 'out_for_delivery']);
+    expect(order.isModified()).toBe(false);
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('counts a delivered order towards the user\'s totals', async () => {
+    const order = storedOrder('out_for_delivery');
+    stubStore(order);
+
+    await order.transitionTo('delivered');
+
+    expect(order.deliveredAt).toBeInstanceOf(Date);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: order.user },
+      { $inc: { totalOrders: 1, totalSpent: 450 } }
+    );
+  });
+
+  test('a move that lost a race is rejected and changes nothing', async () => {
+    const order = storedOrder('out_for_delivery');
+    const stored = stubStore(order);
+
+    // Someone else delivered it after this copy was loaded
+    const stale = storedOrder('out_for_delivery');
+    stale._id = order._id;
+    await order.transitionTo('delivered');
+
+    await expect(stale.transitionTo('delivered')).rejects.toMatchObject({ statusCode: 409 });
+    expect(stored.statusHistory).toHaveLength(2);
+    expect(User.updateOne).toHaveBeenCalledTimes(1);
+  });
+
+  test('a cancel racing a delivery loses', async () => {
+    const order = storedOrder('packed');
+    stubStore(order);
+
+    const delivering = storedOrder('packed');
+    delivering._id = order._id;
+    await delivering.transitionTo('out_for_delivery');
+
+    await expect(order.transitionTo('cancelled', 'Changed my mind'))
+      .rejects.toThrow('Cannot move order FDTEST from out_for_delivery to cancelled');
+  });
+});
+
+// A ride as loaded from the database
+const storedRide = (status = 'requested') => {
+  return Ride.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    rideNumber: 'RDTEST',
+    user: new mongoose.Types.ObjectId(),
+    option: { id: 'economy', type: 'Economy', provider: 'Ola' },
+    pickup: { name: 'Indiranagar' },
+    destination: { name: 'Kempegowda International Airport' },
+    fare: { estimated: 650 },
+    status,
+    statusHistory: [{ status, timestamp: new Date() }]
+  });
+};
+
+describe('Ride state machine', () => {
+  let emitted;
+
+  beforeEach(() => {
+    emitted = [];
+    setSocketServer({
+      to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+    });
+  });
+
+  afterEach(() => {
+    setSocketServer(null);
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['requested', 'driver_assigned', true],
+    ['requested', 'started', false],
+    ['driver_assigned', 'arriving', true],
+    ['arriving', 'cancelled', true],
+    ['started', 'cancelled', false],
+    ['started', 'completed', true],
+    ['completed', 'cancelled', false],
+    ['cancelled', 'requested', false]
+  ])('%s -> %s allowed: %s', (from, to, allowed) => {
+    expect(storedRide(from).canTransitionTo(to)).toBe(allowed);
+  });
+
+  test('walks a ride from request to completion and tells the rider at each step', async () => {
+    const ride = storedRide('requested');
+    stubStore(ride);
+    const driver = { driverId: 'drv_1', name: 'Ravi', vehicleNumber: 'KA01AB1234' };
+
+    await ride.transitionTo('driver_assigned', { driver });
+    await ride.transitionTo('arriving');
+    await ride.transitionTo('started');
+    await ride.transitionTo('completed', { fare: 700 });
+
+    expect(ride.statusHistory.map(entry => entry.status))
+      .toEqual(['requested', 'driver_assigned', 'arriving', 'started', 'completed']);
+    expect(ride.driver.name).toBe('Ravi');
+    expect(ride.startedAt).toBeInstanceOf(Date);
+    expect(ride.completedAt).toBeInstanceOf(Date);
+    expect(ride.fare.final).toBe(700);
+    expect(ride.isActive).toBe(false);
+    expect(ride.isModified()).toBe(false);
+    expect(Ride.findOneAndUpdate).toHaveBeenCalledTimes(4);
+    expect(emitted.map(({ room, event, payload }) => [room, event, payload.status])).toEqual([
+      [`user-${ride.user}`, 'ride-status', 'driver_assigned'],
+      [`user-${ride.user}`, 'ride-status', 'arriving'],
+      [`user-${ride.user}`, 'ride-status', 'started'],
+      [`user-${ride.user}`, 'ride-status', 'completed']
+    ]);
+  });
+
+  test('a completed ride without a final fare is charged the estimate', async () => {
+    const ride = storedRide('started');
+    stubStore(ride);
+
+    await ride.transitionTo('completed');
+
+    expect(ride.fare.final).toBe(650);
+  });
+
+  test('cancelling records the reason', async () => {
+    const ride = storedRide('driver_assigned');
+    stubStore(ride);
+
+    await ride.transitionTo('cancelled', { note: 'Driver too far away' });
+
+    expect(ride.status).toBe('cancelled');
+    expect(ride.cancellationReason).toBe('Driver too far away');
+    expect(ride.cancelledAt).toBeInstanceOf(Date);
+  });
+
+  test('rejects a move the state machine does not allow', async () => {
+    const ride = storedRide('started');
+    stubStore(ride);
+
+    await expect(ride.transitionTo('cancelled')).rejects.toMatchObject({ statusCode: 409 });
+    expect(ride.status).toBe('started');
+    expect(Ride.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(emitted).toEqual([]);
+  });
+
+  test('writes only while the stored status can still make the move', async () => {
+    const ride = storedRide('requested');
+    stubStore(ride);
+
+    await ride.transitionTo('driver_assigned', { driver: { name: 'Ravi' }, estimatedArrivalMinutes: 5 });
+
+    const [filter, update] = Ride.findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: ride._id, status: { $in: ['requested'] } });
+    expect(update.$set).toEqual({ status: 'driver_assigned', driver: { name: 'Ravi' }, estimatedArrivalMinutes: 5 });
+    expect(ride.estimatedArrivalMinutes).toBe(5);
+  });
+
+  test('a cancel racing the driver dispatch cannot both apply', async () => {
+    const ride = storedRide('arriving');
+    const stored = stubStore(ride);
+
+    // The trip started after the rider's copy was loaded
+    const driverCopy = storedRide('arriving');
+    driverCopy._id = ride._id;
+    await driverCopy.transitionTo('started');
+    emitted = [];
+
+    await expect(ride.transitionTo('cancelled', { note: 'Changed my mind' }))
+      .rejects.toThrow('Cannot move ride RDTEST from started to cancelled');
+    expect(stored.status).toBe('started');
+    expect(stored.cancelledAt).toBeUndefined();
+    expect(stored.statusHistory.map(entry => entry.status)).toEqual(['arriving', 'started']);
+    expect(emitted).toEqual([]);
+  });
+});
@@ -0,0 +1,46 @@
+const { ConversationSummarizer } = require('../src/agents/summarizer');
+
+const turn = (i, chars = 40) => ({
+  type: i % 2 === 0 ? 'user' : 'agent',
+  agent: i % 2 === 0 ? undefined : 'foodie',
+  content: `${i} `.padEnd(chars, 'x')
+});
+
+const history = (count, chars) => Array.from({ length: count }, (_, i) => turn(i, chars));
+
+describe('ConversationSummarizer', () => {
+  const llm = { complete: jest.fn(async () => 'Earlier: the user ordered pizza.') };
+  const summarizer = new ConversationSummarizer(llm, { tokenBudget: 100, keepTurns: 6, minTurns: 4 });
+
+  beforeEach(() => llm.complete.mockClear());
+
+  test('summarizes once enough older turns are over budget', async () => {
+    const context = { userId: 'u1', history: history(10, 80) };
+
+    expect(await summarizer.summarize(context)).toBe('Earlier: the user ordered pizza.');
+    expect(context.history).toHaveLength(6);
+    expect(context.summarizedTurns).toBe(4);
+  });
+
+  test('does not re-summarize every turn when the kept turns alone exceed the budget', async () => {
+    // Six long replies are over budget on their own
+    const context = { userId: 'u1', summary: 'Earlier.', summarizedTurns: 4, history: history(6, 400) };
+
+    for (let i = 6; i < 9; i++) {
+      context.history.push(turn(i, 400));
+      expect(await summarizer.summarize(context)).toBeNull();
+    }
+    expect(llm.complete).not.toHaveBeenCalled();
+
+    context.history.push(turn(9, 400));
+    expect(await summarizer.summarize(context)).not.toBeNull();
+    expect(llm.complete).toHaveBeenCalledTimes(1);
+    expect(context.history).toHaveLength(6);
+  });
+
+  test('leaves short conversations alone', async () => {
+    const context = { userId: 'u1', history: history(12, 4) };
+
+    expect(summarizer.needsSummary(context)).toBe(false);
+  });
+});
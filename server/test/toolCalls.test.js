@@ -0,0 +1,100 @@
+const RideNowAgent = require('../src/agents/RideNowAgent');
+const ScriptedProvider = require('../src/llm/ScriptedProvider');
+const { validateSchema } = require('../src/llm/schema');
+
+const context = { history: [] };
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      destination: { type: 'string' },
+      passengers: { type: 'integer', minimum: 1, maximum: 6 },
+      rideType: { type: 'string', enum: ['economy', 'premium'] },
+      stops: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['destination'],
+    additionalProperties: false
+  };
+
+  test('accepts matching arguments', () => {
+    expect(validateSchema(schema, { destination: 'Airport', passengers: 2, stops: ['Hotel'] })).toEqual([]);
+  });
+
+  test.each([
+    [{}, 'arguments.destination is required'],
+    [{ destination: '' }, 'arguments.destination is required'],
+    [{ destination: 42 }, 'arguments.destination must be of type string'],
+    [{ destination: 'Airport', passengers: 1.5 }, 'arguments.passengers must be of type integer'],
+    [{ destination: 'Airport', passengers: 9 }, 'arguments.passengers must be <= 6'],
+    [{ destination: 'Airport', rideType: 'luxury' }, 'arguments.rideType must be one of: economy, premium'],
+    [{ destination: 'Airport', stops: ['Hotel', 3] }, 'arguments.stops[1] must be of type string'],
+    [{ destination: 'Airport', tip: 50 }, 'arguments.tip is not allowed']
+  ])('rejects %j', (args, error) => {
+    expect(validateSchema(schema, args)).toContain(error);
+  });
+});
+
+describe('tool selection', () => {
+  test('returns the tool and its arguments for a valid call', async () => {
+    const llm = new ScriptedProvider({
+      rules: [{ purpose: 'tool', pattern: 'koramangala', response: { name: 'getAvailableRides', arguments: { destination: 'Koramangala' } } }]
+    });
+    const agent = new RideNowAgent(llm);
+
+    const call = await agent.selectTool('cab to Koramangala', context);
+
+    expect(call.tool.name).toBe('getAvailableRides');
+    expect(call.arguments).toEqual({ destination: 'Koramangala' });
+  });
+
+  test('returns null without retrying when the model picks no tool', async () => {
+    const llm = new ScriptedProvider();
+    const agent = new RideNowAgent(llm);
+
+    expect(await agent.selectTool('what a lovely day', context)).toBeNull();
+    expect(llm.calls).toHaveLength(1);
+  });
+
+  test('retries a call that breaks the schema, telling the model what was wrong', async () => {
+    const llm = {
+      selectTool: jest.fn()
+        .mockResolvedValueOnce({ name: 'setRidePreferences', arguments: JSON.stringify({ preferredRideType: 'luxury' }) })
+        .mockResolvedValueOnce({ name: 'setRidePreferences', arguments: JSON.stringify({ preferredRideType: 'premium' }) })
+    };
+    const agent = new RideNowAgent(llm);
+
+    const call = await agent.selectTool('I always want premium cabs', context);
+
+    expect(call.arguments).toEqual({ preferredRideType: 'premium' });
+    expect(llm.selectTool).toHaveBeenCalledTimes(2);
+
+    const retryMessages = llm.selectTool.mock.calls[1][0].messages;
+    expect(retryMessages[retryMessages.length - 1]).toEqual({
+      role: 'user',
+      content: expect.stringContaining('setRidePreferences: arguments.preferredRideType must be one of: economy, premium, shared')
+    });
+  });
+
+  test.each([
+    ['output that is not JSON', 'Sure! I will book that for you.', /No JSON object found/],
+    ['an unknown tool', '{"name": "launchRocket", "arguments": {}}', /unknown tool "launchRocket"/],
+    ['a missing required argument', '{"name": "selectRide", "arguments": {}}', /arguments.option is required/]
+  ])('gives up after three attempts at %s', async (label, reply, feedback) => {
+    const llm = new ScriptedProvider({ rules: [{ purpose: 'tool', pattern: '', response: reply }] });
+    const agent = new RideNowAgent(llm);
+
+    expect(await agent.selectTool('book it', context)).toBeNull();
+    expect(llm.calls).toHaveLength(3);
+
+    const lastMessages = llm.calls[2].messages;
+    expect(lastMessages[lastMessages.length - 1].content).toMatch(feedback);
+  });
+
+  test('rejects arguments that are not valid JSON', () => {
+    const agent = new RideNowAgent(new ScriptedProvider());
+
+    expect(() => agent.parseToolCall({ name: 'cancelRide', arguments: '{reason:' }, agent.getTools()))
+      .toThrow('arguments for cancelRide are not valid JSON');
+  });
+});
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const Conversation = require('../src/models/Conversation');
+const Message = require('../src/models/Message');
+const { recordTurn } = require('../src/services/transcriptStore');
+
+describe('recordTurn', () => {
+  const userId = new mongoose.Types.ObjectId();
+  let inserted;
+
+  beforeEach(() => {
+    inserted = [];
+    jest.spyOn(Conversation, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Conversation.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    // Validate like the real insertMany, which rejects the whole batch on one bad entry
+    jest.spyOn(Message, 'insertMany').mockImplementation(async (docs) => {
+      for (const doc of docs) {
+        const error = new Message(doc).validateSync();
+        if (error) throw error;
+      }
+      inserted.push(...docs);
+      return docs;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the user turn when the reply was stopped before any text', async () => {
+    const conversationId = await recordTurn(userId, null, [
+      { role: 'user', content: 'Plan a trip to Goa' },
+      { role: 'agent', agent: 'travelbuddy', content: '' }
+    ]);
+
+    expect(conversationId).toEqual(expect.any(String));
+    expect(inserted.map(entry => entry.role)).toEqual(['user']);
+  });
+
+  test('records replies that have text', async () => {
+    await recordTurn(userId, null, [
+      { role: 'user', content: 'Plan a trip to Goa' },
+      { role: 'agent', agent: 'travelbuddy', content: 'Where will you be flying from?' }
+    ]);
+
+    expect(inserted.map(entry => entry.role)).toEqual(['user', 'agent']);
+  });
+});
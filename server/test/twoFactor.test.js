@@ -0,0 +1,163 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const authRoutes = require('../src/routes/auth');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const User = require('../src/models/User');
+const twoFactor = require('../src/services/twoFactor');
+const { generateSecret, generateTotp, verifyTotp } = require('../src/services/totp');
+const { createSession } = require('../src/services/sessions');
+const { query, stubSessionStore } = require('./helpers');
+
+// RFC 6238 appendix B, SHA-1. The secret is the ASCII "12345678901234567890"; the RFC
+// lists 8-digit codes, of which a 6-digit code is the last six.
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+describe('TOTP', () => {
+  test.each(RFC_VECTORS)('at %i seconds the code is the RFC\'s %s', (seconds, rfcCode) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(rfcCode.slice(-6));
+  });
+
+  test.each(RFC_VECTORS)('at %i seconds %s is accepted for its own step', (seconds, rfcCode) => {
+    expect(verifyTotp(RFC_SECRET, rfcCode.slice(-6), { time: seconds * 1000 })).toBe(Math.floor(seconds / 30));
+  });
+
+  test('allows one step of clock drift either way, and no more', () => {
+    const time = 1111111111 * 1000;
+
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 30000), { time })).not.toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time + 30000), { time })).not.toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time - 60000), { time })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, time + 60000), { time })).toBeNull();
+  });
+
+  test.each(['', '12345', '1234567', 'abcdef', null])('rejects %p', (code) => {
+    expect(verifyTotp(RFC_SECRET, code, { time: 59000 })).toBeNull();
+  });
+
+  test('new secrets are 160-bit base32', () => {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+});
+
+describe('two-factor authentication', () => {
+  let stored;
+
+  // One user document, kept as a plain object between queries
+  beforeEach(() => {
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Ann',
+      email: 'ann@example.com',
+      isActive: true
+    };
+
+    jest.spyOn(User, 'findById').mockImplementation(() => query(User.hydrate({ ...stored })));
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      stored = this.toObject({ virtuals: false });
+      return Promise.resolve(this);
+    });
+
+    // The two conditional updates verifySecondFactor makes
+    jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+      const factor = stored.twoFactor;
+      const hash = filter['twoFactor.recoveryCodes'];
+      const matches = hash
+        ? factor.recoveryCodes.includes(hash)
+        : factor.lastUsedStep == null || factor.lastUsedStep < update.$set['twoFactor.lastUsedStep'];
+      if (!matches) return { modifiedCount: 0 };
+
+      if (hash) {
+        factor.recoveryCodes = factor.recoveryCodes.filter(code => code !== hash);
+      } else {
+        factor.lastUsedStep = update.$set['twoFactor.lastUsedStep'];
+      }
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Enable 2FA, returning the secret and the recovery codes
+  const enroll = async () => {
+    const { secret } = await twoFactor.startEnrollment(stored._id);
+    const recoveryCodes = await twoFactor.confirmEnrollment(stored._id, generateTotp(secret));
+    return { secret, recoveryCodes };
+  };
+
+  test('enrollment stores the secret encrypted and only hashes of the recovery codes', async () => {
+    const { secret, recoveryCodes } = await enroll();
+
+    expect(stored.twoFactor.enabled).toBe(true);
+    expect(stored.twoFactor.secret).not.toContain(secret);
+    expect(recoveryCodes).toHaveLength(10);
+    expect(stored.twoFactor.recoveryCodes).toHaveLength(10);
+    expect(stored.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+  });
+
+  test('a recovery code works once', async () => {
+    const { recoveryCodes: [first, second] } = await enroll();
+
+    expect(await twoFactor.verifySecondFactor(stored._id, { recoveryCode: first })).toBe('recovery_code');
+    expect(await twoFactor.verifySecondFactor(stored._id, { recoveryCode: first })).toBeNull();
+
+    // Typed without the dash and in capitals, another code still works
+    expect(await twoFactor.verifySecondFactor(stored._id, { recoveryCode: second.replace('-', '').toUpperCase() }))
+      .toBe('recovery_code');
+    expect(await twoFactor.remainingRecoveryCodes(stored._id)).toBe(8);
+  });
+
+  test('a TOTP code works once', async () => {
+    const { secret } = await enroll();
+
+    // Enrollment used the current step, so take the next one
+    const code = generateTotp(secret, Date.now() + 30000);
+
+    expect(await twoFactor.verifySecondFactor(stored._id, { code })).toBe('totp');
+    expect(await twoFactor.verifySecondFactor(stored._id, { code })).toBeNull();
+  });
+
+  test('wrong codes are refused', async () => {
+    await enroll();
+
+    expect(await twoFactor.verifySecondFactor(stored._id, { code: '000000' })).toBeNull();
+    expect(await twoFactor.verifySecondFactor(stored._id, { recoveryCode: 'aaaaa-bbbbb' })).toBeNull();
+  });
+
+  describe('challenge tokens', () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.use(errorHandler);
+
+    beforeEach(() => {
+      stubSessionStore();
+    });
+
+    test('are rejected as access tokens', async () => {
+      const { challengeToken } = twoFactor.createChallenge(stored, 'password');
+
+      const res = await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${challengeToken}`);
+
+      expect(res.status).toBe(401);
+    });
+
+    test('access tokens are rejected as challenge tokens', async () => {
+      const { token } = await createSession(User.hydrate(stored));
+
+      expect(() => twoFactor.verifyChallenge(token)).toThrow('Invalid challenge token');
+    });
+  });
+});